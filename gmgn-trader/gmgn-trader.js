@@ -7,6 +7,7 @@
 
 import GmgnBrowserAPI from './gmgn-browser-api.js';
 import MARTINGALE_CONFIG, { getQueryParams } from './gmgn-config.js';
+import { reportTrade } from './trade-ledger.js';
 
 class GmgnTrader {
   constructor(config = null) {
@@ -105,6 +106,9 @@ class GmgnTrader {
       // 转换BNB数量为wei
       const amountWei = (bnbAmount * 1e18).toString();
 
+      // 下单前余额（成交后以余额变化回报成交）
+      const balancesBefore = await this.readBalances();
+
       // 构建订单参数
       const body = {
         from_address: this.config.walletAddress,
@@ -156,6 +160,9 @@ class GmgnTrader {
         // 获取实际收到的代币数量
         const tokenBalance = await this.getTokenBalance();
 
+        // 回报到成交账本
+        await this.reportFill('buy', orderId, balancesBefore, bnbAmount);
+
         return {
           success: true,
           orderId: orderId,
@@ -203,6 +210,9 @@ class GmgnTrader {
       const limitPrice = currentPrice * (1 - slippage / 100);
       console.log(`   设置限价: $${limitPrice.toFixed(10)} (${slippage}% 滑点)`);
 
+      // 下单前余额（成交后以余额变化回报成交）
+      const balancesBefore = await this.readBalances();
+
       // 构建订单参数
       const body = {
         from_address: this.config.walletAddress,
@@ -256,6 +266,9 @@ class GmgnTrader {
         // 获取实际BNB余额
         const bnbBalance = await this.getBNBBalance();
 
+        // 回报到成交账本
+        await this.reportFill('sell', orderId, balancesBefore);
+
         return {
           success: true,
           orderId: orderId,
@@ -277,6 +290,57 @@ class GmgnTrader {
     }
   }
 
+  /**
+   * 读取钱包 BNB 与代币余额
+   * @returns {Promise<Object|null>} { bnb, tokens }，任一查询失败时为 null
+   */
+  async readBalances() {
+    const [bnb, tokens] = await Promise.all([
+      this.api.getBNBBalance(this.config.walletAddress),
+      this.api.getTokenBalance(this.config.tokenAddress, this.config.walletAddress),
+    ]);
+
+    if (!bnb.success || !tokens.success) {
+      return null;
+    }
+
+    return { bnb: bnb.data.balance, tokens: tokens.data.balance };
+  }
+
+  /**
+   * 以下单前后的余额变化回报成交到主服务账本（GMGN 限价单没有 tx hash，以订单 ID 标示）
+   * 余额无法读取或尚未成交时不回报
+   * @param {string} side - 'buy' | 'sell'
+   * @param {string} orderId - GMGN 订单 ID
+   * @param {Object|null} before - 下单前余额（readBalances）
+   * @param {number} bnbAmount - 买入花费的 BNB（卖出时不需要）
+   */
+  async reportFill(side, orderId, before, bnbAmount = null) {
+    const after = before ? await this.readBalances() : null;
+    if (!after) {
+      console.warn(`⚠️  无法读取余额，GMGN 订单 ${orderId} 未回报成交`);
+      return;
+    }
+
+    const amountIn = side === 'buy' ? bnbAmount : before.tokens - after.tokens;
+    const amountOut = side === 'buy' ? after.tokens - before.tokens : after.bnb - before.bnb;
+
+    if (!(amountIn > 0) || !(amountOut > 0)) {
+      console.warn(`⚠️  GMGN 订单 ${orderId} 尚未成交（余额未变化），未回报成交`);
+      return;
+    }
+
+    await reportTrade({
+      chain: 'bsc',
+      token_address: this.config.tokenAddress,
+      side,
+      amount_in: amountIn,
+      amount_out: amountOut,
+      route: `GMGN 限价单 ${orderId}`,
+      source: 'martingale',
+    });
+  }
+
   /**
    * 卖出所有代币
    */
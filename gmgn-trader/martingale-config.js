@@ -21,8 +21,9 @@ export const MARTINGALE_CONFIG = {
   // 钱包地址（从.env读取）
   walletAddress: process.env.GMGN_WALLET_ADDRESS || '0xe074e46aaa9d3588bed825881c9185a16f9a8555',
 
-  // 钱包私钥（仅PancakeSwap交易需要）
-  privateKey: process.env.BSC_PRIVATE_KEY || '',
+  // 加密 keystore 中的 BSC 钱包 ID（仅PancakeSwap交易需要，启动时输入 keystore 密码解锁）
+  // 建立方式：在项目根目录执行 npm run keystore import bsc <id>
+  keystoreWallet: process.env.GMGN_KEYSTORE_WALLET || 'default',
 
   // 价格数据来源
   // 'gmgn' - 使用 GMGN API（可能有延迟）
@@ -180,8 +181,8 @@ export function validateConfig() {
     errors.push('tradeMethod必须是pancakeswap或gmgn');
   }
 
-  if (config.tradeMethod === 'pancakeswap' && !config.privateKey) {
-    errors.push('使用PancakeSwap交易需要设置BSC_PRIVATE_KEY环境变量');
+  if (config.tradeMethod === 'pancakeswap' && !config.keystoreWallet) {
+    errors.push('使用PancakeSwap交易需要设置keystoreWallet（加密 keystore 中的钱包 ID）');
   }
 
   if (config.slippage < 0 || config.slippage > 100) {
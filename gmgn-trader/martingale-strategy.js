@@ -14,6 +14,7 @@ import PancakeSwapTrader from './pancakeswap-trader.js';
 import GmgnTrader from './gmgn-trader.js';
 import MartingaleState from './martingale-state.js';
 import OnchainPriceFetcher from './onchain-price-fetcher.js';
+import { checkRisk, isTradingHalted } from './trade-ledger.js';
 import MARTINGALE_CONFIG, { getConfigSummary, validateConfig } from './martingale-config.js';
 
 class MartingaleStrategy {
@@ -289,6 +290,13 @@ class MartingaleStrategy {
       return false;
     }
 
+    // 主服务风控检查（每日花费 / 曝险 / 持仓数 / 每日亏损熔断）
+    const risk = await checkRisk({ chain: 'bsc', token_address: this.config.tokenAddress, amount: bnbAmount });
+    if (!risk.allowed) {
+      console.error(`🛡️  风控拒绝开仓: ${risk.reason}`);
+      return false;
+    }
+
     // 执行买入
     const result = await this.trader.buyToken(bnbAmount, this.config.slippage);
 
@@ -343,6 +351,13 @@ class MartingaleStrategy {
       return false;
     }
 
+    // 主服务风控检查（每日花费 / 曝险 / 持仓数 / 每日亏损熔断）
+    const risk = await checkRisk({ chain: 'bsc', token_address: this.config.tokenAddress, amount: bnbAmount });
+    if (!risk.allowed) {
+      console.error(`🛡️  风控拒绝加仓: ${risk.reason}`);
+      return false;
+    }
+
     // 执行买入
     const result = await this.trader.buyToken(bnbAmount, this.config.slippage);
 
@@ -677,6 +692,12 @@ class MartingaleStrategy {
       const now = new Date().toLocaleString('zh-TW');
       console.log(`[${now}] 💲 当前价格: $${currentPrice}`);
 
+      // 主服务全局暂停交易时不做任何买卖
+      if (await isTradingHalted()) {
+        console.log('🛑 主服务已暂停交易，跳过本轮');
+        return;
+      }
+
       // 檢查開始條件
       if (!this.checkStartCondition(currentPrice)) {
         return; // 還沒達到開始條件，繼續等待
@@ -843,8 +864,8 @@ class MartingaleStrategy {
       errors.push('tradeMethod必须是pancakeswap或gmgn');
     }
 
-    if (config.tradeMethod === 'pancakeswap' && !config.privateKey) {
-      errors.push('使用PancakeSwap交易需要设置BSC_PRIVATE_KEY环境变量');
+    if (config.tradeMethod === 'pancakeswap' && !config.keystoreWallet) {
+      errors.push('使用PancakeSwap交易需要设置keystoreWallet（加密 keystore 中的钱包 ID）');
     }
 
     if (config.slippage < 0 || config.slippage > 100) {
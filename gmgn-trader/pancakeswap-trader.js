@@ -6,6 +6,8 @@
 
 import { ethers } from 'ethers';
 import MARTINGALE_CONFIG from './martingale-config.js';
+import { reportTrade } from './trade-ledger.js';
+import keystore from '../src/services/keystore.js';
 
 // PancakeSwap Router ABI（仅包含需要的函数）
 const PANCAKESWAP_ROUTER_ABI = [
@@ -45,11 +47,12 @@ class PancakeSwapTrader {
       // 连接到BSC网络
       this.provider = new ethers.JsonRpcProvider(this.config.pancakeswap.rpcUrl);
 
-      // 创建钱包
-      if (!this.config.privateKey) {
-        throw new Error('未设置私钥，请在.env中设置BSC_PRIVATE_KEY');
+      // 从加密 keystore 载入钱包（与主服务共用，首次使用时解锁）
+      if (!this.config.keystoreWallet) {
+        throw new Error('未设置keystoreWallet（加密 keystore 中的 BSC 钱包 ID）');
       }
-      this.wallet = new ethers.Wallet(this.config.privateKey, this.provider);
+      await keystore.unlockOnce();
+      this.wallet = new ethers.Wallet(keystore.getPrivateKey('bsc', this.config.keystoreWallet), this.provider);
 
       // 创建Router合约实例
       this.routerContract = new ethers.Contract(
@@ -236,6 +239,20 @@ class PancakeSwapTrader {
 
       console.log(`   🔗 查看交易: https://bscscan.com/tx/${tx.hash}`);
 
+      // 回报到成交账本
+      await reportTrade({
+        chain: 'bsc',
+        token_address: this.config.tokenAddress,
+        side: 'buy',
+        amount_in: bnbAmount,
+        amount_out: actualTokensReceived,
+        tx_hash: tx.hash,
+        gas_used: receipt.gasUsed.toString(),
+        gas_cost: parseFloat(ethers.formatEther(receipt.gasUsed * receipt.gasPrice)),
+        block_number: receipt.blockNumber,
+        source: 'martingale',
+      });
+
       return {
         success: true,
         txHash: tx.hash,
@@ -359,6 +376,20 @@ class PancakeSwapTrader {
 
       console.log(`   🔗 查看交易: https://bscscan.com/tx/${tx.hash}`);
 
+      // 回报到成交账本
+      await reportTrade({
+        chain: 'bsc',
+        token_address: this.config.tokenAddress,
+        side: 'sell',
+        amount_in: tokenAmount,
+        amount_out: actualBNBReceived,
+        tx_hash: tx.hash,
+        gas_used: receipt.gasUsed.toString(),
+        gas_cost: gasUsedBNB,
+        block_number: receipt.blockNumber,
+        source: 'martingale',
+      });
+
       return {
         success: true,
         txHash: tx.hash,
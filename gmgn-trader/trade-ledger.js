@@ -0,0 +1,98 @@
+/**
+ * 成交回报 / 风控检查
+ *
+ * 将链上成交回报给主服务的 trades 账本（POST /api/trades），
+ * 与服务器挂单共用同一份成交记录与 FIFO 已实现损益；
+ * 买入前向主服务风控检查（POST /api/risk/check），与服务器挂单共用每日花费、曝险与亏损限制；
+ * 每轮价格检查前直接读取主服务数据库中的全局暂停交易开关（risk_state），不依赖主服务在线。
+ *
+ * 需在 .env 设置 TRADE_LEDGER_URL（例如 http://localhost:3000），未设置时不回报、不做风控检查。
+ * 回报失败只打印警告，不影响交易流程；风控检查失败时拒绝买入；暂停状态读取失败时视为已暂停。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import Database from 'better-sqlite3';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// 主服务数据库（与主服务相同的 DB_PATH，相对路径以项目根目录为准）
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DB_PATH = path.resolve(PROJECT_ROOT, process.env.DB_PATH || './data/trading.db');
+
+let db = null;
+
+/**
+ * 回报一笔成交
+ * @param {Object} trade - 成交资料（字段同 trades 表）
+ * @returns {Promise<boolean>} 是否回报成功
+ */
+export async function reportTrade(trade) {
+  const baseUrl = process.env.TRADE_LEDGER_URL;
+  if (!baseUrl) {
+    return false;
+  }
+
+  try {
+    await axios.post(`${baseUrl.replace(/\/$/, '')}/api/trades`, trade, { timeout: 5000 });
+    return true;
+  } catch (error) {
+    const message = error.response?.data?.error || error.message;
+    console.warn(`⚠️  成交回报失败 (${trade.side} ${trade.tx_hash}): ${message}`);
+    return false;
+  }
+}
+
+/**
+ * 买入前风控检查
+ * @param {Object} request - { chain, token_address, amount }（amount 为花费的原生币数量）
+ * @returns {Promise<Object>} { allowed, reason }
+ */
+export async function checkRisk(request) {
+  const baseUrl = process.env.TRADE_LEDGER_URL;
+  if (!baseUrl) {
+    return { allowed: true };
+  }
+
+  try {
+    const response = await axios.post(
+      `${baseUrl.replace(/\/$/, '')}/api/risk/check`,
+      { ...request, source: 'martingale' },
+      { timeout: 5000 }
+    );
+    return response.data.data;
+  } catch (error) {
+    // 无法确认风控状态时不买入，避免主服务离线时绕过限制
+    const message = error.response?.data?.error || error.message;
+    return { allowed: false, reason: `风控检查失败: ${message}` };
+  }
+}
+
+/**
+ * 主服务是否已暂停所有交易
+ * 直接读取主服务数据库的 risk_state（主服务离线或未设置 TRADE_LEDGER_URL 时同样有效）；
+ * 数据库或 risk_state 表不存在代表从未暂停，其他读取失败时视为已暂停
+ * @returns {Promise<boolean>}
+ */
+export async function isTradingHalted() {
+  try {
+    if (!db) {
+      if (!fs.existsSync(DB_PATH)) {
+        return false;
+      }
+      db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+    }
+
+    const row = db.prepare("SELECT value FROM risk_state WHERE key = 'halted'").get();
+    return row?.value === 'true';
+  } catch (error) {
+    if (/no such table/.test(error.message)) {
+      return false;
+    }
+
+    console.warn(`⚠️  读取暂停交易状态失败，视为已暂停: ${error.message}`);
+    return true;
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * 加密錢包 keystore 管理工具
+ *
+ * 使用方法：
+ * npm run keystore init                     # 建立 keystore（設定密碼；有 KEYSTORE_PASSPHRASE 時直接使用）
+ * npm run keystore list                     # 列出錢包（不需密碼）
+ * npm run keystore import <chain> <id>      # 匯入私鑰（以不回顯方式輸入）
+ * npm run keystore generate <chain> <id>    # 產生新錢包並存入 keystore
+ * npm run keystore remove <chain> <id>      # 移除錢包
+ * npm run keystore migrate-env              # 匯入 .env 中的明文私鑰（<CHAIN>_PRIVATE_KEY[_<NAME>]）
+ * npm run keystore passwd                   # 變更密碼
+ *
+ * chain: bsc / solana / base
+ */
+
+import config from './src/config/config.js';
+import keystore from './src/services/keystore.js';
+import walletManager from './src/services/walletManager.js';
+
+const CHAINS = ['bsc', 'solana', 'base'];
+const ENV_PREFIX = { bsc: 'BSC', solana: 'SOLANA', base: 'BASE' };
+
+const [command, chain, id] = process.argv.slice(2);
+
+function requireWalletArgs() {
+  if (!CHAINS.includes(chain) || !id) {
+    throw new Error(`請提供鏈與錢包 ID，例如: npm run keystore ${command} bsc main（chain: ${CHAINS.join(' / ')}）`);
+  }
+
+  if (!/^[a-z0-9_]+$/.test(id)) {
+    throw new Error('錢包 ID 只能包含小寫英文、數字與底線');
+  }
+}
+
+async function askNewPassphrase() {
+  const passphrase = await keystore.promptPassphrase('🔐 設定 keystore 密碼（至少 8 個字元）: ');
+  const confirm = await keystore.promptPassphrase('🔐 再次輸入密碼: ');
+
+  if (passphrase !== confirm) {
+    throw new Error('兩次輸入的密碼不一致');
+  }
+
+  return passphrase;
+}
+
+function addWallet(walletChain, walletId, privateKey) {
+  const entry = walletManager.toKeystoreEntry(walletChain, privateKey);
+
+  keystore.addWallet(walletChain, walletId, entry.privateKey, entry.address);
+  console.log(`✅ 已加入 ${walletChain} 錢包 [${walletId}]: ${entry.address}`);
+}
+
+const commands = {
+  async init() {
+    if (keystore.exists()) {
+      throw new Error(`keystore 已存在: ${keystore.filePath}`);
+    }
+
+    keystore.create(config.keystore.passphrase || await askNewPassphrase());
+    console.log(`✅ keystore 已建立: ${keystore.filePath}`);
+  },
+
+  async list() {
+    const wallets = keystore.listWallets();
+
+    if (wallets.length === 0) {
+      console.log('keystore 中沒有錢包');
+      return;
+    }
+
+    for (const wallet of wallets) {
+      console.log(`${wallet.chain.padEnd(7)} ${wallet.id.padEnd(16)} ${wallet.address}`);
+    }
+  },
+
+  async import() {
+    requireWalletArgs();
+    await keystore.unlockOnce();
+
+    const privateKey = await keystore.promptPassphrase(`🔑 輸入 ${chain} 私鑰（不會顯示）: `);
+    addWallet(chain, id, privateKey.trim());
+  },
+
+  async generate() {
+    requireWalletArgs();
+    await keystore.unlockOnce();
+
+    const { privateKey } = walletManager.constructor.generateWallet(chain);
+    addWallet(chain, id, privateKey);
+  },
+
+  async remove() {
+    requireWalletArgs();
+    await keystore.unlockOnce();
+
+    keystore.removeWallet(chain, id);
+    console.log(`✅ 已移除 ${chain} 錢包 [${id}]`);
+  },
+
+  async 'migrate-env'() {
+    if (!keystore.exists()) {
+      keystore.create(config.keystore.passphrase || await askNewPassphrase());
+      console.log(`✅ keystore 已建立: ${keystore.filePath}`);
+    }
+    await keystore.unlockOnce();
+
+    let imported = 0;
+    for (const walletChain of CHAINS) {
+      const prefix = `${ENV_PREFIX[walletChain]}_PRIVATE_KEY`;
+
+      for (const [key, privateKey] of Object.entries(process.env)) {
+        if (!privateKey || (key !== prefix && !key.startsWith(`${prefix}_`))) {
+          continue;
+        }
+
+        const walletId = key === prefix ? 'default' : key.slice(prefix.length + 1).toLowerCase();
+        addWallet(walletChain, walletId, privateKey);
+        imported++;
+      }
+    }
+
+    console.log(`\n已匯入 ${imported} 個錢包，請確認無誤後從 .env 移除明文私鑰`);
+  },
+
+  async passwd() {
+    await keystore.unlockOnce();
+    keystore.changePassphrase(await askNewPassphrase());
+    console.log('✅ keystore 密碼已變更');
+  },
+};
+
+try {
+  if (!commands[command]) {
+    console.log(`可用指令: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  await commands[command]();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
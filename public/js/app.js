@@ -128,6 +128,9 @@ function switchTab(tabName) {
         case 'wallet':
             loadWalletBalance();
             break;
+        case 'paper':
+            loadPaperPortfolio();
+            break;
     }
 }
 
@@ -174,15 +177,36 @@ function setupForms() {
         data.target_price = parseFloat(data.target_price);
         data.token_id = parseInt(data.token_id);
 
+        // 交易數量留空則使用預設金額（賣出為全部持倉）
+        if (data.amount) {
+            data.amount = parseFloat(data.amount);
+        } else {
+            delete data.amount;
+            delete data.amount_type;
+        }
+
+        // 交易錢包留空則使用該鏈預設錢包
+        if (!data.wallet_id) {
+            delete data.wallet_id;
+        }
+
         try {
-            await fetch(`${API_BASE}/orders`, {
+            const response = await fetch(`${API_BASE}/orders`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(data),
             });
+            const result = await response.json();
+
+            if (!result.success) {
+                showNotification('建立失敗: ' + result.error, 'error');
+                return;
+            }
 
             closeModal('addOrderModal');
             e.target.reset();
+            onOrderTypeChange('limit_buy');
+            document.getElementById('orderQuote').innerHTML = '';
             loadOrders();
             showNotification('掛單建立成功', 'success');
         } catch (error) {
@@ -190,6 +214,39 @@ function setupForms() {
         }
     });
 
+    // 建立括號單
+    document.getElementById('addBracketForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const data = Object.fromEntries(formData);
+        data.token_id = parseInt(data.token_id);
+        data.take_profit = parseFloat(data.take_profit);
+        data.stop_loss = parseFloat(data.stop_loss);
+        data.entry_price = data.entry_price ? parseFloat(data.entry_price) : null;
+        data.amount = data.amount ? parseFloat(data.amount) : null;
+
+        try {
+            const response = await fetch(`${API_BASE}/orders/bracket`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data),
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                showNotification('建立失敗: ' + result.error, 'error');
+                return;
+            }
+
+            closeModal('addBracketModal');
+            e.target.reset();
+            loadOrders();
+            showNotification('括號單建立成功', 'success');
+        } catch (error) {
+            showNotification('建立失敗: ' + error.message, 'error');
+        }
+    });
+
     // 建立提醒
     document.getElementById('addAlertForm').addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -218,6 +275,13 @@ function setupForms() {
             console.log(`💰 價格提醒: ${data.target_price}`);
         }
 
+        // 漲跌幅提醒：target_price 為百分比，window_minutes 留空表示自建立起計算
+        if (isChangeCondition(data.condition) && data.window_minutes) {
+            data.window_minutes = parseInt(data.window_minutes);
+        } else {
+            delete data.window_minutes;
+        }
+
         console.log('提交數據:', data);
 
         try {
@@ -232,6 +296,7 @@ function setupForms() {
             // 重置顯示
             document.getElementById('currentDataDisplay').style.display = 'none';
             document.getElementById('unitSelect').style.display = 'none';
+            onAlertConditionChange('above');
             loadAlerts();
             showNotification('提醒建立成功', 'success');
         } catch (error) {
@@ -254,14 +319,67 @@ async function loadStatus() {
 
         if (result.success) {
             const stats = result.data;
+            const modeText = { live: '實盤交易', paper: '📝 模擬交易', notify: '僅通知' }[stats.tradeMode] || '';
+            const streams = Object.entries(stats.priceStream?.chains || {})
+                .map(([chain, stream]) => `${chain.toUpperCase()} ${stream.live ? '🟢' : '🔴'}`);
             document.getElementById('stats').textContent =
-                `代幣: ${stats.tokens} | 活躍訂單: ${stats.activeOrders} | 活躍提醒: ${stats.activeAlerts}`;
+                `代幣: ${stats.tokens} | 活躍訂單: ${stats.activeOrders} | 活躍提醒: ${stats.activeAlerts}` +
+                (stats.staleTokens > 0 ? ` | ⚠️ 價格過期: ${stats.staleTokens}` : '') +
+                (streams.length > 0 ? ` | 📡 事件串流: ${streams.join(' ')}` : '') +
+                (modeText ? ` | 模式: ${modeText}` : '');
+            renderHaltState(stats.tradingHalted);
         }
     } catch (error) {
         console.error('載入狀態失敗:', error);
     }
 }
 
+// 顯示暫停交易狀態
+function renderHaltState(halted) {
+    const status = document.getElementById('status');
+    const button = document.getElementById('haltBtn');
+
+    status.textContent = halted ? '● 交易已暫停' : '● 運行中';
+    status.classList.toggle('halted', halted);
+    button.textContent = halted ? '▶️ 恢復交易' : '🛑 暫停交易';
+    button.className = `btn btn-sm ${halted ? 'btn-primary' : 'btn-danger'}`;
+    button.dataset.halted = halted ? 'true' : 'false';
+}
+
+// 暫停 / 恢復所有交易（kill switch）
+async function toggleTradingHalt() {
+    const halted = document.getElementById('haltBtn').dataset.halted === 'true';
+
+    try {
+        let response;
+        if (halted) {
+            if (!confirm('確定要恢復交易嗎？')) return;
+            response = await fetch(`${API_BASE}/risk/resume`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ source: 'dashboard' })
+            });
+        } else {
+            if (!confirm('確定要暫停所有交易嗎？暫停期間掛單不會執行')) return;
+            const cancelOrders = confirm('是否同時取消所有進行中的掛單？\n（確定 = 取消掛單，取消 = 保留掛單）');
+            response = await fetch(`${API_BASE}/risk/halt`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ source: 'dashboard', cancel_orders: cancelOrders })
+            });
+        }
+
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        await loadStatus();
+        const cancelled = result.data.cancelled_orders;
+        showNotification(halted ? '已恢復交易' : `已暫停所有交易${cancelled ? `，已取消 ${cancelled} 筆掛單` : ''}`, 'success');
+    } catch (error) {
+        showNotification('操作失敗: ' + error.message, 'error');
+    }
+}
+
 // 載入代幣列表
 async function loadTokens() {
     try {
@@ -307,8 +425,37 @@ function renderTokens() {
                     <span class="info-value">${shortenAddress(token.pair_address)}</span>
                 </div>
                 ` : ''}
+                ${token.safety_checked_at ? `
+                <div class="info-row">
+                    <span class="info-label">買 / 賣稅</span>
+                    <span class="info-value">
+                        ${token.is_honeypot ? '<span class="badge failed">蜜罐</span>' : `${formatTax(token.buy_tax)} / ${formatTax(token.sell_tax)}`}
+                    </span>
+                </div>
+                ${token.safety_note ? `
+                <div class="info-row">
+                    <span class="info-label">檢測備註</span>
+                    <span class="info-value">${token.safety_note}</span>
+                </div>
+                ` : ''}
+                ` : ''}
+                <div class="info-row">
+                    <span class="info-label">價格更新</span>
+                    <span class="info-value" title="${token.last_check_error || ''}">
+                        ${token.price_updated_at || '尚未更新'}
+                        ${token.price_stale ? '<span class="badge failed">過期</span>' : ''}
+                        （每 ${token.poll_interval_effective} 秒）
+                    </span>
+                </div>
+                ${token.fee_on_transfer !== null && token.fee_on_transfer !== undefined ? `
+                <div class="info-row">
+                    <span class="info-label">轉帳稅代幣</span>
+                    <span class="info-value">${token.fee_on_transfer ? '是' : '否'}（手動指定）</span>
+                </div>
+                ` : ''}
             </div>
             <div class="card-actions">
+                ${isSafetyCheckSupported(token.chain) ? `<button class="btn btn-primary" onclick="checkTokenSafety(${token.id})">檢測</button>` : ''}
                 <button class="btn btn-danger" onclick="deleteToken(${token.id})">刪除</button>
             </div>
         </div>
@@ -338,7 +485,22 @@ function renderOrders() {
         return;
     }
 
-    container.innerHTML = state.orders.map(order => `
+    // 同群組（括號單）的訂單合併顯示，位置以群組中第一筆出現的訂單為準
+    const renderedGroups = new Set();
+    container.innerHTML = state.orders.map(order => {
+        if (!order.group_id) {
+            return renderOrderCard(order);
+        }
+        if (renderedGroups.has(order.group_id)) {
+            return '';
+        }
+        renderedGroups.add(order.group_id);
+        return renderOrderGroupCard(state.orders.filter(o => o.group_id === order.group_id));
+    }).join('');
+}
+
+function renderOrderCard(order) {
+    return `
         <div class="card">
             <div class="card-header">
                 <div class="card-title">${order.symbol}</div>
@@ -350,15 +512,31 @@ function renderOrders() {
                     <span class="info-value">${getOrderTypeText(order.type)}</span>
                 </div>
                 <div class="info-row">
-                    <span class="info-label">目標價格</span>
-                    <span class="info-value">${order.target_price}</span>
+                    <span class="info-label">數量</span>
+                    <span class="info-value">${getOrderAmountText(order)}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">${isTrailingOrder(order.type) ? '追蹤幅度' : '目標價格'}</span>
+                    <span class="info-value">${isTrailingOrder(order.type) ? `${order.target_price}%` : order.target_price}</span>
+                </div>
+                ${order.watermark_price ? `
+                <div class="info-row">
+                    <span class="info-label">${order.type === 'trailing_stop' ? '最高價' : '最低價'}</span>
+                    <span class="info-value">${order.watermark_price}</span>
                 </div>
+                ` : ''}
                 ${order.current_price ? `
                 <div class="info-row">
                     <span class="info-label">當前價格</span>
                     <span class="info-value">${order.current_price}</span>
                 </div>
                 ` : ''}
+                ${order.last_error ? `
+                <div class="info-row">
+                    <span class="info-label">執行錯誤 (${order.attempts} 次)</span>
+                    <span class="info-value">${order.last_error}</span>
+                </div>
+                ` : ''}
                 <div class="info-row">
                     <span class="info-label">建立時間</span>
                     <span class="info-value">${formatDate(order.created_at)}</span>
@@ -369,8 +547,54 @@ function renderOrders() {
                 <button class="btn btn-danger" onclick="cancelOrder(${order.id})">取消</button>
             </div>
             ` : ''}
+            ${order.status === 'failed' ? `
+            <div class="card-actions">
+                <button class="btn btn-primary" onclick="retryOrder(${order.id})">重新啟用</button>
+                <button class="btn btn-danger" onclick="deleteOrder(${order.id})">刪除</button>
+            </div>
+            ` : ''}
         </div>
-    `).join('');
+    `;
+}
+
+function renderOrderGroupCard(legs) {
+    const groupId = legs[0].group_id;
+    const isOpen = legs.some(leg => ['active', 'pending', 'pending_tx'].includes(leg.status));
+    const executedLeg = legs.find(leg => leg.status === 'executed' && leg.group_role === 'exit');
+    const groupStatus = isOpen ? 'active' : executedLeg ? 'executed' : 'cancelled';
+    const sortedLegs = [...legs].sort((a, b) => a.id - b.id);
+
+    return `
+        <div class="card">
+            <div class="card-header">
+                <div class="card-title">${legs[0].symbol} 括號單 #${groupId}</div>
+                <span class="badge ${groupStatus}">${getStatusText(groupStatus)}</span>
+            </div>
+            <div class="card-body">
+                ${sortedLegs.map(leg => `
+                <div class="info-row">
+                    <span class="info-label">${getOrderTypeText(leg.type)}${leg.group_role === 'entry' ? ' (進場)' : ''}</span>
+                    <span class="info-value">${leg.target_price} · ${getStatusText(leg.status)}</span>
+                </div>
+                `).join('')}
+                ${sortedLegs[0].current_price ? `
+                <div class="info-row">
+                    <span class="info-label">當前價格</span>
+                    <span class="info-value">${sortedLegs[0].current_price}</span>
+                </div>
+                ` : ''}
+                <div class="info-row">
+                    <span class="info-label">建立時間</span>
+                    <span class="info-value">${formatDate(sortedLegs[0].created_at)}</span>
+                </div>
+            </div>
+            ${isOpen ? `
+            <div class="card-actions">
+                <button class="btn btn-danger" onclick="cancelOrderGroup(${groupId})">取消整組</button>
+            </div>
+            ` : ''}
+        </div>
+    `;
 }
 
 // 載入提醒列表
@@ -411,6 +635,8 @@ function renderAlerts() {
             } else {
                 targetValueDisplay = `$${formatNumber(alert.target_price)}`;
             }
+        } else if (isChangeCondition(alert.condition)) {
+            targetValueDisplay = `${alert.target_price}% ${alert.window_minutes ? `(${alert.window_minutes} 分鐘內)` : '(自建立起)'}`;
         } else {
             targetValueDisplay = `$${alert.target_price.toFixed(8)}`;
         }
@@ -431,7 +657,7 @@ function renderAlerts() {
                     <span class="info-value">${getConditionText(alert.condition)}</span>
                 </div>
                 <div class="info-row">
-                    <span class="info-label">目標${isMarketCap ? '市值' : '價格'}</span>
+                    <span class="info-label">目標${isMarketCap ? '市值' : isChangeCondition(alert.condition) ? '漲跌幅' : '價格'}</span>
                     <span class="info-value">${targetValueDisplay}</span>
                 </div>
                 <div class="info-row">
@@ -532,6 +758,14 @@ function openAddOrderModal() {
     document.getElementById('addOrderModal').classList.add('active');
 }
 
+function openAddBracketModal() {
+    if (state.tokens.length === 0) {
+        showNotification('請先添加代幣', 'error');
+        return;
+    }
+    document.getElementById('addBracketModal').classList.add('active');
+}
+
 function openAddAlertModal() {
     if (state.tokens.length === 0) {
         showNotification('請先添加代幣', 'error');
@@ -547,6 +781,7 @@ function closeModal(modalId) {
 // 更新下拉選單
 function updateTokenSelects() {
     const orderSelect = document.getElementById('orderTokenSelect');
+    const bracketSelect = document.getElementById('bracketTokenSelect');
     const alertSelect = document.getElementById('alertTokenSelect');
 
     const options = state.tokens.map(token =>
@@ -554,10 +789,48 @@ function updateTokenSelects() {
     ).join('');
 
     orderSelect.innerHTML = '<option value="">請選擇代幣</option>' + options;
+    bracketSelect.innerHTML = '<option value="">請選擇代幣</option>' + options;
     alertSelect.innerHTML = '<option value="">請選擇代幣</option>' + options;
 }
 
 // 刪除操作
+// 蜜罐 / 稅率檢測僅支援 EVM 鏈
+function isSafetyCheckSupported(chain) {
+    return ['bsc', 'base'].includes(chain);
+}
+
+function formatTax(tax) {
+    return tax === null || tax === undefined ? '-' : `${Number(tax).toFixed(2)}%`;
+}
+
+async function checkTokenSafety(id) {
+    try {
+        const response = await fetch(`${API_BASE}/tokens/${id}/safety-check`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({}),
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            showNotification(`檢測失敗: ${result.error}`, 'error');
+            return;
+        }
+
+        loadTokens();
+
+        const { verdict, buyTax, sellTax } = result.data;
+        const taxText = `買入稅 ${formatTax(buyTax)}，賣出稅 ${formatTax(sellTax)}`;
+        if (!verdict.allowed) {
+            showNotification(`⚠️ 未通過: ${verdict.reason}`, 'error');
+        } else {
+            showNotification(`${verdict.reason ? `檢測未完成: ${verdict.reason}\n` : '✅ 檢測通過\n'}${taxText}`, 'success');
+        }
+    } catch (error) {
+        showNotification('檢測失敗', 'error');
+    }
+}
+
 async function deleteToken(id) {
     if (!confirm('確定要刪除此代幣嗎？')) return;
 
@@ -580,6 +853,40 @@ async function cancelOrder(id) {
     }
 }
 
+async function deleteOrder(id) {
+    if (!confirm('確定要刪除此訂單嗎？')) return;
+
+    try {
+        await fetch(`${API_BASE}/orders/${id}`, { method: 'DELETE' });
+        loadOrders();
+        showNotification('訂單已刪除', 'success');
+    } catch (error) {
+        showNotification('刪除失敗', 'error');
+    }
+}
+
+async function retryOrder(id) {
+    try {
+        await fetch(`${API_BASE}/orders/${id}/retry`, { method: 'PATCH' });
+        loadOrders();
+        showNotification('訂單已重新啟用', 'success');
+    } catch (error) {
+        showNotification('重新啟用失敗', 'error');
+    }
+}
+
+async function cancelOrderGroup(groupId) {
+    if (!confirm('確定要取消整組括號單嗎？')) return;
+
+    try {
+        await fetch(`${API_BASE}/orders/groups/${groupId}/cancel`, { method: 'PATCH' });
+        loadOrders();
+        showNotification('括號單已取消', 'success');
+    } catch (error) {
+        showNotification('取消失敗', 'error');
+    }
+}
+
 async function cancelAlert(id) {
     try {
         await fetch(`${API_BASE}/alerts/${id}/cancel`, { method: 'PATCH' });
@@ -637,10 +944,39 @@ function getOrderTypeText(type) {
         'limit_sell': '限價賣出',
         'stop_loss': '止損',
         'take_profit': '止盈',
+        'trailing_stop': '追蹤止損',
+        'trailing_buy': '追蹤買入',
     };
     return types[type] || type;
 }
 
+function isBuyOrder(type) {
+    return type === 'limit_buy' || type === 'trailing_buy';
+}
+
+function getOrderAmountText(order) {
+    if (!order.amount) {
+        return isBuyOrder(order.type) ? '預設金額' : '全部持倉';
+    }
+    if (order.amount_type === 'percent') {
+        return `持倉 ${order.amount}%`;
+    }
+    return order.amount_type === 'token' ? `${order.amount} 枚代幣` : `${order.amount} ${getNativeSymbol(order.chain)}`;
+}
+
+function getNativeSymbol(chain) {
+    const symbols = {
+        'bsc': 'BNB',
+        'base': 'ETH',
+        'solana': 'SOL',
+    };
+    return symbols[chain] || '';
+}
+
+function isTrailingOrder(type) {
+    return type === 'trailing_stop' || type === 'trailing_buy';
+}
+
 function getConditionText(condition) {
     const conditions = {
         'above': '價格高於',
@@ -651,12 +987,19 @@ function getConditionText(condition) {
     return conditions[condition] || condition;
 }
 
+function isChangeCondition(condition) {
+    return condition === 'change_up' || condition === 'change_down';
+}
+
 function getStatusText(status) {
     const statuses = {
         'active': '活躍',
         'executed': '已執行',
         'cancelled': '已取消',
         'triggered': '已觸發',
+        'pending': '等待進場',
+        'failed': '失敗',
+        'pending_tx': '交易確認中',
     };
     return statuses[status] || status;
 }
@@ -671,9 +1014,11 @@ function startAutoRefresh() {
     setInterval(async () => {
         await loadStatus();
 
-        // 如果在訂單或提醒頁面，自動刷新
+        // 如果在代幣、訂單或提醒頁面，自動刷新
         const activeTab = document.querySelector('.tab-btn.active').dataset.tab;
-        if (activeTab === 'orders') {
+        if (activeTab === 'tokens') {
+            await loadTokens();
+        } else if (activeTab === 'orders') {
             await loadOrders();
         } else if (activeTab === 'alerts') {
             await loadAlerts();
@@ -694,7 +1039,10 @@ async function onAlertTypeChange(type) {
     const unitSelect = document.getElementById('unitSelect');
     const targetInput = document.getElementById('targetPriceInput');
 
-    if (type === 'marketcap') {
+    if (isChangeCondition(document.getElementById('alertConditionSelect').value)) {
+        targetLabel.textContent = '目標漲跌幅 (%):';
+        unitSelect.style.display = 'none';
+    } else if (type === 'marketcap') {
         targetLabel.textContent = '目標市值:';
         unitSelect.style.display = 'block';
         targetInput.placeholder = '輸入數字，選擇 K 或 M';
@@ -711,6 +1059,110 @@ async function onAlertTypeChange(type) {
     }
 }
 
+// 處理訂單類型改變（追蹤單以百分比設定）
+function onOrderTypeChange(type) {
+    document.getElementById('orderTargetLabel').textContent =
+        isTrailingOrder(type) ? (type === 'trailing_stop' ? '回落幅度 (%):' : '反彈幅度 (%):') : '目標價格:';
+
+    // 買入以原生幣計價，賣出可選代幣數量或持倉百分比
+    const isBuy = isBuyOrder(type);
+    document.getElementById('orderAmountTypeSelect').innerHTML = isBuy
+        ? '<option value="native">原生幣</option>'
+        : '<option value="percent">持倉 %</option><option value="token">代幣數量</option>';
+    document.getElementById('orderAmountHelp').textContent = isBuy
+        ? '買入花費的 BNB/ETH/SOL 數量，留空使用預設金額'
+        : '賣出持倉百分比或代幣數量，留空賣出全部持倉';
+}
+
+// 向所有交易場所報價，顯示最佳報價（賣出需以代幣數量報價）
+async function loadOrderQuote() {
+    const form = document.getElementById('addOrderForm');
+    const container = document.getElementById('orderQuote');
+    const tokenId = parseInt(form.token_id.value);
+    const side = isBuyOrder(form.type.value) ? 'buy' : 'sell';
+    const amount = parseFloat(form.amount.value);
+
+    if (!tokenId || !(amount > 0)) {
+        showNotification('請先選擇代幣並輸入交易數量', 'error');
+        return;
+    }
+
+    if (side === 'sell' && form.amount_type.value !== 'token') {
+        showNotification('賣出報價請以代幣數量輸入', 'error');
+        return;
+    }
+
+    container.innerHTML = '<div class="loading">報價中...</div>';
+
+    try {
+        const response = await fetch(`${API_BASE}/quote`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token_id: tokenId, side, amount }),
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            container.innerHTML = '';
+            showNotification('報價失敗: ' + result.error, 'error');
+            return;
+        }
+
+        renderOrderQuote(result.data);
+    } catch (error) {
+        container.innerHTML = '';
+        showNotification('報價失敗: ' + error.message, 'error');
+    }
+}
+
+function renderOrderQuote(data) {
+    const container = document.getElementById('orderQuote');
+
+    if (!data.best) {
+        container.innerHTML = `<div class="empty-state">沒有可用的報價（${data.failed.map(item => item.name).join('、')} 皆失敗）</div>`;
+        return;
+    }
+
+    const formatImpact = (impact) => impact === null || impact === undefined ? '-' : `${impact.toFixed(2)}%`;
+
+    container.innerHTML = data.quotes.map((quote, i) => `
+        <div class="info-row ${i === 0 ? 'best' : ''}">
+            <span class="info-label">${i === 0 ? '⭐ ' : ''}${quote.name} · ${quote.description}</span>
+            <span class="info-value">
+                ${formatPaperAmount(quote.amount_out)} ${data.output_symbol}
+                (衝擊 ${formatImpact(quote.price_impact)}${i === 0 ? '' : `, ${quote.diff_from_best.toFixed(2)}%`})
+            </span>
+        </div>
+    `).join('') + data.failed.map(item => `
+        <div class="info-row">
+            <span class="info-label">${item.name}</span>
+            <span class="info-value">無報價</span>
+        </div>
+    `).join('');
+}
+
+// 處理提醒條件改變（價格 / 漲跌幅）
+function onAlertConditionChange(condition) {
+    const isChange = isChangeCondition(condition);
+    const targetInput = document.getElementById('targetPriceInput');
+
+    document.getElementById('alertWindowGroup').style.display = isChange ? 'block' : 'none';
+
+    if (isChange) {
+        // 漲跌幅提醒只支援價格類型
+        document.getElementById('alertTypeSelect').value = 'price';
+        document.getElementById('unitSelect').style.display = 'none';
+        document.getElementById('targetLabel').textContent = '目標漲跌幅 (%):';
+        targetInput.step = '0.01';
+        targetInput.placeholder = '例如 30 表示 30%';
+        targetInput.value = '';
+    } else {
+        document.getElementById('alertWindowInput').value = '';
+        targetInput.step = '0.000000001';
+        onAlertTypeChange(document.getElementById('alertTypeSelect').value);
+    }
+}
+
 // 處理代幣選擇改變
 async function onAlertTokenChange(tokenId) {
     if (!tokenId) {
@@ -743,8 +1195,10 @@ async function onAlertTokenChange(tokenId) {
             currentDataText.innerHTML = `
                 💰 當前價格: <strong>${data.formattedPrice}</strong>
             `;
-            // 自動填入當前價格
-            targetInput.value = data.price.toFixed(8);
+            // 自動填入當前價格（漲跌幅提醒填的是百分比，不自動填入）
+            if (!isChangeCondition(document.getElementById('alertConditionSelect').value)) {
+                targetInput.value = data.price.toFixed(8);
+            }
         } else {
             // 顯示當前市值
             if (data.marketCap) {
@@ -1506,3 +1960,216 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 });
+
+// ==================== 代幣授權 ====================
+
+async function loadAllowances() {
+    const container = document.getElementById('allowanceList');
+    container.innerHTML = '<div class="empty-state">查詢中...</div>';
+
+    try {
+        const response = await fetch(`${API_BASE}/wallet/allowances`);
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        renderAllowances(result.data);
+    } catch (error) {
+        container.innerHTML = '<div class="empty-state">查詢失敗</div>';
+        showNotification('查詢授權失敗: ' + error.message, 'error');
+    }
+}
+
+function renderAllowances(allowances) {
+    const container = document.getElementById('allowanceList');
+
+    if (allowances.length === 0) {
+        container.innerHTML = '<div class="empty-state">沒有非零授權</div>';
+        return;
+    }
+
+    container.innerHTML = allowances.map(item => `
+        <div class="card">
+            <div class="card-header">
+                <div class="card-title">${item.symbol || shortenAddress(item.token_address)}</div>
+                <span class="badge ${item.chain}">${item.chain.toUpperCase()}</span>
+            </div>
+            <div class="card-body">
+                <div class="info-row">
+                    <span class="info-label">錢包</span>
+                    <span class="info-value">${item.wallet_id} (${shortenAddress(item.wallet_address)})</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">授權對象</span>
+                    <span class="info-value">${item.spender_name || shortenAddress(item.spender)}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">額度</span>
+                    <span class="info-value">${item.unlimited ? '無限' : formatNumber(Number(item.allowance))}</span>
+                </div>
+            </div>
+            <div class="card-actions">
+                <button class="btn btn-danger" onclick="revokeAllowance('${item.chain}', '${item.wallet_id}', '${item.token_address}', '${item.spender}', '${item.type}')">撤銷</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function revokeAllowance(chain, walletId, tokenAddress, spender, type) {
+    if (!confirm('確定要撤銷此授權嗎？將送出一筆鏈上交易')) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/wallet/allowances/revoke`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ chain, wallet_id: walletId, token_address: tokenAddress, spender, type })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        showNotification(`已撤銷授權: ${result.data.txHash}`, 'success');
+        loadAllowances();
+    } catch (error) {
+        showNotification('撤銷失敗: ' + error.message, 'error');
+    }
+}
+
+// ==================== 模擬交易 ====================
+
+async function loadPaperPortfolio() {
+    try {
+        const [portfolioRes, tradesRes] = await Promise.all([
+            fetch(`${API_BASE}/paper/portfolio`).then(res => res.json()),
+            fetch(`${API_BASE}/trades?source=paper&limit=50`).then(res => res.json()),
+        ]);
+
+        if (portfolioRes.success) {
+            document.getElementById('paperModeHint').style.display = portfolioRes.data.enabled ? 'none' : 'block';
+            renderPaperPortfolio(portfolioRes.data.chains);
+            renderPaperPnl(portfolioRes.data.pnl);
+        }
+        if (tradesRes.success) {
+            renderPaperTrades(tradesRes.data);
+        }
+    } catch (error) {
+        console.error('載入模擬投資組合失敗:', error);
+    }
+}
+
+function renderPaperPortfolio(chains) {
+    const container = document.getElementById('paperPortfolio');
+
+    container.innerHTML = chains.map(chain => `
+        <div class="card">
+            <div class="card-header">
+                <div class="card-title">${chain.native_symbol}</div>
+                <span class="badge ${chain.chain}">${chain.chain.toUpperCase()}</span>
+            </div>
+            <div class="card-body">
+                <div class="info-row">
+                    <span class="info-label">可用餘額</span>
+                    <span class="info-value">${Number(chain.native_balance).toFixed(6)} ${chain.native_symbol}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">初始資金</span>
+                    <span class="info-value">${chain.initial_balance} ${chain.native_symbol}</span>
+                </div>
+                ${chain.holdings.map(holding => `
+                <div class="info-row">
+                    <span class="info-label">${holding.symbol || shortenAddress(holding.token_address)}</span>
+                    <span class="info-value">${formatPaperAmount(holding.balance)}${holding.value_usd !== null ? ` ($${holding.value_usd.toFixed(2)})` : ''}</span>
+                </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderPaperPnl(pnlList) {
+    const container = document.getElementById('paperPnlList');
+
+    if (pnlList.length === 0) {
+        container.innerHTML = '<div class="empty-state">尚無模擬成交</div>';
+        return;
+    }
+
+    container.innerHTML = pnlList.map(pnl => `
+        <div class="card">
+            <div class="card-header">
+                <div class="card-title">${pnl.symbol || shortenAddress(pnl.token_address)}</div>
+                <span class="badge ${pnl.chain}">${pnl.chain.toUpperCase()}</span>
+            </div>
+            <div class="card-body">
+                <div class="info-row">
+                    <span class="info-label">已實現損益</span>
+                    <span class="info-value" style="color: ${pnl.realized_pnl >= 0 ? '#10b981' : '#ef4444'}">${pnl.realized_pnl.toFixed(6)}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">投入 / 收回</span>
+                    <span class="info-value">${pnl.total_cost.toFixed(6)} / ${pnl.total_proceeds.toFixed(6)}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">未平倉數量 (成本)</span>
+                    <span class="info-value">${formatPaperAmount(pnl.open_amount)} (${pnl.open_cost.toFixed(6)})</span>
+                </div>
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderPaperTrades(trades) {
+    const container = document.getElementById('paperTradesList');
+
+    if (trades.length === 0) {
+        container.innerHTML = '<div class="empty-state">尚無模擬成交</div>';
+        return;
+    }
+
+    container.innerHTML = trades.map(trade => `
+        <div class="card">
+            <div class="card-header">
+                <div class="card-title">${trade.side === 'buy' ? '🟢 買入' : '🔴 賣出'} ${trade.symbol || shortenAddress(trade.token_address)}</div>
+                <span class="badge ${trade.chain}">${trade.chain.toUpperCase()}</span>
+            </div>
+            <div class="card-body">
+                <div class="info-row">
+                    <span class="info-label">支出 → 獲得</span>
+                    <span class="info-value">${formatPaperAmount(trade.amount_in)} → ${formatPaperAmount(trade.amount_out)}</span>
+                </div>
+                ${trade.route ? `
+                <div class="info-row">
+                    <span class="info-label">路由</span>
+                    <span class="info-value">${trade.route}</span>
+                </div>
+                ` : ''}
+                ${trade.price_usd ? `
+                <div class="info-row">
+                    <span class="info-label">觸發價格</span>
+                    <span class="info-value">$${trade.price_usd}</span>
+                </div>
+                ` : ''}
+                <div class="info-row">
+                    <span class="info-label">時間</span>
+                    <span class="info-value">${formatDate(trade.executed_at)}</span>
+                </div>
+            </div>
+        </div>
+    `).join('');
+}
+
+// 小於 1 的數量（原生幣金額）保留有效位數，避免顯示成 0.00
+function formatPaperAmount(num) {
+    if (num === null || num === undefined) return '-';
+    return num < 1 ? Number(num).toPrecision(4) : formatNumber(num);
+}
+
+async function resetPaperAccount() {
+    if (!confirm('確定要重置模擬帳戶嗎？所有模擬成交紀錄將被刪除')) return;
+
+    try {
+        await fetch(`${API_BASE}/paper/reset`, { method: 'POST' });
+        loadPaperPortfolio();
+        showNotification('模擬帳戶已重置', 'success');
+    } catch (error) {
+        showNotification('重置失敗', 'error');
+    }
+}
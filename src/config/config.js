@@ -1,15 +1,42 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * 組出鏈的 RPC 節點清單：<CHAIN>_RPC_URL 為主節點，<CHAIN>_RPC_URLS（逗號分隔）為備援節點
+ * @param {string} primary - 主節點
+ * @param {string} extra - 備援節點（逗號分隔）
+ * @returns {Array<string>}
+ */
+function rpcUrls(primary, extra = '') {
+  const urls = [primary, ...extra.split(',')].map((url) => url.trim()).filter(Boolean);
+  return [...new Set(urls)];
+}
+
+const rpc = {
+  bsc: process.env.BSC_RPC_URL || 'https://bsc-dataseed1.binance.org',
+  solana: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+  base: process.env.BASE_RPC_URL || 'https://mainnet.base.org',
+};
+
 export default {
   server: {
     port: process.env.PORT || 3000,
   },
 
-  rpc: {
-    bsc: process.env.BSC_RPC_URL || 'https://bsc-dataseed1.binance.org',
-    solana: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
-    base: process.env.BASE_RPC_URL || 'https://mainnet.base.org',
+  // 各鏈主節點（所有服務透過 rpcPool 共用 provider，依節點健康狀態自動切換）
+  rpc,
+
+  // RPC 節點池
+  rpcPool: {
+    urls: {
+      bsc: rpcUrls(rpc.bsc, process.env.BSC_RPC_URLS),
+      solana: rpcUrls(rpc.solana, process.env.SOLANA_RPC_URLS),
+      base: rpcUrls(rpc.base, process.env.BASE_RPC_URLS),
+    },
+    // 單次請求逾時（毫秒），逾時視為節點失敗並改用下一個節點
+    timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS) || 10000,
+    // 節點失敗後暫停優先使用的時間（毫秒），連續失敗時加倍（最多 16 倍）
+    cooldownMs: parseInt(process.env.RPC_COOLDOWN_MS) || 30000,
   },
 
   telegram: {
@@ -34,8 +61,141 @@ export default {
     path: process.env.DB_PATH || './data/trading.db',
   },
 
+  // 加密錢包 keystore（伺服器與 gmgn-trader 共用）
+  keystore: {
+    // 未設定時為專案根目錄的 data/keystore.json
+    path: process.env.KEYSTORE_PATH || null,
+    // 非互動式環境（如 pm2 / docker）解鎖用；未設定時啟動時在終端機提示輸入
+    passphrase: process.env.KEYSTORE_PASSPHRASE || null,
+    // 未建立 keystore 時是否允許讀取 .env 明文私鑰（相容舊設定，預設關閉）
+    allowEnvKeys: process.env.KEYSTORE_ALLOW_ENV_KEYS === 'true',
+  },
+
+  // 代幣預設價格輪詢間隔（毫秒），代幣可用 tokens.poll_interval（秒）個別覆寫
   priceUpdateInterval: parseInt(process.env.PRICE_UPDATE_INTERVAL) || 30000,
 
+  // 價格快取：API、排程器與提醒共用，同一代幣在有效期內不重複查詢鏈上價格
+  priceCache: {
+    ttlMs: parseInt(process.env.PRICE_CACHE_TTL_MS ?? '10000'),
+  },
+
+  // 價格排程器：各鏈獨立的工作佇列（同時查詢數量 / 兩次查詢開始的最小間隔）
+  priceScheduler: {
+    // 檢查到期代幣的頻率（毫秒）
+    tickMs: parseInt(process.env.PRICE_SCHEDULER_TICK_MS) || 5000,
+    // 超過輪詢間隔的倍數仍未成功更新時，價格視為過期
+    staleMultiplier: parseFloat(process.env.PRICE_STALE_MULTIPLIER || '3'),
+    chains: {
+      bsc: {
+        concurrency: parseInt(process.env.BSC_PRICE_CONCURRENCY) || 3,
+        minIntervalMs: parseInt(process.env.BSC_PRICE_MIN_INTERVAL_MS ?? '200'),
+        // 一次查詢合併的代幣數（Multicall 批次讀取）
+        batchSize: parseInt(process.env.BSC_PRICE_BATCH_SIZE) || 50,
+      },
+      solana: {
+        concurrency: parseInt(process.env.SOLANA_PRICE_CONCURRENCY) || 2,
+        minIntervalMs: parseInt(process.env.SOLANA_PRICE_MIN_INTERVAL_MS ?? '500'),
+      },
+      // 公共 Base RPC 限流較嚴格，預設一次只查一個代幣
+      base: {
+        concurrency: parseInt(process.env.BASE_PRICE_CONCURRENCY) || 1,
+        minIntervalMs: parseInt(process.env.BASE_PRICE_MIN_INTERVAL_MS ?? '2000'),
+        batchSize: parseInt(process.env.BASE_PRICE_BATCH_SIZE) || 50,
+      },
+    },
+  },
+
+  // 價格事件串流（可選）：訂閱 BSC / Base 池子的 Sync / Swap 事件即時更新價格，串流中斷時由價格排程器輪詢
+  priceStream: {
+    enabled: process.env.PRICE_STREAM_ENABLED === 'true',
+    // 有設定 WebSocket 節點時以 eth_subscribe 訂閱事件，否則以 eth_getLogs 輪詢
+    wsUrls: {
+      bsc: process.env.BSC_WS_URL || null,
+      base: process.env.BASE_WS_URL || null,
+    },
+    // eth_getLogs 輪詢間隔（毫秒）
+    pollIntervalMs: parseInt(process.env.PRICE_STREAM_POLL_MS) || 3000,
+    // WebSocket 心跳檢查間隔（毫秒），失敗時重新連線
+    heartbeatMs: parseInt(process.env.PRICE_STREAM_HEARTBEAT_MS) || 15000,
+    // 同一代幣兩次事件更新的最小間隔（毫秒），期間的事件只取最新一筆
+    minUpdateIntervalMs: parseInt(process.env.PRICE_STREAM_MIN_UPDATE_MS ?? '1000'),
+    // 重新同步訂閱清單（新增 / 刪除代幣、池子變更）的間隔（毫秒）
+    resyncMs: parseInt(process.env.PRICE_STREAM_RESYNC_MS) || 60000,
+  },
+
+  // Multicall3 批次讀取（BSC / Base 價格監控），節點不支援時自動改用個別 eth_call
+  multicall: {
+    enabled: process.env.MULTICALL_ENABLED !== 'false',
+    address: process.env.MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11',
+    // 單次 aggregate3 呼叫的最大 call 數
+    batchSize: parseInt(process.env.MULTICALL_BATCH_SIZE) || 200,
+  },
+
+  // 訂單執行重試策略（訂單可個別覆寫 max_attempts / retry_backoff_seconds / slippage_step）
+  orderRetry: {
+    maxAttempts: parseInt(process.env.ORDER_MAX_ATTEMPTS) || 3,
+    // 退避時間（秒），第 n 次失敗後等待 backoffSeconds * 2^(n-1)
+    backoffSeconds: parseInt(process.env.ORDER_RETRY_BACKOFF_SECONDS) || 60,
+    // 每次重試增加的滑點（%）
+    slippageStep: parseFloat(process.env.ORDER_SLIPPAGE_STEP || '1'),
+    // 滑點上限（%）
+    maxSlippage: parseFloat(process.env.ORDER_MAX_SLIPPAGE || '15'),
+  },
+
+  // 模擬交易（PAPER_TRADE_ENABLED=true 時啟用）各鏈初始原生幣資金
+  paperTrading: {
+    initialBalances: {
+      bsc: parseFloat(process.env.PAPER_BSC_BALANCE || '1'),
+      base: parseFloat(process.env.PAPER_BASE_BALANCE || '1'),
+      solana: parseFloat(process.env.PAPER_SOLANA_BALANCE || '10'),
+    },
+  },
+
+  // 交易前蜜罐 / 稅率檢測（BSC、Base 買入前以 eth_call 模擬買入再賣出）
+  honeypotCheck: {
+    enabled: process.env.HONEYPOT_CHECK_ENABLED !== 'false',
+    // 模擬稅率超過上限（%）時拒絕買入
+    maxBuyTax: parseFloat(process.env.HONEYPOT_MAX_BUY_TAX || '10'),
+    maxSellTax: parseFloat(process.env.HONEYPOT_MAX_SELL_TAX || '10'),
+  },
+
+  // Solana 交易送出設定（priority fee / compute budget / 確認輪詢）
+  solanaTx: {
+    // 'dynamic': 依 getRecentPrioritizationFees 取近期費用的百分位數；'static': 固定使用 computeUnitPrice
+    priorityFeeMode: process.env.SOLANA_PRIORITY_FEE_MODE || 'dynamic',
+    // compute unit 價格（micro-lamports），dynamic 模式查無近期費用時也使用此值
+    computeUnitPrice: parseInt(process.env.SOLANA_COMPUTE_UNIT_PRICE) || 100000,
+    priorityFeePercentile: parseInt(process.env.SOLANA_PRIORITY_FEE_PERCENTILE) || 75,
+    // dynamic 模式的 compute unit 價格上限（micro-lamports）
+    maxComputeUnitPrice: parseInt(process.env.SOLANA_MAX_COMPUTE_UNIT_PRICE) || 2000000,
+    // compute unit 上限（Raydium 直接交易使用；Jupiter 交易由 Jupiter 模擬決定）
+    computeUnitLimit: parseInt(process.env.SOLANA_COMPUTE_UNIT_LIMIT) || 300000,
+    // 確認前重送交易的間隔（毫秒），直到 blockhash 過期為止
+    resendIntervalMs: parseInt(process.env.SOLANA_RESEND_INTERVAL_MS) || 2000,
+  },
+
+  // EVM（BSC / Base）交易送出設定（gas 估算 / 手續費 / 卡單加速）
+  evmTx: {
+    // gasLimit = estimateGas × 倍數
+    gasLimitMultiplier: parseFloat(process.env.EVM_GAS_LIMIT_MULTIPLIER || '1.2'),
+    // 送出後超過此秒數未確認時自動提高手續費重送
+    confirmTimeoutSeconds: parseInt(process.env.EVM_CONFIRM_TIMEOUT_SECONDS) || 60,
+    // 自動加速次數上限（0 = 不自動加速）
+    maxSpeedUps: parseInt(process.env.EVM_MAX_SPEED_UPS ?? '2'),
+    // 每次加速提高的手續費（%），節點要求替換交易至少提高 10%
+    speedUpPercent: Math.max(parseInt(process.env.EVM_SPEED_UP_PERCENT) || 15, 10),
+    bsc: {
+      // 固定 gasPrice（gwei），未設定時使用節點建議值
+      gasPriceGwei: process.env.BSC_GAS_PRICE_GWEI ? parseFloat(process.env.BSC_GAS_PRICE_GWEI) : null,
+    },
+    base: {
+      eip1559: true,
+      maxPriorityFeeGwei: parseFloat(process.env.BASE_PRIORITY_FEE_GWEI || '0.001'),
+      // maxFeePerGas = baseFee × 倍數 + priority fee
+      baseFeeMultiplier: parseInt(process.env.BASE_BASE_FEE_MULTIPLIER) || 2,
+    },
+  },
+
   // GMGN 監控設定
   gmgn: {
     // 是否啟用推特 SUB 監控 (監控 cz_binance / heyibinance 的推特)
@@ -49,6 +209,12 @@ export default {
       routerV2: '0x10ED43C718714eb63d5aA57B78B54704E256024E',
       // PancakeSwap V2 Factory
       factoryV2: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73',
+      // PancakeSwap V3 SwapRouter / QuoterV2 / Factory
+      routerV3: '0x1b81D678ffb9C0263b24A97847620C99d213eB14',
+      quoterV3: '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997',
+      factoryV3: '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865',
+      // PancakeSwap V3 手續費等級 (0.01%, 0.05%, 0.25%, 1%)
+      v3Fees: [100, 500, 2500, 10000],
       // WBNB
       wbnb: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
       // USDT (BSC)
@@ -70,6 +236,17 @@ export default {
       weth: '0x4200000000000000000000000000000000000006',
       // USDC on Base
       usdc: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+      // Uniswap V4 Universal Router / V4Quoter / Permit2（V4 池子交易用）
+      universalRouter: '0x6fF5693b99212Da76ad316178A184AB56D299b43',
+      v4Quoter: '0x0d5e0F971ED27FBfF6c2837bf31316121532048D',
+      permit2: '0x000000000022D473030F116dDEE9F6B43aC78BA3',
+      // Uniswap V3 SwapRouter02
+      swapRouter02: '0x2626664c2603336E57B271c5C0b26F421741e481',
+      // Uniswap V2 Router02 on Base（V2 池子、轉帳稅代幣交易與蜜罐 / 稅率檢測用）
+      routerV2: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24',
+      // Aerodrome Router / PoolFactory（volatile / stable 池子）
+      aerodromeRouter: '0xcF77a3Ba9A5CA399B7c97c74d54e5b1Beb874E43',
+      aerodromeFactory: '0x420DD381b31aEf6683db6B902084cB0FFECe40Da',
       // 向後兼容：保留 V3 地址（如有需要）
       quoterV2: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a', // Uniswap V3 Quoter V2
       factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD', // Uniswap V3 Factory
@@ -33,6 +33,16 @@ function initDatabase() {
       pool_protocol TEXT,
       pool_version TEXT,
       pool_pair_token TEXT,
+      buy_tax REAL,
+      sell_tax REAL,
+      is_honeypot INTEGER DEFAULT 0,
+      safety_note TEXT,
+      safety_checked_at DATETIME,
+      fee_on_transfer INTEGER,
+      poll_interval INTEGER,
+      last_checked_at DATETIME,
+      price_updated_at DATETIME,
+      last_check_error TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       UNIQUE(chain, address)
     )
@@ -49,10 +59,124 @@ function initDatabase() {
       status TEXT DEFAULT 'active',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       executed_at DATETIME,
+      watermark_price REAL,
+      group_id INTEGER,
+      group_role TEXT,
+      amount REAL,
+      amount_type TEXT,
+      max_attempts INTEGER,
+      retry_backoff_seconds INTEGER,
+      slippage_step REAL,
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      next_retry_at DATETIME,
+      wallet_id TEXT,
+      pending_tx TEXT,
+      cancelled_by_group INTEGER DEFAULT 0,
       FOREIGN KEY (token_id) REFERENCES tokens(id)
     )
   `);
 
+  // 建立訂單群組表（OCO 括號單）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS order_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (token_id) REFERENCES tokens(id)
+    )
+  `);
+
+  // 成交紀錄表（伺服器掛單與馬丁策略共用）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER,
+      token_id INTEGER,
+      chain TEXT NOT NULL,
+      token_address TEXT NOT NULL,
+      symbol TEXT,
+      side TEXT NOT NULL,
+      amount_in REAL,
+      amount_out REAL,
+      price_usd REAL,
+      tx_hash TEXT,
+      gas_used TEXT,
+      gas_cost REAL,
+      block_number INTEGER,
+      source TEXT DEFAULT 'order',
+      route TEXT,
+      executed_at DATETIME,
+      incomplete INTEGER DEFAULT 0
+    )
+  `);
+
+  // 模擬交易帳戶餘額表（asset 為 'native' 或代幣地址）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS paper_balances (
+      chain TEXT NOT NULL,
+      asset TEXT NOT NULL,
+      balance REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (chain, asset)
+    )
+  `);
+
+  // 風控限制表（每條鏈一列，NULL 表示不限制）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS risk_limits (
+      chain TEXT PRIMARY KEY,
+      max_daily_spend REAL,
+      max_token_exposure REAL,
+      max_chain_exposure REAL,
+      max_open_positions INTEGER,
+      max_daily_loss REAL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // 風控拒絕紀錄表
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS risk_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chain TEXT NOT NULL,
+      token_address TEXT,
+      amount REAL,
+      rule TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      source TEXT,
+      created_at DATETIME
+    )
+  `);
+
+  // 風控狀態表（全域暫停交易開關等）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS risk_state (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // 代幣授權 / 撤銷交易紀錄表
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS approvals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chain TEXT NOT NULL,
+      wallet_address TEXT NOT NULL,
+      token_address TEXT NOT NULL,
+      spender TEXT NOT NULL,
+      type TEXT DEFAULT 'erc20',
+      action TEXT NOT NULL,
+      amount TEXT,
+      tx_hash TEXT,
+      gas_used TEXT,
+      gas_cost REAL,
+      block_number INTEGER,
+      created_at DATETIME
+    )
+  `);
+
   // 價格提醒表
   db.exec(`
     CREATE TABLE IF NOT EXISTS alerts (
@@ -63,6 +187,7 @@ function initDatabase() {
       status TEXT DEFAULT 'active',
       alert_type TEXT DEFAULT 'price',
       unit TEXT DEFAULT '',
+      window_minutes INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       triggered_at DATETIME,
       FOREIGN KEY (token_id) REFERENCES tokens(id)
@@ -113,9 +238,60 @@ function initDatabase() {
     }
   }
 
+  // 為已有資料庫的 orders 新增追蹤單水位、群組、交易數量、重試、交易錢包與待確認交易欄位（若不存在）
+  const orderColumns = [
+    { name: 'watermark_price', type: 'REAL' },
+    { name: 'group_id', type: 'INTEGER' },
+    { name: 'group_role', type: 'TEXT' },
+    { name: 'amount', type: 'REAL' },
+    { name: 'amount_type', type: 'TEXT' },
+    { name: 'max_attempts', type: 'INTEGER' },
+    { name: 'retry_backoff_seconds', type: 'INTEGER' },
+    { name: 'slippage_step', type: 'REAL' },
+    { name: 'attempts', type: 'INTEGER DEFAULT 0' },
+    { name: 'last_error', type: 'TEXT' },
+    { name: 'next_retry_at', type: 'DATETIME' },
+    { name: 'pending_tx', type: 'TEXT' },
+    { name: 'cancelled_by_group', type: 'INTEGER DEFAULT 0' },
+    { name: 'wallet_id', type: 'TEXT' },
+  ];
+  for (const col of orderColumns) {
+    try {
+      db.exec(`ALTER TABLE orders ADD COLUMN ${col.name} ${col.type}`);
+    } catch (e) {
+      // 欄位已存在，忽略
+    }
+  }
+
+  // 為已有資料庫的 tokens 新增蜜罐 / 稅率檢測與轉帳稅設定欄位（若不存在）
+  const tokenColumns = [
+    { name: 'buy_tax', type: 'REAL' },
+    { name: 'sell_tax', type: 'REAL' },
+    { name: 'is_honeypot', type: 'INTEGER DEFAULT 0' },
+    { name: 'safety_note', type: 'TEXT' },
+    { name: 'safety_checked_at', type: 'DATETIME' },
+    { name: 'fee_on_transfer', type: 'INTEGER' },
+  ];
+  for (const col of tokenColumns) {
+    try {
+      db.exec(`ALTER TABLE tokens ADD COLUMN ${col.name} ${col.type}`);
+    } catch (e) {
+      // 欄位已存在，忽略
+    }
+  }
+
+  // 為已有資料庫的 trades 新增成交路由欄位（若不存在）
+  try {
+    db.exec('ALTER TABLE trades ADD COLUMN route TEXT');
+  } catch (e) {
+    // 欄位已存在，忽略
+  }
+
   // 建立索引
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+    CREATE INDEX IF NOT EXISTS idx_orders_group ON orders(group_id);
+    CREATE INDEX IF NOT EXISTS idx_trades_token ON trades(chain, token_address, executed_at);
     CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status);
     CREATE INDEX IF NOT EXISTS idx_price_history_token ON price_history(token_id, timestamp);
     CREATE INDEX IF NOT EXISTS idx_wallet_balance_history ON wallet_balance_history(wallet_address, timestamp);
@@ -6,10 +6,11 @@ import logger from './utils/logger.js';
 import TelegramNotification from './services/notification/telegram.js';
 import OrderService from './services/orderService.js';
 import AlertService from './services/alertService.js';
-import BSCPriceMonitor from './services/priceMonitor/bsc.js';
-import SolanaPriceMonitor from './services/priceMonitor/solana.js';
-import BasePriceMonitor from './services/priceMonitor/base.js';
 import walletManager from './services/walletManager.js';
+import riskManager from './services/riskManager.js';
+import priceScheduler from './services/priceScheduler.js';
+import priceStream from './services/priceStream.js';
+import priceService from './services/priceService.js';
 import db from './database/db.js';
 import * as gmgnMonitor from './services/gmgnMonitor.js';
 import { toTaiwanString } from './utils/timeHelper.js';
@@ -24,6 +25,11 @@ import priceRouter from './routes/price.js';
 import marketRouter from './routes/market.js';
 import gmgnRouter from './routes/gmgn.js';
 import walletRouter from './routes/wallet.js';
+import tradesRouter from './routes/trades.js';
+import paperRouter from './routes/paper.js';
+import riskRouter from './routes/risk.js';
+import quoteRouter from './routes/quote.js';
+import rpcRouter from './routes/rpc.js';
 
 const app = express();
 
@@ -36,11 +42,6 @@ app.use(express.static('public'));
 const telegram = new TelegramNotification();
 const orderService = new OrderService();
 const alertService = new AlertService();
-const monitors = {
-  bsc: new BSCPriceMonitor(),
-  solana: new SolanaPriceMonitor(),
-  base: new BasePriceMonitor(),
-};
 
 // 初始化服務
 async function initializeServices() {
@@ -71,6 +72,11 @@ app.use('/api/price', priceRouter);
 app.use('/api/market', marketRouter);
 app.use('/api/gmgn', gmgnRouter);
 app.use('/api/wallet', walletRouter);
+app.use('/api/trades', tradesRouter);
+app.use('/api/paper', paperRouter);
+app.use('/api/risk', riskRouter);
+app.use('/api/quote', quoteRouter);
+app.use('/api/rpc', rpcRouter);
 
 // 健康檢查
 app.get('/api/health', (req, res) => {
@@ -88,6 +94,12 @@ app.get('/api/status', (req, res) => {
       tokens: db.prepare('SELECT COUNT(*) as count FROM tokens').get().count,
       activeOrders: db.prepare("SELECT COUNT(*) as count FROM orders WHERE status = 'active'").get().count,
       activeAlerts: db.prepare("SELECT COUNT(*) as count FROM alerts WHERE status = 'active'").get().count,
+      tradeMode: orderService.paperTradeEnabled ? 'paper' : orderService.autoTradeEnabled ? 'live' : 'notify',
+      tradingHalted: riskManager.isHalted(),
+      staleTokens: db.prepare('SELECT * FROM tokens').all().filter((token) => priceScheduler.isStale(token)).length,
+      priceScheduler: priceScheduler.getStatus(),
+      priceStream: priceStream.getStatus(),
+      priceCache: priceService.getStats(),
       uptime: process.uptime(),
       timestamp: toTaiwanString(),
     };
@@ -121,136 +133,79 @@ app.post('/api/test-notification', async (req, res) => {
 });
 
 /**
- * 價格監控任務
+ * 查詢單一代幣價格，記錄價格歷史並檢查該代幣的掛單與提醒（由價格排程器呼叫）
+ * @param {Object} token - tokens 表資料
+ * @returns {Promise<Object|null>} tokenInfo，無法獲取價格時為 null
  */
-async function monitorPrices() {
-  try {
-    logger.info('執行價格監控任務...');
-
-    // 獲取所有需要監控的代幣
-    const tokens = db.prepare('SELECT * FROM tokens').all();
-
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i];
-
-      // 🔥 Base 鏈需要額外等待時間（避免 RPC 限制）
-      if (i > 0 && token.chain.toLowerCase() === 'base') {
-        logger.debug('Base 鏈查詢等待 10 秒...');
-        await new Promise(resolve => setTimeout(resolve, 10000));
-      }
-
-      try {
-        let tokenInfo = null;
-        const monitor = monitors[token.chain.toLowerCase()];
-
-        if (!monitor) {
-          logger.warn(`不支援的鏈: ${token.chain}`);
-          continue;
-        }
-
-        // 🔥 準備快取的池子資訊
-        const cachedPoolInfo = token.pool_address ? {
-          poolAddress: token.pool_address,
-          version: token.pool_version,
-          protocol: token.pool_protocol,
-          pairToken: token.pool_pair_token,
-        } : null;
-
-        // 獲取價格和市值信息
-        switch (token.chain.toLowerCase()) {
-          case 'bsc':
-            tokenInfo = await monitor.getTokenInfo(token.address, token.decimals);
-            break;
-          case 'solana':
-            // Solana 使用快取的池子資訊（如果有的話）
-            if (cachedPoolInfo && cachedPoolInfo.poolAddress) {
-              tokenInfo = await monitor.getTokenInfoWithCachedPool(token.address, cachedPoolInfo);
-            } else {
-              tokenInfo = await monitor.getTokenInfo(token.address);
-            }
-            break;
-          case 'base':
-            // Base 使用快取的池子資訊（如果有的話）
-            if (cachedPoolInfo && cachedPoolInfo.poolAddress) {
-              // 直接獲取價格，不需要重新查找池子
-              const priceInUSD = await monitor.getPriceWithCachedPool(token.address, token.decimals, cachedPoolInfo);
-
-              // 獲取市值信息
-              const tokenContract = new (await import('ethers')).ethers.Contract(
-                token.address,
-                ['function totalSupply() external view returns (uint256)'],
-                monitor.provider
-              );
-              const totalSupply = await tokenContract.totalSupply();
-              const totalSupplyFormatted = Number((await import('ethers')).ethers.formatUnits(totalSupply, token.decimals));
-              const marketCap = priceInUSD * totalSupplyFormatted;
-
-              let marketCapFormatted;
-              if (marketCap >= 1_000_000) {
-                marketCapFormatted = `$${(marketCap / 1_000_000).toFixed(2)}M`;
-              } else if (marketCap >= 1_000) {
-                marketCapFormatted = `$${(marketCap / 1_000).toFixed(2)}K`;
-              } else {
-                marketCapFormatted = `$${marketCap.toFixed(2)}`;
-              }
-
-              tokenInfo = { priceUSD: priceInUSD, marketCap, marketCapFormatted, totalSupply: totalSupplyFormatted };
-            } else if (token.pair_address) {
-              tokenInfo = await monitor.getTokenInfoWithPair(token.pair_address, token.address, token.decimals);
-            } else {
-              tokenInfo = await monitor.getTokenInfo(token.address, token.decimals);
-            }
-            break;
-        }
-
-        if (!tokenInfo || tokenInfo.priceUSD === null) {
-          continue;
-        }
-
-        // 記錄 USD 價格歷史
-        db.prepare(`
-          INSERT INTO price_history (token_id, price)
-          VALUES (?, ?)
-        `).run(token.id, tokenInfo.priceUSD);
-
-        // 檢查活躍訂單
-        const activeOrders = orderService.getActiveOrders().filter(
-          (order) => order.token_id === token.id
-        );
-
-        for (const order of activeOrders) {
-          orderService.updateOrderPrice(order.id, tokenInfo.priceUSD);
-          orderService.checkAndExecuteOrder(order.id, tokenInfo.priceUSD);
-        }
-
-        // 檢查活躍提醒
-        const activeAlerts = alertService.getActiveAlerts().filter(
-          (alert) => alert.token_id === token.id
-        );
-
-        for (const alert of activeAlerts) {
-          await alertService.checkAndTriggerAlert(alert.id, tokenInfo.priceUSD, {
-            chain: token.chain,
-            address: token.address,
-          });
-        }
-
-        logger.debug(
-          `${token.symbol} (${token.chain}): $${tokenInfo.priceUSD.toFixed(8)} | 市值: ${tokenInfo.marketCapFormatted}`
-        );
-      } catch (error) {
-        logger.error(`監控 ${token.symbol} 價格失敗:`, error.message);
-      }
+async function monitorToken(token) {
+  // 精度與交易對由價格服務從 tokens 表讀取，與其他查詢共用同一份快取
+  const { tokenInfo } = await priceService.getTokenInfo({ chain: token.chain, address: token.address });
+
+  await handlePriceUpdate(token, tokenInfo);
+  return tokenInfo;
+}
+
+/**
+ * 批次查詢同一條鏈的多個代幣價格（BSC / Base 經 Multicall 合併讀取，由價格排程器呼叫）
+ * @param {Array<Object>} tokens - tokens 表資料（同一條鏈）
+ * @returns {Promise<Array<Object>>} 與 tokens 對應的 [{ tokenInfo, error }]
+ */
+async function monitorTokenBatch(tokens) {
+  const results = await priceService.getTokenInfoBatch(tokens);
+
+  for (const [i, token] of tokens.entries()) {
+    if (!results[i].tokenInfo) {
+      continue;
     }
 
-    logger.info('價格監控任務完成');
-  } catch (error) {
-    logger.error('價格監控任務失敗:', error.message);
+    try {
+      await handlePriceUpdate(token, results[i].tokenInfo);
+    } catch (error) {
+      results[i] = { tokenInfo: null, error: error.message };
+    }
   }
+
+  return results;
 }
 
-// 設定定時任務（每分鐘執行一次）
-cron.schedule('*/1 * * * *', monitorPrices);
+/**
+ * 記錄價格歷史並檢查代幣的掛單與提醒
+ * @param {Object} token - tokens 表資料
+ * @param {Object} tokenInfo - { priceUSD, marketCapFormatted, ... }
+ */
+async function handlePriceUpdate(token, tokenInfo) {
+  // 記錄 USD 價格歷史
+  db.prepare(`
+    INSERT INTO price_history (token_id, price)
+    VALUES (?, ?)
+  `).run(token.id, tokenInfo.priceUSD);
+
+  // 檢查活躍訂單
+  const activeOrders = orderService.getActiveOrders().filter(
+    (order) => order.token_id === token.id
+  );
+
+  for (const order of activeOrders) {
+    orderService.updateOrderPrice(order.id, tokenInfo.priceUSD);
+    orderService.checkAndExecuteOrder(order.id, tokenInfo.priceUSD);
+  }
+
+  // 檢查活躍提醒
+  const activeAlerts = alertService.getActiveAlerts().filter(
+    (alert) => alert.token_id === token.id
+  );
+
+  for (const alert of activeAlerts) {
+    await alertService.checkAndTriggerAlert(alert.id, tokenInfo.priceUSD, {
+      chain: token.chain,
+      address: token.address,
+    });
+  }
+
+  logger.debug(
+    `${token.symbol} (${token.chain}): $${tokenInfo.priceUSD.toFixed(8)} | 市值: ${tokenInfo.marketCapFormatted || '-'}${tokenInfo.source === 'stream' ? ' (事件)' : ''}`
+  );
+}
 
 // 設定 GMGN 監控任務（每 1 秒執行一次）
 cron.schedule('*/1 * * * * *', async () => {
@@ -280,6 +235,24 @@ cron.schedule('0 0,12 * * *', async () => {
   }
 });
 
+// Telegram 暫停 / 恢復交易指令（/halt [cancel] [原因]、/resume）
+telegram.registerCommand('halt', (ctx, args) => {
+  const cancelOrders = args[0] === 'cancel';
+  const reason = (cancelOrders ? args.slice(1) : args).join(' ') || null;
+  const state = riskManager.halt({ reason, source: 'telegram', cancelOrders });
+
+  return `🛑 已暫停所有交易${cancelOrders ? `，已取消 ${state.cancelled_orders} 筆掛單` : ''}\n/resume 恢復交易`;
+});
+
+telegram.registerCommand('resume', () => {
+  if (!riskManager.isHalted()) {
+    return '交易未暫停';
+  }
+
+  riskManager.resume({ source: 'telegram' });
+  return '▶️ 已恢復交易';
+});
+
 // 啟動 Telegram Bot
 telegram.launch().catch((error) => {
   logger.error('啟動 Telegram Bot 失敗:', error.message);
@@ -293,11 +266,17 @@ app.listen(PORT, async () => {
   // 初始化服務
   await initializeServices();
 
-  logger.info('價格監控任務已啟動（每分鐘執行一次）');
-  logger.info('按 Ctrl+C 停止服務');
+  // 啟動價格排程器（各鏈獨立佇列，依代幣輪詢間隔查詢價格；BSC / Base 以 Multicall 批次查詢）
+  // 價格事件串流正在即時更新的代幣不再輪詢，串流中斷時恢復
+  priceScheduler.start(monitorToken, monitorTokenBatch, (token) => priceStream.isFresh(token));
 
-  // 立即執行一次價格監控
-  setTimeout(monitorPrices, 5000);
+  // 啟動價格事件串流（可選，BSC / Base 池子的 Sync / Swap 事件）
+  if (config.priceStream.enabled) {
+    priceStream.start(priceService.monitors, (token, tokenInfo) => handlePriceUpdate(token, priceService.record(token, tokenInfo))).catch((error) => {
+      logger.error('啟動價格事件串流失敗:', error.message);
+    });
+  }
+  logger.info('按 Ctrl+C 停止服務');
 });
 
 // 優雅關閉
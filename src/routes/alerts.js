@@ -30,7 +30,7 @@ router.get('/active', (req, res) => {
 // 建立新提醒
 router.post('/', (req, res) => {
   try {
-    const { token_id, condition, target_price, alert_type, unit } = req.body;
+    const { token_id, condition, target_price, alert_type, unit, window_minutes } = req.body;
 
     // 驗證必填欄位
     if (!token_id || !condition || !target_price) {
@@ -58,14 +58,40 @@ router.post('/', (req, res) => {
       });
     }
 
-    logger.info(`建立提醒: 類型=${alert_type || 'price'}, 單位=${unit || ''}, 目標=${target_price}`);
+    // 驗證漲跌幅提醒（target_price 為百分比）
+    const isChangeCondition = condition === 'change_up' || condition === 'change_down';
+    if (isChangeCondition) {
+      if (alert_type && alert_type !== 'price') {
+        return res.status(400).json({
+          success: false,
+          error: '漲跌幅提醒僅支援價格類型',
+        });
+      }
+
+      if (!(target_price > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: '漲跌幅百分比必須大於 0',
+        });
+      }
+
+      if (window_minutes !== undefined && window_minutes !== null && !(Number.isInteger(window_minutes) && window_minutes > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'window_minutes 必須是正整數（留空表示自建立起計算）',
+        });
+      }
+    }
+
+    logger.info(`建立提醒: 類型=${alert_type || 'price'}, 單位=${unit || ''}, 目標=${target_price}${isChangeCondition ? `%, 窗口=${window_minutes || '自建立起'}` : ''}`);
 
     const alert = alertService.createAlert({
       token_id,
       condition,
       target_price,
       alert_type: alert_type || 'price',
-      unit: unit || ''
+      unit: unit || '',
+      window_minutes: isChangeCondition ? window_minutes || null : null,
     });
     res.json({ success: true, data: alert });
   } catch (error) {
@@ -41,6 +41,8 @@ router.get('/:tokenId', async (req, res) => {
         marketCapM: marketData.marketCapM,
         formattedPrice: `$${marketData.price.toFixed(6)}`,
         formattedMarketCap: marketDataService.formatMarketCap(marketData.marketCap),
+        source: marketData.source,
+        fetchedAt: marketData.fetchedAt,
       },
     });
   } catch (error) {
@@ -1,5 +1,5 @@
 import express from 'express';
-import OrderService from '../services/orderService.js';
+import OrderService, { BUY_ORDER_TYPES } from '../services/orderService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -30,7 +30,17 @@ router.get('/active', (req, res) => {
 // 建立新訂單
 router.post('/', (req, res) => {
   try {
-    const { token_id, type, target_price } = req.body;
+    const {
+      token_id,
+      type,
+      target_price,
+      amount,
+      amount_type,
+      max_attempts,
+      retry_backoff_seconds,
+      slippage_step,
+      wallet_id,
+    } = req.body;
 
     // 驗證必填欄位
     if (!token_id || !type || !target_price) {
@@ -41,7 +51,7 @@ router.post('/', (req, res) => {
     }
 
     // 驗證訂單類型
-    const validTypes = ['limit_buy', 'limit_sell', 'stop_loss', 'take_profit'];
+    const validTypes = ['limit_buy', 'limit_sell', 'stop_loss', 'take_profit', 'trailing_stop', 'trailing_buy'];
     if (!validTypes.includes(type)) {
       return res.status(400).json({
         success: false,
@@ -49,7 +59,83 @@ router.post('/', (req, res) => {
       });
     }
 
-    const order = orderService.createOrder({ token_id, type, target_price });
+    // 追蹤單的 target_price 為回撤/反彈百分比
+    if (type.startsWith('trailing_') && !(target_price > 0 && target_price < 100)) {
+      return res.status(400).json({
+        success: false,
+        error: '追蹤單的 target_price 為百分比，必須介於 0 到 100 之間',
+      });
+    }
+
+    // 驗證交易數量（選填）：買入為原生幣數量，賣出為代幣數量或持倉百分比
+    const isBuy = BUY_ORDER_TYPES.includes(type);
+    const resolvedAmountType = amount ? amount_type || (isBuy ? 'native' : 'token') : null;
+
+    if (amount !== undefined && amount !== null && !(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount 必須大於 0',
+      });
+    }
+
+    if (resolvedAmountType) {
+      const validAmountTypes = isBuy ? ['native'] : ['token', 'percent'];
+      if (!validAmountTypes.includes(resolvedAmountType)) {
+        return res.status(400).json({
+          success: false,
+          error: `無效的 amount_type。${isBuy ? '買入' : '賣出'}訂單有效類型: ${validAmountTypes.join(', ')}`,
+        });
+      }
+
+      if (resolvedAmountType === 'percent' && amount > 100) {
+        return res.status(400).json({
+          success: false,
+          error: '賣出百分比不可超過 100',
+        });
+      }
+    }
+
+    // 驗證重試策略（選填，未填使用全域設定）
+    if (max_attempts !== undefined && max_attempts !== null && !(Number.isInteger(max_attempts) && max_attempts >= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'max_attempts 必須為大於等於 1 的整數',
+      });
+    }
+
+    if (retry_backoff_seconds !== undefined && retry_backoff_seconds !== null && !(retry_backoff_seconds >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'retry_backoff_seconds 不可為負數',
+      });
+    }
+
+    if (slippage_step !== undefined && slippage_step !== null && !(slippage_step >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'slippage_step 不可為負數',
+      });
+    }
+
+    // 驗證交易錢包（選填，未填使用該鏈預設錢包）
+    if (wallet_id) {
+      const walletError = orderService.validateWallet(token_id, wallet_id);
+      if (walletError) {
+        return res.status(400).json({ success: false, error: walletError });
+      }
+    }
+
+    const order = orderService.createOrder({
+      token_id,
+      type,
+      target_price,
+      amount: amount || null,
+      amount_type: resolvedAmountType,
+      max_attempts: max_attempts ?? null,
+      retry_backoff_seconds: retry_backoff_seconds ?? null,
+      slippage_step: slippage_step ?? null,
+      wallet_id: wallet_id || null,
+    });
     res.json({ success: true, data: order });
   } catch (error) {
     logger.error('建立訂單失敗:', error.message);
@@ -57,6 +143,83 @@ router.post('/', (req, res) => {
   }
 });
 
+// 建立括號單（OCO：止盈 + 止損，可選進場限價買入）
+router.post('/bracket', (req, res) => {
+  try {
+    const { token_id, take_profit, stop_loss, entry_price, amount, wallet_id } = req.body;
+
+    if (!token_id || !take_profit || !stop_loss) {
+      return res.status(400).json({
+        success: false,
+        error: '缺少必填欄位: token_id, take_profit, stop_loss',
+      });
+    }
+
+    if (take_profit <= stop_loss) {
+      return res.status(400).json({
+        success: false,
+        error: '止盈價格必須高於止損價格',
+      });
+    }
+
+    if (entry_price && (entry_price <= stop_loss || entry_price >= take_profit)) {
+      return res.status(400).json({
+        success: false,
+        error: '進場價格必須介於止損與止盈價格之間',
+      });
+    }
+
+    if (amount !== undefined && amount !== null && !(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount 必須大於 0',
+      });
+    }
+
+    if (wallet_id) {
+      const walletError = orderService.validateWallet(token_id, wallet_id);
+      if (walletError) {
+        return res.status(400).json({ success: false, error: walletError });
+      }
+    }
+
+    const bracket = orderService.createBracketOrder({
+      token_id,
+      take_profit,
+      stop_loss,
+      entry_price: entry_price || null,
+      amount: amount || null,
+      wallet_id: wallet_id || null,
+    });
+    res.json({ success: true, data: bracket });
+  } catch (error) {
+    logger.error('建立括號單失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 取消訂單群組
+router.patch('/groups/:groupId/cancel', (req, res) => {
+  try {
+    orderService.cancelOrderGroup(req.params.groupId);
+    res.json({ success: true, message: '訂單群組已取消' });
+  } catch (error) {
+    logger.error('取消訂單群組失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 重新啟用失敗的訂單
+router.patch('/:id/retry', (req, res) => {
+  try {
+    orderService.retryOrder(req.params.id);
+    res.json({ success: true, message: '訂單已重新啟用' });
+  } catch (error) {
+    logger.error('重新啟用訂單失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // 取消訂單
 router.patch('/:id/cancel', (req, res) => {
   try {
@@ -0,0 +1,35 @@
+import express from 'express';
+import paperTradingService from '../services/paperTradingService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// 獲取模擬投資組合
+router.get('/portfolio', (req, res) => {
+  try {
+    const portfolio = paperTradingService.getPortfolio();
+    res.json({
+      success: true,
+      data: {
+        enabled: process.env.PAPER_TRADE_ENABLED === 'true',
+        ...portfolio,
+      },
+    });
+  } catch (error) {
+    logger.error('獲取模擬投資組合失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 重置模擬帳戶
+router.post('/reset', (req, res) => {
+  try {
+    paperTradingService.reset();
+    res.json({ success: true, message: '模擬帳戶已重置' });
+  } catch (error) {
+    logger.error('重置模擬帳戶失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import quoteService, { QUOTE_SIDES } from '../services/quoteService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// 向代幣所在鏈的所有交易場所報價，依預期輸出排序
+router.post('/', async (req, res) => {
+  try {
+    const { token_id, side = 'sell', amount } = req.body;
+
+    if (!token_id || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: '缺少必填欄位: token_id, amount',
+      });
+    }
+
+    if (!QUOTE_SIDES.includes(side)) {
+      return res.status(400).json({
+        success: false,
+        error: `無效的方向。有效值: ${QUOTE_SIDES.join(', ')}`,
+      });
+    }
+
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount 必須大於 0',
+      });
+    }
+
+    const result = await quoteService.getQuotes({ tokenId: token_id, side, amount: Number(amount) });
+    if (!result) {
+      return res.status(404).json({ success: false, error: '代幣不存在' });
+    }
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('報價比較失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 列出各鏈已註冊的交易場所
+router.get('/venues', (req, res) => {
+  try {
+    const data = Object.fromEntries(
+      ['bsc', 'base', 'solana'].map((chain) => [chain, quoteService.getVenues(chain)])
+    );
+    res.json({ success: true, data });
+  } catch (error) {
+    logger.error('獲取交易場所失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
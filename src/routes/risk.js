@@ -0,0 +1,152 @@
+import express from 'express';
+import riskManager, { SUPPORTED_CHAINS, LIMIT_FIELDS } from '../services/riskManager.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// 獲取各鏈風控限制與今日狀態（?paper=true 時統計模擬交易）
+router.get('/', (req, res) => {
+  try {
+    const paper = req.query.paper === 'true';
+    const data = riskManager.getLimits().map((limits) => ({
+      ...limits,
+      status: riskManager.getStatus(limits.chain, paper),
+    }));
+
+    res.json({ success: true, data });
+  } catch (error) {
+    logger.error('獲取風控狀態失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 獲取風控拒絕紀錄（支援 chain, limit 篩選）
+router.get('/events', (req, res) => {
+  try {
+    const events = riskManager.getEvents(req.query);
+    res.json({ success: true, data: events });
+  } catch (error) {
+    logger.error('獲取風控紀錄失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 更新單一鏈的風控限制（只更新帶入的欄位，null 表示不限制）
+router.put('/limits/:chain', (req, res) => {
+  try {
+    const chain = req.params.chain.toLowerCase();
+
+    if (!SUPPORTED_CHAINS.includes(chain)) {
+      return res.status(400).json({
+        success: false,
+        error: `無效的鏈。有效值: ${SUPPORTED_CHAINS.join(', ')}`,
+      });
+    }
+
+    for (const field of LIMIT_FIELDS) {
+      const value = req.body[field];
+      if (value !== undefined && value !== null && !(typeof value === 'number' && value >= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} 必須為非負數字或 null`,
+        });
+      }
+    }
+
+    if (!LIMIT_FIELDS.some((field) => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: `請至少提供一個限制欄位: ${LIMIT_FIELDS.join(', ')}`,
+      });
+    }
+
+    if (req.body.max_open_positions != null && !Number.isInteger(req.body.max_open_positions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'max_open_positions 必須為整數',
+      });
+    }
+
+    const limits = riskManager.setLimits(chain, req.body);
+    res.json({ success: true, data: limits });
+  } catch (error) {
+    logger.error('更新風控限制失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 獲取暫停交易狀態（gmgn-trader 馬丁策略每輪檢查）
+router.get('/halt', (req, res) => {
+  try {
+    res.json({ success: true, data: riskManager.getHaltState() });
+  } catch (error) {
+    logger.error('獲取暫停交易狀態失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 暫停所有交易（cancel_orders: true 時同時取消所有進行中的掛單）
+router.post('/halt', (req, res) => {
+  try {
+    const { reason = null, cancel_orders = false, source = 'api' } = req.body || {};
+
+    const state = riskManager.halt({ reason, source, cancelOrders: cancel_orders === true });
+    res.json({ success: true, data: state });
+  } catch (error) {
+    logger.error('暫停交易失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 恢復交易
+router.post('/resume', (req, res) => {
+  try {
+    const state = riskManager.resume({ source: req.body?.source || 'api' });
+    res.json({ success: true, data: state });
+  } catch (error) {
+    logger.error('恢復交易失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 買入前風控檢查（gmgn-trader 馬丁策略買入前呼叫）
+router.post('/check', (req, res) => {
+  try {
+    const { chain, token_address, amount, paper = false, source = 'external' } = req.body;
+
+    if (!chain || !token_address || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: '缺少必填欄位: chain, token_address, amount',
+      });
+    }
+
+    if (!SUPPORTED_CHAINS.includes(chain.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        error: `無效的鏈。有效值: ${SUPPORTED_CHAINS.join(', ')}`,
+      });
+    }
+
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount 必須大於 0',
+      });
+    }
+
+    const result = riskManager.checkBuy({
+      chain,
+      tokenAddress: token_address,
+      amount: Number(amount),
+      paper: paper === true,
+      source,
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('風控檢查失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
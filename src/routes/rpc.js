@@ -0,0 +1,37 @@
+import express from 'express';
+import rpcPool from '../services/rpcPool.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// 獲取各鏈 RPC 節點健康狀態（依優先順序排列）
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, data: rpcPool.getHealth() });
+  } catch (error) {
+    logger.error('獲取 RPC 節點狀態失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 主動檢測節點延遲與最新區塊（body: { chain } 可只檢測單一鏈）
+router.post('/probe', async (req, res) => {
+  try {
+    const chain = req.body?.chain ? req.body.chain.toLowerCase() : null;
+
+    if (chain && !rpcPool.endpoints[chain]) {
+      return res.status(400).json({
+        success: false,
+        error: `無效的鏈。有效值: ${Object.keys(rpcPool.endpoints).join(', ')}`,
+      });
+    }
+
+    const data = await rpcPool.probe(chain);
+    res.json({ success: true, data });
+  } catch (error) {
+    logger.error('檢測 RPC 節點失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
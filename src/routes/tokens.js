@@ -3,6 +3,8 @@ import db from '../database/db.js';
 import logger from '../utils/logger.js';
 import tokenMetadata from '../services/tokenMetadata.js';
 import poolFinder from '../services/poolFinder.js';
+import tokenSafetyService from '../services/tokenSafetyService.js';
+import priceScheduler from '../services/priceScheduler.js';
 
 const router = express.Router();
 
@@ -10,7 +12,14 @@ const router = express.Router();
 router.get('/', (req, res) => {
   try {
     const tokens = db.prepare('SELECT * FROM tokens ORDER BY created_at DESC').all();
-    res.json({ success: true, data: tokens });
+
+    // price_stale: 超過輪詢間隔數倍仍未成功更新價格
+    const data = tokens.map((token) => ({
+      ...token,
+      poll_interval_effective: priceScheduler.getIntervalMs(token) / 1000,
+      price_stale: priceScheduler.isStale(token),
+    }));
+    res.json({ success: true, data });
   } catch (error) {
     logger.error('獲取代幣列表失敗:', error.message);
     res.status(500).json({ success: false, error: error.message });
@@ -145,9 +154,25 @@ router.post('/', async (req, res) => {
 // 更新代幣
 router.put('/:id', (req, res) => {
   try {
-    const { symbol, pair_address, pool_address, pool_protocol, pool_version, pool_pair_token } = req.body;
+    const { symbol, pair_address, pool_address, pool_protocol, pool_version, pool_pair_token, fee_on_transfer, poll_interval } = req.body;
     const tokenId = req.params.id;
 
+    // poll_interval: 價格輪詢間隔（秒），null 恢復預設間隔
+    if (poll_interval !== undefined && poll_interval !== null && !(Number.isInteger(poll_interval) && poll_interval > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'poll_interval 必須為正整數（秒）或 null',
+      });
+    }
+
+    // fee_on_transfer: true / false 手動指定是否為轉帳稅代幣，null 恢復自動偵測
+    if (fee_on_transfer !== undefined && ![true, false, null].includes(fee_on_transfer)) {
+      return res.status(400).json({
+        success: false,
+        error: 'fee_on_transfer 必須為 true、false 或 null',
+      });
+    }
+
     const stmt = db.prepare(`
       UPDATE tokens
       SET symbol = COALESCE(?, symbol),
@@ -173,6 +198,17 @@ router.put('/:id', (req, res) => {
       return res.status(404).json({ success: false, error: '代幣不存在' });
     }
 
+    if (fee_on_transfer !== undefined) {
+      db.prepare('UPDATE tokens SET fee_on_transfer = ? WHERE id = ?').run(
+        fee_on_transfer === null ? null : fee_on_transfer ? 1 : 0,
+        tokenId
+      );
+    }
+
+    if (poll_interval !== undefined) {
+      db.prepare('UPDATE tokens SET poll_interval = ? WHERE id = ?').run(poll_interval, tokenId);
+    }
+
     logger.info(`代幣已更新 (ID: ${tokenId})`);
     res.json({ success: true, message: '代幣已更新' });
   } catch (error) {
@@ -222,6 +258,44 @@ router.post('/:id/refresh-pool', async (req, res) => {
   }
 });
 
+// 蜜罐 / 買賣稅檢測（以 eth_call 模擬買入再賣出，僅支援 BSC、Base）
+router.post('/:id/safety-check', async (req, res) => {
+  try {
+    const token = db.prepare('SELECT * FROM tokens WHERE id = ?').get(req.params.id);
+
+    if (!token) {
+      return res.status(404).json({ success: false, error: '代幣不存在' });
+    }
+
+    if (!tokenSafetyService.isSupported(token.chain)) {
+      return res.status(400).json({
+        success: false,
+        error: `${token.chain} 鏈不支援蜜罐檢測（僅支援 bsc, base）`,
+      });
+    }
+
+    const amountIn = req.body.amount ?? parseFloat(process.env[`${token.chain.toUpperCase()}_TRADE_AMOUNT`] || '0.01');
+    if (!(amountIn > 0)) {
+      return res.status(400).json({ success: false, error: 'amount 必須大於 0' });
+    }
+
+    logger.info(`🔍 檢測代幣安全: ${token.symbol} (${token.chain})`);
+
+    const result = await tokenSafetyService.check(token, amountIn);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        verdict: tokenSafetyService.evaluate(result),
+      },
+    });
+  } catch (error) {
+    logger.error('代幣安全檢測失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // 刪除代幣
 router.delete('/:id', (req, res) => {
   try {
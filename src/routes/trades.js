@@ -0,0 +1,78 @@
+import express from 'express';
+import tradeService from '../services/tradeService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const VALID_SIDES = ['buy', 'sell'];
+
+// 獲取成交紀錄（支援 token_id, chain, token_address, side, source, order_id, from, to, limit 篩選）
+router.get('/', (req, res) => {
+  try {
+    const { side } = req.query;
+
+    if (side && !VALID_SIDES.includes(side)) {
+      return res.status(400).json({
+        success: false,
+        error: `無效的 side。有效值: ${VALID_SIDES.join(', ')}`,
+      });
+    }
+
+    const trades = tradeService.getTrades(req.query);
+    res.json({ success: true, data: trades });
+  } catch (error) {
+    logger.error('獲取成交紀錄失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 獲取每個代幣的已實現損益（FIFO）；from / to 為統計區間，成本仍以完整買入紀錄配對
+router.get('/pnl', (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const pnl = tradeService.getRealizedPnL(req.query, from || null, to || null);
+    res.json({ success: true, data: pnl });
+  } catch (error) {
+    logger.error('計算已實現損益失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 記錄外部成交（gmgn-trader 馬丁策略回報）
+router.post('/', (req, res) => {
+  try {
+    const { chain, token_address, side, amount_in, amount_out } = req.body;
+
+    if (!chain || !token_address || !side) {
+      return res.status(400).json({
+        success: false,
+        error: '缺少必填欄位: chain, token_address, side',
+      });
+    }
+
+    if (!VALID_SIDES.includes(side)) {
+      return res.status(400).json({
+        success: false,
+        error: `無效的 side。有效值: ${VALID_SIDES.join(', ')}`,
+      });
+    }
+
+    if (!(amount_in > 0) || !(amount_out >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount_in 必須大於 0，amount_out 不可為負數',
+      });
+    }
+
+    const trade = tradeService.recordTrade({
+      ...req.body,
+      source: req.body.source || 'external',
+    });
+    res.json({ success: true, data: trade });
+  } catch (error) {
+    logger.error('記錄成交失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -1,5 +1,10 @@
 import express from 'express';
+import { ethers } from 'ethers';
 import walletBalanceMonitor from '../services/walletBalanceMonitor.js';
+import walletManager from '../services/walletManager.js';
+import keystore from '../services/keystore.js';
+import txManager from '../services/tradeExecutor/txManager.js';
+import allowanceService, { EVM_CHAINS } from '../services/allowanceService.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -137,4 +142,174 @@ router.delete('/withdrawals/:id', (req, res) => {
   }
 });
 
+/**
+ * GET /api/wallet/wallets
+ * 列出各鏈已載入的交易錢包與原生幣餘額
+ * Query: chain（選填）
+ */
+router.get('/wallets', async (req, res) => {
+  try {
+    const { chain } = req.query;
+    if (chain && !['bsc', 'solana', 'base'].includes(chain)) {
+      return res.status(400).json({ success: false, error: '只支援 bsc、solana 或 base' });
+    }
+
+    const wallets = await Promise.all(walletManager.listWallets(chain).map(async (wallet) => {
+      try {
+        return { ...wallet, balance: parseFloat(await walletManager.getBalance(wallet.chain, wallet.id)) };
+      } catch (error) {
+        return { ...wallet, balance: null, error: error.message };
+      }
+    }));
+
+    res.json({ success: true, data: wallets });
+  } catch (error) {
+    logger.error('獲取錢包列表失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/wallet/keystore
+ * 獲取加密 keystore 狀態與其中的錢包（不含私鑰）
+ */
+router.get('/keystore', (req, res) => {
+  try {
+    const exists = keystore.exists();
+    res.json({
+      success: true,
+      data: {
+        exists,
+        unlocked: keystore.isUnlocked(),
+        wallets: exists ? keystore.listWallets() : [],
+      },
+    });
+  } catch (error) {
+    logger.error('獲取 keystore 狀態失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/wallet/pending-txs
+ * 獲取 BSC / Base 待確認交易
+ */
+router.get('/pending-txs', (req, res) => {
+  try {
+    res.json({ success: true, data: txManager.getPending() });
+  } catch (error) {
+    logger.error('獲取待確認交易失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/wallet/pending-txs/:chain/:nonce/speed-up
+ * 以相同 nonce 提高手續費重送待確認交易
+ * Body: { address? }（未填使用該鏈預設錢包）
+ */
+router.post('/pending-txs/:chain/:nonce/speed-up', async (req, res) => {
+  try {
+    const { chain, nonce } = req.params;
+    if (!['bsc', 'base'].includes(chain)) {
+      return res.status(400).json({ success: false, error: '只支援 bsc 或 base' });
+    }
+
+    const hash = await txManager.speedUp(chain, req.body?.address || walletManager.getAddress(chain), parseInt(nonce));
+    res.json({ success: true, data: { hash } });
+  } catch (error) {
+    logger.error('加速交易失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/wallet/pending-txs/:chain/:nonce/cancel
+ * 以相同 nonce 送出 0 金額自我轉帳取消待確認交易
+ * Body: { address? }（未填使用該鏈預設錢包）
+ */
+router.post('/pending-txs/:chain/:nonce/cancel', async (req, res) => {
+  try {
+    const { chain, nonce } = req.params;
+    if (!['bsc', 'base'].includes(chain)) {
+      return res.status(400).json({ success: false, error: '只支援 bsc 或 base' });
+    }
+
+    const hash = await txManager.cancel(chain, req.body?.address || walletManager.getAddress(chain), parseInt(nonce));
+    res.json({ success: true, data: { hash } });
+  } catch (error) {
+    logger.error('取消交易失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/wallet/allowances
+ * 列出 BSC / Base 錢包所有非零代幣授權（依代幣 / 授權對象）
+ * Query: chain?, wallet_id?
+ */
+router.get('/allowances', async (req, res) => {
+  try {
+    const { chain, wallet_id } = req.query;
+    if (chain && !EVM_CHAINS.includes(chain)) {
+      return res.status(400).json({ success: false, error: '只支援 bsc 或 base' });
+    }
+
+    const allowances = await allowanceService.listAllowances({ chain, walletId: wallet_id });
+    res.json({ success: true, data: allowances });
+  } catch (error) {
+    logger.error('獲取代幣授權失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/wallet/allowances/revoke
+ * 撤銷代幣授權（額度設為 0），撤銷交易寫入授權紀錄
+ * Body: { chain, token_address, spender, wallet_id?, type? }（type: 'erc20' 預設 / 'permit2'）
+ */
+router.post('/allowances/revoke', async (req, res) => {
+  try {
+    const { chain, token_address, spender, wallet_id, type = 'erc20' } = req.body || {};
+
+    if (!EVM_CHAINS.includes(chain)) {
+      return res.status(400).json({ success: false, error: '只支援 bsc 或 base' });
+    }
+
+    if (!ethers.isAddress(token_address) || !ethers.isAddress(spender)) {
+      return res.status(400).json({ success: false, error: 'token_address 與 spender 必須為有效地址' });
+    }
+
+    if (!['erc20', 'permit2'].includes(type) || (type === 'permit2' && chain !== 'base')) {
+      return res.status(400).json({ success: false, error: "type 只能為 'erc20' 或 'permit2'（permit2 僅限 base）" });
+    }
+
+    const result = await allowanceService.revoke({
+      chain,
+      walletId: wallet_id,
+      tokenAddress: token_address,
+      spender,
+      type,
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('撤銷代幣授權失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/wallet/approvals
+ * 授權 / 撤銷交易紀錄
+ * Query: chain?, token_address?, limit?
+ */
+router.get('/approvals', (req, res) => {
+  try {
+    res.json({ success: true, data: allowanceService.getApprovals(req.query) });
+  } catch (error) {
+    logger.error('獲取授權紀錄失敗:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 export default router;
@@ -6,6 +6,11 @@ import LINENotification from './notification/line.js';
 import marketDataService from './marketDataService.js';
 import { getTaiwanISOString } from '../utils/timeHelper.js';
 
+// 確保資料庫欄位（漲跌幅提醒的回看窗口）；已有資料庫只在此補上，init.js 的建表語句已包含此欄位
+(function migrate() {
+  try { db.exec('ALTER TABLE alerts ADD COLUMN window_minutes INTEGER'); } catch (e) {}
+})();
+
 class AlertService {
   constructor() {
     this.telegram = new TelegramNotification();
@@ -20,14 +25,14 @@ class AlertService {
    */
   createAlert(alertData) {
     try {
-      const { token_id, condition, target_price, alert_type = 'price', unit = '' } = alertData;
+      const { token_id, condition, target_price, alert_type = 'price', unit = '', window_minutes = null } = alertData;
 
       const stmt = db.prepare(`
-        INSERT INTO alerts (token_id, condition, target_price, status, alert_type, unit)
-        VALUES (?, ?, ?, 'active', ?, ?)
+        INSERT INTO alerts (token_id, condition, target_price, status, alert_type, unit, window_minutes)
+        VALUES (?, ?, ?, 'active', ?, ?, ?)
       `);
 
-      const result = stmt.run(token_id, condition, target_price, alert_type, unit);
+      const result = stmt.run(token_id, condition, target_price, alert_type, unit, window_minutes);
 
       logger.success(`提醒已建立 (ID: ${result.lastInsertRowid}, 類型: ${alert_type})`);
 
@@ -100,6 +105,7 @@ class AlertService {
 
       let shouldTrigger = false;
       let checkValue = currentPrice;
+      let changeInfo = null;
 
       // 如果是市值提醒，需要獲取市值資料
       if (alert.alert_type === 'marketcap') {
@@ -136,19 +142,28 @@ class AlertService {
           shouldTrigger = checkValue <= alert.target_price;
           break;
         case 'change_up':
-          // 價格上漲達目標百分比
-          // TODO: 需要比較歷史價格
-          break;
-        case 'change_down':
-          // 價格下跌達目標百分比
-          // TODO: 需要比較歷史價格
+        case 'change_down': {
+          // 漲跌幅提醒：target_price 為百分比，與 price_history 中的基準價比較
+          const basePrice = this.getChangeBasePrice(alert);
+          if (!basePrice) {
+            logger.debug(`尚無基準價格，略過漲跌幅提醒 (ID: ${alertId})`);
+            break;
+          }
+
+          const changePercent = ((currentPrice - basePrice) / basePrice) * 100;
+          changeInfo = { basePrice, changePercent, windowMinutes: alert.window_minutes };
+
+          shouldTrigger = alert.condition === 'change_up'
+            ? changePercent >= alert.target_price
+            : changePercent <= -alert.target_price;
           break;
+        }
         default:
           logger.warn(`未知的提醒條件: ${alert.condition}`);
       }
 
       if (shouldTrigger) {
-        await this.triggerAlert(alertId, checkValue);
+        await this.triggerAlert(alertId, checkValue, changeInfo);
         return true;
       }
 
@@ -159,12 +174,43 @@ class AlertService {
     }
   }
 
+  /**
+   * 獲取漲跌幅提醒的基準價格
+   * 有設定 window_minutes 時，上漲取窗口內最低價、下跌取窗口內最高價；
+   * 否則使用提醒建立後記錄的第一筆價格
+   * @param {Object} alert - 提醒資料
+   * @returns {number|null} 基準價格
+   */
+  getChangeBasePrice(alert) {
+    if (alert.window_minutes) {
+      const aggregate = alert.condition === 'change_up' ? 'MIN' : 'MAX';
+      const row = db.prepare(`
+        SELECT ${aggregate}(price) as price
+        FROM price_history
+        WHERE token_id = ? AND timestamp >= datetime('now', ?)
+      `).get(alert.token_id, `-${alert.window_minutes} minutes`);
+
+      return row?.price || null;
+    }
+
+    const row = db.prepare(`
+      SELECT price
+      FROM price_history
+      WHERE token_id = ? AND timestamp >= ?
+      ORDER BY timestamp ASC
+      LIMIT 1
+    `).get(alert.token_id, alert.created_at);
+
+    return row?.price || null;
+  }
+
   /**
    * 觸發提醒
    * @param {number} alertId - 提醒 ID
    * @param {number} currentValue - 當前值（價格或市值）
+   * @param {Object} changeInfo - 漲跌幅資訊 { basePrice, changePercent, windowMinutes }（僅漲跌幅提醒）
    */
-  async triggerAlert(alertId, currentValue) {
+  async triggerAlert(alertId, currentValue, changeInfo = null) {
     try {
       const stmt = db.prepare(`
         UPDATE alerts
@@ -214,6 +260,21 @@ class AlertService {
           `當前${displayType}: ${displayValue}\n` +
           `時間: ${new Date().toLocaleString('zh-TW')}`;
 
+        await this.telegram.sendMessage(message);
+        await this.telegramWebhook.sendMessage(message);
+      } else if (changeInfo) {
+        const { basePrice, changePercent, windowMinutes } = changeInfo;
+        const sign = changePercent >= 0 ? '+' : '';
+        const message =
+          `🔔 漲跌幅提醒觸發\n\n` +
+          `代幣: ${alert.symbol}\n` +
+          `條件: ${alert.condition === 'change_up' ? '上漲' : '下跌'} ${alert.target_price}%` +
+          `${windowMinutes ? ` (${windowMinutes} 分鐘內)` : ' (自建立起)'}\n` +
+          `基準價格: $${basePrice.toFixed(8)}\n` +
+          `當前價格: ${displayValue}\n` +
+          `漲跌幅: ${sign}${changePercent.toFixed(2)}%\n` +
+          `時間: ${new Date().toLocaleString('zh-TW')}`;
+
         await this.telegram.sendMessage(message);
         await this.telegramWebhook.sendMessage(message);
       } else {
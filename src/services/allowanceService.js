@@ -0,0 +1,333 @@
+import { ethers } from 'ethers';
+import db from '../database/db.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import walletManager from './walletManager.js';
+import txManager from './tradeExecutor/txManager.js';
+import { getTaiwanISOString } from '../utils/timeHelper.js';
+
+// 確保授權交易紀錄表存在
+(function migrate() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS approvals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chain TEXT NOT NULL,
+      wallet_address TEXT NOT NULL,
+      token_address TEXT NOT NULL,
+      spender TEXT NOT NULL,
+      type TEXT DEFAULT 'erc20',
+      action TEXT NOT NULL,
+      amount TEXT,
+      tx_hash TEXT,
+      gas_used TEXT,
+      gas_cost REAL,
+      block_number INTEGER,
+      created_at DATETIME
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_approvals_token ON approvals(chain, token_address)');
+})();
+
+const ERC20_ABI = [
+  'function approve(address spender, uint256 amount) external returns (bool)',
+  'function allowance(address owner, address spender) external view returns (uint256)',
+  'function symbol() external view returns (string)',
+  'function decimals() external view returns (uint8)',
+];
+
+const PERMIT2_ABI = [
+  'function allowance(address user, address token, address spender) external view returns (uint160 amount, uint48 expiration, uint48 nonce)',
+  'function approve(address token, address spender, uint160 amount, uint48 expiration) external',
+];
+
+export const EVM_CHAINS = ['bsc', 'base'];
+
+// 授權額度超過此值視為無限授權（MaxUint256 / MaxUint160 被部分扣減後仍屬無限）
+const UNLIMITED_THRESHOLD = 1n << 128n;
+
+/**
+ * 代幣授權管理（BSC / Base）
+ * - 賣出前檢查授權額度，不足時才授權（授權最大額度，避免每次賣出都送出授權交易）
+ * - 授權 / 撤銷交易寫入 approvals 表
+ * - 列出錢包對各交易場所 Router（含 Base 的 Permit2 → Universal Router）的非零授權，可一鍵撤銷
+ */
+class AllowanceService {
+  /**
+   * 各鏈已知的授權對象（執行器賣出時使用的 Router）
+   * @param {string} chain - 'bsc' | 'base'
+   * @returns {Array<Object>} [{ address, name }]
+   */
+  getKnownSpenders(chain) {
+    const dex = config.dex[chain];
+
+    if (chain === 'bsc') {
+      return [
+        { address: dex.routerV2, name: 'PancakeSwap V2 Router' },
+        { address: dex.routerV3, name: 'PancakeSwap V3 SwapRouter' },
+      ];
+    }
+
+    return [
+      { address: dex.routerV2, name: 'Uniswap V2 Router' },
+      { address: dex.swapRouter02, name: 'Uniswap SwapRouter02' },
+      { address: dex.aerodromeRouter, name: 'Aerodrome Router' },
+      { address: dex.permit2, name: 'Permit2' },
+    ];
+  }
+
+  /**
+   * 確保代幣對授權對象的額度足夠，不足時授權最大額度並記錄授權交易
+   * @param {string} chain - 'bsc' | 'base'
+   * @param {Wallet} wallet - 錢包
+   * @param {string} tokenAddress - 代幣地址
+   * @param {string} spender - 授權對象
+   * @param {bigint} amountWei - 本次需要的額度
+   * @returns {Promise<boolean>} 是否送出了授權交易
+   */
+  async ensureApproval(chain, wallet, tokenAddress, spender, amountWei) {
+    try {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+      const currentAllowance = await token.allowance(wallet.address, spender);
+
+      if (currentAllowance >= amountWei) {
+        logger.info('Token 已授權，無需重複授權');
+        return false;
+      }
+
+      logger.info(`正在授權 Token 給 ${this.getSpenderName(chain, spender)}...`);
+
+      // 授權最大額度（避免頻繁授權）
+      const request = await token.approve.populateTransaction(spender, ethers.MaxUint256);
+      const approveTx = await txManager.send(chain, wallet, request, `授權 ${tokenAddress}`);
+
+      logger.info(`授權交易已發送: ${approveTx.hash}`);
+      const receipt = await txManager.wait(chain, wallet, approveTx);
+
+      this.recordApproval({
+        chain,
+        walletAddress: wallet.address,
+        tokenAddress,
+        spender,
+        action: 'approve',
+        amount: ethers.MaxUint256,
+        receipt,
+      });
+
+      logger.success('Token 授權成功');
+      return true;
+    } catch (error) {
+      logger.error('Token 授權失敗:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 記錄一筆授權 / 撤銷交易
+   * @param {Object} approval - { chain, walletAddress, tokenAddress, spender, type, action, amount, receipt }
+   */
+  recordApproval({ chain, walletAddress, tokenAddress, spender, type = 'erc20', action, amount, receipt }) {
+    try {
+      db.prepare(`
+        INSERT INTO approvals (
+          chain, wallet_address, token_address, spender, type, action, amount,
+          tx_hash, gas_used, gas_cost, block_number, created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        chain, walletAddress, tokenAddress, spender, type, action, amount.toString(),
+        receipt.hash, receipt.gasUsed.toString(),
+        parseFloat(ethers.formatEther(receipt.gasUsed * (receipt.gasPrice ?? 0n))),
+        receipt.blockNumber, getTaiwanISOString()
+      );
+    } catch (error) {
+      // 紀錄失敗不影響交易流程
+      logger.error('記錄授權交易失敗:', error.message);
+    }
+  }
+
+  /**
+   * 查詢授權交易紀錄
+   * @param {Object} filters - { chain, token_address, limit }
+   * @returns {Array} 紀錄（新到舊）
+   */
+  getApprovals(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.chain) {
+      conditions.push('chain = ?');
+      params.push(filters.chain.toLowerCase());
+    }
+    if (filters.token_address) {
+      conditions.push('LOWER(token_address) = LOWER(?)');
+      params.push(filters.token_address);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM approvals ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, parseInt(filters.limit) || 100);
+  }
+
+  /**
+   * 列出錢包所有非零授權
+   * 代幣來源：監控中的代幣、成交紀錄與授權紀錄中出現過的代幣
+   * @param {Object} options - { chain, walletId }（未指定 chain 時查詢 BSC 與 Base 所有錢包）
+   * @returns {Promise<Array>} [{ chain, wallet_id, wallet_address, token_address, symbol, spender, spender_name, type, allowance, unlimited, expiration }]
+   */
+  async listAllowances({ chain = null, walletId = null } = {}) {
+    const chains = chain ? [chain.toLowerCase()] : EVM_CHAINS;
+    const results = [];
+
+    for (const chainKey of chains) {
+      const wallets = walletManager.listWallets(chainKey)
+        .filter((w) => !walletId || w.id === walletId);
+      if (wallets.length === 0) {
+        continue;
+      }
+
+      const provider = walletManager.getWallet(chainKey, wallets[0].id).provider;
+      const spenders = this.getSpenders(chainKey);
+
+      for (const tokenAddress of this.getTradedTokens(chainKey)) {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+
+        for (const wallet of wallets) {
+          try {
+            const entries = await this.getTokenAllowances(chainKey, token, wallet.address, spenders);
+            results.push(...entries.map((entry) => ({ chain: chainKey, wallet_id: wallet.id, wallet_address: wallet.address, ...entry })));
+          } catch (error) {
+            logger.warn(`查詢 ${chainKey} 代幣 ${tokenAddress} 授權失敗: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 查詢單一代幣對各授權對象的額度（Base 另外查詢 Permit2 對 Universal Router 的授權）
+   */
+  async getTokenAllowances(chain, token, owner, spenders) {
+    const allowances = await Promise.all(spenders.map((spender) => token.allowance(owner, spender.address)));
+    const nonZero = spenders
+      .map((spender, i) => ({ spender, amount: allowances[i], type: 'erc20', expiration: null }))
+      .filter((entry) => entry.amount > 0n);
+
+    if (chain === 'base') {
+      const { permit2, universalRouter } = config.dex.base;
+      const permit2Contract = new ethers.Contract(permit2, PERMIT2_ABI, token.runner);
+      const [amount, expiration] = await permit2Contract.allowance(owner, token.target, universalRouter);
+
+      if (amount > 0n && Number(expiration) > Math.floor(Date.now() / 1000)) {
+        nonZero.push({
+          spender: { address: universalRouter, name: 'Universal Router（經 Permit2）' },
+          amount,
+          type: 'permit2',
+          expiration: Number(expiration),
+        });
+      }
+    }
+
+    if (nonZero.length === 0) {
+      return [];
+    }
+
+    const [symbol, decimals] = await Promise.all([
+      token.symbol().catch(() => null),
+      token.decimals().catch(() => 18),
+    ]);
+
+    return nonZero.map(({ spender, amount, type, expiration }) => ({
+      token_address: token.target,
+      symbol,
+      spender: spender.address,
+      spender_name: spender.name,
+      type,
+      allowance: amount >= UNLIMITED_THRESHOLD ? null : ethers.formatUnits(amount, decimals),
+      unlimited: amount >= UNLIMITED_THRESHOLD,
+      expiration,
+    }));
+  }
+
+  /**
+   * 撤銷授權（額度設為 0）並記錄撤銷交易
+   * @param {Object} options - { chain, walletId, tokenAddress, spender, type }
+   *   type: 'erc20' 撤銷代幣對 spender 的授權；'permit2' 撤銷 Permit2 中對 spender（Universal Router）的授權
+   * @returns {Promise<Object>} { txHash, gasUsed, blockNumber }
+   */
+  async revoke({ chain, walletId = null, tokenAddress, spender, type = 'erc20' }) {
+    const chainKey = chain.toLowerCase();
+    const wallet = walletManager.getWallet(chainKey, walletId);
+
+    const request = type === 'permit2'
+      ? await new ethers.Contract(config.dex.base.permit2, PERMIT2_ABI, wallet).approve.populateTransaction(tokenAddress, spender, 0n, 0n)
+      : await new ethers.Contract(tokenAddress, ERC20_ABI, wallet).approve.populateTransaction(spender, 0n);
+
+    logger.info(`正在撤銷 ${chainKey} 代幣 ${tokenAddress} 對 ${this.getSpenderName(chainKey, spender)} 的授權...`);
+
+    const tx = await txManager.send(chainKey, wallet, request, `撤銷授權 ${tokenAddress}`);
+    const receipt = await txManager.wait(chainKey, wallet, tx);
+
+    this.recordApproval({
+      chain: chainKey,
+      walletAddress: wallet.address,
+      tokenAddress,
+      spender,
+      type,
+      action: 'revoke',
+      amount: 0n,
+      receipt,
+    });
+
+    logger.success(`✅ 已撤銷授權: ${receipt.hash}`);
+
+    return {
+      txHash: receipt.hash,
+      gasUsed: receipt.gasUsed.toString(),
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * 已知授權對象加上授權紀錄中出現過的其他對象
+   */
+  getSpenders(chain) {
+    const known = this.getKnownSpenders(chain);
+    const recorded = db.prepare("SELECT DISTINCT spender FROM approvals WHERE chain = ? AND type = 'erc20'").all(chain);
+
+    for (const { spender } of recorded) {
+      if (!known.some((s) => s.address.toLowerCase() === spender.toLowerCase())) {
+        known.push({ address: spender, name: null });
+      }
+    }
+
+    return known;
+  }
+
+  getSpenderName(chain, spender) {
+    return this.getKnownSpenders(chain).find((s) => s.address.toLowerCase() === spender.toLowerCase())?.name || spender;
+  }
+
+  /**
+   * 曾經交易或監控過的代幣（以小寫地址去重）
+   */
+  getTradedTokens(chain) {
+    const rows = db.prepare(`
+      SELECT address FROM tokens WHERE chain = ?
+      UNION SELECT token_address FROM trades WHERE chain = ?
+      UNION SELECT token_address FROM approvals WHERE chain = ?
+    `).all(chain, chain, chain);
+
+    const seen = new Map();
+    for (const { address } of rows) {
+      if (ethers.isAddress(address) && !seen.has(address.toLowerCase())) {
+        seen.set(address.toLowerCase(), ethers.getAddress(address.toLowerCase()));
+      }
+    }
+
+    return [...seen.values()];
+  }
+}
+
+export default new AllowanceService();
@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Writable } from 'stream';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+// scrypt 參數（N = 2^15 約需 32MB 記憶體，解鎖約數百毫秒）
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+// 用於驗證密碼是否正確的固定明文
+const CHECK_PLAINTEXT = 'keystore-check';
+
+// 預設放在專案根目錄的 data/，伺服器與 gmgn-trader 從不同工作目錄啟動時共用同一份檔案
+const DEFAULT_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../data/keystore.json');
+
+/**
+ * 加密錢包 keystore
+ * - 私鑰以 scrypt 由密碼衍生的金鑰、AES-256-GCM 加密後存於 JSON 檔（地址以明文保存，列出錢包不需解鎖）
+ * - 啟動時以密碼解鎖一次，之後僅在記憶體保留衍生金鑰，不保留密碼
+ * - 私鑰不寫入 log；錯誤訊息也不帶入私鑰內容
+ */
+class Keystore {
+  constructor() {
+    this.filePath = config.keystore.path ? path.resolve(config.keystore.path) : DEFAULT_PATH;
+    this.data = null;
+    this.key = null;
+  }
+
+  /**
+   * keystore 檔案是否存在
+   * @returns {boolean}
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * 是否已解鎖
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * 建立新的 keystore（檔案已存在時拒絕覆蓋）
+   * @param {string} passphrase - 密碼
+   */
+  create(passphrase) {
+    if (this.exists()) {
+      throw new Error(`keystore 已存在: ${this.filePath}`);
+    }
+
+    if (!passphrase || passphrase.length < 8) {
+      throw new Error('keystore 密碼至少需要 8 個字元');
+    }
+
+    const salt = crypto.randomBytes(32).toString('hex');
+    this.key = this.deriveKey(passphrase, salt, SCRYPT_PARAMS);
+    this.data = {
+      version: KEYSTORE_VERSION,
+      kdf: { name: 'scrypt', salt, ...SCRYPT_PARAMS },
+      check: this.encrypt(CHECK_PLAINTEXT, 'check'),
+      wallets: [],
+    };
+
+    this.save();
+  }
+
+  /**
+   * 以密碼解鎖 keystore
+   * @param {string} passphrase - 密碼
+   */
+  unlock(passphrase) {
+    const data = this.load();
+    const key = this.deriveKey(passphrase, data.kdf.salt, data.kdf);
+
+    try {
+      if (this.decrypt(data.check, 'check', key) !== CHECK_PLAINTEXT) {
+        throw new Error();
+      }
+    } catch (error) {
+      throw new Error('keystore 密碼錯誤');
+    }
+
+    this.data = data;
+    this.key = key;
+  }
+
+  /**
+   * 尚未解鎖時取得密碼並解鎖（伺服器與 gmgn-trader 啟動時呼叫）
+   * 密碼來源：KEYSTORE_PASSPHRASE，未設定時在終端機提示輸入
+   */
+  async unlockOnce() {
+    if (this.isUnlocked()) {
+      return;
+    }
+
+    if (!this.exists()) {
+      throw new Error(`找不到 keystore: ${this.filePath}（請先執行 npm run keystore init）`);
+    }
+
+    const passphrase = config.keystore.passphrase || await this.promptPassphrase('🔐 請輸入 keystore 密碼: ');
+    this.unlock(passphrase);
+  }
+
+  /**
+   * 清除記憶體中的衍生金鑰
+   */
+  lock() {
+    this.key = null;
+  }
+
+  /**
+   * 列出 keystore 中的錢包（不含私鑰，不需解鎖）
+   * @returns {Array<Object>} [{ chain, id, address, createdAt }]
+   */
+  listWallets() {
+    const data = this.data || this.load();
+    return data.wallets.map(({ chain, id, address, createdAt }) => ({ chain, id, address, createdAt }));
+  }
+
+  /**
+   * 加入錢包（同一條鏈的錢包 ID 不可重複）
+   * @param {string} chain - 鏈名稱
+   * @param {string} id - 錢包 ID
+   * @param {string} privateKey - 私鑰
+   * @param {string} address - 錢包地址
+   */
+  addWallet(chain, id, privateKey, address) {
+    this.assertUnlocked();
+
+    if (this.data.wallets.some((w) => w.chain === chain && w.id === id)) {
+      throw new Error(`keystore 已有 ${chain} 錢包: ${id}`);
+    }
+
+    this.data.wallets.push({
+      chain,
+      id,
+      address,
+      ...this.encrypt(privateKey, `${chain}:${id}`),
+      createdAt: new Date().toISOString(),
+    });
+
+    this.save();
+  }
+
+  /**
+   * 移除錢包
+   * @param {string} chain - 鏈名稱
+   * @param {string} id - 錢包 ID
+   */
+  removeWallet(chain, id) {
+    this.assertUnlocked();
+
+    const index = this.data.wallets.findIndex((w) => w.chain === chain && w.id === id);
+    if (index === -1) {
+      throw new Error(`keystore 找不到 ${chain} 錢包: ${id}`);
+    }
+
+    this.data.wallets.splice(index, 1);
+    this.save();
+  }
+
+  /**
+   * 解密取得私鑰
+   * @param {string} chain - 鏈名稱
+   * @param {string} id - 錢包 ID
+   * @returns {string} 私鑰
+   */
+  getPrivateKey(chain, id) {
+    this.assertUnlocked();
+
+    const entry = this.data.wallets.find((w) => w.chain === chain && w.id === id);
+    if (!entry) {
+      throw new Error(`keystore 找不到 ${chain} 錢包: ${id}`);
+    }
+
+    return this.decrypt(entry, `${chain}:${id}`);
+  }
+
+  /**
+   * 變更密碼（以新的 salt 重新加密所有私鑰）
+   * @param {string} newPassphrase - 新密碼
+   */
+  changePassphrase(newPassphrase) {
+    this.assertUnlocked();
+
+    if (!newPassphrase || newPassphrase.length < 8) {
+      throw new Error('keystore 密碼至少需要 8 個字元');
+    }
+
+    const privateKeys = this.data.wallets.map((w) => this.decrypt(w, `${w.chain}:${w.id}`));
+    const salt = crypto.randomBytes(32).toString('hex');
+
+    this.key = this.deriveKey(newPassphrase, salt, SCRYPT_PARAMS);
+    this.data = {
+      ...this.data,
+      kdf: { name: 'scrypt', salt, ...SCRYPT_PARAMS },
+      check: this.encrypt(CHECK_PLAINTEXT, 'check'),
+      wallets: this.data.wallets.map((w, i) => ({
+        ...w,
+        ...this.encrypt(privateKeys[i], `${w.chain}:${w.id}`),
+      })),
+    };
+
+    this.save();
+  }
+
+  /**
+   * 在終端機提示輸入密碼（不回顯）
+   * @param {string} prompt - 提示文字
+   * @returns {Promise<string>}
+   */
+  promptPassphrase(prompt) {
+    if (!process.stdin.isTTY) {
+      return Promise.reject(new Error('無法輸入 keystore 密碼（非互動式終端機），請設定 KEYSTORE_PASSPHRASE'));
+    }
+
+    return new Promise((resolve) => {
+      // 輸出導向空的 Writable，輸入內容不會顯示在終端機
+      const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+      const rl = readline.createInterface({ input: process.stdin, output: muted, terminal: true });
+
+      process.stdout.write(prompt);
+      rl.question('', (answer) => {
+        rl.close();
+        process.stdout.write('\n');
+        resolve(answer);
+      });
+    });
+  }
+
+  load() {
+    if (!this.exists()) {
+      throw new Error(`找不到 keystore: ${this.filePath}`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (data.version !== KEYSTORE_VERSION) {
+      throw new Error(`不支援的 keystore 版本: ${data.version}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * 寫入檔案（先寫暫存檔再改名，避免寫到一半損毀；權限僅限擁有者讀寫）
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  deriveKey(passphrase, salt, { N, r, p }) {
+    return crypto.scryptSync(passphrase, Buffer.from(salt, 'hex'), 32, { N, r, p, maxmem: 256 * N * r });
+  }
+
+  /**
+   * AES-256-GCM 加密，aad 綁定鏈與錢包 ID，避免密文被調換到其他錢包
+   */
+  encrypt(plaintext, aad, key = this.key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+    };
+  }
+
+  decrypt({ iv, ciphertext, tag }, aad, key = this.key) {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'hex'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  assertUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new Error(this.exists() ? 'keystore 尚未解鎖' : '尚未建立 keystore（請先執行 npm run keystore init）');
+    }
+  }
+}
+
+export default new Keystore();
@@ -0,0 +1,110 @@
+import { ethers } from 'ethers';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external payable returns ((bool success, bytes returnData)[] returnData)',
+];
+
+// Multicall 不可用後，改用個別呼叫的時間（毫秒），之後再重新嘗試
+const RETRY_AFTER_MS = 10 * 60 * 1000;
+
+/**
+ * Multicall3 批次讀取（BSC / Base 價格監控使用）
+ * 將多個 eth_call 合併成 aggregate3 呼叫（每次最多 config.multicall.batchSize 筆），單筆失敗不影響其他呼叫；
+ * 節點不支援 Multicall（合約不存在、呼叫被 revert）時改用個別 eth_call，並在一段時間後重新嘗試；
+ * 暫時性錯誤（逾時、限流）只在該輪改用個別呼叫
+ */
+class Multicall {
+  /**
+   * @param {ethers.Provider} provider - RPC provider
+   * @param {string} label - 日誌用名稱（鏈）
+   */
+  constructor(provider, label) {
+    this.provider = provider;
+    this.label = label;
+    this.contract = new ethers.Contract(config.multicall.address, MULTICALL3_ABI, provider);
+    this.disabledUntil = config.multicall.enabled ? 0 : Infinity;
+  }
+
+  /**
+   * 批次呼叫
+   * @param {Array<Object>} calls - [{ target, iface (ethers.Interface), method, args }]
+   * @returns {Promise<Array<Object>>} 與 calls 對應的 [{ success, value, error }]，value 為解碼後的 Result
+   */
+  async call(calls) {
+    if (calls.length === 0) {
+      return [];
+    }
+
+    const encoded = calls.map(({ target, iface, method, args = [] }) => ({
+      target,
+      allowFailure: true,
+      callData: iface.encodeFunctionData(method, args),
+    }));
+
+    let raw = null;
+    if (Date.now() >= this.disabledUntil) {
+      try {
+        raw = [];
+        for (let i = 0; i < encoded.length; i += config.multicall.batchSize) {
+          const chunk = await this.contract.aggregate3.staticCall(encoded.slice(i, i + config.multicall.batchSize));
+          raw.push(...chunk.map(([success, returnData]) => ({ success, returnData })));
+        }
+      } catch (error) {
+        raw = null;
+
+        if (await this.isUnsupported(error)) {
+          this.disabledUntil = Date.now() + RETRY_AFTER_MS;
+          logger.warn(`⚠️ ${this.label} Multicall 不可用，改用個別呼叫: ${error.shortMessage || error.message}`);
+        } else {
+          // 逾時、限流等暫時性錯誤：本輪改用個別呼叫，下一輪仍使用 Multicall
+          logger.warn(`⚠️ ${this.label} Multicall 呼叫失敗，本輪改用個別呼叫: ${error.shortMessage || error.message}`);
+        }
+      }
+    }
+
+    // Multicall 不可用：個別 eth_call（ethers 仍會合併成 JSON-RPC batch 請求）
+    raw ??= await Promise.all(encoded.map(async ({ target, callData }) => {
+      try {
+        return { success: true, returnData: await this.provider.call({ to: target, data: callData }) };
+      } catch (error) {
+        return { success: false, returnData: '0x', error };
+      }
+    }));
+
+    return raw.map(({ success, returnData, error }, i) => {
+      const { iface, method } = calls[i];
+
+      if (!success || returnData === '0x') {
+        return { success: false, value: null, error: error?.shortMessage || error?.message || `${method} 呼叫失敗` };
+      }
+
+      try {
+        return { success: true, value: iface.decodeFunctionResult(method, returnData), error: null };
+      } catch (decodeError) {
+        return { success: false, value: null, error: `${method} 解碼失敗` };
+      }
+    });
+  }
+
+  /**
+   * 判斷 Multicall 錯誤是否代表節點不支援：呼叫被 revert，或 config.multicall.address 上沒有合約
+   * 無法確認時視為暫時性錯誤
+   * @param {Error} error - aggregate3 拋出的錯誤
+   * @returns {Promise<boolean>}
+   */
+  async isUnsupported(error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      return true;
+    }
+
+    try {
+      return (await this.provider.getCode(config.multicall.address)) === '0x';
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export default Multicall;
@@ -42,7 +42,9 @@ class TelegramNotification {
         '可用命令：\n' +
         '/start - 開始使用\n' +
         '/help - 顯示此幫助訊息\n' +
-        '/status - 查看系統狀態\n\n' +
+        '/status - 查看系統狀態\n' +
+        '/halt [cancel] [原因] - 暫停所有交易（加 cancel 同時取消所有掛單）\n' +
+        '/resume - 恢復交易\n\n' +
         '您將收到以下通知：\n' +
         '• 價格提醒觸發\n' +
         '• 掛單執行\n' +
@@ -56,6 +58,32 @@ class TelegramNotification {
     });
   }
 
+  /**
+   * 註冊指令（只接受設定的 Chat ID，避免他人操作交易）
+   * @param {string} command - 指令名稱（不含 /）
+   * @param {Function} handler - (ctx, args) => 回覆文字
+   */
+  registerCommand(command, handler) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.bot.command(command, async (ctx) => {
+      if (String(ctx.chat?.id) !== String(this.chatId)) {
+        logger.warn(`拒絕未授權的 Telegram 指令 /${command} (chat: ${ctx.chat?.id})`);
+        return;
+      }
+
+      try {
+        const args = ctx.message.text.split(/\s+/).slice(1);
+        await ctx.reply(await handler(ctx, args));
+      } catch (error) {
+        logger.error(`Telegram 指令 /${command} 失敗:`, error.message);
+        await ctx.reply(`❌ ${error.message}`);
+      }
+    });
+  }
+
   async launch() {
     if (!this.enabled) {
       return;
@@ -123,6 +151,8 @@ class TelegramNotification {
       `類型: ${escapeMarkdown(order.type)}\n` +
       `目標價格: ${escapeMarkdown(order.target_price)}\n` +
       `執行價格: ${escapeMarkdown(order.current_price)}\n` +
+      (order.paperTraded ? `模擬成交: ${escapeMarkdown(`${order.amountIn} → ${order.amountOut}`)}\n` : '') +
+      (order.route ? `路由: ${escapeMarkdown(order.route)}\n` : '') +
       `時間: ${escapeMarkdown(toTaiwanString())}`;
 
     await this.sendMessage(message);
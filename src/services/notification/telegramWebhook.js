@@ -135,6 +135,8 @@ class TelegramWebhookNotification {
       'limit_sell': '🔴',
       'stop_loss': '🛑',
       'take_profit': '💰',
+      'trailing_stop': '📉',
+      'trailing_buy': '📈',
     };
 
     const emoji = orderTypeEmoji[order.type] || '📊';
@@ -143,18 +145,30 @@ class TelegramWebhookNotification {
       'limit_sell': '限價賣出',
       'stop_loss': '止損',
       'take_profit': '止盈',
+      'trailing_stop': '追蹤止損',
+      'trailing_buy': '追蹤買入',
     }[order.type] || order.type;
 
+    // 追蹤單的 target_price 為百分比
+    const isTrailing = order.type === 'trailing_stop' || order.type === 'trailing_buy';
+    const targetText = isTrailing
+      ? `${order.target_price}% (${order.type === 'trailing_stop' ? '最高價' : '最低價'}: ${order.watermark_price})`
+      : order.target_price;
+
     const message =
       `${emoji} <b>掛單已執行</b> ${emoji}\n\n` +
       `💎 <b>代幣資訊</b> 💎\n` +
       `🌟名稱: <b>${order.symbol}</b>\n` +
       `💫地址: <code>${order.address || 'N/A'}</code>\n` +
       `📋 訂單類型: <b>${typeText}</b>\n` +
-      `🎯 目標價格: <b>${order.target_price}</b>\n` +
+      `🎯 ${isTrailing ? '追蹤幅度' : '目標價格'}: <b>${targetText}</b>\n` +
       `💲執行價格: <b>${order.current_price}</b>\n` +
-      `⏰ 執行時間: ${toTaiwanString()}\n\n` +
-      `✅ 訂單已成功執行`;
+      `⏰ 執行時間: ${toTaiwanString()}\n` +
+      (order.route ? `🔀 路由: ${order.route}\n` : '') +
+      `\n` +
+      (order.paperTraded
+        ? `📝 模擬成交（未送出鏈上交易）: ${order.amountIn} → ${order.amountOut}`
+        : `✅ 訂單已成功執行`);
 
     await this.sendMessage(message);
 
@@ -163,7 +177,7 @@ class TelegramWebhookNotification {
     const emailBody =
       `代幣: ${order.symbol}\n` +
       `類型: ${typeText}\n` +
-      `目標價格: ${order.target_price}\n` +
+      `${isTrailing ? '追蹤幅度' : '目標價格'}: ${targetText}\n` +
       `執行價格: ${order.current_price}\n` +
       `時間: ${toTaiwanString()}`;
 
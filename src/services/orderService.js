@@ -1,14 +1,56 @@
+import { ethers } from 'ethers';
 import db from '../database/db.js';
 import logger from '../utils/logger.js';
 import TelegramNotification from './notification/telegram.js';
 import TelegramWebhookNotification from './notification/telegramWebhook.js';
 import LINENotification from './notification/line.js';
 import walletManager from './walletManager.js';
+import tradeService from './tradeService.js';
+import paperTradingService from './paperTradingService.js';
+import tokenSafetyService from './tokenSafetyService.js';
+import riskManager from './riskManager.js';
 import BSCTradeExecutor from './tradeExecutor/bscExecutor.js';
 import SolanaTradeExecutor from './tradeExecutor/solanaExecutor.js';
 import BaseTradeExecutor from './tradeExecutor/baseExecutor.js';
+import txManager from './tradeExecutor/txManager.js';
 import config from '../config/config.js';
 import { getTaiwanISOString } from '../utils/timeHelper.js';
+import { formatRawAmount, toRawAmount } from '../utils/formatHelper.js';
+
+// 確保資料庫欄位（追蹤單水位、OCO 訂單群組、交易數量、重試策略、交易錢包、待確認交易、括號單連動取消）
+(function migrate() {
+  try { db.exec('ALTER TABLE orders ADD COLUMN watermark_price REAL'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN group_id INTEGER'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN group_role TEXT'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN amount REAL'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN amount_type TEXT'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN max_attempts INTEGER'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN retry_backoff_seconds INTEGER'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN slippage_step REAL'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN attempts INTEGER DEFAULT 0'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN last_error TEXT'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN next_retry_at DATETIME'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN wallet_id TEXT'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN pending_tx TEXT'); } catch (e) {}
+  try { db.exec('ALTER TABLE orders ADD COLUMN cancelled_by_group INTEGER DEFAULT 0'); } catch (e) {}
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS order_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (token_id) REFERENCES tokens(id)
+    )
+  `);
+})();
+
+// 買入類型的訂單（其餘皆為賣出）
+export const BUY_ORDER_TYPES = ['limit_buy', 'trailing_buy'];
+
+// 正在執行中的訂單 ID（防止同一訂單在交易未完成前被重複執行）
+const inFlightOrders = new Set();
+
+// 檢查結果未確定交易（pending_tx 訂單）的間隔（毫秒）
+const PENDING_TX_CHECK_MS = 30 * 1000;
 
 class OrderService {
   constructor() {
@@ -21,6 +63,9 @@ class OrderService {
       base: new BaseTradeExecutor(),
     };
     this.autoTradeEnabled = false;
+    this.paperTradeEnabled = false;
+    this.pendingTxTimer = null;
+    this.checkingPendingTx = false;
   }
 
   /**
@@ -29,8 +74,16 @@ class OrderService {
   async initialize() {
     // 檢查是否啟用自動交易
     this.autoTradeEnabled = process.env.AUTO_TRADE_ENABLED === 'true';
+    this.paperTradeEnabled = process.env.PAPER_TRADE_ENABLED === 'true';
 
-    if (this.autoTradeEnabled) {
+    // 模擬交易優先：兩者同時開啟時不送出真實交易
+    if (this.paperTradeEnabled) {
+      if (this.autoTradeEnabled) {
+        logger.warn('AUTO_TRADE_ENABLED 與 PAPER_TRADE_ENABLED 同時開啟，僅執行模擬交易');
+        this.autoTradeEnabled = false;
+      }
+      logger.info('📝 模擬交易模式已啟用（依報價模擬成交，不送出鏈上交易）');
+    } else if (this.autoTradeEnabled) {
       logger.warn('⚠️  自動交易功能已啟用！');
       logger.warn('請確保已經：');
       logger.warn('1. 設定私鑰');
@@ -39,6 +92,10 @@ class OrderService {
     } else {
       logger.info('自動交易功能未啟用（僅監控+通知）');
     }
+
+    // 追蹤結果未確定的交易（含重新啟動前留下的 pending_tx 訂單）
+    this.checkPendingTransactions();
+    this.pendingTxTimer = setInterval(() => this.checkPendingTransactions(), PENDING_TX_CHECK_MS);
   }
 
   /**
@@ -48,14 +105,30 @@ class OrderService {
    */
   createOrder(orderData) {
     try {
-      const { token_id, type, target_price } = orderData;
+      const {
+        token_id,
+        type,
+        target_price,
+        amount = null,
+        amount_type = null,
+        max_attempts = null,
+        retry_backoff_seconds = null,
+        slippage_step = null,
+        wallet_id = null,
+      } = orderData;
 
       const stmt = db.prepare(`
-        INSERT INTO orders (token_id, type, target_price, status)
-        VALUES (?, ?, ?, 'active')
+        INSERT INTO orders (
+          token_id, type, target_price, status, amount, amount_type,
+          max_attempts, retry_backoff_seconds, slippage_step, wallet_id
+        )
+        VALUES (?, ?, ?, 'active', ?, ?, ?, ?, ?, ?)
       `);
 
-      const result = stmt.run(token_id, type, target_price);
+      const result = stmt.run(
+        token_id, type, target_price, amount, amount_type,
+        max_attempts, retry_backoff_seconds, slippage_step, wallet_id
+      );
 
       logger.success(`訂單已建立 (ID: ${result.lastInsertRowid})`);
 
@@ -71,6 +144,126 @@ class OrderService {
     }
   }
 
+  /**
+   * 驗證訂單指定的錢包存在於代幣所在的鏈
+   * @param {number} tokenId - 代幣 ID
+   * @param {string} walletId - 錢包 ID
+   * @returns {string|null} 錯誤訊息，通過時為 null
+   */
+  validateWallet(tokenId, walletId) {
+    const token = db.prepare('SELECT chain FROM tokens WHERE id = ?').get(tokenId);
+
+    if (!token) {
+      return `找不到代幣 (ID: ${tokenId})`;
+    }
+
+    if (!walletManager.hasWallet(token.chain, walletId)) {
+      return `${token.chain} 鏈找不到錢包: ${walletId}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * 建立括號單（OCO）：止盈 + 止損，可選擇加上進場限價買入
+   * 有進場單時，止盈/止損先以 pending 狀態等待，進場成交後才啟用；
+   * 任一出場單執行後，同群組的其他訂單自動取消
+   * 進場單使用 amount（原生幣數量），出場單預設賣出 100% 持倉
+   * @param {Object} bracketData - { token_id, take_profit, stop_loss, entry_price, amount, wallet_id }
+   * @returns {Object} 建立的群組與訂單
+   */
+  createBracketOrder(bracketData) {
+    try {
+      const { token_id, take_profit, stop_loss, entry_price = null, amount = null, wallet_id = null } = bracketData;
+
+      const insertGroup = db.prepare('INSERT INTO order_groups (token_id) VALUES (?)');
+      const insertOrder = db.prepare(`
+        INSERT INTO orders (token_id, type, target_price, status, group_id, group_role, amount, amount_type, wallet_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      const create = db.transaction(() => {
+        const groupId = insertGroup.run(token_id).lastInsertRowid;
+        const exitStatus = entry_price ? 'pending' : 'active';
+        const orderIds = [];
+
+        if (entry_price) {
+          orderIds.push(insertOrder.run(
+            token_id, 'limit_buy', entry_price, 'active', groupId, 'entry', amount, amount ? 'native' : null, wallet_id
+          ).lastInsertRowid);
+        }
+        orderIds.push(insertOrder.run(token_id, 'take_profit', take_profit, exitStatus, groupId, 'exit', 100, 'percent', wallet_id).lastInsertRowid);
+        orderIds.push(insertOrder.run(token_id, 'stop_loss', stop_loss, exitStatus, groupId, 'exit', 100, 'percent', wallet_id).lastInsertRowid);
+
+        return { groupId, orderIds };
+      });
+
+      const { groupId, orderIds } = create();
+
+      logger.success(`括號單已建立 (群組 ID: ${groupId}, 訂單: ${orderIds.join(', ')})`);
+
+      return {
+        group_id: groupId,
+        token_id,
+        orders: db.prepare('SELECT * FROM orders WHERE group_id = ? ORDER BY id').all(groupId),
+      };
+    } catch (error) {
+      logger.error('建立括號單失敗:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 處理群組訂單的連動：進場單成交後啟用出場單，出場單成交後取消其餘訂單
+   * @param {Object} order - 已執行的訂單
+   */
+  handleGroupExecution(order) {
+    if (!order.group_id) {
+      return;
+    }
+
+    if (order.group_role === 'entry') {
+      const result = db.prepare(`
+        UPDATE orders
+        SET status = 'active'
+        WHERE group_id = ? AND status = 'pending'
+      `).run(order.group_id);
+
+      logger.info(`括號單進場已成交，啟用 ${result.changes} 筆出場訂單 (群組 ID: ${order.group_id})`);
+      return;
+    }
+
+    const result = db.prepare(`
+      UPDATE orders
+      SET status = 'cancelled'
+      WHERE group_id = ? AND id != ? AND status IN ('active', 'pending')
+    `).run(order.group_id, order.id);
+
+    if (result.changes > 0) {
+      logger.info(`OCO：已取消同群組 ${result.changes} 筆訂單 (群組 ID: ${order.group_id})`);
+    }
+  }
+
+  /**
+   * 進場單結束（失敗、取消或刪除）且未成交時，取消同群組等待中的出場單
+   * @param {Object} order - 已結束的訂單
+   */
+  handleGroupTermination(order) {
+    if (!order?.group_id || order.group_role !== 'entry') {
+      return;
+    }
+
+    const result = db.prepare(`
+      UPDATE orders
+      SET status = 'cancelled', cancelled_by_group = 1
+      WHERE group_id = ? AND id != ? AND status IN ('active', 'pending')
+    `).run(order.group_id, order.id);
+
+    if (result.changes > 0) {
+      logger.info(`括號單進場未成交，已取消 ${result.changes} 筆出場訂單 (群組 ID: ${order.group_id})`);
+    }
+  }
+
   /**
    * 獲取所有活躍訂單
    * @returns {Array} 訂單列表
@@ -145,6 +338,14 @@ class OrderService {
         return false;
       }
 
+      // 交易進行中，或仍在重試退避時間內
+      if (inFlightOrders.has(order.id)) {
+        return false;
+      }
+      if (order.next_retry_at && new Date(order.next_retry_at).getTime() > Date.now()) {
+        return false;
+      }
+
       let shouldExecute = false;
 
       // 檢查訂單類型和條件
@@ -165,6 +366,18 @@ class OrderService {
           // 止盈：當前價格 >= 目標價格
           shouldExecute = currentPrice >= order.target_price;
           break;
+        case 'trailing_stop': {
+          // 追蹤止損：從建立後的最高價回落 target_price% 時賣出
+          const highPrice = this.updateWatermark(order, currentPrice);
+          shouldExecute = currentPrice <= highPrice * (1 - order.target_price / 100);
+          break;
+        }
+        case 'trailing_buy': {
+          // 追蹤買入：從建立後的最低價反彈 target_price% 時買入
+          const lowPrice = this.updateWatermark(order, currentPrice);
+          shouldExecute = currentPrice >= lowPrice * (1 + order.target_price / 100);
+          break;
+        }
         default:
           logger.warn(`未知的訂單類型: ${order.type}`);
       }
@@ -181,16 +394,50 @@ class OrderService {
     }
   }
 
+  /**
+   * 更新追蹤單的價格水位（trailing_stop 記錄最高價，trailing_buy 記錄最低價）
+   * 水位寫入 orders.watermark_price，重啟後可延續
+   * @param {Object} order - 訂單資料
+   * @param {number} currentPrice - 當前價格
+   * @returns {number} 更新後的水位
+   */
+  updateWatermark(order, currentPrice) {
+    const previous = order.watermark_price;
+    const isHigher = order.type === 'trailing_stop';
+
+    if (previous && (isHigher ? currentPrice <= previous : currentPrice >= previous)) {
+      return previous;
+    }
+
+    db.prepare('UPDATE orders SET watermark_price = ? WHERE id = ?').run(currentPrice, order.id);
+
+    if (previous) {
+      logger.debug(`追蹤單水位更新 (ID: ${order.id}): ${previous} → ${currentPrice}`);
+    }
+
+    return currentPrice;
+  }
+
   /**
    * 執行訂單
    * @param {number} orderId - 訂單 ID
    * @param {number} executionPrice - 執行價格
    */
   async executeOrder(orderId, executionPrice) {
+    const id = Number(orderId);
+    if (inFlightOrders.has(id)) {
+      logger.warn(`訂單 ${orderId} 正在執行中，略過重複執行`);
+      return;
+    }
+
+    inFlightOrders.add(id);
+    let tradeResult = null;
     try {
       // 獲取訂單和代幣詳情
       const order = db.prepare(`
-        SELECT o.*, t.symbol, t.chain, t.address, t.decimals, t.pair_address
+        SELECT o.*, t.symbol, t.chain, t.address, t.decimals, t.pair_address,
+               t.fee_on_transfer, t.buy_tax, t.sell_tax,
+               t.pool_address, t.pool_protocol, t.pool_version
         FROM orders o
         JOIN tokens t ON o.token_id = t.id
         WHERE o.id = ?
@@ -202,52 +449,330 @@ class OrderService {
 
       logger.info(`準備執行訂單 (ID: ${orderId}, 類型: ${order.type})`);
 
-      let tradeResult = null;
-
-      // 如果啟用自動交易，執行實際交易
-      if (this.autoTradeEnabled) {
+      // 如果啟用自動交易（或模擬交易），執行交易
+      if (this.autoTradeEnabled || this.paperTradeEnabled) {
         tradeResult = await this.executeTrade(order, executionPrice);
 
+        // 暫停交易期間不計入失敗次數，訂單維持 active，恢復後價格條件仍成立時再執行
+        if (tradeResult.halted) {
+          logger.warn(`🛑 交易已暫停，略過訂單 ${orderId}`);
+          return;
+        }
+
+        // 交易已送出但結果未確定：保留訂單等待原 nonce 上鏈或被取代，期間不重試
+        if (tradeResult.pendingTx) {
+          this.holdPendingTx(order, tradeResult, executionPrice);
+          return;
+        }
+
         if (!tradeResult.success) {
           logger.error(`交易執行失敗: ${tradeResult.error}`);
-          // 不標記訂單為執行，保持活躍狀態
-          this.telegram.sendError(`訂單 ${orderId} 執行失敗: ${tradeResult.error}`);
+          this.handleExecutionFailure(order, tradeResult.error, tradeResult.fatal);
           return;
         }
       }
 
-      // 更新訂單狀態
-      const stmt = db.prepare(`
+      this.completeOrder(order, executionPrice, tradeResult);
+    } catch (error) {
+      logger.error('執行訂單失敗:', error.message);
+      throw error;
+    } finally {
+      inFlightOrders.delete(id);
+
+      // 成交已寫入 trades 或交易失敗後釋放風控預留；結果未確定時保留至 checkPendingTransactions 處理
+      if (!tradeResult?.pendingTx) {
+        riskManager.release(id);
+      }
+    }
+  }
+
+  /**
+   * 標記訂單已執行：寫入成交紀錄、處理群組連動並發送通知
+   * @param {Object} order - 訂單詳情
+   * @param {number} executionPrice - 執行價格
+   * @param {Object|null} tradeResult - 交易結果（僅通知模式時為 null）
+   */
+  completeOrder(order, executionPrice, tradeResult) {
+    // 更新訂單狀態
+    db.prepare(`
+      UPDATE orders
+      SET status = 'executed',
+          current_price = ?,
+          executed_at = ?,
+          next_retry_at = NULL,
+          pending_tx = NULL
+      WHERE id = ?
+    `).run(executionPrice, getTaiwanISOString(), order.id);
+
+    logger.success(`✅ 訂單已執行 (ID: ${order.id}, 價格: ${executionPrice})`);
+
+    // 寫入成交紀錄
+    if (tradeResult) {
+      this.recordTrade(order, tradeResult, executionPrice);
+    }
+
+    // OCO 群組連動
+    this.handleGroupExecution(order);
+
+    // 發送通知
+    const notification = {
+      ...order,
+      current_price: executionPrice,
+      txHash: tradeResult?.txHash || tradeResult?.signature,
+      autoTraded: this.autoTradeEnabled,
+      paperTraded: !!tradeResult?.simulated,
+      amountIn: tradeResult?.amountIn,
+      amountOut: tradeResult?.amountOut,
+      route: tradeResult?.route,
+    };
+
+    // 發送原本的 Telegram 通知
+    this.telegram.sendOrderExecuted(notification);
+
+    // 發送 Webhook 通知
+    this.telegramWebhook.sendOrderExecuted(notification);
+  }
+
+  /**
+   * 交易已送出但結果未確定（加速後仍未確認、查詢狀態失敗）：訂單改為 pending_tx，
+   * 由 checkPendingTransactions 追蹤原 nonce，確認前不重試，避免重複成交
+   * @param {Object} order - 訂單詳情
+   * @param {Object} tradeResult - 交易結果（含 pendingTx）
+   * @param {number} executionPrice - 執行價格
+   */
+  holdPendingTx(order, tradeResult, executionPrice) {
+    db.prepare(`
+      UPDATE orders
+      SET status = 'pending_tx', last_error = ?, next_retry_at = NULL, pending_tx = ?
+      WHERE id = ?
+    `).run(tradeResult.error, JSON.stringify({ ...tradeResult.pendingTx, price: executionPrice }), order.id);
+
+    logger.warn(`⏳ 訂單 ${order.id} 交易結果未確定，等待 nonce ${tradeResult.pendingTx.nonce} 上鏈後再處理: ${tradeResult.error}`);
+    this.telegram.sendError(`訂單 ${order.id} (${order.symbol}) 交易尚未確認，確認前不會重試（可在待確認交易中加速或取消）: ${tradeResult.error}`);
+  }
+
+  /**
+   * 檢查 pending_tx 訂單的交易結果
+   * - 已上鏈成功：標記為已執行並寫入成交紀錄
+   * - 失敗 / 被取代：回到一般失敗處理（可依重試策略重試）
+   * - 已手動取消：標記為失敗
+   */
+  async checkPendingTransactions() {
+    if (this.checkingPendingTx) {
+      return;
+    }
+
+    this.checkingPendingTx = true;
+    try {
+      const orders = db.prepare(`
+        SELECT o.*, t.symbol, t.chain, t.address, t.decimals
+        FROM orders o
+        JOIN tokens t ON o.token_id = t.id
+        WHERE o.status = 'pending_tx'
+      `).all();
+
+      for (const order of orders) {
+        try {
+          const pendingTx = JSON.parse(order.pending_tx);
+
+          // 確認前買入額度持續計入風控（重新啟動後恢復預留）
+          if (BUY_ORDER_TYPES.includes(order.type)) {
+            riskManager.reserve(order.id, { chain: order.chain, tokenAddress: order.address, amount: pendingTx.amountIn });
+          }
+
+          const { status, receipt } = await txManager.checkOutcome(pendingTx);
+
+          if (status === 'pending') {
+            continue;
+          }
+
+          if (status === 'confirmed') {
+            logger.success(`✅ 訂單 ${order.id} 的交易已確認上鏈: ${receipt.hash}`);
+            this.completeOrder(order, pendingTx.price, {
+              success: true,
+              txHash: receipt.hash,
+              gasUsed: receipt.gasUsed.toString(),
+              gasCost: parseFloat(ethers.formatEther(receipt.gasUsed * receipt.gasPrice)),
+              blockNumber: receipt.blockNumber,
+              ...this.resolveReceiptFill(order, pendingTx, receipt),
+            });
+            riskManager.release(order.id);
+            continue;
+          }
+
+          const reasons = {
+            reverted: `交易執行失敗 (reverted): ${receipt?.hash}`,
+            cancelled: `交易已取消 (nonce ${pendingTx.nonce})`,
+            replaced: `nonce ${pendingTx.nonce} 已被其他交易使用`,
+          };
+
+          db.prepare(`UPDATE orders SET status = 'active', pending_tx = NULL WHERE id = ?`).run(order.id);
+          logger.error(`交易執行失敗: ${reasons[status]}`);
+          this.handleExecutionFailure(order, reasons[status], status === 'cancelled');
+          riskManager.release(order.id);
+        } catch (error) {
+          logger.error(`檢查訂單 ${order.id} 的待確認交易失敗:`, error.message);
+        }
+      }
+    } finally {
+      this.checkingPendingTx = false;
+    }
+  }
+
+  /**
+   * 從收據解析稍後才確認的交易成交數量
+   * 買入：花費為送出時的數量，獲得的代幣取自 Transfer 事件；
+   * 賣出：賣出的代幣取自 Transfer 事件（查無時使用送出時的數量），收回的原生幣取自 WBNB / WETH 解包事件。
+   * 查無獲得數量時標記為不完整（incomplete），不計入 FIFO 損益與風控統計
+   * @param {Object} order - 訂單詳情（含 chain、address、decimals）
+   * @param {Object} pendingTx - 保存的待確認交易（含 address、amountIn）
+   * @param {TransactionReceipt} receipt - 交易收據
+   * @returns {Object} { amountIn, amountOut, incomplete }
+   */
+  resolveReceiptFill(order, pendingTx, receipt) {
+    const fill = txManager.parseFill(order.chain, receipt, {
+      tokenAddress: order.address,
+      walletAddress: pendingTx.address,
+      decimals: order.decimals,
+    });
+
+    const isBuy = BUY_ORDER_TYPES.includes(order.type);
+    const amountIn = isBuy ? pendingTx.amountIn : (fill.tokensSent ?? pendingTx.amountIn);
+    const amountOut = isBuy ? fill.tokensReceived : fill.nativeReceived;
+
+    if (amountOut === null) {
+      logger.warn(`⚠️ 訂單 ${order.id} 無法從收據取得成交數量，成交紀錄標記為不完整（不計入損益與風控）: ${receipt.hash}`);
+    }
+
+    return { amountIn, amountOut, incomplete: amountOut === null };
+  }
+
+  /**
+   * 處理交易失敗：累計嘗試次數並記錄錯誤，
+   * 未達上限時依指數退避排定下次重試，達上限（或重試無意義的錯誤）則標記為 failed
+   * @param {Object} order - 訂單詳情
+   * @param {string} errorMessage - 錯誤訊息
+   * @param {boolean} fatal - 是否為不可重試的錯誤（例如蜜罐檢測、風控拒絕）
+   */
+  handleExecutionFailure(order, errorMessage, fatal = false) {
+    const attempts = (order.attempts || 0) + 1;
+    const maxAttempts = order.max_attempts || config.orderRetry.maxAttempts;
+
+    if (fatal || attempts >= maxAttempts) {
+      db.prepare(`
         UPDATE orders
-        SET status = 'executed',
-            current_price = ?,
-            executed_at = ?
+        SET status = 'failed', attempts = ?, last_error = ?, next_retry_at = NULL
         WHERE id = ?
-      `);
+      `).run(attempts, errorMessage, order.id);
+
+      if (fatal) {
+        logger.error(`❌ 訂單 ${order.id} 已拒絕執行: ${errorMessage}`);
+        this.telegram.sendError(`訂單 ${order.id} (${order.symbol}) 已拒絕執行: ${errorMessage}`);
+      } else {
+        logger.error(`❌ 訂單 ${order.id} 已嘗試 ${attempts} 次，標記為失敗`);
+        this.telegram.sendError(`訂單 ${order.id} (${order.symbol}) 已嘗試 ${attempts} 次仍失敗，已停止重試: ${errorMessage}`);
+      }
 
-      stmt.run(executionPrice, getTaiwanISOString(), orderId);
+      this.handleGroupTermination(order);
+      return;
+    }
 
-      logger.success(`✅ 訂單已執行 (ID: ${orderId}, 價格: ${executionPrice})`);
+    const backoffSeconds = (order.retry_backoff_seconds ?? config.orderRetry.backoffSeconds) * Math.pow(2, attempts - 1);
+    const nextRetryAt = new Date(Date.now() + backoffSeconds * 1000).toISOString();
 
-      // 發送通知
-      const notification = {
-        ...order,
-        current_price: executionPrice,
-        txHash: tradeResult?.txHash || tradeResult?.signature,
-        autoTraded: this.autoTradeEnabled,
-      };
+    db.prepare(`
+      UPDATE orders
+      SET attempts = ?, last_error = ?, next_retry_at = ?
+      WHERE id = ?
+    `).run(attempts, errorMessage, nextRetryAt, order.id);
+
+    logger.warn(`訂單 ${order.id} 第 ${attempts}/${maxAttempts} 次執行失敗，${backoffSeconds} 秒後重試`);
+
+    // 只在第一次失敗時通知，避免重試期間洗版
+    if (attempts === 1) {
+      this.telegram.sendError(`訂單 ${order.id} (${order.symbol}) 執行失敗，將自動重試 (最多 ${maxAttempts} 次): ${errorMessage}`);
+    }
+  }
+
+  /**
+   * 計算本次執行的滑點：基礎滑點 + 已失敗次數 × 每次增加量，不超過上限
+   * @param {Object} order - 訂單詳情
+   * @returns {number} 滑點 (%)
+   */
+  getSlippage(order) {
+    const baseSlippage = parseFloat(process.env.TRADE_SLIPPAGE || '2');
+    const step = order.slippage_step ?? config.orderRetry.slippageStep;
+    const slippage = baseSlippage + (order.attempts || 0) * step;
 
-      // 發送原本的 Telegram 通知
-      this.telegram.sendOrderExecuted(notification);
+    // 執行器以整數百分比計算 amountOutMin
+    return Math.round(Math.min(slippage, Math.max(baseSlippage, config.orderRetry.maxSlippage)));
+  }
+
+  /**
+   * 重新啟用失敗的訂單（重置嘗試次數）
+   * @param {number} orderId - 訂單 ID
+   */
+  retryOrder(orderId) {
+    try {
+      const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+
+      const result = db.prepare(`
+        UPDATE orders
+        SET status = 'active', attempts = 0, last_error = NULL, next_retry_at = NULL
+        WHERE id = ? AND status = 'failed'
+      `).run(orderId);
+
+      if (result.changes === 0) {
+        throw new Error('訂單不存在或不是失敗狀態');
+      }
 
-      // 發送 Webhook 通知
-      this.telegramWebhook.sendOrderExecuted(notification);
+      // 括號單進場失敗時已取消出場單，重新啟用進場單時一併恢復為等待中（手動取消的出場單維持取消）
+      if (order.group_id && order.group_role === 'entry') {
+        db.prepare(`
+          UPDATE orders
+          SET status = 'pending', cancelled_by_group = 0
+          WHERE group_id = ? AND group_role = 'exit' AND status = 'cancelled' AND cancelled_by_group = 1
+        `).run(order.group_id);
+      }
+
+      logger.info(`訂單已重新啟用 (ID: ${orderId})`);
     } catch (error) {
-      logger.error('執行訂單失敗:', error.message);
+      logger.error('重新啟用訂單失敗:', error.message);
       throw error;
     }
   }
 
+  /**
+   * 將鏈上成交寫入 trades 表（記錄失敗不影響訂單狀態）
+   * @param {Object} order - 訂單詳情
+   * @param {Object} tradeResult - 交易執行器回傳結果
+   * @param {number} executionPrice - 執行價格（USD）
+   */
+  recordTrade(order, tradeResult, executionPrice) {
+    try {
+      tradeService.recordTrade({
+        order_id: order.id,
+        token_id: order.token_id,
+        chain: order.chain,
+        token_address: order.address,
+        symbol: order.symbol,
+        side: BUY_ORDER_TYPES.includes(order.type) ? 'buy' : 'sell',
+        amount_in: tradeResult.amountIn,
+        amount_out: tradeResult.amountOut,
+        price_usd: executionPrice,
+        tx_hash: tradeResult.txHash || tradeResult.signature,
+        gas_used: tradeResult.gasUsed,
+        gas_cost: tradeResult.gasCost,
+        block_number: tradeResult.blockNumber,
+        source: tradeResult.simulated ? 'paper' : 'order',
+        route: tradeResult.route,
+        incomplete: tradeResult.incomplete === true,
+      });
+    } catch (error) {
+      logger.error(`訂單 ${order.id} 成交紀錄寫入失敗:`, error.message);
+    }
+  }
+
   /**
    * 執行鏈上交易
    * @param {Object} order - 訂單詳情
@@ -257,12 +782,22 @@ class OrderService {
   async executeTrade(order, currentPrice) {
     try {
       const chain = order.chain.toLowerCase();
+      const isPaper = this.paperTradeEnabled;
+
+      // 全域暫停交易（kill switch）
+      if (riskManager.isHalted()) {
+        return {
+          success: false,
+          error: '交易已暫停',
+          halted: true,
+        };
+      }
 
-      // 檢查是否有對應鏈的錢包
-      if (!walletManager.hasWallet(chain)) {
+      // 檢查是否有對應鏈的錢包（模擬交易不需要）
+      if (!isPaper && !walletManager.hasWallet(chain, order.wallet_id)) {
         return {
           success: false,
-          error: `${chain} 鏈的錢包未配置`,
+          error: order.wallet_id ? `${chain} 鏈找不到錢包: ${order.wallet_id}` : `${chain} 鏈的錢包未配置`,
         };
       }
 
@@ -274,17 +809,28 @@ class OrderService {
         };
       }
 
-      // 獲取交易金額（從環境變數或使用預設值）
-      const tradeAmount = this.getTradeAmount(chain, order.type);
+      const isBuy = BUY_ORDER_TYPES.includes(order.type);
+
+      // 獲取交易金額（訂單自帶數量，或使用環境變數預設值）；賣出另以最小單位計算，避免浮點數誤差
+      const { amount: tradeAmount, amountRaw } = await this.resolveTradeAmount(order, chain, executor, isPaper);
+      if (isBuy ? !(tradeAmount > 0) : !(amountRaw > 0n)) {
+        return {
+          success: false,
+          error: isBuy ? '交易金額無效' : '代幣餘額不足，無法賣出',
+        };
+      }
 
       // 構建交易參數
       const params = {
         tokenAddress: order.address,
         tokenMint: order.address, // Solana
         amountIn: tradeAmount,
+        amountInRaw: amountRaw, // 賣出數量（代幣最小單位）
         decimals: order.decimals,
-        slippage: parseFloat(process.env.TRADE_SLIPPAGE || '2'),
+        slippage: this.getSlippage(order),
         deadline: parseInt(process.env.TRADE_DEADLINE || '20'),
+        feeOnTransfer: tokenSafetyService.getFeeOnTransfer(order), // BSC / Base
+        walletId: order.wallet_id, // 未指定時使用該鏈預設錢包
       };
 
       // 添加 pair_address (Base 鏈需要)
@@ -292,22 +838,80 @@ class OrderService {
         params.pairAddress = order.pair_address;
       }
 
-      logger.info(`執行 ${chain} 鏈 ${order.type} 交易`);
-      logger.info(`金額: ${tradeAmount}`);
+      // Base 鏈透過監控快取的池子交易（V4 / V3 / V2 / Aerodrome）
+      if (order.pool_address) {
+        params.pool = {
+          address: order.pool_address,
+          protocol: order.pool_protocol,
+          version: order.pool_version,
+        };
+      }
 
-      // 根據訂單類型執行交易
-      let result;
-      if (order.type === 'limit_buy') {
-        result = await executor.executeBuy(params);
-      } else if (order.type === 'limit_sell' || order.type === 'stop_loss' || order.type === 'take_profit') {
-        result = await executor.executeSell(params);
-      } else {
+      logger.info(`${isPaper ? '📝 模擬' : '執行'} ${chain} 鏈 ${order.type} 交易${order.wallet_id ? ` (錢包: ${order.wallet_id})` : ''}`);
+      logger.info(`金額: ${tradeAmount}，滑點: ${params.slippage}%${order.attempts ? ` (第 ${order.attempts + 1} 次嘗試)` : ''}`);
+
+      if (!isBuy && !['limit_sell', 'stop_loss', 'take_profit', 'trailing_stop'].includes(order.type)) {
         return {
           success: false,
           error: `不支援的訂單類型: ${order.type}`,
         };
       }
 
+      // 買入前風控檢查（每日花費 / 曝險 / 持倉數 / 每日虧損熔斷），拒絕通知由 handleExecutionFailure 發送
+      if (isBuy) {
+        const risk = riskManager.checkBuy({
+          chain,
+          tokenAddress: order.address,
+          amount: tradeAmount,
+          paper: isPaper,
+          source: isPaper ? 'paper' : 'order',
+          notify: false,
+          reservationKey: order.id,
+        });
+        if (!risk.allowed) {
+          return {
+            success: false,
+            error: `風控拒絕: ${risk.reason}`,
+            fatal: true,
+          };
+        }
+      }
+
+      // 買入前蜜罐 / 稅率檢測（BSC、Base）
+      if (isBuy && config.honeypotCheck.enabled && tokenSafetyService.isSupported(chain)) {
+        const safety = await this.checkTokenSafety(order, tradeAmount);
+        if (!safety.allowed) {
+          return {
+            success: false,
+            error: safety.reason,
+            fatal: true,
+          };
+        }
+      }
+
+      // 模擬交易：以報價模擬成交並更新模擬帳戶
+      if (isPaper) {
+        const result = isBuy ? await executor.simulateBuy(params) : await executor.simulateSell(params);
+        if (result.success) {
+          paperTradingService.applyFill({
+            chain,
+            tokenAddress: order.address,
+            side: isBuy ? 'buy' : 'sell',
+            amountIn: result.amountIn,
+            amountOut: result.amountOut,
+          });
+        }
+        return result;
+      }
+
+      // 根據訂單類型執行交易
+      const result = isBuy ? await executor.executeBuy(params) : await executor.executeSell(params);
+
+      // 結果未確定時記下本次數量，交易確認上鏈後寫入成交紀錄
+      if (result.pendingTx) {
+        result.pendingTx.amountIn = tradeAmount;
+      }
+
       return result;
     } catch (error) {
       logger.error('執行交易失敗:', error.message);
@@ -319,7 +923,67 @@ class OrderService {
   }
 
   /**
-   * 獲取交易金額
+   * 買入前模擬買入再賣出，檢測蜜罐、買賣稅與單筆交易上限
+   * 以訂單的交易錢包與路由檢測；檢測本身出錯、無法判斷或路由無法模擬（略過）時只發出警告，不阻擋交易
+   * @param {Object} order - 訂單詳情
+   * @param {number} amountIn - 買入的原生幣數量
+   * @returns {Promise<Object>} { allowed, reason }
+   */
+  async checkTokenSafety(order, amountIn) {
+    try {
+      const result = await tokenSafetyService.check({ ...order, id: order.token_id }, amountIn, order.wallet_id);
+      const verdict = tokenSafetyService.evaluate(result);
+
+      if (result.skipped) {
+        logger.warn(`⏭️ ${order.symbol} 未進行安全檢測，仍繼續交易: ${result.reason}`);
+      } else if (!verdict.allowed) {
+        logger.error(`🍯 ${order.symbol} 安全檢測未通過: ${verdict.reason}`);
+      } else if (verdict.reason) {
+        logger.warn(`⚠️ ${order.symbol} 安全檢測無法完成，仍繼續交易: ${verdict.reason}`);
+      }
+
+      return verdict;
+    } catch (error) {
+      logger.warn(`⚠️ ${order.symbol} 安全檢測失敗，仍繼續交易: ${error.message}`);
+      return { allowed: true, reason: error.message };
+    }
+  }
+
+  /**
+   * 解析訂單的交易數量
+   * 買入：amount 為原生幣數量（BNB/ETH/SOL），未設定時使用環境變數預設值
+   * 賣出：amount_type 為 token 時直接賣出指定數量；percent 時依錢包代幣餘額（最小單位）計算；
+   *       未設定時賣出全部持倉
+   * @param {Object} order - 訂單詳情（含 chain、address、decimals）
+   * @param {string} chain - 鏈名稱
+   * @param {Object} executor - 交易執行器
+   * @param {boolean} isPaper - 是否為模擬交易（持倉改用模擬帳戶餘額）
+   * @returns {Promise<Object>} { amount, amountRaw }，amountRaw 為賣出的代幣最小單位數量（買入時為 null）
+   */
+  async resolveTradeAmount(order, chain, executor, isPaper = false) {
+    if (BUY_ORDER_TYPES.includes(order.type)) {
+      return { amount: order.amount || this.getTradeAmount(chain, order.type), amountRaw: null };
+    }
+
+    let amountRaw;
+    if (order.amount_type === 'token' && order.amount) {
+      amountRaw = toRawAmount(order.amount, order.decimals);
+    } else {
+      const percent = order.amount_type === 'percent' && order.amount ? order.amount : 100;
+      const balanceRaw = isPaper
+        ? toRawAmount(paperTradingService.getBalance(chain, order.address), order.decimals)
+        : await executor.getTokenBalanceRaw(order.address, walletManager.getAddress(chain, order.wallet_id));
+
+      logger.info(`代幣餘額: ${formatRawAmount(balanceRaw, order.decimals)}，賣出 ${percent}%`);
+
+      amountRaw = balanceRaw * BigInt(Math.round(percent * 100)) / 10000n;
+    }
+
+    return { amount: Number(formatRawAmount(amountRaw, order.decimals)), amountRaw };
+  }
+
+  /**
+   * 獲取預設買入金額
    * @param {string} chain - 鏈名稱
    * @param {string} orderType - 訂單類型
    * @returns {number} 金額
@@ -338,6 +1002,8 @@ class OrderService {
    */
   cancelOrder(orderId) {
     try {
+      const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+
       const stmt = db.prepare(`
         UPDATE orders
         SET status = 'cancelled'
@@ -351,18 +1017,45 @@ class OrderService {
       }
 
       logger.info(`訂單已取消 (ID: ${orderId})`);
+
+      this.handleGroupTermination(order);
     } catch (error) {
       logger.error('取消訂單失敗:', error.message);
       throw error;
     }
   }
 
+  /**
+   * 取消整個訂單群組（所有未執行的訂單）
+   * @param {number} groupId - 群組 ID
+   */
+  cancelOrderGroup(groupId) {
+    try {
+      const result = db.prepare(`
+        UPDATE orders
+        SET status = 'cancelled'
+        WHERE group_id = ? AND status IN ('active', 'pending')
+      `).run(groupId);
+
+      if (result.changes === 0) {
+        throw new Error('群組不存在或訂單皆已結束');
+      }
+
+      logger.info(`訂單群組已取消 (群組 ID: ${groupId}, ${result.changes} 筆)`);
+    } catch (error) {
+      logger.error('取消訂單群組失敗:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * 刪除訂單
    * @param {number} orderId - 訂單 ID
    */
   deleteOrder(orderId) {
     try {
+      const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+
       const stmt = db.prepare('DELETE FROM orders WHERE id = ?');
       const result = stmt.run(orderId);
 
@@ -371,6 +1064,11 @@ class OrderService {
       }
 
       logger.info(`訂單已刪除 (ID: ${orderId})`);
+
+      // 已成交的進場單刪除時出場單仍有效；未成交的進場單刪除時取消出場單
+      if (order.status !== 'executed') {
+        this.handleGroupTermination(order);
+      }
     } catch (error) {
       logger.error('刪除訂單失敗:', error.message);
       throw error;
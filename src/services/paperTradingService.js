@@ -0,0 +1,135 @@
+import db from '../database/db.js';
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+import tradeService from './tradeService.js';
+
+// 確保模擬帳戶餘額表存在
+(function migrate() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS paper_balances (
+      chain TEXT NOT NULL,
+      asset TEXT NOT NULL,
+      balance REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (chain, asset)
+    )
+  `);
+})();
+
+const NATIVE_ASSET = 'native';
+const NATIVE_SYMBOLS = { bsc: 'BNB', base: 'ETH', solana: 'SOL' };
+
+/**
+ * 模擬交易帳戶
+ * 記錄每條鏈的模擬原生幣餘額與代幣持倉（asset 為 'native' 或代幣地址），
+ * 模擬成交本身寫入 trades 表（source = 'paper'）
+ */
+class PaperTradingService {
+  /**
+   * 獲取模擬餘額（原生幣首次查詢時以設定的初始資金建立）
+   * @param {string} chain - 鏈名稱
+   * @param {string} asset - 'native' 或代幣地址
+   * @returns {number} 餘額
+   */
+  getBalance(chain, asset = NATIVE_ASSET) {
+    const chainKey = chain.toLowerCase();
+    const row = db.prepare('SELECT balance FROM paper_balances WHERE chain = ? AND asset = ?').get(chainKey, asset);
+
+    if (row) {
+      return row.balance;
+    }
+
+    if (asset === NATIVE_ASSET) {
+      const initial = config.paperTrading.initialBalances[chainKey] || 0;
+      db.prepare('INSERT INTO paper_balances (chain, asset, balance) VALUES (?, ?, ?)').run(chainKey, asset, initial);
+      return initial;
+    }
+
+    return 0;
+  }
+
+  /**
+   * 套用一筆模擬成交到帳戶餘額
+   * buy：扣原生幣 amountIn，加代幣 amountOut；sell：扣代幣 amountIn，加原生幣 amountOut
+   * @param {Object} fill - { chain, tokenAddress, side, amountIn, amountOut }
+   */
+  applyFill({ chain, tokenAddress, side, amountIn, amountOut }) {
+    const chainKey = chain.toLowerCase();
+    const spendAsset = side === 'buy' ? NATIVE_ASSET : tokenAddress;
+    const receiveAsset = side === 'buy' ? tokenAddress : NATIVE_ASSET;
+
+    const upsert = db.prepare(`
+      INSERT INTO paper_balances (chain, asset, balance, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(chain, asset) DO UPDATE SET balance = excluded.balance, updated_at = CURRENT_TIMESTAMP
+    `);
+
+    const apply = db.transaction(() => {
+      const spendBalance = this.getBalance(chainKey, spendAsset);
+      if (spendBalance < amountIn) {
+        throw new Error(`模擬餘額不足: ${spendBalance} < ${amountIn}`);
+      }
+
+      upsert.run(chainKey, spendAsset, spendBalance - amountIn);
+      upsert.run(chainKey, receiveAsset, this.getBalance(chainKey, receiveAsset) + amountOut);
+    });
+
+    apply();
+  }
+
+  /**
+   * 獲取模擬投資組合：各鏈原生幣餘額、代幣持倉市值與 FIFO 已實現損益
+   * @returns {Object} 投資組合
+   */
+  getPortfolio() {
+    try {
+      const chains = Object.keys(config.paperTrading.initialBalances).map((chain) => {
+        const holdings = db.prepare(`
+          SELECT pb.asset AS token_address, pb.balance, t.id AS token_id, t.symbol,
+                 (SELECT price FROM price_history ph WHERE ph.token_id = t.id ORDER BY ph.timestamp DESC LIMIT 1) AS price_usd
+          FROM paper_balances pb
+          LEFT JOIN tokens t ON t.chain = pb.chain AND LOWER(t.address) = LOWER(pb.asset)
+          WHERE pb.chain = ? AND pb.asset != ? AND pb.balance > 0
+        `).all(chain, NATIVE_ASSET).map((holding) => ({
+          ...holding,
+          value_usd: holding.price_usd ? holding.balance * holding.price_usd : null,
+        }));
+
+        return {
+          chain,
+          native_symbol: NATIVE_SYMBOLS[chain],
+          initial_balance: config.paperTrading.initialBalances[chain],
+          native_balance: this.getBalance(chain),
+          holdings,
+        };
+      });
+
+      return {
+        chains,
+        pnl: tradeService.getRealizedPnL({ source: 'paper' }),
+      };
+    } catch (error) {
+      logger.error('獲取模擬投資組合失敗:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 重置模擬帳戶（清除餘額與模擬成交紀錄）
+   */
+  reset() {
+    try {
+      db.transaction(() => {
+        db.prepare('DELETE FROM paper_balances').run();
+        db.prepare("DELETE FROM trades WHERE source = 'paper'").run();
+      })();
+
+      logger.info('📝 模擬帳戶已重置');
+    } catch (error) {
+      logger.error('重置模擬帳戶失敗:', error.message);
+      throw error;
+    }
+  }
+}
+
+export default new PaperTradingService();
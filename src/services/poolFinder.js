@@ -1,13 +1,13 @@
 import { ethers } from 'ethers';
 import db from '../database/db.js';
 import logger from '../utils/logger.js';
-import SolanaPriceMonitor from './priceMonitor/solana.js';
-import BasePriceMonitor from './priceMonitor/base.js';
+import priceService from './priceService.js';
 
 class PoolFinder {
   constructor() {
-    this.solanaMonitor = new SolanaPriceMonitor();
-    this.baseMonitor = new BasePriceMonitor();
+    // 與價格服務共用監控器（池子、交易對快取）
+    this.solanaMonitor = priceService.monitors.solana;
+    this.baseMonitor = priceService.monitors.base;
   }
 
   /**
@@ -155,8 +155,26 @@ class PoolFinder {
         }
       }
 
+      // 如果 V2 沒找到，嘗試 Aerodrome（先 volatile 再 stable）
       if (!version) {
-        logger.warn(`未找到任何 Uniswap 池子: ${tokenAddress}`);
+        for (const stable of [false, true]) {
+          try {
+            const pool = await this.baseMonitor.aerodromeFactory.getPool(tokenAddress, this.baseMonitor.weth, stable);
+            if (pool !== ethers.ZeroAddress) {
+              protocol = 'Aerodrome';
+              version = stable ? 'stable' : 'volatile';
+              poolAddress = pool;
+              logger.success(`✅ 找到 Aerodrome ${version} 池子`);
+              break;
+            }
+          } catch (error) {
+            logger.warn(`Aerodrome 查找失敗: ${error.message}`);
+          }
+        }
+      }
+
+      if (!version) {
+        logger.warn(`未找到任何 Uniswap / Aerodrome 池子: ${tokenAddress}`);
         return null;
       }
 
@@ -1,6 +1,9 @@
 import { ethers } from 'ethers';
 import config from '../../config/config.js';
 import logger from '../../utils/logger.js';
+import { formatMarketCap } from '../../utils/formatHelper.js';
+import rpcPool from '../rpcPool.js';
+import Multicall from '../multicall.js';
 
 // Uniswap V4 StateView ABI
 const STATE_VIEW_ABI = [
@@ -19,6 +22,7 @@ const POOL_V3_ABI = [
   'function liquidity() external view returns (uint128)',
   'function token0() external view returns (address)',
   'function token1() external view returns (address)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
 ];
 
 // Uniswap V2 Pair ABI
@@ -26,6 +30,7 @@ const PAIR_V2_ABI = [
   'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
   'function token0() external view returns (address)',
   'function token1() external view returns (address)',
+  'event Sync(uint112 reserve0, uint112 reserve1)',
 ];
 
 // Uniswap V2 Factory ABI
@@ -33,6 +38,24 @@ const FACTORY_V2_ABI = [
   'function getPair(address tokenA, address tokenB) external view returns (address pair)',
 ];
 
+// Aerodrome PoolFactory ABI
+const AERODROME_FACTORY_ABI = [
+  'function getPool(address tokenA, address tokenB, bool stable) external view returns (address pool)',
+];
+
+// Aerodrome Pool ABI
+const AERODROME_POOL_ABI = [
+  'function getReserves() external view returns (uint256 reserve0, uint256 reserve1, uint256 blockTimestampLast)',
+  'function getAmountOut(uint256 amountIn, address tokenIn) external view returns (uint256)',
+  'function token0() external view returns (address)',
+  'event Sync(uint256 reserve0, uint256 reserve1)',
+];
+
+// Uniswap V4 PoolManager ABI（所有 V4 池子的 Swap 事件都由 PoolManager 發出，以 poolId 區分）
+const POOL_MANAGER_ABI = [
+  'event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)',
+];
+
 // ERC20 ABI
 const ERC20_ABI = [
   'function totalSupply() external view returns (uint256)',
@@ -41,9 +64,25 @@ const ERC20_ABI = [
   'function balanceOf(address) external view returns (uint256)',
 ];
 
+// Uniswap V3 Factory ABI
+const FACTORY_V3_ABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)',
+];
+
+// Uniswap V3 Factory on Base
+const UNISWAP_V3_FACTORY = '0x33128a8fC17869897dcE68Ed026d694621f6FDfD';
+
+const STATE_VIEW_INTERFACE = new ethers.Interface(STATE_VIEW_ABI);
+const POOL_V3_INTERFACE = new ethers.Interface(POOL_V3_ABI);
+const PAIR_V2_INTERFACE = new ethers.Interface(PAIR_V2_ABI);
+const AERODROME_POOL_INTERFACE = new ethers.Interface(AERODROME_POOL_ABI);
+const FACTORY_V3_INTERFACE = new ethers.Interface(FACTORY_V3_ABI);
+const ERC20_INTERFACE = new ethers.Interface(ERC20_ABI);
+const POOL_MANAGER_INTERFACE = new ethers.Interface(POOL_MANAGER_ABI);
+
 class BasePriceMonitor {
   constructor() {
-    this.provider = new ethers.JsonRpcProvider(config.rpc.base);
+    this.provider = rpcPool.getProvider('base');
 
     // 🔥 使用 Ethereum Mainnet 獲取 ETH 價格（更準確）
     this.mainnetProvider = new ethers.JsonRpcProvider('https://eth.llamarpc.com');
@@ -67,6 +106,9 @@ class BasePriceMonitor {
     this.factoryV2Address = config.dex.base.factoryV2 || '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6'; // BaseSwap Factory
     this.factoryV2 = new ethers.Contract(this.factoryV2Address, FACTORY_V2_ABI, this.provider);
 
+    // Aerodrome PoolFactory（volatile / stable 池子）
+    this.aerodromeFactory = new ethers.Contract(config.dex.base.aerodromeFactory, AERODROME_FACTORY_ABI, this.provider);
+
     this.weth = config.dex.base.weth;
     this.usdc = config.dex.base.usdc;
 
@@ -89,6 +131,10 @@ class BasePriceMonitor {
     this.v3Fees = [100, 500, 3000, 10000];
 
     this.zeroHooks = '0x0000000000000000000000000000000000000000';
+
+    // 批次查詢用：V3 實際池子地址與 V2 / Aerodrome 池子 token0 不會改變，查到後緩存
+    this.multicall = new Multicall(this.provider, 'Base');
+    this.poolDetailsCache = new Map(); // `${代幣地址}:${poolAddress}` -> { pool, token0 }
   }
 
   /**
@@ -387,7 +433,7 @@ class BasePriceMonitor {
    * 🔥 NEW: 使用已緩存的池子信息快速獲取價格
    * @param {string} tokenAddress - 代幣地址
    * @param {number} decimals - 代幣精度
-   * @param {Object} poolInfo - 池子信息 { poolAddress, version, pairToken }
+   * @param {Object} poolInfo - 池子信息 { poolAddress, version, pairToken }（Aerodrome 的 version 為 volatile / stable）
    * @returns {Promise<number>} USD 價格
    */
   async getPriceWithCachedPool(tokenAddress, decimals, poolInfo) {
@@ -410,10 +456,7 @@ class BasePriceMonitor {
           throw new Error('池子無效');
         }
 
-        const tokenIsToken0 = tokenAddress.toLowerCase() < this.weth.toLowerCase();
-        priceInETH = tokenIsToken0
-          ? this.sqrtPriceX96ToPrice(sqrtPriceX96, decimals, 18)
-          : 1 / this.sqrtPriceX96ToPrice(sqrtPriceX96, 18, decimals);
+        priceInETH = this.v4PriceInETH(tokenAddress, decimals, sqrtPriceX96);
       } else if (version === 'V3') {
         // 🔥 V3: 從 poolAddress 解析 fee，並使用 Factory 查找實際池子地址
         logger.debug(`解析 V3 池子配置: ${poolAddress}`);
@@ -429,14 +472,7 @@ class BasePriceMonitor {
 
         // 🔥 方法 1: 使用 Factory 查找實際池子地址，然後直接讀取 slot0
         try {
-          const FACTORY_V3_ABI = [
-            'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)',
-          ];
-          const factoryV3 = new ethers.Contract(
-            '0x33128a8fC17869897dcE68Ed026d694621f6FDfD', // Uniswap V3 Factory on Base
-            FACTORY_V3_ABI,
-            this.provider
-          );
+          const factoryV3 = new ethers.Contract(UNISWAP_V3_FACTORY, FACTORY_V3_ABI, this.provider);
 
           const poolAddr = await factoryV3.getPool(tokenAddress, this.weth, fee);
 
@@ -456,16 +492,9 @@ class BasePriceMonitor {
             throw new Error('池子無效 (sqrtPrice = 0)');
           }
 
-          // 計算價格
-          const Q96 = 2n ** 96n;
-          const price = (Number(sqrtPriceX96) / Number(Q96)) ** 2;
+          priceInETH = this.v3PriceInETH(tokenAddress, decimals, sqrtPriceX96, token0);
 
-          const tokenIsToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-          priceInETH = tokenIsToken0
-            ? price * (10 ** (18 - decimals))
-            : (1 / price) * (10 ** (decimals - 18));
-
-          logger.debug(`V3 價格計算: token0=${token0.slice(0,8)}, tokenIsToken0=${tokenIsToken0}, priceInETH=${priceInETH}`);
+          logger.debug(`V3 價格計算: token0=${token0.slice(0,8)}, priceInETH=${priceInETH}`);
         } catch (directError) {
           logger.warn(`V3 直接讀取失敗: ${directError.message}，嘗試 Quoter`);
 
@@ -493,15 +522,20 @@ class BasePriceMonitor {
         const reserves = await pair.getReserves();
         const token0 = await pair.token0();
 
-        const tokenIsToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-        const tokenReserve = tokenIsToken0
-          ? Number(ethers.formatUnits(reserves[0], decimals))
-          : Number(ethers.formatUnits(reserves[1], decimals));
-        const wethReserve = tokenIsToken0
-          ? Number(ethers.formatEther(reserves[1]))
-          : Number(ethers.formatEther(reserves[0]));
+        priceInETH = this.reservesPriceInETH(tokenAddress, decimals, reserves, token0);
+      } else if (version === 'volatile') {
+        // Aerodrome volatile 池子為 x*y=k，直接以儲備量計算
+        const pool = new ethers.Contract(poolAddress, AERODROME_POOL_ABI, this.provider);
+        const reserves = await pool.getReserves();
+        const token0 = await pool.token0();
 
-        priceInETH = wethReserve / tokenReserve;
+        priceInETH = this.reservesPriceInETH(tokenAddress, decimals, reserves, token0);
+      } else if (version === 'stable') {
+        // Aerodrome stable 池子曲線非 x*y=k，以池子報價 1 個代幣可換得的 WETH 計算
+        const pool = new ethers.Contract(poolAddress, AERODROME_POOL_ABI, this.provider);
+        const amountOut = await pool.getAmountOut(ethers.parseUnits('1', decimals), tokenAddress);
+
+        priceInETH = Number(ethers.formatEther(amountOut));
       } else {
         throw new Error(`不支援的版本: ${version}`);
       }
@@ -517,6 +551,54 @@ class BasePriceMonitor {
     }
   }
 
+  /**
+   * V4 池子價格（以 ETH 計價），V4 池子的 token0 為地址較小者
+   * @param {string} tokenAddress - 代幣地址
+   * @param {number} decimals - 代幣精度
+   * @param {bigint} sqrtPriceX96 - StateView slot0 的 sqrtPriceX96
+   * @returns {number}
+   */
+  v4PriceInETH(tokenAddress, decimals, sqrtPriceX96) {
+    const tokenIsToken0 = tokenAddress.toLowerCase() < this.weth.toLowerCase();
+    return tokenIsToken0
+      ? this.sqrtPriceX96ToPrice(sqrtPriceX96, decimals, 18)
+      : 1 / this.sqrtPriceX96ToPrice(sqrtPriceX96, 18, decimals);
+  }
+
+  /**
+   * V3 池子價格（以 ETH 計價）
+   * @param {string} tokenAddress - 代幣地址
+   * @param {number} decimals - 代幣精度
+   * @param {bigint} sqrtPriceX96 - 池子 slot0 的 sqrtPriceX96
+   * @param {string} token0 - 池子 token0 地址
+   * @returns {number}
+   */
+  v3PriceInETH(tokenAddress, decimals, sqrtPriceX96, token0) {
+    const Q96 = 2n ** 96n;
+    const price = (Number(sqrtPriceX96) / Number(Q96)) ** 2;
+
+    const tokenIsToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+    return tokenIsToken0
+      ? price * (10 ** (18 - decimals))
+      : (1 / price) * (10 ** (decimals - 18));
+  }
+
+  /**
+   * x*y=k 池子（V2 / Aerodrome volatile）以儲備量計算價格（以 ETH 計價）
+   * @param {string} tokenAddress - 代幣地址
+   * @param {number} decimals - 代幣精度
+   * @param {Array<bigint>} reserves - [reserve0, reserve1]
+   * @param {string} token0 - 池子 token0 地址
+   * @returns {number}
+   */
+  reservesPriceInETH(tokenAddress, decimals, reserves, token0) {
+    const tokenIsToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+    const tokenReserve = Number(ethers.formatUnits(tokenIsToken0 ? reserves[0] : reserves[1], decimals));
+    const wethReserve = Number(ethers.formatEther(tokenIsToken0 ? reserves[1] : reserves[0]));
+
+    return wethReserve / tokenReserve;
+  }
+
   /**
    * 獲取代幣 USD 價格 - 使用 V4 自動查找最佳池子
    * @param {string} tokenAddress - 代幣地址
@@ -581,15 +663,7 @@ class BasePriceMonitor {
       const totalSupply = await tokenContract.totalSupply();
       const totalSupplyFormatted = Number(ethers.formatUnits(totalSupply, decimals));
       const marketCap = priceUSD * totalSupplyFormatted;
-
-      let marketCapFormatted;
-      if (marketCap >= 1_000_000) {
-        marketCapFormatted = `$${(marketCap / 1_000_000).toFixed(2)}M`;
-      } else if (marketCap >= 1_000) {
-        marketCapFormatted = `$${(marketCap / 1_000).toFixed(2)}K`;
-      } else {
-        marketCapFormatted = `$${marketCap.toFixed(2)}`;
-      }
+      const marketCapFormatted = formatMarketCap(marketCap);
 
       logger.info(`Base 代幣信息 (Uniswap V4): ${tokenAddress}`);
       logger.info(`  價格: $${priceUSD.toFixed(8)}`);
@@ -612,15 +686,7 @@ class BasePriceMonitor {
       const totalSupply = await tokenContract.totalSupply();
       const totalSupplyFormatted = Number(ethers.formatUnits(totalSupply, decimals));
       const marketCap = priceUSD * totalSupplyFormatted;
-
-      let marketCapFormatted;
-      if (marketCap >= 1_000_000) {
-        marketCapFormatted = `$${(marketCap / 1_000_000).toFixed(2)}M`;
-      } else if (marketCap >= 1_000) {
-        marketCapFormatted = `$${(marketCap / 1_000).toFixed(2)}K`;
-      } else {
-        marketCapFormatted = `$${marketCap.toFixed(2)}`;
-      }
+      const marketCapFormatted = formatMarketCap(marketCap);
 
       logger.info(`Base 代幣信息 (V4 fee=${fee/10000}%): ${tokenAddress}`);
       logger.info(`  價格: $${priceUSD.toFixed(8)}, 市值: ${marketCapFormatted}`);
@@ -632,6 +698,289 @@ class BasePriceMonitor {
     }
   }
 
+  /**
+   * 使用已緩存的池子信息獲取代幣市值
+   * @param {string} tokenAddress - 代幣地址
+   * @param {number} decimals - 代幣精度
+   * @param {Object} poolInfo - 池子信息 { poolAddress, version, pairToken }
+   * @returns {Promise<Object>} { priceUSD, marketCap, marketCapFormatted, totalSupply }
+   */
+  async getTokenInfoWithCachedPool(tokenAddress, decimals, poolInfo) {
+    const priceUSD = await this.getPriceWithCachedPool(tokenAddress, decimals, poolInfo);
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+    const totalSupply = await tokenContract.totalSupply();
+
+    return this.buildTokenInfo(decimals, priceUSD, totalSupply);
+  }
+
+  /**
+   * 由 USD 價格與總供應量計算市值
+   * @param {number} decimals - 代幣精度
+   * @param {number} priceUSD - USD 價格
+   * @param {bigint} totalSupply - 總供應量（最小單位）
+   * @returns {Object} { priceUSD, marketCap, marketCapFormatted, totalSupply }
+   */
+  buildTokenInfo(decimals, priceUSD, totalSupply) {
+    const totalSupplyFormatted = Number(ethers.formatUnits(totalSupply, decimals));
+    const marketCap = priceUSD * totalSupplyFormatted;
+
+    return { priceUSD, marketCap, marketCapFormatted: formatMarketCap(marketCap), totalSupply: totalSupplyFormatted };
+  }
+
+  /**
+   * 批次獲取多個代幣的市值信息（所有 eth_call 經 Multicall 合併）
+   * - 有緩存池子的代幣：每輪只讀取 slot0 / 儲備量 / stable 報價與總供應量
+   * - 沒有緩存池子、批次讀取失敗的代幣：改用單一代幣查詢（自動查找池子、V3 Quoter 備援）
+   * @param {Array<Object>} tokens - [{ address, decimals, poolInfo }]
+   * @returns {Promise<Array<Object>>} 與 tokens 對應的 [{ tokenInfo, error }]
+   */
+  async getTokenInfoBatch(tokens) {
+    const pooled = tokens.filter(({ address, poolInfo }) => poolInfo?.poolAddress && address.toLowerCase() !== this.weth.toLowerCase());
+
+    try {
+      await this.resolvePoolDetails(pooled);
+    } catch (error) {
+      logger.error(`解析 Base 池子失敗:`, error.message);
+    }
+
+    const calls = [];
+    const addCall = (call) => calls.push(call) - 1;
+
+    const entries = tokens.map((token) => {
+      if (!pooled.includes(token)) {
+        return null;
+      }
+
+      const priceCall = this.buildPriceCall(token);
+      return priceCall && {
+        ...priceCall,
+        priceIndex: addCall(priceCall.call),
+        supplyIndex: addCall({ target: token.address, iface: ERC20_INTERFACE, method: 'totalSupply' }),
+      };
+    });
+
+    let results = [];
+    let ethPrice = null;
+    try {
+      results = await this.multicall.call(calls);
+      ethPrice = await this.getETHPrice();
+    } catch (error) {
+      logger.error(`批次獲取 Base 價格失敗:`, error.message);
+    }
+
+    const output = [];
+    for (const [i, { address, decimals, poolInfo }] of tokens.entries()) {
+      const entry = entries[i];
+
+      try {
+        if (!entry || !ethPrice) {
+          throw new Error('需要個別查詢');
+        }
+
+        const priceResult = results[entry.priceIndex];
+        const supplyResult = results[entry.supplyIndex];
+        if (!priceResult.success || !supplyResult.success) {
+          throw new Error(priceResult.error || supplyResult.error);
+        }
+
+        const priceInETH = this.decodePriceInETH(address, decimals, poolInfo.version, priceResult.value, entry.token0);
+        output.push({ tokenInfo: this.buildTokenInfo(decimals, priceInETH * ethPrice, supplyResult.value[0]), error: null });
+      } catch (batchError) {
+        if (entry) {
+          logger.warn(`Base 批次讀取 ${address} 失敗: ${batchError.message}，改用個別查詢`);
+        }
+
+        // 個別查詢（Base RPC 限流較嚴格，依序進行）
+        try {
+          const tokenInfo = poolInfo?.poolAddress
+            ? await this.getTokenInfoWithCachedPool(address, decimals, poolInfo)
+            : await this.getTokenInfo(address, decimals);
+          output.push({ tokenInfo, error: null });
+        } catch (error) {
+          output.push({ tokenInfo: null, error: error.message });
+        }
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * 價格事件串流的訂閱目標（只支援有緩存池子的代幣）
+   * - V4: PoolManager 的 Swap 事件（topic1 為 poolId），V3: 池子的 Swap 事件，皆攜帶交易後的 sqrtPriceX96
+   * - V2 / volatile: 池子的 Sync 事件，攜帶最新儲備量
+   * - stable: 池子的 Sync 事件只作為觸發，價格由池子報價重新讀取
+   * @param {Object} token - { address, decimals, poolInfo }
+   * @returns {Promise<Object|null>} { address, topic0, topic1, decode(log) => USD 價格 }，無法訂閱時為 null
+   */
+  async getLogSubscription(token) {
+    const { address, decimals, poolInfo } = token;
+
+    if (!poolInfo?.poolAddress || address.toLowerCase() === this.weth.toLowerCase()) {
+      return null;
+    }
+
+    const { poolAddress, version } = poolInfo;
+    const toUSD = async (priceInETH) => priceInETH * await this.getETHPrice();
+
+    if (version === 'V4') {
+      return {
+        address: config.dex.base.poolManager,
+        topic0: POOL_MANAGER_INTERFACE.getEvent('Swap').topicHash,
+        topic1: poolAddress,
+        decode: async (log) => {
+          const { sqrtPriceX96 } = POOL_MANAGER_INTERFACE.decodeEventLog('Swap', log.data, log.topics);
+          return toUSD(this.decodePriceInETH(address, decimals, 'V4', [sqrtPriceX96], null));
+        },
+      };
+    }
+
+    if (version === 'stable') {
+      return {
+        address: poolAddress,
+        topic0: AERODROME_POOL_INTERFACE.getEvent('Sync').topicHash,
+        topic1: null,
+        decode: () => this.getPriceWithCachedPool(address, decimals, poolInfo),
+      };
+    }
+
+    await this.resolvePoolDetails([token]);
+    const details = this.poolDetailsCache.get(`${address.toLowerCase()}:${poolAddress}`);
+    if (!details) {
+      return null;
+    }
+
+    const iface = {
+      V3: POOL_V3_INTERFACE,
+      V2: PAIR_V2_INTERFACE,
+      volatile: AERODROME_POOL_INTERFACE,
+    }[version];
+    const event = version === 'V3' ? 'Swap' : 'Sync';
+
+    return {
+      address: details.pool,
+      topic0: iface.getEvent(event).topicHash,
+      topic1: null,
+      decode: async (log) => {
+        const args = iface.decodeEventLog(event, log.data, log.topics);
+        const value = version === 'V3' ? [args.sqrtPriceX96] : [args.reserve0, args.reserve1];
+        return toUSD(this.decodePriceInETH(address, decimals, version, value, details.token0));
+      },
+    };
+  }
+
+  /**
+   * 批次解析緩存池子的詳細資訊並緩存：V3 的實際池子地址與 token0、V2 / volatile 池子的 token0
+   * @param {Array<Object>} tokens - [{ address, poolInfo }]
+   */
+  async resolvePoolDetails(tokens) {
+    const unresolved = tokens.filter(({ address, poolInfo }) => ['V2', 'V3', 'volatile'].includes(poolInfo.version)
+      && !this.poolDetailsCache.has(`${address.toLowerCase()}:${poolInfo.poolAddress}`));
+
+    if (unresolved.length === 0) {
+      return;
+    }
+
+    // V3 的 poolAddress 格式為 "V3-fee10000"，需先經 Factory 查出實際池子地址
+    const v3Tokens = unresolved.filter(({ poolInfo }) => poolInfo.version === 'V3');
+    const v3Pools = await this.multicall.call(v3Tokens.map(({ address, poolInfo }) => ({
+      target: UNISWAP_V3_FACTORY,
+      iface: FACTORY_V3_INTERFACE,
+      method: 'getPool',
+      args: [address, this.weth, parseInt(poolInfo.poolAddress.replace('V3-fee', ''))],
+    })));
+
+    const pools = unresolved
+      .map((token) => {
+        if (token.poolInfo.version !== 'V3') {
+          return { token, pool: token.poolInfo.poolAddress };
+        }
+
+        const result = v3Pools[v3Tokens.indexOf(token)];
+        return { token, pool: result.success ? result.value[0] : ethers.ZeroAddress };
+      })
+      .filter(({ pool }) => pool !== ethers.ZeroAddress);
+
+    const token0s = await this.multicall.call(pools.map(({ pool }) => ({
+      target: pool, iface: PAIR_V2_INTERFACE, method: 'token0',
+    })));
+
+    pools.forEach(({ token, pool }, i) => {
+      if (token0s[i].success) {
+        this.poolDetailsCache.set(`${token.address.toLowerCase()}:${token.poolInfo.poolAddress}`, { pool, token0: token0s[i].value[0] });
+      }
+    });
+  }
+
+  /**
+   * 建立緩存池子的價格讀取呼叫（V3 / V2 / volatile 需先有解析過的池子詳細資訊）
+   * @param {Object} token - { address, decimals, poolInfo }
+   * @returns {Object|null} { call, token0 }，無法批次讀取時為 null
+   */
+  buildPriceCall({ address, decimals, poolInfo }) {
+    const { poolAddress, version } = poolInfo;
+
+    if (version === 'V4') {
+      return {
+        call: { target: this.stateViewAddress, iface: STATE_VIEW_INTERFACE, method: 'getSlot0', args: [poolAddress] },
+        token0: null,
+      };
+    }
+
+    if (version === 'stable') {
+      return {
+        call: {
+          target: poolAddress,
+          iface: AERODROME_POOL_INTERFACE,
+          method: 'getAmountOut',
+          args: [ethers.parseUnits('1', decimals), address],
+        },
+        token0: null,
+      };
+    }
+
+    const details = this.poolDetailsCache.get(`${address.toLowerCase()}:${poolAddress}`);
+    if (!details) {
+      return null;
+    }
+
+    const call = {
+      V3: { target: details.pool, iface: POOL_V3_INTERFACE, method: 'slot0' },
+      V2: { target: details.pool, iface: PAIR_V2_INTERFACE, method: 'getReserves' },
+      volatile: { target: details.pool, iface: AERODROME_POOL_INTERFACE, method: 'getReserves' },
+    }[version];
+
+    return { call, token0: details.token0 };
+  }
+
+  /**
+   * 由批次讀取結果計算價格（以 ETH 計價）
+   * @param {string} tokenAddress - 代幣地址
+   * @param {number} decimals - 代幣精度
+   * @param {string} version - 池子版本
+   * @param {ethers.Result} value - 解碼後的呼叫結果
+   * @param {string|null} token0 - 池子 token0 地址
+   * @returns {number}
+   */
+  decodePriceInETH(tokenAddress, decimals, version, value, token0) {
+    if (version === 'V4' || version === 'V3') {
+      const sqrtPriceX96 = value[0];
+      if (sqrtPriceX96 === 0n) {
+        throw new Error('池子無效 (sqrtPrice = 0)');
+      }
+
+      return version === 'V4'
+        ? this.v4PriceInETH(tokenAddress, decimals, sqrtPriceX96)
+        : this.v3PriceInETH(tokenAddress, decimals, sqrtPriceX96, token0);
+    }
+
+    if (version === 'stable') {
+      return Number(ethers.formatEther(value[0]));
+    }
+
+    return this.reservesPriceInETH(tokenAddress, decimals, value, token0);
+  }
+
   // 向後兼容方法
   async getTokenInfoWithPair(pairAddress, tokenAddress, decimals = 18) {
     logger.warn('Uniswap V4 不使用 pairAddress，將自動查找最佳池子配置');
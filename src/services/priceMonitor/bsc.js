@@ -1,6 +1,9 @@
 import { ethers } from 'ethers';
 import config from '../../config/config.js';
 import logger from '../../utils/logger.js';
+import { formatMarketCap } from '../../utils/formatHelper.js';
+import rpcPool from '../rpcPool.js';
+import Multicall from '../multicall.js';
 
 // PancakeSwap V2 Router ABI
 const ROUTER_ABI = [
@@ -13,6 +16,7 @@ const PAIR_ABI = [
   'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
   'function token0() external view returns (address)',
   'function token1() external view returns (address)',
+  'event Sync(uint112 reserve0, uint112 reserve1)',
 ];
 
 // Factory ABI
@@ -28,9 +32,29 @@ const ERC20_ABI = [
   'function balanceOf(address) external view returns (uint256)',
 ];
 
+const PAIR_INTERFACE = new ethers.Interface(PAIR_ABI);
+const FACTORY_INTERFACE = new ethers.Interface(FACTORY_ABI);
+const ERC20_INTERFACE = new ethers.Interface(ERC20_ABI);
+const SYNC_TOPIC = PAIR_INTERFACE.getEvent('Sync').topicHash;
+
+/**
+ * 由交易对储备量计算 base 代币的价格（以另一边代币计价）
+ * @param {Array<bigint>} reserves - [reserve0, reserve1]
+ * @param {string} token0 - 交易对 token0 地址
+ * @param {string} baseAddress - 要计价的代币地址
+ * @returns {number}
+ */
+function reservePrice(reserves, token0, baseAddress) {
+  const [baseReserve, quoteReserve] = token0.toLowerCase() === baseAddress.toLowerCase()
+    ? [reserves[0], reserves[1]]
+    : [reserves[1], reserves[0]];
+
+  return Number(quoteReserve) / Number(baseReserve);
+}
+
 class BSCPriceMonitor {
   constructor() {
-    this.provider = new ethers.JsonRpcProvider(config.rpc.bsc);
+    this.provider = rpcPool.getProvider('bsc');
     this.router = new ethers.Contract(
       config.dex.bsc.routerV2,
       ROUTER_ABI,
@@ -46,6 +70,11 @@ class BSCPriceMonitor {
     this.busd = config.dex.bsc.busd;
     this.bnbPriceCache = { price: null, timestamp: 0 };
     this.cacheDuration = 60000; // 1分钟缓存 BNB 价格
+
+    // 批次查询用：交易对地址与 token0 不会改变，查到后缓存
+    this.multicall = new Multicall(this.provider, 'BSC');
+    this.pairCache = new Map(); // 代币地址（小写） -> { pair, token0 }
+    this.bnbPair = null; // BNB/稳定币 交易对 { pair, token0 }
   }
 
   /**
@@ -78,29 +107,27 @@ class BSCPriceMonitor {
       const reserves = await pair.getReserves();
       const token0 = await pair.token0();
 
-      let bnbReserve, stablecoinReserve;
-      if (token0.toLowerCase() === this.wbnb.toLowerCase()) {
-        bnbReserve = reserves.reserve0;
-        stablecoinReserve = reserves.reserve1;
-      } else {
-        bnbReserve = reserves.reserve1;
-        stablecoinReserve = reserves.reserve0;
-      }
-
-      // 计算 BNB 价格 (稳定币储备 / BNB 储备)
-      const bnbPrice = Number(stablecoinReserve) / Number(bnbReserve);
-
-      // 更新缓存
-      this.bnbPriceCache = { price: bnbPrice, timestamp: now };
-
-      logger.debug(`BNB 价格: $${bnbPrice.toFixed(2)}`);
-      return bnbPrice;
+      return this.updateBNBPrice(reserves, token0);
     } catch (error) {
       logger.error(`获取 BNB 价格失败:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * 由 BNB/稳定币 交易对储备量计算并缓存 BNB 价格 (稳定币储备 / BNB 储备)
+   * @param {Array<bigint>} reserves - [reserve0, reserve1]
+   * @param {string} token0 - 交易对 token0 地址
+   * @returns {number} BNB 的 USD 价格
+   */
+  updateBNBPrice(reserves, token0) {
+    const bnbPrice = reservePrice(reserves, token0, this.wbnb);
+    this.bnbPriceCache = { price: bnbPrice, timestamp: Date.now() };
+
+    logger.debug(`BNB 价格: $${bnbPrice.toFixed(2)}`);
+    return bnbPrice;
+  }
+
   /**
    * 获取代币价格（以 BNB 计价）
    * @param {string} tokenAddress - 代币合约地址
@@ -128,17 +155,8 @@ class BSCPriceMonitor {
       const reserves = await pair.getReserves();
       const token0 = await pair.token0();
 
-      let tokenReserve, wbnbReserve;
-      if (token0.toLowerCase() === tokenAddress.toLowerCase()) {
-        tokenReserve = reserves.reserve0;
-        wbnbReserve = reserves.reserve1;
-      } else {
-        tokenReserve = reserves.reserve1;
-        wbnbReserve = reserves.reserve0;
-      }
-
       // 计算价格 (WBNB 储备 / 代币储备)
-      const price = Number(wbnbReserve) / Number(tokenReserve);
+      const price = reservePrice(reserves, token0, tokenAddress);
 
       logger.debug(`BSC 价格: ${tokenAddress} = ${price} BNB`);
       return price;
@@ -192,34 +210,198 @@ class BSCPriceMonitor {
       // 获取总供应量
       const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
       const totalSupply = await tokenContract.totalSupply();
-      const totalSupplyFormatted = Number(ethers.formatUnits(totalSupply, decimals));
-
-      // 计算市值
-      const marketCap = priceUSD * totalSupplyFormatted;
-
-      // 格式化市值 (K/M)
-      let marketCapFormatted;
-      if (marketCap >= 1_000_000) {
-        marketCapFormatted = `$${(marketCap / 1_000_000).toFixed(2)}M`;
-      } else if (marketCap >= 1_000) {
-        marketCapFormatted = `$${(marketCap / 1_000).toFixed(2)}K`;
-      } else {
-        marketCapFormatted = `$${marketCap.toFixed(2)}`;
-      }
 
-      logger.info(`BSC 代币信息: ${tokenAddress}`);
-      logger.info(`  价格: $${priceUSD.toFixed(8)}`);
-      logger.info(`  市值: ${marketCapFormatted}`);
+      return this.buildTokenInfo(tokenAddress, decimals, priceUSD, totalSupply);
+    } catch (error) {
+      logger.error(`获取 BSC 代币信息失败:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 由 USD 价格与总供应量计算市值
+   * @param {string} tokenAddress - 代币合约地址
+   * @param {number} decimals - 代币精度
+   * @param {number} priceUSD - USD 价格
+   * @param {bigint} totalSupply - 总供应量（最小单位）
+   * @returns {Object} { priceUSD, marketCap, marketCapFormatted, totalSupply }
+   */
+  buildTokenInfo(tokenAddress, decimals, priceUSD, totalSupply) {
+    const totalSupplyFormatted = Number(ethers.formatUnits(totalSupply, decimals));
+    const marketCap = priceUSD * totalSupplyFormatted;
+    const marketCapFormatted = formatMarketCap(marketCap);
+
+    logger.info(`BSC 代币信息: ${tokenAddress}`);
+    logger.info(`  价格: $${priceUSD.toFixed(8)}`);
+    logger.info(`  市值: ${marketCapFormatted}`);
+
+    return {
+      priceUSD,
+      marketCap,
+      marketCapFormatted,
+      totalSupply: totalSupplyFormatted,
+    };
+  }
+
+  /**
+   * 批次获取多个代币的市值信息（所有 eth_call 经 Multicall 合并）
+   * 首次查询时解析交易对地址与 token0 并缓存，之后每轮只读取储备量与总供应量
+   * @param {Array<Object>} tokens - [{ address, decimals }]
+   * @returns {Promise<Array<Object>>} 与 tokens 对应的 [{ tokenInfo, error }]
+   */
+  async getTokenInfoBatch(tokens) {
+    const wbnb = this.wbnb.toLowerCase();
+
+    try {
+      const unresolved = [...new Set(tokens.map(({ address }) => address.toLowerCase()))]
+        .filter((address) => address !== wbnb && !this.pairCache.has(address));
+      await this.resolvePairs(unresolved);
+    } catch (error) {
+      logger.error(`解析 BSC 交易对失败:`, error.message);
+    }
+
+    const now = Date.now();
+    const refreshBNB = this.bnbPair && !(this.bnbPriceCache.price && (now - this.bnbPriceCache.timestamp) < this.cacheDuration);
+
+    // 每轮读取：BNB 交易对储备量（缓存过期时）、各代币交易对储备量、总供应量
+    const calls = [];
+    const addCall = (call) => calls.push(call) - 1;
+
+    const bnbIndex = refreshBNB
+      ? addCall({ target: this.bnbPair.pair, iface: PAIR_INTERFACE, method: 'getReserves' })
+      : null;
+
+    const entries = tokens.map(({ address }) => {
+      const cached = this.pairCache.get(address.toLowerCase());
 
       return {
-        priceUSD,
-        marketCap,
-        marketCapFormatted,
-        totalSupply: totalSupplyFormatted,
+        reservesIndex: cached ? addCall({ target: cached.pair, iface: PAIR_INTERFACE, method: 'getReserves' }) : null,
+        supplyIndex: addCall({ target: address, iface: ERC20_INTERFACE, method: 'totalSupply' }),
       };
+    });
+
+    let results;
+    let bnbPrice;
+    try {
+      results = await this.multicall.call(calls);
+
+      bnbPrice = bnbIndex !== null && results[bnbIndex].success
+        ? this.updateBNBPrice(results[bnbIndex].value, this.bnbPair.token0)
+        : await this.getBNBPrice();
     } catch (error) {
-      logger.error(`获取 BSC 代币信息失败:`, error.message);
-      throw error;
+      logger.error(`批次获取 BSC 价格失败:`, error.message);
+      return tokens.map(() => ({ tokenInfo: null, error: error.message }));
+    }
+
+    const output = [];
+    for (const [i, { address, decimals }] of tokens.entries()) {
+      const { reservesIndex, supplyIndex } = entries[i];
+      const isWBNB = address.toLowerCase() === wbnb;
+
+      try {
+        // 交易对未解析（不存在或解析失败）时由单独查询重新查找
+        if (!isWBNB && reservesIndex === null) {
+          throw new Error('交易对未缓存');
+        }
+
+        const reservesResult = isWBNB ? null : results[reservesIndex];
+        const supplyResult = results[supplyIndex];
+        if (reservesResult?.success === false || !supplyResult.success) {
+          throw new Error(reservesResult?.error || supplyResult.error);
+        }
+
+        const priceInBNB = isWBNB
+          ? 1
+          : reservePrice(reservesResult.value, this.pairCache.get(address.toLowerCase()).token0, address);
+
+        output.push({ tokenInfo: this.buildTokenInfo(address, decimals, priceInBNB * bnbPrice, supplyResult.value[0]), error: null });
+      } catch (batchError) {
+        logger.warn(`BSC 批次读取 ${address} 失败: ${batchError.message}，改用单独查询`);
+
+        try {
+          output.push({ tokenInfo: await this.getTokenInfo(address, decimals), error: null });
+        } catch (error) {
+          output.push({ tokenInfo: null, error: error.message });
+        }
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * 价格事件串流的订阅目标：PancakeSwap V2 交易对的 Sync 事件（携带最新储备量）
+   * @param {Object} token - { address, decimals }
+   * @returns {Promise<Object|null>} { address, topic0, topic1, decode(log) => USD 价格 }，无法订阅时为 null
+   */
+  async getLogSubscription({ address }) {
+    if (address.toLowerCase() === this.wbnb.toLowerCase()) {
+      return null;
+    }
+
+    if (!this.pairCache.has(address.toLowerCase())) {
+      await this.resolvePairs([address.toLowerCase()]);
+    }
+
+    const cached = this.pairCache.get(address.toLowerCase());
+    if (!cached) {
+      return null;
+    }
+
+    return {
+      address: cached.pair,
+      topic0: SYNC_TOPIC,
+      topic1: null,
+      decode: async (log) => {
+        const { reserve0, reserve1 } = PAIR_INTERFACE.decodeEventLog('Sync', log.data, log.topics);
+        return reservePrice([reserve0, reserve1], cached.token0, address) * await this.getBNBPrice();
+      },
+    };
+  }
+
+  /**
+   * 批次解析代币与 WBNB 的交易对地址及 token0 并缓存（尚未缓存时一并解析 BNB/稳定币 交易对）
+   * 交易对不存在的代币不缓存，下一轮会重新查询
+   * @param {Array<string>} addresses - 代币地址（小写）
+   */
+  async resolvePairs(addresses) {
+    const factory = config.dex.bsc.factoryV2;
+    const calls = addresses.map((address) => ({
+      target: factory, iface: FACTORY_INTERFACE, method: 'getPair', args: [address, this.wbnb],
+    }));
+
+    const stablecoins = this.bnbPair ? [] : [this.usdt, this.busd];
+    for (const stablecoin of stablecoins) {
+      calls.push({ target: factory, iface: FACTORY_INTERFACE, method: 'getPair', args: [this.wbnb, stablecoin] });
+    }
+
+    if (calls.length === 0) {
+      return;
+    }
+
+    const pairs = (await this.multicall.call(calls))
+      .map((result) => (result.success ? result.value[0] : ethers.ZeroAddress));
+
+    // USDT 交易对优先，其次 BUSD
+    const bnbPairAddress = pairs.slice(addresses.length).find((pair) => pair !== ethers.ZeroAddress) || null;
+
+    const found = addresses
+      .map((address, i) => ({ address, pair: pairs[i] }))
+      .filter(({ pair }) => pair !== ethers.ZeroAddress);
+    const pairAddresses = found.map(({ pair }) => pair).concat(bnbPairAddress || []);
+
+    const token0s = await this.multicall.call(pairAddresses.map((pair) => ({
+      target: pair, iface: PAIR_INTERFACE, method: 'token0',
+    })));
+
+    found.forEach(({ address, pair }, i) => {
+      if (token0s[i].success) {
+        this.pairCache.set(address, { pair, token0: token0s[i].value[0] });
+      }
+    });
+
+    if (bnbPairAddress && token0s[found.length].success) {
+      this.bnbPair = { pair: bnbPairAddress, token0: token0s[found.length].value[0] };
     }
   }
 
@@ -1,13 +1,14 @@
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import { TOKEN_PROGRAM_ID } from '@solana/spl-token';
 import { LIQUIDITY_STATE_LAYOUT_V4, MARKET_STATE_LAYOUT_V3, Token, SPL_ACCOUNT_LAYOUT, struct, publicKey, u64, u8 } from '@raydium-io/raydium-sdk';
 import { blob, u16 } from '@solana/buffer-layout';
 import config from '../../config/config.js';
 import logger from '../../utils/logger.js';
+import rpcPool from '../rpcPool.js';
 
 class SolanaPriceMonitor {
   constructor() {
-    this.connection = new Connection(config.rpc.solana, 'confirmed');
+    this.connection = rpcPool.getConnection();
     this.wsol = new PublicKey(config.dex.solana.wsol);
     this.usdc = new PublicKey(config.dex.solana.usdc);
     this.solPriceCache = { price: null, timestamp: 0 };
@@ -0,0 +1,255 @@
+import db from '../database/db.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { getTaiwanISOString } from '../utils/timeHelper.js';
+
+// 確保 tokens 表的輪詢間隔與最後檢查時間欄位存在（已有資料庫只在此補上，init.js 的建表語句已包含）
+(function migrate() {
+  try { db.exec('ALTER TABLE tokens ADD COLUMN poll_interval INTEGER'); } catch (e) {}
+  try { db.exec('ALTER TABLE tokens ADD COLUMN last_checked_at DATETIME'); } catch (e) {}
+  try { db.exec('ALTER TABLE tokens ADD COLUMN price_updated_at DATETIME'); } catch (e) {}
+  try { db.exec('ALTER TABLE tokens ADD COLUMN last_check_error TEXT'); } catch (e) {}
+})();
+
+/**
+ * 價格排程器
+ * - 每條鏈一個工作佇列，各自限制同時查詢數量與兩次查詢開始的最小間隔（避免 RPC 限流）
+ * - 每個代幣依自己的輪詢間隔（tokens.poll_interval 秒，未設定時使用 PRICE_UPDATE_INTERVAL）排入佇列
+ * - 代幣仍在佇列中或查詢中時不會重複排入，因此不會有重疊的查詢
+ * - 設定 batchSize 的鏈（BSC / Base）一次取出多個代幣合併查詢（Multicall），一個批次佔用一個同時查詢名額
+ * - 每次查詢後記錄 last_checked_at / price_updated_at / last_check_error，前端據此標示過期價格
+ */
+class PriceScheduler {
+  constructor() {
+    this.checkToken = null;
+    this.checkBatch = null;
+    this.skip = null;
+    this.timer = null;
+    // 已排入佇列或查詢中的代幣 ID
+    this.scheduled = new Set();
+    // 代幣上次開始查詢的時間（毫秒）
+    this.lastRunAt = new Map();
+    this.queues = {};
+
+    for (const chain of Object.keys(config.priceScheduler.chains)) {
+      this.queues[chain] = { pending: [], running: 0, lastStartedAt: 0, timer: null };
+    }
+  }
+
+  /**
+   * 啟動排程
+   * @param {Function} checkToken - async (token) => tokenInfo | null，查詢並處理單一代幣價格
+   * @param {Function|null} checkBatch - async (tokens) => [{ tokenInfo, error }]，查詢並處理同一條鏈的多個代幣價格
+   * @param {Function|null} skip - (token) => boolean，回傳 true 時本輪不查詢（如價格事件串流正在即時更新）
+   */
+  start(checkToken, checkBatch = null, skip = null) {
+    this.checkToken = checkToken;
+    this.checkBatch = checkBatch;
+    this.skip = skip;
+    this.timer = setInterval(() => this.tick(), config.priceScheduler.tickMs);
+    this.tick();
+
+    const chains = Object.entries(config.priceScheduler.chains)
+      .map(([chain, { concurrency, minIntervalMs, batchSize }]) => `${chain} ×${concurrency} / ${minIntervalMs}ms${this.getBatchSize(chain) > 1 ? ` / 每批 ${batchSize}` : ''}`)
+      .join(', ');
+    logger.info(`⏱️ 價格排程器已啟動（預設每 ${config.priceUpdateInterval / 1000} 秒，${chains}）`);
+  }
+
+  /**
+   * 停止排程（已在查詢中的代幣會完成）
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    for (const queue of Object.values(this.queues)) {
+      clearTimeout(queue.timer);
+      queue.timer = null;
+      queue.pending = [];
+    }
+  }
+
+  /**
+   * 代幣的輪詢間隔（毫秒）
+   * @param {Object} token - tokens 表資料
+   * @returns {number}
+   */
+  getIntervalMs(token) {
+    return token.poll_interval > 0 ? token.poll_interval * 1000 : config.priceUpdateInterval;
+  }
+
+  /**
+   * 鏈一次查詢的代幣數（未提供 checkBatch 時為 1）
+   * @param {string} chain - 鏈
+   * @returns {number}
+   */
+  getBatchSize(chain) {
+    return this.checkBatch ? config.priceScheduler.chains[chain].batchSize || 1 : 1;
+  }
+
+  /**
+   * 找出到期的代幣排入各鏈佇列
+   */
+  tick() {
+    try {
+      const now = Date.now();
+      const tokens = db.prepare('SELECT id, chain, poll_interval FROM tokens').all();
+
+      for (const token of tokens) {
+        const chain = token.chain.toLowerCase();
+
+        if (!this.queues[chain] || this.scheduled.has(token.id)) {
+          continue;
+        }
+
+        if (now - (this.lastRunAt.get(token.id) || 0) < this.getIntervalMs(token)) {
+          continue;
+        }
+
+        if (this.skip?.(token)) {
+          continue;
+        }
+
+        this.scheduled.add(token.id);
+        this.queues[chain].pending.push(token.id);
+      }
+
+      for (const chain of Object.keys(this.queues)) {
+        this.drain(chain);
+      }
+    } catch (error) {
+      logger.error('價格排程失敗:', error.message);
+    }
+  }
+
+  /**
+   * 在同時查詢數量與速率限制內，從佇列取出代幣（或一批代幣）查詢
+   * @param {string} chain - 鏈
+   */
+  drain(chain) {
+    const queue = this.queues[chain];
+    const { concurrency, minIntervalMs } = config.priceScheduler.chains[chain];
+
+    while (queue.pending.length > 0 && queue.running < concurrency) {
+      const wait = queue.lastStartedAt + minIntervalMs - Date.now();
+
+      if (wait > 0) {
+        if (!queue.timer) {
+          queue.timer = setTimeout(() => {
+            queue.timer = null;
+            this.drain(chain);
+          }, wait);
+        }
+        return;
+      }
+
+      queue.lastStartedAt = Date.now();
+      this.run(chain, queue.pending.splice(0, this.getBatchSize(chain)));
+    }
+  }
+
+  /**
+   * 查詢代幣價格並記錄結果
+   * @param {string} chain - 鏈
+   * @param {Array<number>} tokenIds - 代幣 ID（單一代幣查詢時只有一個）
+   */
+  async run(chain, tokenIds) {
+    const queue = this.queues[chain];
+    queue.running++;
+
+    const now = Date.now();
+    for (const tokenId of tokenIds) {
+      this.lastRunAt.set(tokenId, now);
+    }
+
+    try {
+      // 排入佇列後代幣可能已被刪除或修改，重新讀取
+      const tokens = tokenIds
+        .map((tokenId) => db.prepare('SELECT * FROM tokens WHERE id = ?').get(tokenId))
+        .filter(Boolean);
+
+      if (tokens.length === 0) {
+        return;
+      }
+
+      if (tokenIds.length === 1) {
+        const [token] = tokens;
+
+        try {
+          this.recordResult(token, await this.checkToken(token), null);
+        } catch (error) {
+          this.recordResult(token, null, error.message);
+        }
+        return;
+      }
+
+      let results;
+      try {
+        results = await this.checkBatch(tokens);
+      } catch (error) {
+        results = tokens.map(() => ({ tokenInfo: null, error: error.message }));
+      }
+
+      tokens.forEach((token, i) => this.recordResult(token, results[i]?.tokenInfo, results[i]?.error));
+    } finally {
+      queue.running--;
+      for (const tokenId of tokenIds) {
+        this.scheduled.delete(tokenId);
+      }
+      this.drain(chain);
+    }
+  }
+
+  /**
+   * 記錄代幣查詢結果（last_checked_at / price_updated_at / last_check_error）
+   * @param {Object} token - tokens 表資料
+   * @param {Object|null} tokenInfo - 查詢結果
+   * @param {string|null} error - 錯誤訊息
+   */
+  recordResult(token, tokenInfo, error) {
+    const now = getTaiwanISOString();
+
+    if (tokenInfo && tokenInfo.priceUSD !== null && tokenInfo.priceUSD !== undefined) {
+      db.prepare(`
+        UPDATE tokens SET last_checked_at = ?, price_updated_at = ?, last_check_error = NULL WHERE id = ?
+      `).run(now, now, token.id);
+      return;
+    }
+
+    const message = error || '無法獲取價格';
+    logger.error(`監控 ${token.symbol} 價格失敗:`, message);
+    db.prepare('UPDATE tokens SET last_checked_at = ?, last_check_error = ? WHERE id = ?')
+      .run(now, message, token.id);
+  }
+
+  /**
+   * 代幣價格是否過期（超過 staleMultiplier 個輪詢間隔未成功更新）
+   * @param {Object} token - tokens 表資料
+   * @returns {boolean}
+   */
+  isStale(token) {
+    if (!token.price_updated_at) {
+      return true;
+    }
+
+    // price_updated_at 為台灣時間（UTC+8）
+    const updatedAt = new Date(`${token.price_updated_at.replace(' ', 'T')}+08:00`).getTime();
+    return Date.now() - updatedAt > this.getIntervalMs(token) * config.priceScheduler.staleMultiplier;
+  }
+
+  /**
+   * 各鏈佇列狀態
+   * @returns {Object} { [chain]: { queued, running, concurrency, min_interval_ms, batch_size } }
+   */
+  getStatus() {
+    return Object.fromEntries(Object.entries(this.queues).map(([chain, queue]) => [chain, {
+      queued: queue.pending.length,
+      running: queue.running,
+      concurrency: config.priceScheduler.chains[chain].concurrency,
+      min_interval_ms: config.priceScheduler.chains[chain].minIntervalMs,
+      batch_size: this.getBatchSize(chain),
+    }]));
+  }
+}
+
+export default new PriceScheduler();
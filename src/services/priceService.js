@@ -0,0 +1,332 @@
+import db from '../database/db.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { formatMarketCap } from '../utils/formatHelper.js';
+import BSCPriceMonitor from './priceMonitor/bsc.js';
+import SolanaPriceMonitor from './priceMonitor/solana.js';
+import BasePriceMonitor from './priceMonitor/base.js';
+
+// 快取項目超過此數量時清除已過期的項目（API 可查詢未加入監控的任意代幣）
+const MAX_CACHE_SIZE = 1000;
+
+/**
+ * 代幣的快取池子資訊
+ * @param {Object|null} token - tokens 表資料
+ * @returns {Object|null} { poolAddress, version, protocol, pairToken }
+ */
+export function getCachedPoolInfo(token) {
+  return token?.pool_address ? {
+    poolAddress: token.pool_address,
+    version: token.pool_version,
+    protocol: token.pool_protocol,
+    pairToken: token.pool_pair_token,
+  } : null;
+}
+
+/**
+ * 依代幣資料建立監控器批次查詢 / 事件訂閱使用的參數
+ * @param {Object} token - tokens 表資料
+ * @returns {Object} { address, decimals, poolInfo }
+ */
+export function toMonitorToken(token) {
+  return {
+    address: token.address,
+    decimals: token.decimals,
+    poolInfo: getCachedPoolInfo(token),
+  };
+}
+
+/**
+ * 價格服務：所有價格查詢（API、價格排程器、提醒、事件串流）共用的監控器與快取
+ * - 每個代幣一筆快取，有效期內直接回傳（PRICE_CACHE_TTL_MS，預設 10 秒）
+ * - 同一代幣正在查詢時，其他呼叫等待同一個查詢結果，不重複查詢鏈上
+ * - 回傳結果標示 source: 'cache'（快取）或 'chain'（本次鏈上查詢）
+ */
+class PriceService {
+  constructor() {
+    this.monitors = {
+      bsc: new BSCPriceMonitor(),
+      solana: new SolanaPriceMonitor(),
+      base: new BasePriceMonitor(),
+    };
+    // 快取鍵 -> { tokenInfo, poolInfo, fetchedAt, origin }
+    this.cache = new Map();
+    // 快取鍵 -> 查詢中的 Promise<快取項目>
+    this.inFlight = new Map();
+    this.stats = { hits: 0, misses: 0, deduped: 0 };
+  }
+
+  /**
+   * 取得鏈的價格監控器
+   * @param {string} chain - 鏈
+   * @returns {Object}
+   */
+  getMonitor(chain) {
+    const monitor = this.monitors[chain.toLowerCase()];
+    if (!monitor) {
+      throw new Error(`不支援的鏈: ${chain}`);
+    }
+    return monitor;
+  }
+
+  /**
+   * 快取鍵（EVM 地址不分大小寫，Solana 地址區分大小寫）
+   * 呼叫端指定交易對或精度時另外快取，不與預設查詢結果混用
+   * @param {string} chain - 鏈
+   * @param {string} address - 代幣地址
+   * @param {Object} overrides - { pairAddress, decimals }
+   * @returns {string}
+   */
+  cacheKey(chain, address, { pairAddress = null, decimals = null } = {}) {
+    const normalized = chain.toLowerCase();
+    const normalize = (value) => (normalized === 'solana' ? value : value.toLowerCase());
+
+    let key = `${normalized}:${normalize(address)}`;
+    if (pairAddress) {
+      key += `:pair=${normalize(pairAddress)}`;
+    }
+    if (decimals) {
+      key += `:decimals=${decimals}`;
+    }
+    return key;
+  }
+
+  /**
+   * 查詢代幣 USD 價格與市值（優先使用快取）
+   * @param {Object} params - { chain, address, decimals?, pairAddress? }
+   *   decimals 未提供時從資料庫讀取（預設 18）；pairAddress（Base）指定時以該交易對報價。兩者指定時使用獨立的快取鍵
+   * @param {Object} options - { maxAgeMs }，可接受的快取最大年齡（預設 PRICE_CACHE_TTL_MS）
+   * @returns {Promise<Object>} { tokenInfo, poolInfo, source ('cache' | 'chain'), fetchedAt, ageMs }
+   */
+  async getTokenInfo({ chain, address, decimals = null, pairAddress = null }, { maxAgeMs = config.priceCache.ttlMs } = {}) {
+    this.getMonitor(chain);
+
+    const key = this.cacheKey(chain, address, { pairAddress, decimals });
+    const cached = this.cache.get(key);
+
+    if (cached && Date.now() - cached.fetchedAt < maxAgeMs) {
+      this.stats.hits++;
+      return this.toResult(cached, 'cache');
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.deduped++;
+    } else {
+      this.stats.misses++;
+    }
+
+    const entry = await this.dedupe(key, async () => {
+      const token = this.findToken(chain, address);
+      const tokenInfo = await this.fetchTokenInfo(chain, address, decimals || token?.decimals || 18, token, pairAddress);
+      const poolInfo = pairAddress && chain.toLowerCase() === 'base' ? null : getCachedPoolInfo(token);
+      return this.store(key, tokenInfo, poolInfo, 'chain');
+    });
+
+    return this.toResult(entry, 'chain');
+  }
+
+  /**
+   * 批次查詢同一條鏈多個代幣的價格（價格排程器使用；BSC / Base 經 Multicall 合併讀取）
+   * 快取內的代幣直接回傳，正在查詢中的代幣等待既有查詢，其餘一次交給監控器的 getTokenInfoBatch
+   * @param {Array<Object>} tokens - tokens 表資料（同一條鏈）
+   * @returns {Promise<Array<Object>>} 與 tokens 對應的 [{ tokenInfo, error, source }]
+   */
+  async getTokenInfoBatch(tokens) {
+    const now = Date.now();
+    const pending = [];
+    const toFetch = [];
+
+    for (const token of tokens) {
+      const key = this.cacheKey(token.chain, token.address);
+      const cached = this.cache.get(key);
+
+      if (cached && now - cached.fetchedAt < config.priceCache.ttlMs) {
+        this.stats.hits++;
+        pending.push(Promise.resolve({ entry: cached, source: 'cache' }));
+      } else if (this.inFlight.has(key)) {
+        this.stats.deduped++;
+        pending.push(this.inFlight.get(key).then((entry) => ({ entry, source: 'chain' })));
+      } else {
+        this.stats.misses++;
+        toFetch.push({ token, index: pending.length });
+        pending.push(null);
+      }
+    }
+
+    if (toFetch.length > 0) {
+      const monitor = this.getMonitor(toFetch[0].token.chain);
+      const batch = monitor.getTokenInfoBatch
+        ? monitor.getTokenInfoBatch(toFetch.map(({ token }) => toMonitorToken(token)))
+        : Promise.all(toFetch.map(({ token }) => this.fetchTokenInfo(token.chain, token.address, token.decimals, token)
+          .then((tokenInfo) => ({ tokenInfo, error: null }), (error) => ({ tokenInfo: null, error: error.message }))));
+
+      toFetch.forEach(({ token, index }, i) => {
+        const key = this.cacheKey(token.chain, token.address);
+        const promise = this.dedupe(key, async () => {
+          const { tokenInfo, error } = (await batch)[i];
+          if (!tokenInfo) {
+            throw new Error(error || '無法獲取價格');
+          }
+          return this.store(key, tokenInfo, getCachedPoolInfo(token), 'chain');
+        });
+
+        pending[index] = promise.then((entry) => ({ entry, source: 'chain' }));
+      });
+    }
+
+    const results = await Promise.allSettled(pending);
+
+    return results.map((result) => (result.status === 'fulfilled'
+      ? { tokenInfo: result.value.entry.tokenInfo, error: null, source: result.value.source }
+      : { tokenInfo: null, error: result.reason.message, source: 'chain' }));
+  }
+
+  /**
+   * 記錄其他來源取得的價格（價格事件串流），沿用上次快取的總供應量計算市值
+   * @param {Object} token - tokens 表資料
+   * @param {Object} tokenInfo - { priceUSD, ... }
+   * @param {string} origin - 價格來源
+   * @returns {Object} 補上市值後的 tokenInfo
+   */
+  record(token, tokenInfo, origin = 'stream') {
+    const key = this.cacheKey(token.chain, token.address);
+    const totalSupply = tokenInfo.totalSupply ?? this.cache.get(key)?.tokenInfo.totalSupply;
+
+    const merged = totalSupply ? {
+      ...tokenInfo,
+      marketCap: tokenInfo.priceUSD * totalSupply,
+      marketCapFormatted: formatMarketCap(tokenInfo.priceUSD * totalSupply),
+      totalSupply,
+    } : tokenInfo;
+
+    return this.store(key, merged, getCachedPoolInfo(token), origin).tokenInfo;
+  }
+
+  /**
+   * 同一快取鍵同時只執行一個查詢，其他呼叫共用結果
+   * @param {string} key - 快取鍵
+   * @param {Function} fetch - async () => 快取項目
+   * @returns {Promise<Object>}
+   */
+  dedupe(key, fetch) {
+    if (!this.inFlight.has(key)) {
+      this.inFlight.set(key, fetch().finally(() => this.inFlight.delete(key)));
+    }
+    return this.inFlight.get(key);
+  }
+
+  /**
+   * 從鏈上查詢代幣價格與市值（依鏈與快取池子選擇監控器方法）
+   * @param {string} chain - 鏈
+   * @param {string} address - 代幣地址
+   * @param {number} decimals - 代幣精度
+   * @param {Object|null} token - tokens 表資料（提供快取池子資訊）
+   * @param {string|null} pairAddress - 指定的交易對地址（Base 向後兼容）
+   * @returns {Promise<Object>} { priceUSD, marketCap, marketCapFormatted, totalSupply }
+   */
+  async fetchTokenInfo(chain, address, decimals, token = null, pairAddress = null) {
+    const monitor = this.getMonitor(chain);
+    const cachedPoolInfo = getCachedPoolInfo(token);
+
+    if (cachedPoolInfo) {
+      logger.debug(`使用快取池子獲取價格: ${cachedPoolInfo.protocol} ${cachedPoolInfo.version}`);
+    }
+
+    let tokenInfo;
+    switch (chain.toLowerCase()) {
+      case 'bsc':
+        tokenInfo = await monitor.getTokenInfo(address, decimals);
+        break;
+      case 'solana':
+        // 有快取池子時直接讀取池子，否則自動查找
+        tokenInfo = await monitor.getTokenInfo(address, null, null, null, 'raydium', cachedPoolInfo);
+        break;
+      case 'base':
+        // 呼叫端指定的交易對優先，其次為快取池子、代幣記錄的交易對
+        if (pairAddress) {
+          tokenInfo = await monitor.getTokenInfoWithPair(pairAddress, address, decimals);
+        } else if (cachedPoolInfo) {
+          tokenInfo = await monitor.getTokenInfoWithCachedPool(address, decimals, cachedPoolInfo);
+        } else if (token?.pair_address) {
+          tokenInfo = await monitor.getTokenInfoWithPair(token.pair_address, address, decimals);
+        } else {
+          tokenInfo = await monitor.getTokenInfo(address, decimals);
+        }
+        break;
+    }
+
+    if (!tokenInfo || tokenInfo.priceUSD === null || tokenInfo.priceUSD === undefined) {
+      throw new Error('無法獲取價格');
+    }
+
+    return tokenInfo;
+  }
+
+  /**
+   * 讀取資料庫中的代幣（快取池子、精度）
+   * @param {string} chain - 鏈
+   * @param {string} address - 代幣地址
+   * @returns {Object|undefined}
+   */
+  findToken(chain, address) {
+    return db.prepare('SELECT * FROM tokens WHERE chain = ? AND address = ?').get(chain.toLowerCase(), address);
+  }
+
+  /**
+   * 寫入快取（價格為 0 的結果不快取，下次重新查詢）；快取過大時清除已過期的項目
+   * @param {string} key - 快取鍵
+   * @param {Object} tokenInfo - 價格與市值
+   * @param {Object|null} poolInfo - 快取池子資訊
+   * @param {string} origin - 價格來源（'chain' | 'stream'）
+   * @returns {Object} 快取項目
+   */
+  store(key, tokenInfo, poolInfo, origin) {
+    const entry = { tokenInfo, poolInfo, fetchedAt: Date.now(), origin };
+
+    if (tokenInfo.priceUSD > 0) {
+      this.cache.set(key, entry);
+    }
+
+    if (this.cache.size > MAX_CACHE_SIZE) {
+      for (const [cachedKey, cached] of this.cache) {
+        if (entry.fetchedAt - cached.fetchedAt >= config.priceCache.ttlMs) {
+          this.cache.delete(cachedKey);
+        }
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * 整理回傳格式
+   * @param {Object} entry - 快取項目
+   * @param {string} source - 'cache' | 'chain'
+   * @returns {Object} { tokenInfo, poolInfo, source, origin, fetchedAt, ageMs }
+   */
+  toResult(entry, source) {
+    return {
+      tokenInfo: entry.tokenInfo,
+      poolInfo: entry.poolInfo,
+      source,
+      origin: entry.origin,
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      ageMs: Date.now() - entry.fetchedAt,
+    };
+  }
+
+  /**
+   * 快取統計
+   * @returns {Object} { ttl_ms, size, in_flight, hits, misses, deduped }
+   */
+  getStats() {
+    return {
+      ttl_ms: config.priceCache.ttlMs,
+      size: this.cache.size,
+      in_flight: this.inFlight.size,
+      ...this.stats,
+    };
+  }
+}
+
+export default new PriceService();
@@ -0,0 +1,455 @@
+import { ethers } from 'ethers';
+import db from '../database/db.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import rpcPool from './rpcPool.js';
+import priceScheduler from './priceScheduler.js';
+import { toMonitorToken } from './priceService.js';
+
+const EVM_CHAIN_IDS = { bsc: 56, base: 8453 };
+
+// eth_getLogs 單次查詢的最大區塊範圍，落後更多時略過中間區塊（排程器輪詢會補上價格）
+const MAX_BLOCK_RANGE = 1000;
+
+/**
+ * 價格事件串流（PRICE_STREAM_ENABLED=true 時啟用）
+ * - 訂閱 BSC / Base 代幣池子的 Sync / Swap 事件，收到事件立即計算價格並檢查掛單與提醒
+ * - 設定 <CHAIN>_WS_URL 時以 WebSocket eth_subscribe 訂閱（定期心跳檢查，失敗時重新連線），否則以 eth_getLogs 輪詢
+ * - 串流正常且代幣在輪詢間隔內收到過事件時，價格排程器略過該代幣；串流中斷時排程器恢復輪詢
+ *
+ * 監控器需提供 getLogSubscription(token) => { address, topic0, topic1, decode(log) => USD 價格 }
+ */
+class PriceStream {
+  constructor() {
+    this.onPrice = null;
+    this.monitors = {};
+    this.chains = {};
+    this.resyncTimer = null;
+  }
+
+  /**
+   * 啟動串流
+   * @param {Object} monitors - { bsc, base, ... } 價格監控器（只使用有 getLogSubscription 的鏈）
+   * @param {Function} onPrice - async (token, tokenInfo) => void，處理價格更新（價格歷史、掛單、提醒）
+   */
+  async start(monitors, onPrice) {
+    this.onPrice = onPrice;
+
+    for (const chain of Object.keys(EVM_CHAIN_IDS)) {
+      if (!monitors[chain]?.getLogSubscription) {
+        continue;
+      }
+
+      this.monitors[chain] = monitors[chain];
+      this.chains[chain] = {
+        mode: config.priceStream.wsUrls[chain] ? 'websocket' : 'polling',
+        live: false,
+        // 代幣 ID -> 訂閱目標
+        subscriptions: new Map(),
+        // 代幣 ID -> 上次由事件更新價格的時間（毫秒）
+        lastUpdateAt: new Map(),
+        // 代幣 ID -> 等待處理的最新事件 / 節流計時器
+        pending: new Map(),
+        timers: new Map(),
+        wsProvider: null,
+        polling: false,
+        lastBlock: null,
+        lastOkAt: null,
+        lastEventAt: null,
+        events: 0,
+        lastError: null,
+        timer: null,
+      };
+    }
+
+    await this.resync();
+    this.resyncTimer = setInterval(() => this.resync(), config.priceStream.resyncMs);
+
+    for (const [chain, state] of Object.entries(this.chains)) {
+      if (state.mode === 'websocket') {
+        await this.connect(chain);
+        state.timer = setInterval(() => this.heartbeat(chain), config.priceStream.heartbeatMs);
+      } else {
+        state.timer = setInterval(() => this.poll(chain), config.priceStream.pollIntervalMs);
+      }
+
+      logger.info(`📡 ${chain} 價格事件串流已啟動（${state.mode === 'websocket' ? 'WebSocket' : `eth_getLogs 每 ${config.priceStream.pollIntervalMs / 1000} 秒`}，${state.subscriptions.size} 個池子）`);
+    }
+  }
+
+  /**
+   * 停止串流
+   */
+  async stop() {
+    clearInterval(this.resyncTimer);
+    this.resyncTimer = null;
+
+    for (const state of Object.values(this.chains)) {
+      clearInterval(state.timer);
+      state.timer = null;
+      state.live = false;
+
+      for (const timer of state.timers.values()) {
+        clearTimeout(timer);
+      }
+      state.timers.clear();
+      state.pending.clear();
+
+      if (state.wsProvider) {
+        await state.wsProvider.destroy();
+        state.wsProvider = null;
+      }
+    }
+  }
+
+  /**
+   * 依 tokens 表重新建立訂閱清單（新增 / 刪除代幣、池子變更）
+   */
+  async resync() {
+    for (const [chain, state] of Object.entries(this.chains)) {
+      try {
+        const tokens = db.prepare('SELECT * FROM tokens WHERE LOWER(chain) = ?').all(chain);
+        const subscriptions = new Map();
+
+        for (const token of tokens) {
+          try {
+            const subscription = await this.monitors[chain].getLogSubscription(toMonitorToken(token));
+            if (subscription) {
+              subscriptions.set(token.id, subscription);
+            }
+          } catch (error) {
+            logger.warn(`⚠️ ${token.symbol} 無法訂閱價格事件: ${error.message}`);
+          }
+        }
+
+        const changed = this.filterKey(state.subscriptions) !== this.filterKey(subscriptions);
+        state.subscriptions = subscriptions;
+
+        if (changed && state.wsProvider) {
+          await this.applyFilters(chain);
+        }
+      } catch (error) {
+        logger.error(`同步 ${chain} 價格事件訂閱失敗:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * 將訂閱目標合併成 eth_getLogs / eth_subscribe 過濾條件
+   * - 沒有 topic1 的目標（各池子合約）合併成一個以地址清單過濾的條件
+   * - 有 topic1 的目標（V4 PoolManager）依合約與事件合併，以 topic1 清單過濾
+   * @param {Map} subscriptions - 代幣 ID -> 訂閱目標
+   * @returns {Array<Object>} [{ address, topics }]
+   */
+  buildFilters(subscriptions) {
+    const plain = { address: new Set(), topic0: new Set() };
+    const indexed = new Map();
+
+    for (const { address, topic0, topic1 } of subscriptions.values()) {
+      if (!topic1) {
+        plain.address.add(address.toLowerCase());
+        plain.topic0.add(topic0);
+        continue;
+      }
+
+      const key = `${address.toLowerCase()}:${topic0}`;
+      if (!indexed.has(key)) {
+        indexed.set(key, { address: address.toLowerCase(), topic0, topic1: new Set() });
+      }
+      indexed.get(key).topic1.add(topic1.toLowerCase());
+    }
+
+    const filters = [...indexed.values()].map(({ address, topic0, topic1 }) => ({
+      address,
+      topics: [topic0, [...topic1]],
+    }));
+
+    if (plain.address.size > 0) {
+      filters.unshift({ address: [...plain.address], topics: [[...plain.topic0]] });
+    }
+
+    return filters;
+  }
+
+  /**
+   * 訂閱清單的比較鍵（用於判斷是否需要重新訂閱）
+   * @param {Map} subscriptions - 代幣 ID -> 訂閱目標
+   * @returns {string}
+   */
+  filterKey(subscriptions) {
+    return JSON.stringify(this.buildFilters(subscriptions));
+  }
+
+  /**
+   * 以 eth_getLogs 輪詢新區塊的事件
+   * @param {string} chain - 鏈
+   */
+  async poll(chain) {
+    const state = this.chains[chain];
+    if (state.polling) {
+      return;
+    }
+
+    // 沒有可訂閱的池子時不輪詢，有新池子時從最新區塊開始
+    if (state.subscriptions.size === 0) {
+      state.lastBlock = null;
+      return;
+    }
+
+    state.polling = true;
+    try {
+      const provider = rpcPool.getProvider(chain);
+      const latest = await provider.getBlockNumber();
+
+      if (state.lastBlock === null || latest - state.lastBlock > MAX_BLOCK_RANGE) {
+        if (state.lastBlock !== null) {
+          logger.warn(`⚠️ ${chain} 價格事件串流落後 ${latest - state.lastBlock} 個區塊，略過中間區塊`);
+        }
+        state.lastBlock = latest;
+      } else if (latest > state.lastBlock) {
+        const fromBlock = state.lastBlock + 1;
+
+        for (const filter of this.buildFilters(state.subscriptions)) {
+          const logs = await provider.getLogs({ ...filter, fromBlock, toBlock: latest });
+          for (const log of logs) {
+            this.handleLog(chain, log);
+          }
+        }
+
+        state.lastBlock = latest;
+      }
+
+      this.markLive(chain);
+    } catch (error) {
+      this.markDown(chain, error);
+    } finally {
+      state.polling = false;
+    }
+  }
+
+  /**
+   * 建立 WebSocket 連線並訂閱事件
+   * @param {string} chain - 鏈
+   */
+  async connect(chain) {
+    const state = this.chains[chain];
+
+    try {
+      const wsProvider = new ethers.WebSocketProvider(config.priceStream.wsUrls[chain], EVM_CHAIN_IDS[chain]);
+      // 連線錯誤交由心跳檢查處理，避免未處理的 error 事件中止程序
+      wsProvider.websocket.onerror = (event) => {
+        state.lastError = event?.message || 'WebSocket 錯誤';
+      };
+
+      state.wsProvider = wsProvider;
+      await this.withTimeout(wsProvider.getBlockNumber());
+      await this.applyFilters(chain);
+      this.markLive(chain);
+    } catch (error) {
+      this.markDown(chain, error);
+    }
+  }
+
+  /**
+   * 以目前的訂閱清單重新訂閱 WebSocket 事件
+   * @param {string} chain - 鏈
+   */
+  async applyFilters(chain) {
+    const state = this.chains[chain];
+
+    await state.wsProvider.removeAllListeners();
+    for (const filter of this.buildFilters(state.subscriptions)) {
+      await state.wsProvider.on(filter, (log) => this.handleLog(chain, log));
+    }
+  }
+
+  /**
+   * WebSocket 心跳檢查：讀取區塊高度失敗時視為中斷並重新連線
+   * @param {string} chain - 鏈
+   */
+  async heartbeat(chain) {
+    const state = this.chains[chain];
+
+    if (!state.wsProvider) {
+      await this.connect(chain);
+      return;
+    }
+
+    try {
+      await this.withTimeout(state.wsProvider.getBlockNumber());
+      this.markLive(chain);
+    } catch (error) {
+      this.markDown(chain, error);
+    }
+  }
+
+  /**
+   * 逾時控制（逾時時間與 RPC 節點池相同）
+   * @param {Promise} promise - 要等待的 Promise
+   * @returns {Promise}
+   */
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('請求逾時')), config.rpcPool.timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * 標記串流正常
+   * @param {string} chain - 鏈
+   */
+  markLive(chain) {
+    const state = this.chains[chain];
+
+    if (!state.live) {
+      logger.success(`✅ ${chain} 價格事件串流已連線`);
+    }
+
+    state.live = true;
+    state.lastOkAt = Date.now();
+  }
+
+  /**
+   * 標記串流中斷（排程器恢復輪詢該鏈代幣）；WebSocket 模式下關閉連線，下次心跳重新連線
+   * @param {string} chain - 鏈
+   * @param {Error} error - 錯誤
+   */
+  markDown(chain, error) {
+    const state = this.chains[chain];
+
+    if (state.live) {
+      logger.warn(`⚠️ ${chain} 價格事件串流中斷，改由排程器輪詢: ${error.shortMessage || error.message}`);
+    }
+
+    state.live = false;
+    state.lastError = (error.shortMessage || error.message || String(error)).slice(0, 200);
+
+    if (state.wsProvider) {
+      state.wsProvider.destroy().catch(() => {});
+      state.wsProvider = null;
+    }
+  }
+
+  /**
+   * 將事件分派給對應代幣；同一代幣在 minUpdateIntervalMs 內只處理最新一筆事件
+   * @param {string} chain - 鏈
+   * @param {Object} log - 事件 log
+   */
+  handleLog(chain, log) {
+    const state = this.chains[chain];
+    const address = log.address.toLowerCase();
+    const topic1 = log.topics[1]?.toLowerCase();
+
+    state.events++;
+    state.lastEventAt = Date.now();
+
+    for (const [tokenId, subscription] of state.subscriptions) {
+      if (subscription.address.toLowerCase() !== address || subscription.topic0 !== log.topics[0]) {
+        continue;
+      }
+      if (subscription.topic1 && subscription.topic1.toLowerCase() !== topic1) {
+        continue;
+      }
+
+      state.pending.set(tokenId, log);
+      if (state.timers.has(tokenId)) {
+        continue;
+      }
+
+      const wait = (state.lastUpdateAt.get(tokenId) || 0) + config.priceStream.minUpdateIntervalMs - Date.now();
+      state.timers.set(tokenId, setTimeout(() => {
+        state.timers.delete(tokenId);
+        this.processPending(chain, tokenId);
+      }, Math.max(0, wait)));
+    }
+  }
+
+  /**
+   * 以代幣最新一筆事件計算價格並交由 onPrice 處理
+   * @param {string} chain - 鏈
+   * @param {number} tokenId - 代幣 ID
+   */
+  async processPending(chain, tokenId) {
+    const state = this.chains[chain];
+    const log = state.pending.get(tokenId);
+    const subscription = state.subscriptions.get(tokenId);
+    state.pending.delete(tokenId);
+
+    const token = db.prepare('SELECT * FROM tokens WHERE id = ?').get(tokenId);
+    if (!log || !subscription || !token) {
+      return;
+    }
+
+    try {
+      const priceUSD = await subscription.decode(log);
+      if (!Number.isFinite(priceUSD) || priceUSD <= 0) {
+        throw new Error('事件價格無效');
+      }
+
+      state.lastUpdateAt.set(tokenId, Date.now());
+
+      const tokenInfo = { priceUSD, source: 'stream' };
+      await this.onPrice(token, tokenInfo);
+      priceScheduler.recordResult(token, tokenInfo, null);
+    } catch (error) {
+      logger.error(`處理 ${token.symbol} 價格事件失敗:`, error.message);
+    }
+  }
+
+  /**
+   * 鏈的串流是否正常（最近三次輪詢 / 心跳內成功過）
+   * @param {string} chain - 鏈
+   * @returns {boolean}
+   */
+  isLive(chain) {
+    const state = this.chains[chain];
+    if (!state?.live) {
+      return false;
+    }
+
+    const checkMs = state.mode === 'websocket' ? config.priceStream.heartbeatMs : config.priceStream.pollIntervalMs;
+    return Date.now() - state.lastOkAt < checkMs * 3;
+  }
+
+  /**
+   * 代幣價格是否由串流即時更新中（串流正常，且在輪詢間隔內收到過事件），排程器據此略過輪詢
+   * @param {Object} token - tokens 表資料
+   * @returns {boolean}
+   */
+  isFresh(token) {
+    const chain = token.chain.toLowerCase();
+
+    if (!this.isLive(chain) || !this.chains[chain].subscriptions.has(token.id)) {
+      return false;
+    }
+
+    const state = this.chains[chain];
+
+    return Date.now() - (state.lastUpdateAt.get(token.id) || 0) < priceScheduler.getIntervalMs(token);
+  }
+
+  /**
+   * 各鏈串流狀態
+   * @returns {Object} { enabled, chains: { [chain]: { mode, live, subscriptions, ... } } }
+   */
+  getStatus() {
+    return {
+      enabled: config.priceStream.enabled,
+      chains: Object.fromEntries(Object.entries(this.chains).map(([chain, state]) => [chain, {
+        mode: state.mode,
+        live: this.isLive(chain),
+        subscriptions: state.subscriptions.size,
+        events: state.events,
+        last_block: state.lastBlock,
+        last_ok_at: state.lastOkAt ? new Date(state.lastOkAt).toISOString() : null,
+        last_event_at: state.lastEventAt ? new Date(state.lastEventAt).toISOString() : null,
+        last_error: state.lastError,
+      }])),
+    };
+  }
+}
+
+export default new PriceStream();
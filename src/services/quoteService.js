@@ -0,0 +1,278 @@
+import { ethers } from 'ethers';
+import db from '../database/db.js';
+import logger from '../utils/logger.js';
+import poolFinder from './poolFinder.js';
+import BSCTradeExecutor from './tradeExecutor/bscExecutor.js';
+import SolanaTradeExecutor, { WSOL_MINT } from './tradeExecutor/solanaExecutor.js';
+import BaseTradeExecutor from './tradeExecutor/baseExecutor.js';
+
+export const QUOTE_SIDES = ['buy', 'sell'];
+
+// 各鏈原生幣精度與符號
+const NATIVE = {
+  bsc: { decimals: 18, symbol: 'BNB' },
+  base: { decimals: 18, symbol: 'ETH' },
+  solana: { decimals: 9, symbol: 'SOL' },
+};
+
+// 價格衝擊以 1/1000 輸入量的報價作為現價基準
+const REFERENCE_DIVISOR = 1000n;
+
+/**
+ * 多交易場所報價比較
+ * 每條鏈註冊一組交易場所報價器（registerVenue），報價時同時詢問所有場所，
+ * 依預期輸出由多到少排序並計算價格衝擊；單一場所失敗不影響其他場所
+ *
+ * 報價器格式: { id, name, quote(context) }
+ *   context: { token, side, amountIn (最小單位 bigint), referenceIn (bigint，可能為 0n) }
+ *   quote 回傳 { amountOut, referenceOut?, priceImpact?, description }
+ *   （priceImpact 為 % ；未提供時以 referenceOut 計算）
+ */
+class QuoteService {
+  constructor() {
+    this.executors = {
+      bsc: new BSCTradeExecutor(),
+      solana: new SolanaTradeExecutor(),
+      base: new BaseTradeExecutor(),
+    };
+    this.venues = { bsc: [], base: [], solana: [] };
+
+    this.registerDefaultVenues();
+  }
+
+  /**
+   * 註冊交易場所報價器
+   * @param {string} chain - 'bsc' | 'base' | 'solana'
+   * @param {Object} venue - { id, name, quote }
+   */
+  registerVenue(chain, venue) {
+    if (!this.venues[chain]) {
+      throw new Error(`不支援的鏈: ${chain}`);
+    }
+
+    this.venues[chain] = this.venues[chain].filter(({ id }) => id !== venue.id).concat(venue);
+  }
+
+  /**
+   * 列出鏈上已註冊的交易場所
+   * @param {string} chain - 鏈
+   * @returns {Array<Object>} [{ id, name }]
+   */
+  getVenues(chain) {
+    return (this.venues[chain] || []).map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * 向所有交易場所報價並排序
+   * @param {Object} params - { tokenId, side ('buy' | 'sell'), amount (買入為原生幣，賣出為代幣數量) }
+   * @returns {Promise<Object|null>} { token, side, amount_in, input_symbol, output_symbol, best, quotes, failed }；代幣不存在時回傳 null
+   */
+  async getQuotes({ tokenId, side, amount }) {
+    const token = db.prepare('SELECT * FROM tokens WHERE id = ?').get(tokenId);
+    if (!token) {
+      return null;
+    }
+
+    const native = NATIVE[token.chain];
+    const [inputDecimals, outputDecimals] = side === 'buy'
+      ? [native.decimals, token.decimals]
+      : [token.decimals, native.decimals];
+
+    const amountIn = ethers.parseUnits(Number(amount).toFixed(inputDecimals), inputDecimals);
+    const context = { token, side, amountIn, referenceIn: amountIn / REFERENCE_DIVISOR };
+    const venues = this.venues[token.chain];
+
+    const results = await Promise.allSettled(venues.map((venue) => venue.quote(context)));
+
+    const quotes = [];
+    const failed = [];
+    results.forEach((result, i) => {
+      const venue = venues[i];
+
+      if (result.status === 'rejected' || !(result.value.amountOut > 0n)) {
+        failed.push({
+          venue: venue.id,
+          name: venue.name,
+          error: result.status === 'rejected' ? result.reason.message : '無可用流動性',
+        });
+        return;
+      }
+
+      const { amountOut, referenceOut, priceImpact, description } = result.value;
+      const amountOutValue = parseFloat(ethers.formatUnits(amountOut, outputDecimals));
+
+      quotes.push({
+        venue: venue.id,
+        name: venue.name,
+        description,
+        amount_out: amountOutValue,
+        price: side === 'buy' ? Number(amount) / amountOutValue : amountOutValue / Number(amount),
+        price_impact: priceImpact ?? this.calculatePriceImpact(context, amountOut, referenceOut),
+      });
+    });
+
+    quotes.sort((a, b) => b.amount_out - a.amount_out);
+
+    const best = quotes[0] || null;
+    for (const quote of quotes) {
+      quote.diff_from_best = ((quote.amount_out - best.amount_out) / best.amount_out) * 100;
+    }
+
+    logger.info(`💱 報價比較 ${token.symbol} (${token.chain}) ${side} ${amount}: ${quotes.length} 個場所可用${best ? `，最佳 ${best.name}` : ''}`);
+
+    return {
+      token: { id: token.id, chain: token.chain, symbol: token.symbol, address: token.address },
+      side,
+      amount_in: Number(amount),
+      input_symbol: side === 'buy' ? native.symbol : token.symbol,
+      output_symbol: side === 'buy' ? token.symbol : native.symbol,
+      best,
+      quotes,
+      failed,
+    };
+  }
+
+  /**
+   * 以小額報價的兌換率為現價，計算成交兌換率的偏離 (%)
+   * @param {Object} context - 報價參數
+   * @param {bigint} amountOut - 報價輸出
+   * @param {bigint} referenceOut - 小額報價輸出
+   * @returns {number|null}
+   */
+  calculatePriceImpact({ amountIn, referenceIn }, amountOut, referenceOut) {
+    if (!referenceOut || referenceIn <= 0n) {
+      return null;
+    }
+
+    const rate = Number(amountOut) / Number(amountIn);
+    const spotRate = Number(referenceOut) / Number(referenceIn);
+
+    return Math.max(0, (1 - rate / spotRate) * 100);
+  }
+
+  /**
+   * 小額報價（失敗時不影響主報價，僅無法計算價格衝擊）
+   * @param {Function} quote - 以輸入數量報價的函式
+   * @param {bigint} referenceIn - 小額輸入
+   * @returns {Promise<bigint|null>}
+   */
+  async quoteReference(quote, referenceIn) {
+    if (referenceIn <= 0n) {
+      return null;
+    }
+
+    try {
+      return await quote(referenceIn);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 註冊內建交易場所
+   * BSC: PancakeSwap V2 / V3（含經 USDT、BUSD 兩跳路由）
+   * Base: Uniswap V2 / V3 / V4、Aerodrome（各手續費等級與池子類型取最佳）
+   * Solana: Jupiter 聚合器、Raydium（poolFinder 快取的池子）
+   */
+  registerDefaultVenues() {
+    const bsc = this.executors.bsc;
+    for (const protocol of ['V2', 'V3']) {
+      this.registerVenue('bsc', {
+        id: `pancakeswap_${protocol.toLowerCase()}`,
+        name: `PancakeSwap ${protocol}`,
+        quote: async ({ token, side, amountIn, referenceIn }) => {
+          const [route] = await bsc.quoteRoutes({ side, tokenAddress: token.address, amountInWei: amountIn, protocols: [protocol] });
+          if (!route) {
+            throw new Error(`找不到 PancakeSwap ${protocol} 路由`);
+          }
+
+          return {
+            amountOut: route.amountOut,
+            referenceOut: await this.quoteReference((amountInWei) => bsc.quotePath(route, amountInWei), referenceIn),
+            description: route.description,
+          };
+        },
+      });
+    }
+
+    const base = this.executors.base;
+    const baseVenues = [
+      { id: 'uniswap_v2', name: 'Uniswap V2', protocol: 'V2' },
+      { id: 'uniswap_v3', name: 'Uniswap V3', protocol: 'V3' },
+      { id: 'uniswap_v4', name: 'Uniswap V4', protocol: 'V4' },
+      { id: 'aerodrome', name: 'Aerodrome', protocol: 'Aerodrome' },
+    ];
+    for (const { id, name, protocol } of baseVenues) {
+      this.registerVenue('base', {
+        id,
+        name,
+        quote: async ({ token, side, amountIn, referenceIn }) => {
+          const candidates = base.listVenues(token.address).filter((venue) => venue.protocol === protocol);
+          const results = await Promise.allSettled(candidates.map((venue) => base.quote(venue, side, token.address, amountIn)));
+
+          let best = null;
+          results.forEach((result, i) => {
+            if (result.status === 'fulfilled' && result.value > 0n && (!best || result.value > best.amountOut)) {
+              best = { venue: candidates[i], amountOut: result.value };
+            }
+          });
+
+          if (!best) {
+            throw new Error(`找不到 ${name} 池子`);
+          }
+
+          return {
+            amountOut: best.amountOut,
+            referenceOut: await this.quoteReference(
+              (amountInWei) => base.quote(best.venue, side, token.address, amountInWei),
+              referenceIn
+            ),
+            description: best.venue.description,
+          };
+        },
+      });
+    }
+
+    const solana = this.executors.solana;
+    this.registerVenue('solana', {
+      id: 'jupiter',
+      name: 'Jupiter',
+      quote: async ({ token, side, amountIn }) => {
+        const [inputMint, outputMint] = side === 'buy' ? [WSOL_MINT, token.address] : [token.address, WSOL_MINT];
+        const data = await solana.getJupiterQuote({ inputMint, outputMint, amount: amountIn.toString(), slippage: 1 });
+        if (!data) {
+          throw new Error('Jupiter 無可用路由');
+        }
+
+        const labels = (data.routePlan || []).map((step) => step.swapInfo?.label).filter(Boolean);
+
+        return {
+          amountOut: BigInt(data.outAmount),
+          priceImpact: Number(data.priceImpactPct) * 100,
+          description: labels.length > 0 ? `Jupiter (${labels.join(' → ')})` : 'Jupiter',
+        };
+      },
+    });
+
+    this.registerVenue('solana', {
+      id: 'raydium',
+      name: 'Raydium',
+      quote: async ({ token, side, amountIn, referenceIn }) => {
+        const poolInfo = poolFinder.getPoolInfo(token.id);
+        if (poolInfo?.protocol !== 'Raydium') {
+          throw new Error('代幣沒有快取的 Raydium 池子');
+        }
+
+        const pool = await solana.raydium.loadPool(poolInfo.poolAddress, token.address);
+
+        return {
+          amountOut: solana.raydium.quote(pool, side, amountIn),
+          referenceOut: referenceIn > 0n ? solana.raydium.quote(pool, side, referenceIn) : null,
+          description: `Raydium ${pool.type}`,
+        };
+      },
+    });
+  }
+}
+
+export default new QuoteService();
@@ -0,0 +1,403 @@
+import db from '../database/db.js';
+import logger from '../utils/logger.js';
+import tradeService from './tradeService.js';
+import TelegramNotification from './notification/telegram.js';
+import { getTaiwanISOString } from '../utils/timeHelper.js';
+
+// 確保風控限制與拒絕紀錄表存在
+(function migrate() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS risk_limits (
+      chain TEXT PRIMARY KEY,
+      max_daily_spend REAL,
+      max_token_exposure REAL,
+      max_chain_exposure REAL,
+      max_open_positions INTEGER,
+      max_daily_loss REAL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS risk_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chain TEXT NOT NULL,
+      token_address TEXT,
+      amount REAL,
+      rule TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      source TEXT,
+      created_at DATETIME
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS risk_state (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+})();
+
+export const SUPPORTED_CHAINS = ['bsc', 'solana', 'base'];
+
+// 可設定的限制欄位（皆為該鏈原生幣數量，max_open_positions 為持倉數；NULL 表示不限制）
+export const LIMIT_FIELDS = [
+  'max_daily_spend',
+  'max_token_exposure',
+  'max_chain_exposure',
+  'max_open_positions',
+  'max_daily_loss',
+];
+
+// 低於此成本的剩餘持倉視為已出清（FIFO 浮點誤差）
+const DUST_COST = 1e-9;
+
+/**
+ * 風控管理
+ * 所有買入路徑（伺服器掛單、模擬交易、gmgn-trader 馬丁策略）在送出交易前都需通過檢查：
+ * - 每日原生幣花費上限
+ * - 單一代幣 / 單條鏈的未平倉曝險上限（FIFO 未平倉成本）
+ * - 同時持倉數上限
+ * - 每日已實現虧損熔斷（達到上限後當日停止所有買入）
+ *
+ * 統計來源為 trades 表，「每日」以台灣時間 00:00 起算；
+ * 模擬交易只計算 source = 'paper' 的成交，真實交易則排除模擬成交。
+ * 通過檢查但尚未寫入 trades 的買入（同一輪價格檢查同時觸發的訂單、待確認交易）以預留額度計入，
+ * 成交寫入或失敗後由呼叫端釋放。
+ * 賣出不受限制，避免風控阻擋停損。
+ *
+ * 另提供全域暫停交易開關（kill switch），狀態存於 risk_state，重啟後仍有效；
+ * 暫停期間所有買入與賣出都不會送出。
+ */
+class RiskManager {
+  constructor() {
+    this.telegram = new TelegramNotification();
+    // 已通過檢查、尚未寫入 trades 的買入：key → { chain, tokenAddress, amount, paper }
+    this.reservations = new Map();
+  }
+
+  /**
+   * 獲取所有鏈的風控限制（未設定的鏈回傳全部為 null）
+   * @returns {Array} 各鏈限制
+   */
+  getLimits() {
+    const rows = db.prepare('SELECT * FROM risk_limits').all();
+
+    return SUPPORTED_CHAINS.map((chain) => {
+      const row = rows.find((r) => r.chain === chain);
+      return {
+        chain,
+        ...Object.fromEntries(LIMIT_FIELDS.map((field) => [field, row?.[field] ?? null])),
+        updated_at: row?.updated_at || null,
+      };
+    });
+  }
+
+  /**
+   * 獲取單一鏈的風控限制
+   * @param {string} chain - 鏈名稱
+   * @returns {Object}
+   */
+  getChainLimits(chain) {
+    return this.getLimits().find((limits) => limits.chain === chain.toLowerCase());
+  }
+
+  /**
+   * 更新單一鏈的風控限制（只更新有帶入的欄位，帶入 null 表示取消該限制）
+   * @param {string} chain - 鏈名稱
+   * @param {Object} updates - { max_daily_spend, max_token_exposure, ... }
+   * @returns {Object} 更新後的限制
+   */
+  setLimits(chain, updates) {
+    const chainKey = chain.toLowerCase();
+    const merged = { ...this.getChainLimits(chainKey) };
+
+    for (const field of LIMIT_FIELDS) {
+      if (updates[field] !== undefined) {
+        merged[field] = updates[field] === null ? null : Number(updates[field]);
+      }
+    }
+
+    db.prepare(`
+      INSERT OR REPLACE INTO risk_limits (chain, ${LIMIT_FIELDS.join(', ')}, updated_at)
+      VALUES (?, ${LIMIT_FIELDS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+    `).run(chainKey, ...LIMIT_FIELDS.map((field) => merged[field]));
+
+    logger.info(`🛡️ 已更新 ${chainKey} 風控限制: ${LIMIT_FIELDS.map((f) => `${f}=${merged[f] ?? '不限'}`).join(', ')}`);
+
+    return this.getChainLimits(chainKey);
+  }
+
+  /**
+   * 計算單一鏈今日的風控狀態
+   * @param {string} chain - 鏈名稱
+   * @param {boolean} paper - 是否統計模擬交易
+   * @returns {Object} { daily_spend, daily_realized_pnl, chain_exposure, open_positions, positions, reserved, reservations }
+   *   daily_spend、chain_exposure、open_positions 已包含預留額度（reserved 為預留總額）
+   */
+  getStatus(chain, paper = false) {
+    const chainKey = chain.toLowerCase();
+    const since = this.getDayStart();
+    const sourceFilter = paper ? { source: 'paper' } : { exclude_source: 'paper' };
+
+    const { daily_spend: dailySpend } = db.prepare(`
+      SELECT COALESCE(SUM(amount_in), 0) AS daily_spend
+      FROM trades
+      WHERE chain = ? AND side = 'buy' AND executed_at >= ? AND source ${paper ? '=' : '!='} 'paper' AND incomplete = 0
+    `).get(chainKey, since);
+
+    const pnl = tradeService.getRealizedPnL({ chain: chainKey, ...sourceFilter }, since);
+    const positions = pnl
+      .filter((p) => p.open_cost > DUST_COST)
+      .map((p) => ({ token_address: p.token_address, symbol: p.symbol, open_amount: p.open_amount, open_cost: p.open_cost }));
+
+    const reservations = [...this.reservations.values()].filter((r) => r.chain === chainKey && r.paper === paper);
+    const reserved = reservations.reduce((sum, r) => sum + r.amount, 0);
+    const reservedTokens = new Set(reservations.map((r) => r.tokenAddress.toLowerCase()));
+    positions.forEach((p) => reservedTokens.delete(p.token_address.toLowerCase()));
+
+    return {
+      chain: chainKey,
+      since,
+      daily_spend: dailySpend + reserved,
+      daily_realized_pnl: pnl.reduce((sum, p) => sum + p.realized_pnl_since, 0),
+      chain_exposure: positions.reduce((sum, p) => sum + p.open_cost, 0) + reserved,
+      open_positions: positions.length + reservedTokens.size,
+      positions,
+      reserved,
+      reservations,
+    };
+  }
+
+  /**
+   * 買入前風控檢查；拒絕時記錄到 risk_events 並通知
+   * @param {Object} request - { chain, tokenAddress, amount, paper, source, notify, reservationKey }
+   *   amount: 本次買入花費的原生幣數量
+   *   notify: 是否由風控發送 Telegram 通知（呼叫端會自行通知時設為 false）
+   *   reservationKey: 通過時以此 key 預留額度，成交寫入 trades 或失敗後需呼叫 release 釋放
+   * @returns {Object} { allowed, reason, rule }
+   */
+  checkBuy({ chain, tokenAddress, amount, paper = false, source = 'order', notify = true, reservationKey = null }) {
+    const chainKey = chain.toLowerCase();
+    const limits = this.getChainLimits(chainKey);
+
+    // 同一 key 重新檢查（重試）時先移除舊的預留
+    if (reservationKey !== null) {
+      this.release(reservationKey);
+    }
+
+    let violation = null;
+    if (limits && LIMIT_FIELDS.some((field) => limits[field] !== null)) {
+      violation = this.findViolation(limits, this.getStatus(chainKey, paper), tokenAddress, amount);
+    }
+
+    if (!violation) {
+      if (reservationKey !== null) {
+        this.reserve(reservationKey, { chain: chainKey, tokenAddress, amount, paper });
+      }
+      return { allowed: true };
+    }
+
+    this.recordRejection({ chain: chainKey, tokenAddress, amount, source, notify, ...violation });
+    return { allowed: false, ...violation };
+  }
+
+  /**
+   * 預留買入額度（不做檢查；重新啟動後恢復待確認交易的預留時使用）
+   * @param {*} reservationKey - 預留 key
+   * @param {Object} reservation - { chain, tokenAddress, amount, paper }
+   */
+  reserve(reservationKey, { chain, tokenAddress, amount, paper = false }) {
+    this.reservations.set(reservationKey, { chain: chain.toLowerCase(), tokenAddress, amount, paper });
+  }
+
+  /**
+   * 釋放 checkBuy 預留的額度（成交已寫入 trades 或交易失敗）
+   * @param {*} reservationKey - checkBuy 傳入的 reservationKey
+   */
+  release(reservationKey) {
+    this.reservations.delete(reservationKey);
+  }
+
+  /**
+   * 依序比對各項限制，回傳第一個違反的規則
+   * @returns {Object|null} { rule, reason }
+   */
+  findViolation(limits, status, tokenAddress, amount) {
+    const fmt = (value) => Number(value.toFixed(6));
+
+    if (limits.max_daily_loss !== null && -status.daily_realized_pnl >= limits.max_daily_loss) {
+      return {
+        rule: 'max_daily_loss',
+        reason: `今日已實現虧損 ${fmt(-status.daily_realized_pnl)} 已達上限 ${limits.max_daily_loss}，暫停買入至明日`,
+      };
+    }
+
+    if (limits.max_daily_spend !== null && status.daily_spend + amount > limits.max_daily_spend) {
+      return {
+        rule: 'max_daily_spend',
+        reason: `今日已花費 ${fmt(status.daily_spend)}，本次 ${fmt(amount)} 將超過每日上限 ${limits.max_daily_spend}`,
+      };
+    }
+
+    const position = status.positions.find((p) => p.token_address.toLowerCase() === tokenAddress.toLowerCase());
+    const tokenReserved = status.reservations
+      .filter((r) => r.tokenAddress.toLowerCase() === tokenAddress.toLowerCase())
+      .reduce((sum, r) => sum + r.amount, 0);
+    const tokenExposure = (position?.open_cost || 0) + tokenReserved;
+
+    if (limits.max_token_exposure !== null && tokenExposure + amount > limits.max_token_exposure) {
+      return {
+        rule: 'max_token_exposure',
+        reason: `代幣曝險 ${fmt(tokenExposure)} + 本次 ${fmt(amount)} 將超過單一代幣上限 ${limits.max_token_exposure}`,
+      };
+    }
+
+    if (limits.max_chain_exposure !== null && status.chain_exposure + amount > limits.max_chain_exposure) {
+      return {
+        rule: 'max_chain_exposure',
+        reason: `鏈上總曝險 ${fmt(status.chain_exposure)} + 本次 ${fmt(amount)} 將超過上限 ${limits.max_chain_exposure}`,
+      };
+    }
+
+    // 加碼既有持倉（含預留中的買入）不增加持倉數
+    if (limits.max_open_positions !== null && !position && tokenReserved === 0 && status.open_positions >= limits.max_open_positions) {
+      return {
+        rule: 'max_open_positions',
+        reason: `目前持倉 ${status.open_positions} 個，已達同時持倉上限 ${limits.max_open_positions}`,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * 記錄風控拒絕（log + risk_events + 通知）
+   */
+  recordRejection({ chain, tokenAddress, amount, source, notify, rule, reason }) {
+    logger.warn(`🛡️ 風控拒絕 ${chain} 買入 ${tokenAddress} (${amount}, 來源: ${source}): ${reason}`);
+
+    try {
+      db.prepare(`
+        INSERT INTO risk_events (chain, token_address, amount, rule, reason, source, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(chain, tokenAddress, amount, rule, reason, source, getTaiwanISOString());
+    } catch (error) {
+      logger.error('記錄風控事件失敗:', error.message);
+    }
+
+    if (notify) {
+      this.telegram.sendError(`風控拒絕 ${chain.toUpperCase()} 買入 ${tokenAddress} (來源: ${source}): ${reason}`);
+    }
+  }
+
+  /**
+   * 查詢風控拒絕紀錄
+   * @param {Object} filters - { chain, limit }
+   * @returns {Array} 紀錄（新到舊）
+   */
+  getEvents(filters = {}) {
+    const limit = parseInt(filters.limit) || 100;
+
+    if (filters.chain) {
+      return db.prepare('SELECT * FROM risk_events WHERE chain = ? ORDER BY id DESC LIMIT ?')
+        .all(filters.chain.toLowerCase(), limit);
+    }
+
+    return db.prepare('SELECT * FROM risk_events ORDER BY id DESC LIMIT ?').all(limit);
+  }
+
+  /**
+   * 是否已暫停所有交易
+   * @returns {boolean}
+   */
+  isHalted() {
+    return this.getState('halted') === 'true';
+  }
+
+  /**
+   * 獲取暫停交易狀態
+   * @returns {Object} { halted, reason, source, halted_at }
+   */
+  getHaltState() {
+    const halted = this.isHalted();
+
+    return {
+      halted,
+      reason: halted ? this.getState('halt_reason') : null,
+      source: halted ? this.getState('halt_source') : null,
+      halted_at: halted ? this.getState('halted_at') : null,
+    };
+  }
+
+  /**
+   * 暫停所有交易
+   * @param {Object} options - { reason, source, cancelOrders }
+   *   source: 操作來源（api / dashboard / telegram）
+   *   cancelOrders: 是否同時取消所有進行中的掛單（含括號單等待中的子單）
+   * @returns {Object} 暫停狀態與取消的掛單數 { ...getHaltState(), cancelled_orders }
+   */
+  halt({ reason = null, source = 'api', cancelOrders = false } = {}) {
+    const cancelled = db.transaction(() => {
+      this.setState('halted', 'true');
+      this.setState('halt_reason', reason);
+      this.setState('halt_source', source);
+      this.setState('halted_at', getTaiwanISOString());
+
+      if (!cancelOrders) {
+        return 0;
+      }
+
+      return db.prepare(`
+        UPDATE orders
+        SET status = 'cancelled', next_retry_at = NULL
+        WHERE status IN ('active', 'pending')
+      `).run().changes;
+    })();
+
+    const detail = `${reason ? `原因: ${reason}，` : ''}來源: ${source}${cancelOrders ? `，已取消 ${cancelled} 筆掛單` : ''}`;
+    logger.warn(`🛑 已暫停所有交易 (${detail})`);
+    // Telegram 指令由指令回覆告知，不重複通知
+    if (source !== 'telegram') {
+      this.telegram.sendError(`🛑 已暫停所有交易 (${detail})`);
+    }
+
+    return { ...this.getHaltState(), cancelled_orders: cancelled };
+  }
+
+  /**
+   * 恢復交易
+   * @param {Object} options - { source }
+   * @returns {Object} 暫停狀態
+   */
+  resume({ source = 'api' } = {}) {
+    this.setState('halted', 'false');
+
+    logger.info(`▶️ 已恢復交易 (來源: ${source})`);
+    if (source !== 'telegram') {
+      this.telegram.sendMessage(`▶️ 已恢復交易 (來源: ${source})`);
+    }
+
+    return this.getHaltState();
+  }
+
+  getState(key) {
+    return db.prepare('SELECT value FROM risk_state WHERE key = ?').get(key)?.value ?? null;
+  }
+
+  setState(key, value) {
+    db.prepare(`
+      INSERT OR REPLACE INTO risk_state (key, value, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+    `).run(key, value);
+  }
+
+  /**
+   * 今日起始時間（台灣時間 00:00，與 trades.executed_at 同格式）
+   */
+  getDayStart() {
+    return `${getTaiwanISOString().slice(0, 10)} 00:00:00`;
+  }
+}
+
+export default new RiskManager();
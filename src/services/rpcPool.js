@@ -0,0 +1,287 @@
+import { ethers } from 'ethers';
+import { Connection } from '@solana/web3.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+const EVM_CHAIN_IDS = { bsc: 56, base: 8453 };
+
+// 節點回應這些 JSON-RPC 錯誤時視為節點問題（限流 / 額度用盡），改用下一個節點
+const ENDPOINT_ERROR_PATTERN = /rate limit|too many requests|limit exceeded|capacity|unavailable/i;
+
+// 延遲與錯誤率的指數移動平均權重
+const EWMA_WEIGHT = 0.2;
+
+/**
+ * 遮蔽 RPC URL 中可能含有 API Key 的路徑與參數，只保留主機名稱
+ * @param {string} url - RPC URL
+ * @returns {string}
+ */
+function maskUrl(url) {
+  try {
+    const { protocol, host, pathname } = new URL(url);
+    return `${protocol}//${host}${pathname.length > 1 ? '/…' : ''}`;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * 經由節點池送出請求的 ethers provider：每次請求依健康狀態挑選節點，失敗時改用下一個節點
+ */
+class PooledJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(pool, chain) {
+    // 固定網路，避免節點異常時 ethers 不斷重試偵測網路
+    super(pool.endpoints[chain][0].url, ethers.Network.from(EVM_CHAIN_IDS[chain]), { staticNetwork: true });
+    this.pool = pool;
+    this.chain = chain;
+  }
+
+  async _send(payload) {
+    return this.pool.request(this.chain, async (endpoint) => {
+      const request = new ethers.FetchRequest(endpoint.url);
+      request.timeout = config.rpcPool.timeoutMs;
+      // 不在同一節點上重試限流，直接切換節點
+      request.setThrottleParams({ maxAttempts: 1 });
+      request.body = JSON.stringify(payload);
+      request.setHeader('content-type', 'application/json');
+
+      const response = await request.send();
+      response.assertOk();
+
+      const result = Array.isArray(response.bodyJson) ? response.bodyJson : [response.bodyJson];
+      const endpointError = result.find((item) => item.error && ENDPOINT_ERROR_PATTERN.test(item.error.message || ''));
+      if (endpointError) {
+        throw new Error(endpointError.error.message);
+      }
+
+      return result;
+    });
+  }
+}
+
+/**
+ * RPC 節點池
+ * - 每條鏈可設定多個節點（<CHAIN>_RPC_URL + <CHAIN>_RPC_URLS），所有服務共用同一個 provider / Connection
+ * - 記錄每個節點的延遲與錯誤率，請求優先送往分數最好的節點
+ * - 節點失敗（逾時、HTTP 錯誤、限流）時改用下一個節點，並暫停優先使用一段時間
+ */
+class RpcPool {
+  constructor() {
+    this.endpoints = {};
+    this.providers = {};
+    this.connection = null;
+
+    for (const [chain, urls] of Object.entries(config.rpcPool.urls)) {
+      this.endpoints[chain] = urls.map((url) => ({
+        url,
+        latencyMs: null,
+        errorRate: 0,
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        cooldownUntil: 0,
+        lastError: null,
+        lastErrorAt: null,
+        lastBlock: null,
+      }));
+    }
+  }
+
+  /**
+   * 共用的 EVM provider
+   * @param {string} chain - 'bsc' | 'base'
+   * @returns {ethers.JsonRpcProvider}
+   */
+  getProvider(chain) {
+    if (!EVM_CHAIN_IDS[chain]) {
+      throw new Error(`不支援的 EVM 鏈: ${chain}`);
+    }
+
+    this.providers[chain] ??= new PooledJsonRpcProvider(this, chain);
+    return this.providers[chain];
+  }
+
+  /**
+   * 共用的 Solana Connection（HTTP 請求經由節點池）
+   * @returns {Connection}
+   */
+  getConnection() {
+    this.connection ??= new Connection(this.endpoints.solana[0].url, {
+      commitment: 'confirmed',
+      fetch: (url, options) => this.request('solana', async (endpoint) => {
+        const response = await fetch(endpoint.url, {
+          ...options,
+          signal: AbortSignal.timeout(config.rpcPool.timeoutMs),
+        });
+
+        if (response.status === 429 || response.status >= 500) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        return response;
+      }),
+      // 限流由節點池切換節點處理
+      disableRetryOnRateLimit: true,
+      httpAgent: false,
+    });
+
+    return this.connection;
+  }
+
+  /**
+   * 節點分數（越低越好）：平均延遲依錯誤率加權，未使用過的節點以 500ms 估計
+   * @param {Object} endpoint - 節點狀態
+   * @returns {number}
+   */
+  score(endpoint) {
+    return (endpoint.latencyMs ?? 500) * (1 + endpoint.errorRate * 4);
+  }
+
+  /**
+   * 依健康狀態排序節點：不在暫停期的節點優先，再依分數排序
+   * @param {string} chain - 鏈
+   * @returns {Array<Object>}
+   */
+  rank(chain) {
+    const now = Date.now();
+
+    return [...this.endpoints[chain]].sort((a, b) => {
+      const aCooling = a.cooldownUntil > now;
+      const bCooling = b.cooldownUntil > now;
+      if (aCooling !== bCooling) {
+        return aCooling ? 1 : -1;
+      }
+      return this.score(a) - this.score(b);
+    });
+  }
+
+  /**
+   * 依序嘗試節點直到成功
+   * @param {string} chain - 鏈
+   * @param {Function} send - async (endpoint) => result，失敗時拋出錯誤
+   * @returns {Promise<*>}
+   */
+  async request(chain, send) {
+    const ranked = this.rank(chain);
+    let lastError;
+
+    for (let i = 0; i < ranked.length; i++) {
+      const endpoint = ranked[i];
+      const startedAt = Date.now();
+
+      try {
+        const result = await send(endpoint);
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        lastError = error;
+        this.recordFailure(endpoint, error);
+
+        if (i < ranked.length - 1) {
+          logger.warn(`⚠️ ${chain} RPC 節點失敗，切換節點: ${maskUrl(endpoint.url)} (${error.shortMessage || error.message})`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * 記錄成功請求：更新平均延遲、降低錯誤率並解除暫停
+   * @param {Object} endpoint - 節點狀態
+   * @param {number} latencyMs - 請求耗時
+   */
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : endpoint.latencyMs * (1 - EWMA_WEIGHT) + latencyMs * EWMA_WEIGHT;
+    endpoint.errorRate *= 1 - EWMA_WEIGHT;
+    endpoint.successes++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+  }
+
+  /**
+   * 記錄失敗請求：提高錯誤率並暫停優先使用（連續失敗時加倍）
+   * @param {Object} endpoint - 節點狀態
+   * @param {Error} error - 錯誤
+   */
+  recordFailure(endpoint, error) {
+    endpoint.errorRate = endpoint.errorRate * (1 - EWMA_WEIGHT) + EWMA_WEIGHT;
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.cooldownUntil = Date.now() + config.rpcPool.cooldownMs * 2 ** Math.min(endpoint.consecutiveFailures - 1, 4);
+    endpoint.lastError = (error.shortMessage || error.message || String(error)).slice(0, 200);
+    endpoint.lastErrorAt = new Date().toISOString();
+  }
+
+  /**
+   * 主動檢測所有節點（EVM: eth_blockNumber；Solana: getSlot），更新延遲與最新區塊
+   * @param {string|null} chain - 只檢測單一鏈
+   * @returns {Promise<Object>} 同 getHealth
+   */
+  async probe(chain = null) {
+    const chains = chain ? [chain] : Object.keys(this.endpoints);
+
+    await Promise.all(chains.flatMap((name) => this.endpoints[name].map(async (endpoint) => {
+      const startedAt = Date.now();
+
+      try {
+        const response = await fetch(endpoint.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method: name === 'solana' ? 'getSlot' : 'eth_blockNumber',
+            params: [],
+          }),
+          signal: AbortSignal.timeout(config.rpcPool.timeoutMs),
+        });
+
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (data.error) {
+          throw new Error(data.error.message);
+        }
+
+        endpoint.lastBlock = Number(data.result);
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+      } catch (error) {
+        this.recordFailure(endpoint, error);
+      }
+    })));
+
+    return this.getHealth(chain);
+  }
+
+  /**
+   * 節點健康狀態（URL 已遮蔽 API Key）
+   * @param {string|null} chain - 只回傳單一鏈
+   * @returns {Object} { [chain]: [{ url, healthy, score, latency_ms, ... }] }
+   */
+  getHealth(chain = null) {
+    const now = Date.now();
+    const chains = chain ? [chain] : Object.keys(this.endpoints);
+
+    return Object.fromEntries(chains.map((name) => [name, this.rank(name).map((endpoint) => ({
+      url: maskUrl(endpoint.url),
+      healthy: endpoint.cooldownUntil <= now,
+      score: Math.round(this.score(endpoint)),
+      latency_ms: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      error_rate: Number(endpoint.errorRate.toFixed(3)),
+      successes: endpoint.successes,
+      failures: endpoint.failures,
+      consecutive_failures: endpoint.consecutiveFailures,
+      cooldown_until: endpoint.cooldownUntil > now ? new Date(endpoint.cooldownUntil).toISOString() : null,
+      last_error: endpoint.lastError,
+      last_error_at: endpoint.lastErrorAt,
+      last_block: endpoint.lastBlock,
+    }))]));
+  }
+}
+
+export default new RpcPool();
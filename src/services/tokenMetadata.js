@@ -1,7 +1,8 @@
 import { ethers } from 'ethers';
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
+import rpcPool from './rpcPool.js';
 
 // ERC20 標準 ABI
 const ERC20_ABI = [
@@ -18,9 +19,9 @@ const FACTORY_ABI = [
 class TokenMetadataService {
   constructor() {
     // 初始化 providers
-    this.bscProvider = new ethers.JsonRpcProvider(config.rpc.bsc);
-    this.solanaConnection = new Connection(config.rpc.solana, 'confirmed');
-    this.baseProvider = new ethers.JsonRpcProvider(config.rpc.base);
+    this.bscProvider = rpcPool.getProvider('bsc');
+    this.solanaConnection = rpcPool.getConnection();
+    this.baseProvider = rpcPool.getProvider('base');
 
     // DEX 配置
     this.dexConfig = {
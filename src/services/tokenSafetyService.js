@@ -0,0 +1,149 @@
+import db from '../database/db.js';
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+import BSCTradeExecutor from './tradeExecutor/bscExecutor.js';
+import BaseTradeExecutor from './tradeExecutor/baseExecutor.js';
+
+// 確保 tokens 表的蜜罐 / 稅率與轉帳稅設定欄位存在
+(function migrate() {
+  try { db.exec('ALTER TABLE tokens ADD COLUMN buy_tax REAL'); } catch (e) {}
+  try { db.exec('ALTER TABLE tokens ADD COLUMN sell_tax REAL'); } catch (e) {}
+  try { db.exec('ALTER TABLE tokens ADD COLUMN is_honeypot INTEGER DEFAULT 0'); } catch (e) {}
+  try { db.exec('ALTER TABLE tokens ADD COLUMN safety_note TEXT'); } catch (e) {}
+  try { db.exec('ALTER TABLE tokens ADD COLUMN safety_checked_at DATETIME'); } catch (e) {}
+  try { db.exec('ALTER TABLE tokens ADD COLUMN fee_on_transfer INTEGER'); } catch (e) {}
+})();
+
+// 模擬稅率超過此值（%）視為轉帳稅代幣（二分搜尋精度約 0.1%）
+const TRANSFER_FEE_THRESHOLD = 0.5;
+
+/**
+ * 代幣安全檢測（蜜罐 / 買賣稅 / 單筆交易上限）
+ * 僅支援 EVM 鏈（BSC、Base），檢測結果寫回 tokens 表供前端顯示
+ */
+class TokenSafetyService {
+  constructor() {
+    this.executors = {
+      bsc: new BSCTradeExecutor(),
+      base: new BaseTradeExecutor(),
+    };
+  }
+
+  /**
+   * 是否支援該鏈的檢測
+   * @param {string} chain - 鏈名稱
+   * @returns {boolean}
+   */
+  isSupported(chain) {
+    return !!this.executors[chain.toLowerCase()];
+  }
+
+  /**
+   * 模擬買入再賣出並將結果寫回代幣
+   * 以實際交易的錢包與路由（快取池子、轉帳稅設定）檢測；路由無法模擬時略過，不寫回代幣
+   * @param {Object} token - 代幣資料（需含 id, chain, address；pool_*、fee_on_transfer 決定交易路由）
+   * @param {number} amountIn - 模擬買入的原生幣數量
+   * @param {string|null} walletId - 交易錢包 ID（未指定時使用預設錢包）
+   * @returns {Promise<Object>} 檢測結果（略過時 skipped 為 true）
+   */
+  async check(token, amountIn, walletId = null) {
+    const executor = this.executors[token.chain.toLowerCase()];
+    if (!executor) {
+      throw new Error(`不支援的鏈: ${token.chain}`);
+    }
+
+    const result = await executor.checkToken({
+      tokenAddress: token.address,
+      amountIn,
+      walletId,
+      pool: token.pool_address
+        ? { address: token.pool_address, protocol: token.pool_protocol, version: token.pool_version }
+        : null,
+      feeOnTransfer: this.getFeeOnTransfer(token),
+    });
+
+    if (result.skipped) {
+      logger.warn(`⏭️ ${token.symbol || token.address} 略過蜜罐檢測: ${result.reason}`);
+      return result;
+    }
+
+    db.prepare(`
+      UPDATE tokens
+      SET buy_tax = ?, sell_tax = ?, is_honeypot = ?, safety_note = ?, safety_checked_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      result.buyTax,
+      result.sellTax,
+      result.isHoneypot ? 1 : 0,
+      this.describe(result),
+      token.id
+    );
+
+    return result;
+  }
+
+  /**
+   * 依設定的稅率上限判斷是否允許買入
+   * @param {Object} result - 檢測結果
+   * @returns {Object} { allowed, reason }
+   */
+  evaluate(result) {
+    const { maxBuyTax, maxSellTax } = config.honeypotCheck;
+
+    if (result.isHoneypot) {
+      return { allowed: false, reason: `疑似蜜罐: ${result.reason}` };
+    }
+
+    if (result.maxTxLimited) {
+      return { allowed: false, reason: result.reason };
+    }
+
+    if (result.buyTax !== null && result.buyTax > maxBuyTax) {
+      return { allowed: false, reason: `買入稅 ${result.buyTax.toFixed(2)}% 超過上限 ${maxBuyTax}%` };
+    }
+
+    if (result.sellTax !== null && result.sellTax > maxSellTax) {
+      return { allowed: false, reason: `賣出稅 ${result.sellTax.toFixed(2)}% 超過上限 ${maxSellTax}%` };
+    }
+
+    return { allowed: true, reason: result.inconclusive ? result.reason : null };
+  }
+
+  /**
+   * 判斷代幣是否需使用支援轉帳稅的 swap
+   * 手動設定（fee_on_transfer 為 0 / 1）優先；否則最近一次檢測有買賣稅時回傳 true，
+   * 其餘回傳 undefined 交由執行器在交易前模擬偵測（稅率可能在開盤後才調整）
+   * @param {Object} token - 代幣資料（含 fee_on_transfer, buy_tax, sell_tax）
+   * @returns {boolean|undefined}
+   */
+  getFeeOnTransfer(token) {
+    if (token.fee_on_transfer !== null && token.fee_on_transfer !== undefined) {
+      return !!token.fee_on_transfer;
+    }
+
+    if ((token.buy_tax ?? 0) > TRANSFER_FEE_THRESHOLD || (token.sell_tax ?? 0) > TRANSFER_FEE_THRESHOLD) {
+      return true;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 產生寫入 safety_note 的說明文字
+   * @param {Object} result - 檢測結果
+   * @returns {string|null}
+   */
+  describe(result) {
+    if (result.isHoneypot) {
+      return `疑似蜜罐: ${result.reason}`;
+    }
+
+    if (result.maxTxLimited || result.inconclusive) {
+      return result.reason;
+    }
+
+    return null;
+  }
+}
+
+export default new TokenSafetyService();
@@ -2,166 +2,694 @@ import { ethers } from 'ethers';
 import config from '../../config/config.js';
 import logger from '../../utils/logger.js';
 import walletManager from '../walletManager.js';
+import rpcPool from '../rpcPool.js';
+import HoneypotChecker from './honeypotChecker.js';
+import txManager from './txManager.js';
+import allowanceService from '../allowanceService.js';
 
-// Aerodrome/Uniswap V2 Router ABI
+// Uniswap V2 Router ABI
 const ROUTER_ABI = [
   'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
   'function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)',
   'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external',
   'function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)',
 ];
 
+// Aerodrome Router ABI（路徑為 Route 結構陣列）
+const AERODROME_ROUTER_ABI = [
+  'function swapExactETHForTokens(uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) external payable returns (uint256[] amounts)',
+  'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, (address from, address to, bool stable, address factory)[] routes, address to, uint256 deadline) external returns (uint256[] amounts)',
+  'function getAmountsOut(uint256 amountIn, (address from, address to, bool stable, address factory)[] routes) external view returns (uint256[] amounts)',
+];
+
+// Uniswap V3 SwapRouter02 ABI
+const SWAP_ROUTER02_ABI = [
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) external payable returns (uint256 amountOut)',
+  'function unwrapWETH9(uint256 amountMinimum, address recipient) external payable',
+  'function multicall(uint256 deadline, bytes[] data) external payable returns (bytes[] results)',
+];
+
+// Uniswap V3 QuoterV2 ABI（非 view 函數，需以 staticCall 呼叫）
+const QUOTER_V2_ABI = [
+  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+];
+
+// Uniswap V4 Quoter ABI（非 view 函數，需以 staticCall 呼叫）
+const V4_QUOTER_ABI = [
+  'function quoteExactInputSingle(((address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) poolKey, bool zeroForOne, uint128 exactAmount, bytes hookData) params) external returns (uint256 amountOut, uint256 gasEstimate)',
+];
+
+// Uniswap Universal Router ABI
+const UNIVERSAL_ROUTER_ABI = [
+  'function execute(bytes commands, bytes[] inputs, uint256 deadline) external payable',
+];
+
+// Permit2 ABI（V4 賣出由 Universal Router 透過 Permit2 扣款）
+const PERMIT2_ABI = [
+  'function allowance(address user, address token, address spender) external view returns (uint160 amount, uint48 expiration, uint48 nonce)',
+  'function approve(address token, address spender, uint160 amount, uint48 expiration) external',
+];
+
 // ERC20 ABI
 const ERC20_ABI = [
-  'function approve(address spender, uint256 amount) external returns (bool)',
-  'function allowance(address owner, address spender) external view returns (uint256)',
   'function balanceOf(address account) external view returns (uint256)',
   'function decimals() external view returns (uint8)',
 ];
 
+// Universal Router 指令
+const UR_COMMANDS = {
+  WRAP_ETH: 0x0b,
+  UNWRAP_WETH: 0x0c,
+  V4_SWAP: 0x10,
+};
+
+// V4Router 動作
+const V4_ACTIONS = {
+  SWAP_EXACT_IN_SINGLE: 0x06,
+  SETTLE: 0x0b,
+  SETTLE_ALL: 0x0c,
+  TAKE: 0x0e,
+  TAKE_ALL: 0x0f,
+};
+
+// Router 的特殊收款地址：address(1) 代表 msg.sender，address(2) 代表 Router 本身
+const MSG_SENDER = '0x0000000000000000000000000000000000000001';
+const ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+
+// 與 BasePriceMonitor.v4Configs 相同，用於由快取的 poolId 還原 PoolKey
+const V4_POOL_CONFIGS = [
+  { fee: 100, tickSpacing: 1 },
+  { fee: 500, tickSpacing: 10 },
+  { fee: 3000, tickSpacing: 60 },
+  { fee: 10000, tickSpacing: 200 },
+];
+
+// 與 BasePriceMonitor.v3Fees 相同，報價比較時逐一嘗試
+const V3_FEES = [100, 500, 3000, 10000];
+
+const EXACT_INPUT_SINGLE_TYPE = 'tuple(tuple(address currency0, address currency1, uint24 fee, int24 tickSpacing, address hooks) poolKey, bool zeroForOne, uint128 amountIn, uint128 amountOutMinimum, bytes hookData)';
+
 /**
  * Base 鏈交易執行器
- * 使用 Aerodrome 或 Uniswap V2 compatible DEX
+ * 依代幣快取的池子（pool_protocol / pool_version / pool_address）選擇交易場所：
+ * Uniswap V4（Universal Router）、Uniswap V3（SwapRouter02）、Uniswap V2、Aerodrome volatile / stable
  */
 class BaseTradeExecutor {
   constructor() {
-    this.provider = new ethers.JsonRpcProvider(config.rpc.base);
-    // 注意：如果要使用 Uniswap V3 进行交易，需要使用 SwapRouter
-    // 这里暂时注释掉，因为配置中已经没有 routerV2
-    // 如果需要交易功能，需要添加 V3 SwapRouter 地址到配置
-    this.routerAddress = '0x2626664c2603336E57B271c5C0b26F421741e481'; // Uniswap V3 SwapRouter on Base
-    this.router = new ethers.Contract(
-      this.routerAddress,
-      ROUTER_ABI,
-      this.provider
-    );
+    this.provider = rpcPool.getProvider('base');
     this.weth = config.dex.base.weth;
+    this.v2Router = new ethers.Contract(config.dex.base.routerV2, ROUTER_ABI, this.provider);
+    this.swapRouter = new ethers.Contract(config.dex.base.swapRouter02, SWAP_ROUTER02_ABI, this.provider);
+    this.quoterV2 = new ethers.Contract(config.dex.base.quoterV2, QUOTER_V2_ABI, this.provider);
+    this.universalRouter = new ethers.Contract(config.dex.base.universalRouter, UNIVERSAL_ROUTER_ABI, this.provider);
+    this.v4Quoter = new ethers.Contract(config.dex.base.v4Quoter, V4_QUOTER_ABI, this.provider);
+    this.permit2 = new ethers.Contract(config.dex.base.permit2, PERMIT2_ABI, this.provider);
+    this.aerodromeRouter = new ethers.Contract(config.dex.base.aerodromeRouter, AERODROME_ROUTER_ABI, this.provider);
+    this.honeypotChecker = new HoneypotChecker(this.provider, config.dex.base.routerV2, this.weth);
+  }
+
+  /**
+   * 交易前蜜罐 / 稅率檢測：以 eth_call 模擬買入再賣出，不送出交易
+   * 只能模擬 Uniswap V2；買入會經由快取的 V3 / V4 / Aerodrome 池子時略過檢測（skipped）
+   * @param {Object} params - { tokenAddress, amountIn (原生幣), walletId, pool, feeOnTransfer }
+   * @returns {Promise<Object>} 檢測結果（見 HoneypotChecker.check）
+   */
+  async checkToken(params) {
+    const { tokenAddress, amountIn, walletId = null, pool = null, feeOnTransfer } = params;
+
+    const venue = this.resolveVenue(tokenAddress, pool, feeOnTransfer);
+    if (venue.protocol !== 'V2') {
+      return this.honeypotChecker.skipped(`買入經由 ${venue.description}，僅能模擬 Uniswap V2，未進行蜜罐檢測`);
+    }
+
+    // 有錢包時以實際交易的錢包地址模擬，較貼近實際交易（白名單、黑名單等限制）
+    const from = walletManager.hasWallet('base', walletId) ? walletManager.getAddress('base', walletId) : null;
+
+    return this.honeypotChecker.check({ tokenAddress, amountIn, from });
   }
 
   /**
    * 執行買入交易
-   * @param {Object} params - 交易參數
-   * @returns {Promise<Object>} 交易結果
+   * 透過代幣快取的池子交易；未快取池子或轉帳稅代幣改走 Uniswap V2
+   * @param {Object} params - 交易參數（pool 為快取的池子 { address, protocol, version }）
+   * @returns {Promise<Object>} 交易結果（含 route 交易場所說明）
    */
   async executeBuy(params) {
     const {
       tokenAddress,
       amountIn, // ETH 數量
+      decimals = 18,
       slippage = 2,
       deadline = 20,
+      feeOnTransfer, // 是否為轉帳稅代幣（V2 池子未指定時自動偵測）
+      pool,
+      walletId, // 使用的錢包 ID（未指定時使用預設錢包）
     } = params;
 
+    let tx = null;
     try {
       logger.info(`執行 Base 買入: ${tokenAddress}`);
 
-      const wallet = walletManager.getWallet('base');
-      const path = [this.weth, tokenAddress];
+      const wallet = walletManager.getWallet('base', walletId);
+      const amountInWei = ethers.parseEther(amountIn.toString());
+      const venue = this.resolveVenue(tokenAddress, pool, feeOnTransfer);
+      const expectedOut = await this.quote(venue, 'buy', tokenAddress, amountInWei);
 
-      // 計算預期輸出
-      const amountsOut = await this.router.getAmountsOut(
-        ethers.parseEther(amountIn.toString()),
-        path
-      );
-      const expectedOut = amountsOut[1];
-      const amountOutMin = (expectedOut * BigInt(100 - slippage)) / BigInt(100);
+      // 計算最小輸出（V2 轉帳稅代幣以模擬的實際到帳數量計算，再考慮滑點）
+      const { amountOutMin, netOut, useFeeVariant } = venue.protocol === 'V2'
+        ? await this.resolveAmountOutMin({
+          side: 'buy',
+          tokenAddress,
+          amountInWei,
+          expectedOut,
+          slippage,
+          feeOnTransfer,
+          from: wallet.address,
+        })
+        : this.applySlippage(expectedOut, slippage);
 
       const deadlineTimestamp = Math.floor(Date.now() / 1000) + deadline * 60;
-      const routerWithSigner = this.router.connect(wallet);
 
       logger.info(`買入金額: ${amountIn} ETH`);
-      logger.info(`預期獲得: ${ethers.formatUnits(expectedOut, 18)} tokens`);
+      logger.info(`交易場所: ${venue.description}`);
+      logger.info(`預期獲得: ${ethers.formatUnits(netOut, decimals)} tokens${useFeeVariant ? ' (已扣除轉帳稅)' : ''}`);
 
-      const tx = await routerWithSigner.swapExactETHForTokens(
+      // 記錄交易前代幣餘額，用於計算實際獲得數量
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+      const tokenBalanceBefore = await token.balanceOf(wallet.address);
+
+      // 由交易管理器估算 gas、設定 EIP-1559 手續費、分配 nonce 並送出
+      tx = await txManager.send('base', wallet, this.buildSwapTx(venue, 'buy', {
+        tokenAddress,
+        amountInWei,
         amountOutMin,
-        path,
-        wallet.address,
-        deadlineTimestamp,
-        {
-          value: ethers.parseEther(amountIn.toString()),
-          gasLimit: 300000,
-        }
-      );
+        recipient: wallet.address,
+        deadline: deadlineTimestamp,
+        useFeeVariant,
+      }), `買入 ${tokenAddress}`);
 
       logger.info(`交易已發送: ${tx.hash}`);
-      const receipt = await tx.wait();
+      const receipt = await txManager.wait('base', wallet, tx);
 
       logger.success(`✅ Base 買入成功! Gas: ${receipt.gasUsed.toString()}`);
 
+      const tokenBalanceAfter = await token.balanceOf(wallet.address);
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+
       return {
         success: true,
         txHash: receipt.hash,
         gasUsed: receipt.gasUsed.toString(),
+        gasCost: parseFloat(ethers.formatEther(gasCost)),
         blockNumber: receipt.blockNumber,
+        amountIn: parseFloat(amountIn),
+        amountOut: parseFloat(ethers.formatUnits(tokenBalanceAfter - tokenBalanceBefore, decimals)),
+        route: venue.description,
       };
     } catch (error) {
       logger.error('Base 買入失敗:', error.message);
       return {
         success: false,
         error: error.message,
+        // 交易已送出但結果未確定（等待確認逾時或查詢狀態失敗），由訂單服務追蹤，不可重送
+        ...(tx && error.pendingTx && { pendingTx: error.pendingTx }),
       };
     }
   }
 
   /**
    * 執行賣出交易
-   * @param {Object} params - 交易參數
-   * @returns {Promise<Object>} 交易結果
+   * 透過代幣快取的池子交易；未快取池子或轉帳稅代幣改走 Uniswap V2
+   * @param {Object} params - 交易參數（同 executeBuy）
+   * @returns {Promise<Object>} 交易結果（含 route 交易場所說明）
    */
   async executeSell(params) {
     const {
       tokenAddress,
-      amountIn,
+      amountInRaw: amountInWei, // Token 數量（最小單位，bigint）
       decimals = 18,
       slippage = 2,
       deadline = 20,
+      feeOnTransfer, // 是否為轉帳稅代幣（V2 池子未指定時自動偵測）
+      pool,
+      walletId, // 使用的錢包 ID（未指定時使用預設錢包）
     } = params;
 
+    let tx = null;
     try {
       logger.info(`執行 Base 賣出: ${tokenAddress}`);
 
-      const wallet = walletManager.getWallet('base');
-      const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+      const wallet = walletManager.getWallet('base', walletId);
+      const venue = this.resolveVenue(tokenAddress, pool, feeOnTransfer);
+      const amountIn = ethers.formatUnits(amountInWei, decimals);
 
-      // 授權
-      await this.approveToken(token, wallet, amountIn, decimals);
+      // 授權給交易場所的 Router（V4 經由 Permit2，額度足夠時略過）
+      await this.approveForVenue(venue, tokenAddress, wallet, amountInWei);
 
-      const path = [tokenAddress, this.weth];
-      const amountInWei = ethers.parseUnits(amountIn.toString(), decimals);
+      const expectedOut = await this.quote(venue, 'sell', tokenAddress, amountInWei);
 
-      const amountsOut = await this.router.getAmountsOut(amountInWei, path);
-      const expectedOut = amountsOut[1];
-      const amountOutMin = (expectedOut * BigInt(100 - slippage)) / BigInt(100);
+      const { amountOutMin, netOut, useFeeVariant } = venue.protocol === 'V2'
+        ? await this.resolveAmountOutMin({
+          side: 'sell',
+          tokenAddress,
+          amountInWei,
+          expectedOut,
+          slippage,
+          feeOnTransfer,
+          from: wallet.address,
+        })
+        : this.applySlippage(expectedOut, slippage);
 
       const deadlineTimestamp = Math.floor(Date.now() / 1000) + deadline * 60;
-      const routerWithSigner = this.router.connect(wallet);
 
       logger.info(`賣出數量: ${amountIn} tokens`);
-      logger.info(`預期獲得: ${ethers.formatEther(expectedOut)} ETH`);
+      logger.info(`交易場所: ${venue.description}`);
+      logger.info(`預期獲得: ${ethers.formatEther(netOut)} ETH${useFeeVariant ? ' (已扣除轉帳稅)' : ''}`);
+
+      // 記錄交易前原生幣餘額，用於計算實際收回數量
+      const nativeBalanceBefore = await this.provider.getBalance(wallet.address);
 
-      const tx = await routerWithSigner.swapExactTokensForETH(
+      // 由交易管理器估算 gas、設定 EIP-1559 手續費、分配 nonce 並送出
+      tx = await txManager.send('base', wallet, this.buildSwapTx(venue, 'sell', {
+        tokenAddress,
         amountInWei,
         amountOutMin,
-        path,
-        wallet.address,
-        deadlineTimestamp,
-        {
-          gasLimit: 300000,
-        }
-      );
+        recipient: wallet.address,
+        deadline: deadlineTimestamp,
+        useFeeVariant,
+      }), `賣出 ${tokenAddress}`);
 
       logger.info(`交易已發送: ${tx.hash}`);
-      const receipt = await tx.wait();
+      const receipt = await txManager.wait('base', wallet, tx);
 
       logger.success(`✅ Base 賣出成功! Gas: ${receipt.gasUsed.toString()}`);
 
+      // 實際收回 = 餘額變化 + gas 費用
+      const nativeBalanceAfter = await this.provider.getBalance(wallet.address);
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+
       return {
         success: true,
         txHash: receipt.hash,
         gasUsed: receipt.gasUsed.toString(),
+        gasCost: parseFloat(ethers.formatEther(gasCost)),
         blockNumber: receipt.blockNumber,
+        amountIn: parseFloat(amountIn),
+        amountOut: parseFloat(ethers.formatEther(nativeBalanceAfter - nativeBalanceBefore + gasCost)),
+        route: venue.description,
       };
     } catch (error) {
       logger.error('Base 賣出失敗:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        // 交易已送出但結果未確定（等待確認逾時或查詢狀態失敗），由訂單服務追蹤，不可重送
+        ...(tx && error.pendingTx && { pendingTx: error.pendingTx }),
+      };
+    }
+  }
+
+  /**
+   * 依快取的池子決定交易場所
+   * 轉帳稅代幣只能走 Uniswap V2 的 ...SupportingFeeOnTransferTokens；未快取池子時預設 Uniswap V2
+   * @param {string} tokenAddress - 代幣地址
+   * @param {Object} pool - 快取的池子 { address, protocol, version }
+   * @param {boolean} feeOnTransfer - 是否為轉帳稅代幣
+   * @returns {Object} { protocol, description, spender, ... }
+   */
+  resolveVenue(tokenAddress, pool, feeOnTransfer) {
+    if (feeOnTransfer === true || !pool?.address) {
+      return this.v2Venue();
+    }
+
+    if (pool.protocol === 'Aerodrome') {
+      if (!['volatile', 'stable'].includes(pool.version)) {
+        throw new Error(`無效的 Aerodrome 池子類型: ${pool.version}`);
+      }
+
+      return this.aerodromeVenue(pool.version);
+    }
+
+    if (pool.version === 'V4') {
+      // 快取的是 poolId（PoolKey 的 hash），以已知的 fee / tickSpacing 組合還原 PoolKey
+      const venue = V4_POOL_CONFIGS
+        .map((poolConfig) => this.v4Venue(tokenAddress, poolConfig))
+        .find(({ poolKey }) =>
+          ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ['address', 'address', 'uint24', 'int24', 'address'],
+            [poolKey.currency0, poolKey.currency1, poolKey.fee, poolKey.tickSpacing, poolKey.hooks]
+          )) === pool.address.toLowerCase()
+        );
+
+      if (!venue) {
+        throw new Error(`無法由 poolId 還原 Uniswap V4 池子: ${pool.address}`);
+      }
+
+      return venue;
+    }
+
+    if (pool.version === 'V3') {
+      // 快取格式: "V3-fee10000" -> fee = 10000
+      const fee = parseInt(pool.address.replace('V3-fee', ''));
+      if (isNaN(fee)) {
+        throw new Error(`無效的 V3 池子格式: ${pool.address}`);
+      }
+
+      return this.v3Venue(fee);
+    }
+
+    return this.v2Venue();
+  }
+
+  /**
+   * 列出代幣所有可報價的交易場所（報價比較使用，不需快取池子）
+   * @param {string} tokenAddress - 代幣地址
+   * @returns {Array<Object>} resolveVenue 格式的交易場所
+   */
+  listVenues(tokenAddress) {
+    return [
+      this.v2Venue(),
+      ...V3_FEES.map((fee) => this.v3Venue(fee)),
+      ...V4_POOL_CONFIGS.map((poolConfig) => this.v4Venue(tokenAddress, poolConfig)),
+      this.aerodromeVenue('volatile'),
+      this.aerodromeVenue('stable'),
+    ];
+  }
+
+  /**
+   * Uniswap V4 交易場所（與 WETH 配對、無 hooks）
+   * @param {string} tokenAddress - 代幣地址
+   * @param {Object} poolConfig - { fee, tickSpacing }
+   * @returns {Object}
+   */
+  v4Venue(tokenAddress, { fee, tickSpacing }) {
+    const [currency0, currency1] = tokenAddress.toLowerCase() < this.weth.toLowerCase()
+      ? [tokenAddress, this.weth]
+      : [this.weth, tokenAddress];
+
+    return {
+      protocol: 'V4',
+      poolKey: {
+        currency0,
+        currency1,
+        fee,
+        tickSpacing,
+        hooks: ethers.ZeroAddress,
+      },
+      wethIsCurrency0: currency0.toLowerCase() === this.weth.toLowerCase(),
+      description: `Uniswap V4 (${fee / 10000}%)`,
+      spender: this.permit2.target,
+    };
+  }
+
+  /**
+   * Uniswap V3 交易場所
+   * @param {number} fee - 手續費等級
+   * @returns {Object}
+   */
+  v3Venue(fee) {
+    return {
+      protocol: 'V3',
+      fee,
+      description: `Uniswap V3 (${fee / 10000}%)`,
+      spender: this.swapRouter.target,
+    };
+  }
+
+  /**
+   * Aerodrome 交易場所
+   * @param {string} version - 'volatile' | 'stable'
+   * @returns {Object}
+   */
+  aerodromeVenue(version) {
+    return {
+      protocol: 'Aerodrome',
+      stable: version === 'stable',
+      description: `Aerodrome ${version}`,
+      spender: this.aerodromeRouter.target,
+    };
+  }
+
+  /**
+   * Uniswap V2 交易場所
+   * @returns {Object}
+   */
+  v2Venue() {
+    return {
+      protocol: 'V2',
+      description: 'Uniswap V2',
+      spender: this.v2Router.target,
+    };
+  }
+
+  /**
+   * 向交易場所報價
+   * @param {Object} venue - resolveVenue 的結果
+   * @param {string} side - 'buy' | 'sell'
+   * @param {string} tokenAddress - 代幣地址
+   * @param {bigint} amountInWei - 輸入數量
+   * @returns {Promise<bigint>} 預期輸出數量
+   */
+  async quote(venue, side, tokenAddress, amountInWei) {
+    const [tokenIn, tokenOut] = side === 'buy' ? [this.weth, tokenAddress] : [tokenAddress, this.weth];
+
+    try {
+      switch (venue.protocol) {
+        case 'V4': {
+          const [amountOut] = await this.v4Quoter.quoteExactInputSingle.staticCall({
+            poolKey: venue.poolKey,
+            zeroForOne: (side === 'buy') === venue.wethIsCurrency0,
+            exactAmount: amountInWei,
+            hookData: '0x',
+          });
+          return amountOut;
+        }
+
+        case 'V3': {
+          const [amountOut] = await this.quoterV2.quoteExactInputSingle.staticCall({
+            tokenIn,
+            tokenOut,
+            amountIn: amountInWei,
+            fee: venue.fee,
+            sqrtPriceLimitX96: 0,
+          });
+          return amountOut;
+        }
+
+        case 'Aerodrome': {
+          const amounts = await this.aerodromeRouter.getAmountsOut(amountInWei, this.getAerodromeRoutes(venue, tokenIn, tokenOut));
+          return amounts[amounts.length - 1];
+        }
+
+        default:
+          return (await this.v2Router.getAmountsOut(amountInWei, [tokenIn, tokenOut]))[1];
+      }
+    } catch (error) {
+      throw new Error(`${venue.description} 報價失敗: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  /**
+   * 產生 Aerodrome 的 Route 陣列
+   */
+  getAerodromeRoutes(venue, tokenIn, tokenOut) {
+    return [{
+      from: tokenIn,
+      to: tokenOut,
+      stable: venue.stable,
+      factory: config.dex.base.aerodromeFactory,
+    }];
+  }
+
+  /**
+   * 產生 swap 交易資料
+   * @param {Object} venue - resolveVenue 的結果
+   * @param {string} side - 'buy' | 'sell'
+   * @param {Object} params - { tokenAddress, amountInWei, amountOutMin, recipient, deadline, useFeeVariant }
+   * @returns {Object} { to, data, value }
+   */
+  buildSwapTx(venue, side, { tokenAddress, amountInWei, amountOutMin, recipient, deadline, useFeeVariant }) {
+    const isBuy = side === 'buy';
+    const [tokenIn, tokenOut] = isBuy ? [this.weth, tokenAddress] : [tokenAddress, this.weth];
+    const value = isBuy ? amountInWei : 0n;
+
+    switch (venue.protocol) {
+      case 'V4':
+        return {
+          to: this.universalRouter.target,
+          data: this.universalRouter.interface.encodeFunctionData('execute', [
+            ...this.encodeV4Swap(venue, isBuy, tokenAddress, amountInWei, amountOutMin),
+            deadline,
+          ]),
+          value,
+        };
+
+      case 'V3': {
+        // 買入時 SwapRouter02 收到 ETH 後自動包裝為 WETH 支付；
+        // 賣出先換成 WETH 留在 Router，再 unwrap 為 ETH 轉給錢包
+        const swapData = this.swapRouter.interface.encodeFunctionData('exactInputSingle', [{
+          tokenIn,
+          tokenOut,
+          fee: venue.fee,
+          recipient: isBuy ? recipient : ADDRESS_THIS,
+          amountIn: amountInWei,
+          amountOutMinimum: amountOutMin,
+          sqrtPriceLimitX96: 0,
+        }]);
+        const calls = isBuy
+          ? [swapData]
+          : [swapData, this.swapRouter.interface.encodeFunctionData('unwrapWETH9', [amountOutMin, recipient])];
+
+        return {
+          to: this.swapRouter.target,
+          data: this.swapRouter.interface.encodeFunctionData('multicall', [deadline, calls]),
+          value,
+        };
+      }
+
+      case 'Aerodrome': {
+        const routes = this.getAerodromeRoutes(venue, tokenIn, tokenOut);
+        const data = isBuy
+          ? this.aerodromeRouter.interface.encodeFunctionData('swapExactETHForTokens', [amountOutMin, routes, recipient, deadline])
+          : this.aerodromeRouter.interface.encodeFunctionData('swapExactTokensForETH', [amountInWei, amountOutMin, routes, recipient, deadline]);
+
+        return { to: this.aerodromeRouter.target, data, value };
+      }
+
+      default: {
+        const path = [tokenIn, tokenOut];
+        let data;
+        if (isBuy) {
+          const method = useFeeVariant ? 'swapExactETHForTokensSupportingFeeOnTransferTokens' : 'swapExactETHForTokens';
+          data = this.v2Router.interface.encodeFunctionData(method, [amountOutMin, path, recipient, deadline]);
+        } else {
+          const method = useFeeVariant ? 'swapExactTokensForETHSupportingFeeOnTransferTokens' : 'swapExactTokensForETH';
+          data = this.v2Router.interface.encodeFunctionData(method, [amountInWei, amountOutMin, path, recipient, deadline]);
+        }
+
+        return { to: this.v2Router.target, data, value };
+      }
+    }
+  }
+
+  /**
+   * 編碼 Universal Router 的 V4 swap 指令
+   * 買入：WRAP_ETH 包裝到 Router → V4_SWAP（以 Router 持有的 WETH 結算，代幣全數轉給錢包）
+   * 賣出：V4_SWAP（經 Permit2 從錢包扣代幣，WETH 留在 Router）→ UNWRAP_WETH 轉 ETH 給錢包
+   * @returns {Array} [commands, inputs]
+   */
+  encodeV4Swap(venue, isBuy, tokenAddress, amountInWei, amountOutMin) {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const swapParams = coder.encode([EXACT_INPUT_SINGLE_TYPE], [[
+      [venue.poolKey.currency0, venue.poolKey.currency1, venue.poolKey.fee, venue.poolKey.tickSpacing, venue.poolKey.hooks],
+      isBuy === venue.wethIsCurrency0,
+      amountInWei,
+      amountOutMin,
+      '0x',
+    ]]);
+
+    const actions = isBuy
+      ? [
+        [V4_ACTIONS.SWAP_EXACT_IN_SINGLE, swapParams],
+        // amount 0 = OPEN_DELTA（結清全部欠款），payerIsUser = false 表示由 Router 持有的 WETH 支付
+        [V4_ACTIONS.SETTLE, coder.encode(['address', 'uint256', 'bool'], [this.weth, 0, false])],
+        [V4_ACTIONS.TAKE_ALL, coder.encode(['address', 'uint256'], [tokenAddress, amountOutMin])],
+      ]
+      : [
+        [V4_ACTIONS.SWAP_EXACT_IN_SINGLE, swapParams],
+        [V4_ACTIONS.SETTLE_ALL, coder.encode(['address', 'uint256'], [tokenAddress, amountInWei])],
+        [V4_ACTIONS.TAKE, coder.encode(['address', 'address', 'uint256'], [this.weth, ADDRESS_THIS, 0])],
+      ];
+
+    const v4SwapInput = coder.encode(
+      ['bytes', 'bytes[]'],
+      [Uint8Array.from(actions.map(([action]) => action)), actions.map(([, data]) => data)]
+    );
+
+    if (isBuy) {
+      return [
+        Uint8Array.from([UR_COMMANDS.WRAP_ETH, UR_COMMANDS.V4_SWAP]),
+        [coder.encode(['address', 'uint256'], [ADDRESS_THIS, amountInWei]), v4SwapInput],
+      ];
+    }
+
+    return [
+      Uint8Array.from([UR_COMMANDS.V4_SWAP, UR_COMMANDS.UNWRAP_WETH]),
+      [v4SwapInput, coder.encode(['address', 'uint256'], [MSG_SENDER, amountOutMin])],
+    ];
+  }
+
+  /**
+   * 以報價直接套用滑點計算最小輸出
+   * @param {bigint} expectedOut - 報價
+   * @param {number} slippage - 滑點 (%)
+   * @returns {Object} { amountOutMin, netOut, useFeeVariant }
+   */
+  applySlippage(expectedOut, slippage) {
+    return {
+      amountOutMin: (expectedOut * BigInt(100 - slippage)) / BigInt(100),
+      netOut: expectedOut,
+      useFeeVariant: false,
+    };
+  }
+
+  /**
+   * 計算 Uniswap V2 的 amountOutMin 並決定是否改用 ...SupportingFeeOnTransferTokens 版本的 swap
+   * 轉帳稅代幣的一般 swap 必定 revert，因此以錢包實際狀態 eth_call 模擬出扣稅後的到帳數量再套用滑點
+   * （賣出時 V2 Router 尚未授權會模擬失敗，因此未告知為轉帳稅代幣的賣出不會自動偵測）
+   * @param {Object} params - { side, tokenAddress, amountInWei, expectedOut, slippage, feeOnTransfer, from }
+   *   feeOnTransfer 為 false 時略過偵測；true 時一律使用支援轉帳稅的版本
+   * @returns {Promise<Object>} { amountOutMin, netOut, useFeeVariant }
+   */
+  async resolveAmountOutMin({ side, tokenAddress, amountInWei, expectedOut, slippage, feeOnTransfer, from }) {
+    let netOut = expectedOut;
+    let useFeeVariant = feeOnTransfer === true;
+
+    if (feeOnTransfer !== false) {
+      const simulated = await this.honeypotChecker.simulateNetOut({
+        side,
+        tokenAddress,
+        amountIn: amountInWei,
+        expectedOut,
+        from,
+      });
+
+      if (simulated?.hasTransferFee) {
+        netOut = simulated.netOut;
+        useFeeVariant = true;
+        logger.info(`偵測到轉帳稅，使用 Uniswap V2 轉帳稅版本交易，實際到帳約為報價的 ${(Number((netOut * 10000n) / expectedOut) / 100).toFixed(2)}%`);
+      }
+    }
+
+    return { ...this.applySlippage(netOut, slippage), useFeeVariant };
+  }
+
+  /**
+   * 模擬買入（模擬交易模式）：以快取池子的報價計算成交，不送出交易
+   * @param {Object} params - 交易參數（同 executeBuy）
+   * @returns {Promise<Object>} 模擬結果
+   */
+  async simulateBuy(params) {
+    const { tokenAddress, amountIn, decimals = 18, feeOnTransfer, pool } = params;
+
+    try {
+      const venue = this.resolveVenue(tokenAddress, pool, feeOnTransfer);
+      const amountOutWei = await this.quote(venue, 'buy', tokenAddress, ethers.parseEther(amountIn.toString()));
+      const amountOut = parseFloat(ethers.formatUnits(amountOutWei, decimals));
+
+      logger.info(`📝 模擬 Base 買入: ${amountIn} ETH -> ${amountOut} tokens (${venue.description})`);
+
+      return {
+        success: true,
+        simulated: true,
+        amountIn: parseFloat(amountIn),
+        amountOut,
+        route: venue.description,
+      };
+    } catch (error) {
+      logger.error('模擬 Base 買入失敗:', error.message);
       return {
         success: false,
         error: error.message,
@@ -170,29 +698,105 @@ class BaseTradeExecutor {
   }
 
   /**
-   * 批准 Token
+   * 模擬賣出（模擬交易模式）：以快取池子的報價計算成交，不送出交易
+   * @param {Object} params - 交易參數（同 executeSell）
+   * @returns {Promise<Object>} 模擬結果
    */
-  async approveToken(token, wallet, amount, decimals) {
+  async simulateSell(params) {
+    const { tokenAddress, amountInRaw: amountInWei, decimals = 18, feeOnTransfer, pool } = params;
+
     try {
-      const amountWei = ethers.parseUnits(amount.toString(), decimals);
-      const routerAddress = this.routerAddress;
+      const venue = this.resolveVenue(tokenAddress, pool, feeOnTransfer);
+      const amountIn = ethers.formatUnits(amountInWei, decimals);
+      const amountOut = parseFloat(ethers.formatEther(await this.quote(venue, 'sell', tokenAddress, amountInWei)));
+
+      logger.info(`📝 模擬 Base 賣出: ${amountIn} tokens -> ${amountOut} ETH (${venue.description})`);
+
+      return {
+        success: true,
+        simulated: true,
+        amountIn: parseFloat(amountIn),
+        amountOut,
+        route: venue.description,
+      };
+    } catch (error) {
+      logger.error('模擬 Base 賣出失敗:', error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * 賣出前授權給交易場所
+   * V4 由 Universal Router 經 Permit2 扣款：代幣授權給 Permit2，再於 Permit2 授權 Universal Router
+   */
+  async approveForVenue(venue, tokenAddress, wallet, amountWei) {
+    await allowanceService.ensureApproval('base', wallet, tokenAddress, venue.spender, amountWei);
+
+    if (venue.protocol !== 'V4') {
+      return;
+    }
 
-      const currentAllowance = await token.allowance(wallet.address, routerAddress);
+    try {
+      const [allowed, expiration] = await this.permit2.allowance(wallet.address, tokenAddress, this.universalRouter.target);
 
-      if (currentAllowance >= amountWei) {
-        logger.info('Token 已授權');
+      if (allowed >= amountWei && Number(expiration) > Math.floor(Date.now() / 1000)) {
+        logger.info('Permit2 已授權 Universal Router');
         return;
       }
 
-      logger.info('正在授權 Token...');
-      const approveTx = await token.approve(routerAddress, ethers.MaxUint256, {
-        gasLimit: 100000,
+      logger.info('正在透過 Permit2 授權 Universal Router...');
+      const maxUint160 = (1n << 160n) - 1n;
+      const maxUint48 = (1n << 48n) - 1n;
+      const request = await this.permit2.approve.populateTransaction(tokenAddress, this.universalRouter.target, maxUint160, maxUint48);
+      const approveTx = await txManager.send('base', wallet, request, `Permit2 授權 ${tokenAddress}`);
+
+      const receipt = await txManager.wait('base', wallet, approveTx);
+      allowanceService.recordApproval({
+        chain: 'base',
+        walletAddress: wallet.address,
+        tokenAddress,
+        spender: this.universalRouter.target,
+        type: 'permit2',
+        action: 'approve',
+        amount: maxUint160,
+        receipt,
       });
+      logger.success('Permit2 授權成功');
+    } catch (error) {
+      logger.error('Permit2 授權失敗:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 獲取代幣餘額（最小單位），用於計算賣出數量，避免浮點數誤差
+   * @param {string} tokenAddress - 代幣地址
+   * @param {string} walletAddress - 錢包地址
+   * @returns {Promise<bigint>} 餘額
+   */
+  async getTokenBalanceRaw(tokenAddress, walletAddress) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+    return token.balanceOf(walletAddress);
+  }
+
+  /**
+   * 獲取代幣餘額
+   * @param {string} tokenAddress - 代幣地址
+   * @param {string} walletAddress - 錢包地址
+   * @returns {Promise<string>} 餘額
+   */
+  async getTokenBalance(tokenAddress, walletAddress) {
+    try {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+      const balance = await token.balanceOf(walletAddress);
+      const decimals = await token.decimals();
 
-      await approveTx.wait();
-      logger.success('Token 授權成功');
+      return ethers.formatUnits(balance, decimals);
     } catch (error) {
-      logger.error('Token 授權失敗:', error.message);
+      logger.error('獲取代幣餘額失敗:', error.message);
       throw error;
     }
   }
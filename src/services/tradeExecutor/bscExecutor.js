@@ -2,19 +2,35 @@ import { ethers } from 'ethers';
 import config from '../../config/config.js';
 import logger from '../../utils/logger.js';
 import walletManager from '../walletManager.js';
+import rpcPool from '../rpcPool.js';
+import HoneypotChecker from './honeypotChecker.js';
+import txManager from './txManager.js';
+import allowanceService from '../allowanceService.js';
 
 // PancakeSwap Router V2 ABI (僅需要的函數)
 const ROUTER_ABI = [
   'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
   'function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)',
   'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external',
   'function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)',
 ];
 
+// PancakeSwap V3 SwapRouter ABI
+const ROUTER_V3_ABI = [
+  'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) external payable returns (uint256 amountOut)',
+  'function unwrapWETH9(uint256 amountMinimum, address recipient) external payable',
+  'function multicall(bytes[] data) external payable returns (bytes[] results)',
+];
+
+// PancakeSwap V3 QuoterV2 ABI（非 view 函數，需以 staticCall 呼叫）
+const QUOTER_V3_ABI = [
+  'function quoteExactInput(bytes path, uint256 amountIn) external returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksList, uint256 gasEstimate)',
+];
+
 // ERC20 Token ABI
 const ERC20_ABI = [
-  'function approve(address spender, uint256 amount) external returns (bool)',
-  'function allowance(address owner, address spender) external view returns (uint256)',
   'function balanceOf(address account) external view returns (uint256)',
   'function decimals() external view returns (uint8)',
 ];
@@ -24,209 +40,567 @@ const ERC20_ABI = [
  */
 class BSCTradeExecutor {
   constructor() {
-    this.provider = new ethers.JsonRpcProvider(config.rpc.bsc);
+    this.provider = rpcPool.getProvider('bsc');
     this.router = new ethers.Contract(
       config.dex.bsc.routerV2,
       ROUTER_ABI,
       this.provider
     );
+    this.routerV3 = new ethers.Contract(config.dex.bsc.routerV3, ROUTER_V3_ABI, this.provider);
+    this.quoterV3 = new ethers.Contract(config.dex.bsc.quoterV3, QUOTER_V3_ABI, this.provider);
     this.wbnb = config.dex.bsc.wbnb;
+    // 多跳路徑的中間幣
+    this.hopTokens = [
+      { address: config.dex.bsc.usdt, symbol: 'USDT' },
+      { address: config.dex.bsc.busd, symbol: 'BUSD' },
+    ];
+    this.honeypotChecker = new HoneypotChecker(this.provider, config.dex.bsc.routerV2, this.wbnb);
+  }
+
+  /**
+   * 交易前蜜罐 / 稅率檢測：以 eth_call 模擬買入再賣出，不送出交易
+   * 只能模擬 V2 直接路徑；買入會走其他路由（V3、多跳）時略過檢測（skipped）
+   * @param {Object} params - { tokenAddress, amountIn (原生幣), walletId, feeOnTransfer }
+   * @returns {Promise<Object>} 檢測結果（見 HoneypotChecker.check）
+   */
+  async checkToken(params) {
+    const { tokenAddress, amountIn, walletId = null, feeOnTransfer } = params;
+
+    const route = await this.findBestRoute({
+      side: 'buy',
+      tokenAddress,
+      amountInWei: ethers.parseEther(amountIn.toString()),
+      v2Only: feeOnTransfer === true,
+    });
+    if (route.protocol !== 'V2' || route.path.length !== 2) {
+      return this.honeypotChecker.skipped(`買入路由為 ${route.description}，僅能模擬 V2 直接路徑，未進行蜜罐檢測`);
+    }
+
+    // 有錢包時以實際交易的錢包地址模擬，較貼近實際交易（白名單、黑名單等限制）
+    const from = walletManager.hasWallet('bsc', walletId) ? walletManager.getAddress('bsc', walletId) : null;
+
+    return this.honeypotChecker.check({ tokenAddress, amountIn, from });
   }
 
   /**
    * 執行買入交易
+   * 比較 V2 / V3 直接與經 USDT、BUSD 的多跳路徑報價，選擇輸出最多的路由執行
    * @param {Object} params - 交易參數
-   * @returns {Promise<Object>} 交易結果
+   * @returns {Promise<Object>} 交易結果（含 route 路由說明）
    */
   async executeBuy(params) {
     const {
       tokenAddress,
       amountIn, // BNB 數量
+      decimals = 18,
       slippage = 2, // 滑點 (%)
       deadline = 20, // 截止時間 (分鐘)
+      feeOnTransfer, // 是否為轉帳稅代幣（未指定時自動偵測）
+      walletId, // 使用的錢包 ID（未指定時使用預設錢包）
     } = params;
 
+    let tx = null;
     try {
       logger.info(`執行 BSC 買入: ${tokenAddress}`);
 
       // 獲取錢包
-      const wallet = walletManager.getWallet('bsc');
+      const wallet = walletManager.getWallet('bsc', walletId);
+      const amountInWei = ethers.parseEther(amountIn.toString());
 
-      // 構建交易路徑 (BNB -> Token)
-      const path = [this.wbnb, tokenAddress];
-
-      // 計算預期輸出
-      const amountsOut = await this.router.getAmountsOut(
-        ethers.parseEther(amountIn.toString()),
-        path
-      );
-      const expectedOut = amountsOut[1];
+      // 選擇最佳路由（轉帳稅代幣只能走 V2 的 ...SupportingFeeOnTransferTokens）
+      const route = await this.findBestRoute({
+        side: 'buy',
+        tokenAddress,
+        amountInWei,
+        v2Only: feeOnTransfer === true,
+      });
 
-      // 計算最小輸出 (考慮滑點)
-      const amountOutMin = (expectedOut * BigInt(100 - slippage)) / BigInt(100);
+      // 計算最小輸出（轉帳稅代幣以模擬的實際到帳數量計算，再考慮滑點）
+      const { amountOutMin, netOut, useFeeVariant } = route.protocol === 'V2'
+        ? await this.resolveAmountOutMin({
+          side: 'buy',
+          tokenAddress,
+          amountInWei,
+          expectedOut: route.amountOut,
+          slippage,
+          feeOnTransfer,
+          from: wallet.address,
+          path: route.path,
+        })
+        : this.applySlippage(route.amountOut, slippage);
 
       // 設定截止時間
       const deadlineTimestamp = Math.floor(Date.now() / 1000) + deadline * 60;
 
-      // 連接錢包到 Router
-      const routerWithSigner = this.router.connect(wallet);
-
       logger.info(`買入金額: ${amountIn} BNB`);
-      logger.info(`預期獲得: ${ethers.formatUnits(expectedOut, 18)} tokens`);
-      logger.info(`最小獲得: ${ethers.formatUnits(amountOutMin, 18)} tokens (滑點 ${slippage}%)`);
+      logger.info(`路由: ${route.description}`);
+      logger.info(`預期獲得: ${ethers.formatUnits(netOut, decimals)} tokens${useFeeVariant ? ' (已扣除轉帳稅)' : ''}`);
+      logger.info(`最小獲得: ${ethers.formatUnits(amountOutMin, decimals)} tokens (滑點 ${slippage}%)`);
 
       // 執行交易
-      const tx = await routerWithSigner.swapExactETHForTokens(
-        amountOutMin,
-        path,
-        wallet.address,
-        deadlineTimestamp,
-        {
-          value: ethers.parseEther(amountIn.toString()),
-          gasLimit: 300000, // 設定 gas limit
-        }
-      );
+      // 記錄交易前代幣餘額，用於計算實際獲得數量
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+      const tokenBalanceBefore = await token.balanceOf(wallet.address);
+      let request;
+      if (route.protocol === 'V3') {
+        // V3 Router 收到 BNB 後自動包裝為 WBNB 支付
+        request = await this.routerV3.exactInput.populateTransaction(
+          {
+            path: route.encodedPath,
+            recipient: wallet.address,
+            deadline: deadlineTimestamp,
+            amountIn: amountInWei,
+            amountOutMinimum: amountOutMin,
+          },
+          { value: amountInWei }
+        );
+      } else {
+        const swap = useFeeVariant
+          ? this.router.swapExactETHForTokensSupportingFeeOnTransferTokens
+          : this.router.swapExactETHForTokens;
+
+        request = await swap.populateTransaction(
+          amountOutMin,
+          route.path,
+          wallet.address,
+          deadlineTimestamp,
+          { value: amountInWei }
+        );
+      }
+
+      // 由交易管理器估算 gas、分配 nonce 並送出
+      tx = await txManager.send('bsc', wallet, request, `買入 ${tokenAddress}`);
 
       logger.info(`交易已發送: ${tx.hash}`);
       logger.info('等待交易確認...');
 
-      // 等待交易確認
-      const receipt = await tx.wait();
+      // 等待交易確認（逾時自動加速）
+      const receipt = await txManager.wait('bsc', wallet, tx);
 
       logger.success(`✅ 買入成功! Gas 使用: ${receipt.gasUsed.toString()}`);
 
+      const tokenBalanceAfter = await token.balanceOf(wallet.address);
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+
       return {
         success: true,
         txHash: receipt.hash,
         gasUsed: receipt.gasUsed.toString(),
+        gasCost: parseFloat(ethers.formatEther(gasCost)),
         blockNumber: receipt.blockNumber,
+        amountIn: parseFloat(amountIn),
+        amountOut: parseFloat(ethers.formatUnits(tokenBalanceAfter - tokenBalanceBefore, decimals)),
+        route: route.description,
       };
     } catch (error) {
       logger.error('BSC 買入失敗:', error.message);
       return {
         success: false,
         error: error.message,
+        // 交易已送出但結果未確定（等待確認逾時或查詢狀態失敗），由訂單服務追蹤，不可重送
+        ...(tx && error.pendingTx && { pendingTx: error.pendingTx }),
       };
     }
   }
 
   /**
    * 執行賣出交易
+   * 比較 V2 / V3 直接與經 USDT、BUSD 的多跳路徑報價，選擇輸出最多的路由執行
    * @param {Object} params - 交易參數
-   * @returns {Promise<Object>} 交易結果
+   * @returns {Promise<Object>} 交易結果（含 route 路由說明）
    */
   async executeSell(params) {
     const {
       tokenAddress,
-      amountIn, // Token 數量
+      amountInRaw: amountInWei, // Token 數量（最小單位，bigint）
       decimals = 18,
       slippage = 2,
       deadline = 20,
+      feeOnTransfer, // 是否為轉帳稅代幣（未指定時自動偵測）
+      walletId, // 使用的錢包 ID（未指定時使用預設錢包）
     } = params;
 
+    let tx = null;
     try {
       logger.info(`執行 BSC 賣出: ${tokenAddress}`);
 
       // 獲取錢包
-      const wallet = walletManager.getWallet('bsc');
+      const wallet = walletManager.getWallet('bsc', walletId);
 
-      // 創建 Token 合約實例
-      const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+      const amountIn = ethers.formatUnits(amountInWei, decimals);
 
-      // 檢查並批准 Router
-      await this.approveToken(token, wallet, amountIn, decimals);
-
-      // 構建交易路徑 (Token -> BNB)
-      const path = [tokenAddress, this.wbnb];
+      // 選擇最佳路由（轉帳稅代幣只能走 V2 的 ...SupportingFeeOnTransferTokens）
+      const route = await this.findBestRoute({
+        side: 'sell',
+        tokenAddress,
+        amountInWei,
+        v2Only: feeOnTransfer === true,
+      });
 
-      // 計算預期輸出
-      const amountInWei = ethers.parseUnits(amountIn.toString(), decimals);
-      const amountsOut = await this.router.getAmountsOut(amountInWei, path);
-      const expectedOut = amountsOut[1];
+      // 檢查並批准路由對應的 Router（額度足夠時略過）
+      await allowanceService.ensureApproval('bsc', wallet, tokenAddress, route.routerAddress, amountInWei);
 
       // 計算最小輸出
-      const amountOutMin = (expectedOut * BigInt(100 - slippage)) / BigInt(100);
+      const { amountOutMin, netOut, useFeeVariant } = route.protocol === 'V2'
+        ? await this.resolveAmountOutMin({
+          side: 'sell',
+          tokenAddress,
+          amountInWei,
+          expectedOut: route.amountOut,
+          slippage,
+          feeOnTransfer,
+          from: wallet.address,
+          path: route.path,
+        })
+        : this.applySlippage(route.amountOut, slippage);
 
       // 設定截止時間
       const deadlineTimestamp = Math.floor(Date.now() / 1000) + deadline * 60;
 
-      // 連接錢包到 Router
-      const routerWithSigner = this.router.connect(wallet);
-
       logger.info(`賣出數量: ${amountIn} tokens`);
-      logger.info(`預期獲得: ${ethers.formatEther(expectedOut)} BNB`);
+      logger.info(`路由: ${route.description}`);
+      logger.info(`預期獲得: ${ethers.formatEther(netOut)} BNB${useFeeVariant ? ' (已扣除轉帳稅)' : ''}`);
       logger.info(`最小獲得: ${ethers.formatEther(amountOutMin)} BNB (滑點 ${slippage}%)`);
 
       // 執行交易
-      const tx = await routerWithSigner.swapExactTokensForETH(
-        amountInWei,
-        amountOutMin,
-        path,
-        wallet.address,
-        deadlineTimestamp,
-        {
-          gasLimit: 300000,
-        }
-      );
+      // 記錄交易前原生幣餘額，用於計算實際收回數量
+      const nativeBalanceBefore = await this.provider.getBalance(wallet.address);
+      let request;
+      if (route.protocol === 'V3') {
+        // V3 先將 WBNB 換到 Router，再由 unwrapWETH9 解包成 BNB 轉給錢包
+        const routerV3 = this.routerV3;
+        request = await routerV3.multicall.populateTransaction([
+          routerV3.interface.encodeFunctionData('exactInput', [{
+            path: route.encodedPath,
+            recipient: config.dex.bsc.routerV3,
+            deadline: deadlineTimestamp,
+            amountIn: amountInWei,
+            amountOutMinimum: amountOutMin,
+          }]),
+          routerV3.interface.encodeFunctionData('unwrapWETH9', [amountOutMin, wallet.address]),
+        ]);
+      } else {
+        const swap = useFeeVariant
+          ? this.router.swapExactTokensForETHSupportingFeeOnTransferTokens
+          : this.router.swapExactTokensForETH;
+
+        request = await swap.populateTransaction(
+          amountInWei,
+          amountOutMin,
+          route.path,
+          wallet.address,
+          deadlineTimestamp
+        );
+      }
+
+      // 由交易管理器估算 gas、分配 nonce 並送出
+      tx = await txManager.send('bsc', wallet, request, `賣出 ${tokenAddress}`);
 
       logger.info(`交易已發送: ${tx.hash}`);
       logger.info('等待交易確認...');
 
-      // 等待交易確認
-      const receipt = await tx.wait();
+      // 等待交易確認（逾時自動加速）
+      const receipt = await txManager.wait('bsc', wallet, tx);
 
       logger.success(`✅ 賣出成功! Gas 使用: ${receipt.gasUsed.toString()}`);
 
+      // 實際收回 = 餘額變化 + gas 費用
+      const nativeBalanceAfter = await this.provider.getBalance(wallet.address);
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+
       return {
         success: true,
         txHash: receipt.hash,
         gasUsed: receipt.gasUsed.toString(),
+        gasCost: parseFloat(ethers.formatEther(gasCost)),
         blockNumber: receipt.blockNumber,
+        amountIn: parseFloat(amountIn),
+        amountOut: parseFloat(ethers.formatEther(nativeBalanceAfter - nativeBalanceBefore + gasCost)),
+        route: route.description,
       };
     } catch (error) {
       logger.error('BSC 賣出失敗:', error.message);
       return {
         success: false,
         error: error.message,
+        // 交易已送出但結果未確定（等待確認逾時或查詢狀態失敗），由訂單服務追蹤，不可重送
+        ...(tx && error.pendingTx && { pendingTx: error.pendingTx }),
       };
     }
   }
 
   /**
-   * 批准 Token 給 Router
-   * @param {Contract} token - Token 合約
-   * @param {Wallet} wallet - 錢包
-   * @param {number} amount - 數量
-   * @param {number} decimals - 精度
+   * 報價所有候選路由並選出輸出最多者
+   * 候選：V2 直接 / 經 USDT、BUSD 兩跳；V3 各手續費等級直接 / 經 USDT、BUSD 兩跳
+   * @param {Object} params - { side ('buy' | 'sell'), tokenAddress, amountInWei, v2Only }
+   * @returns {Promise<Object>} { protocol, path, fees, encodedPath, routerAddress, amountOut, description }
    */
-  async approveToken(token, wallet, amount, decimals) {
-    try {
-      const amountWei = ethers.parseUnits(amount.toString(), decimals);
-      const routerAddress = config.dex.bsc.routerV2;
+  async findBestRoute({ side, tokenAddress, amountInWei, v2Only = false }) {
+    const [best] = await this.quoteRoutes({
+      side,
+      tokenAddress,
+      amountInWei,
+      protocols: v2Only ? ['V2'] : ['V2', 'V3'],
+    });
 
-      // 檢查當前授權額度
-      const currentAllowance = await token.allowance(wallet.address, routerAddress);
+    if (!best) {
+      const candidates = this.buildRouteCandidates(tokenAddress, v2Only);
+      throw new Error(`找不到可交易的路由（已嘗試 ${candidates.length} 條 V2${v2Only ? '' : ' / V3'} 路徑）`);
+    }
+
+    return best;
+  }
+
+  /**
+   * 報價指定協議的所有候選路由（報價比較也使用）
+   * @param {Object} params - { side ('buy' | 'sell'), tokenAddress, amountInWei, protocols (['V2', 'V3']) }
+   * @returns {Promise<Array<Object>>} 可交易的路由，依輸出由多到少排序（格式同 findBestRoute）
+   */
+  async quoteRoutes({ side, tokenAddress, amountInWei, protocols = ['V2', 'V3'] }) {
+    const candidates = this.buildRouteCandidates(tokenAddress, !protocols.includes('V3'))
+      .filter((candidate) => protocols.includes(candidate.protocol));
+
+    const quoted = await Promise.all(candidates.map(async (candidate) => {
+      // 賣出方向為 代幣 → (中間幣) → WBNB
+      const path = side === 'buy' ? candidate.path : [...candidate.path].reverse();
+      const fees = side === 'buy' ? candidate.fees : [...candidate.fees].reverse();
+
+      const route = {
+        ...candidate,
+        path,
+        fees,
+        encodedPath: candidate.protocol === 'V3' ? this.encodeV3Path(path, fees) : undefined,
+      };
 
-      if (currentAllowance >= amountWei) {
-        logger.info('Token 已授權，無需重複授權');
-        return;
+      try {
+        return { ...route, amountOut: await this.quotePath(route, amountInWei) };
+      } catch (error) {
+        // 池子不存在或流動性不足
+        return null;
       }
+    }));
+
+    return quoted
+      .filter((route) => route && route.amountOut > 0n)
+      .sort((a, b) => (b.amountOut > a.amountOut ? 1 : b.amountOut < a.amountOut ? -1 : 0))
+      .map((route) => ({
+        ...route,
+        routerAddress: route.protocol === 'V3' ? config.dex.bsc.routerV3 : config.dex.bsc.routerV2,
+        description: this.describeRoute(route, side),
+      }));
+  }
 
-      logger.info('正在授權 Token...');
+  /**
+   * 以單一路由報價
+   * @param {Object} route - { protocol, path, encodedPath }（已依交易方向排列）
+   * @param {bigint} amountInWei - 輸入數量
+   * @returns {Promise<bigint>} 預期輸出數量
+   */
+  async quotePath(route, amountInWei) {
+    if (route.protocol === 'V2') {
+      const amounts = await this.router.getAmountsOut(amountInWei, route.path);
+      return amounts[amounts.length - 1];
+    }
 
-      // 授權最大額度（避免頻繁授權）
-      const maxApproval = ethers.MaxUint256;
-      const approveTx = await token.approve(routerAddress, maxApproval, {
-        gasLimit: 100000,
+    const [amountOut] = await this.quoterV3.quoteExactInput.staticCall(route.encodedPath, amountInWei);
+    return amountOut;
+  }
+
+  /**
+   * 建立候選路由（以買入方向 WBNB → 代幣 表示）
+   * @param {string} tokenAddress - 代幣地址
+   * @param {boolean} v2Only - 是否只使用 V2
+   * @returns {Array<Object>} { protocol, path, fees, symbols }
+   */
+  buildRouteCandidates(tokenAddress, v2Only) {
+    const candidates = [
+      { protocol: 'V2', path: [this.wbnb, tokenAddress], fees: [], symbols: ['WBNB'] },
+      ...this.hopTokens.map((hop) => ({
+        protocol: 'V2',
+        path: [this.wbnb, hop.address, tokenAddress],
+        fees: [],
+        symbols: ['WBNB', hop.symbol],
+      })),
+    ];
+
+    if (v2Only) {
+      return candidates;
+    }
+
+    for (const fee of config.dex.bsc.v3Fees) {
+      candidates.push({ protocol: 'V3', path: [this.wbnb, tokenAddress], fees: [fee], symbols: ['WBNB'] });
+
+      // WBNB / 穩定幣的 V3 主要流動性集中在 0.01% 與 0.05% 池
+      for (const hop of this.hopTokens) {
+        for (const hopFee of [100, 500]) {
+          candidates.push({
+            protocol: 'V3',
+            path: [this.wbnb, hop.address, tokenAddress],
+            fees: [hopFee, fee],
+            symbols: ['WBNB', hop.symbol],
+          });
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * 編碼 V3 路徑：token0 | fee0 | token1 | fee1 | token2 ...
+   * @param {Array<string>} path - 代幣地址
+   * @param {Array<number>} fees - 每一跳的手續費等級
+   * @returns {string} 編碼後的 bytes
+   */
+  encodeV3Path(path, fees) {
+    const types = [];
+    const values = [];
+
+    path.forEach((address, i) => {
+      types.push('address');
+      values.push(address);
+      if (i < fees.length) {
+        types.push('uint24');
+        values.push(fees[i]);
+      }
+    });
+
+    return ethers.solidityPacked(types, values);
+  }
+
+  /**
+   * 產生路由說明，例如 "V3 WBNB → USDT (0.05%) → TOKEN (0.25%)"
+   * @param {Object} route - 路由
+   * @param {string} side - 'buy' | 'sell'
+   * @returns {string}
+   */
+  describeRoute(route, side) {
+    const symbols = side === 'buy' ? [...route.symbols, 'TOKEN'] : ['TOKEN', ...[...route.symbols].reverse()];
+
+    const hops = symbols.map((symbol, i) => {
+      if (i === 0 || route.protocol === 'V2') {
+        return symbol;
+      }
+      return `${symbol} (${route.fees[i - 1] / 10000}%)`;
+    });
+
+    return `${route.protocol} ${hops.join(' → ')}`;
+  }
+
+  /**
+   * 以報價直接套用滑點計算最小輸出
+   * @param {bigint} expectedOut - 報價
+   * @param {number} slippage - 滑點 (%)
+   * @returns {Object} { amountOutMin, netOut, useFeeVariant }
+   */
+  applySlippage(expectedOut, slippage) {
+    return {
+      amountOutMin: (expectedOut * BigInt(100 - slippage)) / BigInt(100),
+      netOut: expectedOut,
+      useFeeVariant: false,
+    };
+  }
+
+  /**
+   * 計算 amountOutMin 並決定是否改用 ...SupportingFeeOnTransferTokens 版本的 swap
+   * 一般 swap 會以 Router 報價檢查到帳數量，轉帳稅代幣必定 revert；
+   * 因此以錢包實際狀態 eth_call 模擬出扣稅後的到帳數量，再套用滑點
+   * @param {Object} params - { side, tokenAddress, amountInWei, expectedOut, slippage, feeOnTransfer, from, path }
+   *   feeOnTransfer 為 false 時略過偵測；true 時一律使用支援轉帳稅的版本
+   * @returns {Promise<Object>} { amountOutMin, netOut, useFeeVariant }
+   */
+  async resolveAmountOutMin({ side, tokenAddress, amountInWei, expectedOut, slippage, feeOnTransfer, from, path }) {
+    let netOut = expectedOut;
+    let useFeeVariant = feeOnTransfer === true;
+
+    if (feeOnTransfer !== false) {
+      const simulated = await this.honeypotChecker.simulateNetOut({
+        side,
+        tokenAddress,
+        amountIn: amountInWei,
+        expectedOut,
+        from,
+        path,
+      });
+
+      if (simulated?.hasTransferFee) {
+        netOut = simulated.netOut;
+        useFeeVariant = true;
+        logger.info(`偵測到轉帳稅，實際到帳約為報價的 ${(Number((netOut * 10000n) / expectedOut) / 100).toFixed(2)}%`);
+      }
+    }
+
+    return { ...this.applySlippage(netOut, slippage), useFeeVariant };
+  }
+
+  /**
+   * 模擬買入（模擬交易模式）：以最佳路由報價計算成交，不送出交易
+   * @param {Object} params - 交易參數（同 executeBuy）
+   * @returns {Promise<Object>} 模擬結果
+   */
+  async simulateBuy(params) {
+    const { tokenAddress, amountIn, decimals = 18, feeOnTransfer } = params;
+
+    try {
+      const route = await this.findBestRoute({
+        side: 'buy',
+        tokenAddress,
+        amountInWei: ethers.parseEther(amountIn.toString()),
+        v2Only: feeOnTransfer === true,
       });
+      const amountOut = parseFloat(ethers.formatUnits(route.amountOut, decimals));
 
-      logger.info(`授權交易已發送: ${approveTx.hash}`);
-      await approveTx.wait();
+      logger.info(`📝 模擬 BSC 買入: ${amountIn} BNB -> ${amountOut} tokens (${route.description})`);
 
-      logger.success('Token 授權成功');
+      return {
+        success: true,
+        simulated: true,
+        amountIn: parseFloat(amountIn),
+        amountOut,
+        route: route.description,
+      };
     } catch (error) {
-      logger.error('Token 授權失敗:', error.message);
-      throw error;
+      logger.error('模擬 BSC 買入失敗:', error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * 模擬賣出（模擬交易模式）：以最佳路由報價計算成交，不送出交易
+   * @param {Object} params - 交易參數（同 executeSell）
+   * @returns {Promise<Object>} 模擬結果
+   */
+  async simulateSell(params) {
+    const { tokenAddress, amountInRaw, decimals = 18, feeOnTransfer } = params;
+
+    try {
+      const amountIn = ethers.formatUnits(amountInRaw, decimals);
+      const route = await this.findBestRoute({
+        side: 'sell',
+        tokenAddress,
+        amountInWei: amountInRaw,
+        v2Only: feeOnTransfer === true,
+      });
+      const amountOut = parseFloat(ethers.formatEther(route.amountOut));
+
+      logger.info(`📝 模擬 BSC 賣出: ${amountIn} tokens -> ${amountOut} BNB (${route.description})`);
+
+      return {
+        success: true,
+        simulated: true,
+        amountIn: parseFloat(amountIn),
+        amountOut,
+        route: route.description,
+      };
+    } catch (error) {
+      logger.error('模擬 BSC 賣出失敗:', error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
     }
   }
 
@@ -237,7 +611,7 @@ class BSCTradeExecutor {
    */
   async estimateGas(params) {
     try {
-      const { type, tokenAddress, amountIn, decimals = 18 } = params;
+      const { type, tokenAddress, amountIn, amountInRaw } = params;
       const wallet = walletManager.getWallet('bsc');
       const routerWithSigner = this.router.connect(wallet);
 
@@ -259,7 +633,7 @@ class BSCTradeExecutor {
       } else {
         const path = [tokenAddress, this.wbnb];
         const deadlineTimestamp = Math.floor(Date.now() / 1000) + 1200;
-        const amountInWei = ethers.parseUnits(amountIn.toString(), decimals);
+        const amountInWei = amountInRaw;
 
         gasEstimate = await routerWithSigner.swapExactTokensForETH.estimateGas(
           amountInWei,
@@ -287,6 +661,17 @@ class BSCTradeExecutor {
     }
   }
 
+  /**
+   * 獲取代幣餘額（最小單位），用於計算賣出數量，避免浮點數誤差
+   * @param {string} tokenAddress - 代幣地址
+   * @param {string} walletAddress - 錢包地址
+   * @returns {Promise<bigint>} 餘額
+   */
+  async getTokenBalanceRaw(tokenAddress, walletAddress) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+    return token.balanceOf(walletAddress);
+  }
+
   /**
    * 獲取代幣餘額
    * @param {string} tokenAddress - 代幣地址
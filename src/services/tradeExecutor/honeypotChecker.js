@@ -0,0 +1,373 @@
+import { ethers } from 'ethers';
+import logger from '../../utils/logger.js';
+
+// V2 Router（支援轉帳稅代幣的 swap 版本會以實際到帳數量檢查 amountOutMin）
+const ROUTER_ABI = [
+  'function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external',
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address account) external view returns (uint256)',
+  'function allowance(address owner, address spender) external view returns (uint256)',
+];
+
+// eth_call 使用的 gas 上限（模擬用，不會實際花費）
+const SIMULATION_GAS = 5000000n;
+
+// 二分搜尋次數：10 次約 0.1% 精度
+const SEARCH_STEPS = 10;
+
+// ERC20 餘額 mapping 可能的 storage slot：一般合約 0~20，
+// 以及 OpenZeppelin v5 upgradeable ERC20 的 namespaced storage
+const OZ_ERC20_STORAGE = BigInt('0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00');
+const CANDIDATE_SLOTS = [...Array.from({ length: 21 }, (_, i) => BigInt(i)), OZ_ERC20_STORAGE];
+
+const OVERRIDE_AMOUNT = ethers.parseUnits('1', 60);
+
+/**
+ * 交易前蜜罐 / 稅率檢測（BSC、Base 等 V2 Router）
+ *
+ * 以 eth_call 靜態呼叫 Router 模擬「買入 → 賣出」，不送出任何交易：
+ * - 買入：以 swapExactETHForTokensSupportingFeeOnTransferTokens 二分搜尋 amountOutMin，
+ *   找出實際到帳比例，與 getAmountsOut 報價比較得出買入稅
+ * - 賣出：以 state override 給模擬地址代幣餘額與 Router 授權，
+ *   同樣二分搜尋 swapExactTokensForETHSupportingFeeOnTransferTokens 得出賣出稅
+ * - 買入失敗但小額可成交時判定為單筆交易上限（max tx）
+ */
+class HoneypotChecker {
+  /**
+   * @param {JsonRpcProvider} provider - RPC provider
+   * @param {string} routerAddress - V2 Router 地址
+   * @param {string} wrappedNative - WBNB / WETH 地址
+   */
+  constructor(provider, routerAddress, wrappedNative) {
+    this.provider = provider;
+    this.routerAddress = routerAddress;
+    this.wrappedNative = wrappedNative;
+    this.router = new ethers.Contract(routerAddress, ROUTER_ABI, provider);
+    this.routerInterface = new ethers.Interface(ROUTER_ABI);
+    this.erc20Interface = new ethers.Interface(ERC20_ABI);
+    // 代幣地址 → { balanceSlot, allowanceSlot }
+    this.slotCache = new Map();
+  }
+
+  /**
+   * 模擬買入再賣出
+   * @param {Object} params - { tokenAddress, amountIn (原生幣), from (模擬地址，可選) }
+   * @returns {Promise<Object>} { inconclusive, isHoneypot, maxTxLimited, buyTax, sellTax, reason }
+   */
+  async check({ tokenAddress, amountIn, from = null }) {
+    const simulator = from || ethers.Wallet.createRandom().address;
+    const amountInWei = ethers.parseEther(amountIn.toString());
+    const buyPath = [this.wrappedNative, tokenAddress];
+    const sellPath = [tokenAddress, this.wrappedNative];
+
+    // 報價失敗代表此 Router 沒有流動性，無法判斷
+    let expectedTokens;
+    try {
+      expectedTokens = (await this.router.getAmountsOut(amountInWei, buyPath))[1];
+    } catch (error) {
+      return this.inconclusive(`Router 無法報價: ${this.getRevertReason(error)}`);
+    }
+
+    // ===== 買入模擬 =====
+    const buy = (value, minOut) => this.simulate({
+      from: simulator,
+      value,
+      data: this.routerInterface.encodeFunctionData('swapExactETHForTokensSupportingFeeOnTransferTokens', [
+        minOut, buyPath, simulator, this.getDeadline(),
+      ]),
+      overrides: { [simulator]: { balance: ethers.toQuantity(value * 2n + ethers.parseEther('1')) } },
+    });
+
+    const buyResult = await buy(amountInWei, 1n);
+    if (!buyResult.success) {
+      // 小額能成交 → 單筆交易上限；小額也失敗 → 無法買入
+      const smallBuy = await buy(amountInWei / 20n, 1n);
+      return {
+        inconclusive: false,
+        isHoneypot: !smallBuy.success,
+        maxTxLimited: smallBuy.success,
+        buyTax: null,
+        sellTax: null,
+        reason: smallBuy.success
+          ? `超過單筆最大交易量: ${buyResult.reason}`
+          : `買入模擬失敗: ${buyResult.reason}`,
+      };
+    }
+
+    const buyRatio = await this.searchRatio((minOut) => buy(amountInWei, minOut), expectedTokens);
+    const buyTax = (1 - buyRatio) * 100;
+    const tokensReceived = (expectedTokens * BigInt(Math.floor(buyRatio * 1e6))) / 1000000n;
+
+    if (tokensReceived === 0n) {
+      return {
+        inconclusive: false,
+        isHoneypot: true,
+        maxTxLimited: false,
+        buyTax,
+        sellTax: null,
+        reason: '買入後實際到帳為 0',
+      };
+    }
+
+    // ===== 賣出模擬 =====
+    const slots = await this.findStorageSlots(tokenAddress, simulator);
+    if (!slots) {
+      return {
+        inconclusive: true,
+        isHoneypot: false,
+        maxTxLimited: false,
+        buyTax,
+        sellTax: null,
+        reason: '無法定位代幣餘額 storage，略過賣出模擬',
+      };
+    }
+
+    let expectedNative;
+    try {
+      expectedNative = (await this.router.getAmountsOut(tokensReceived, sellPath))[1];
+    } catch (error) {
+      return this.inconclusive(`賣出報價失敗: ${this.getRevertReason(error)}`, buyTax);
+    }
+
+    const sellOverrides = {
+      [simulator]: { balance: ethers.toQuantity(ethers.parseEther('1')) },
+      [tokenAddress]: {
+        stateDiff: {
+          [this.balanceKey(simulator, slots.balanceSlot)]: ethers.toBeHex(tokensReceived, 32),
+          [this.allowanceKey(simulator, this.routerAddress, slots.allowanceSlot)]: ethers.toBeHex(ethers.MaxUint256, 32),
+        },
+      },
+    };
+
+    const sell = (minOut) => this.simulate({
+      from: simulator,
+      value: 0n,
+      data: this.routerInterface.encodeFunctionData('swapExactTokensForETHSupportingFeeOnTransferTokens', [
+        tokensReceived, minOut, sellPath, simulator, this.getDeadline(),
+      ]),
+      overrides: sellOverrides,
+    });
+
+    const sellResult = await sell(1n);
+    if (!sellResult.success) {
+      return {
+        inconclusive: false,
+        isHoneypot: true,
+        maxTxLimited: false,
+        buyTax,
+        sellTax: null,
+        reason: `賣出模擬失敗: ${sellResult.reason}`,
+      };
+    }
+
+    const sellRatio = await this.searchRatio(sell, expectedNative);
+    const sellTax = (1 - sellRatio) * 100;
+
+    logger.info(`🔍 稅率檢測 ${tokenAddress}: 買入稅 ${buyTax.toFixed(2)}%，賣出稅 ${sellTax.toFixed(2)}%`);
+
+    return {
+      inconclusive: false,
+      isHoneypot: false,
+      maxTxLimited: false,
+      buyTax,
+      sellTax,
+      reason: null,
+    };
+  }
+
+  /**
+   * 以錢包實際狀態（不覆寫 storage）模擬即將送出的交易，求出扣除轉帳稅後的實際到帳數量
+   * 先以無稅報價作為 amountOutMin 試算，成交代表沒有轉帳稅；否則二分搜尋實際到帳比例
+   * 賣出前需先完成授權
+   * @param {Object} params - { side ('buy' | 'sell'), tokenAddress, amountIn (wei), expectedOut (getAmountsOut 報價), from, path }
+   *   path 省略時為 [原生幣, 代幣]（賣出反向），多跳路徑需自行傳入
+   * @returns {Promise<Object|null>} { netOut, hasTransferFee }，amountOutMin = 1 也無法成交時回傳 null
+   */
+  async simulateNetOut({ side, tokenAddress, amountIn, expectedOut, from, path = null }) {
+    const swapPath = path || (side === 'buy' ? [this.wrappedNative, tokenAddress] : [tokenAddress, this.wrappedNative]);
+    const trySwap = (minOut) => this.simulate({
+      from,
+      value: side === 'buy' ? amountIn : 0n,
+      data: side === 'buy'
+        ? this.routerInterface.encodeFunctionData('swapExactETHForTokensSupportingFeeOnTransferTokens', [
+          minOut, swapPath, from, this.getDeadline(),
+        ])
+        : this.routerInterface.encodeFunctionData('swapExactTokensForETHSupportingFeeOnTransferTokens', [
+          amountIn, minOut, swapPath, from, this.getDeadline(),
+        ]),
+    });
+
+    if ((await trySwap(expectedOut)).success) {
+      return { netOut: expectedOut, hasTransferFee: false };
+    }
+
+    if (!(await trySwap(1n)).success) {
+      return null;
+    }
+
+    const ratio = await this.searchRatio(trySwap, expectedOut);
+    return {
+      netOut: (expectedOut * BigInt(Math.round(ratio * 10000))) / 10000n,
+      hasTransferFee: true,
+    };
+  }
+
+  /**
+   * 二分搜尋 amountOutMin 可成交的最大比例（相對於無稅報價）
+   * @param {Function} trySwap - (minOut) => Promise<{ success }>
+   * @param {bigint} expectedOut - 無稅報價
+   * @returns {Promise<number>} 實際到帳比例 (0~1)
+   */
+  async searchRatio(trySwap, expectedOut) {
+    let low = 0;
+    let high = 10000;
+
+    for (let i = 0; i < SEARCH_STEPS; i++) {
+      const mid = Math.floor((low + high) / 2);
+      const minOut = (expectedOut * BigInt(mid)) / 10000n;
+      const result = await trySwap(minOut > 0n ? minOut : 1n);
+
+      if (result.success) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low / 10000;
+  }
+
+  /**
+   * 找出代幣合約中 balances 與 allowances mapping 的 storage slot
+   * @param {string} tokenAddress - 代幣地址
+   * @param {string} owner - 模擬地址
+   * @returns {Promise<Object|null>} { balanceSlot, allowanceSlot }
+   */
+  async findStorageSlots(tokenAddress, owner) {
+    const cacheKey = tokenAddress.toLowerCase();
+    if (this.slotCache.has(cacheKey)) {
+      return this.slotCache.get(cacheKey);
+    }
+
+    let balanceSlot = null;
+    for (const slot of CANDIDATE_SLOTS) {
+      const value = await this.readWithOverride(tokenAddress, 'balanceOf', [owner], this.balanceKey(owner, slot));
+      if (value === OVERRIDE_AMOUNT) {
+        balanceSlot = slot;
+        break;
+      }
+    }
+
+    if (balanceSlot === null) {
+      return null;
+    }
+
+    // allowances 通常緊接在 balances 之後
+    let allowanceSlot = null;
+    for (const slot of [balanceSlot + 1n, ...CANDIDATE_SLOTS]) {
+      const key = this.allowanceKey(owner, this.routerAddress, slot);
+      const value = await this.readWithOverride(tokenAddress, 'allowance', [owner, this.routerAddress], key);
+      if (value === OVERRIDE_AMOUNT) {
+        allowanceSlot = slot;
+        break;
+      }
+    }
+
+    if (allowanceSlot === null) {
+      return null;
+    }
+
+    const slots = { balanceSlot, allowanceSlot };
+    this.slotCache.set(cacheKey, slots);
+    return slots;
+  }
+
+  /**
+   * 以 state override 寫入指定 storage key 後讀取 view 函數
+   */
+  async readWithOverride(tokenAddress, method, args, storageKey) {
+    try {
+      const result = await this.provider.send('eth_call', [
+        { to: tokenAddress, data: this.erc20Interface.encodeFunctionData(method, args) },
+        'latest',
+        { [tokenAddress]: { stateDiff: { [storageKey]: ethers.toBeHex(OVERRIDE_AMOUNT, 32) } } },
+      ]);
+      return this.erc20Interface.decodeFunctionResult(method, result)[0];
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 執行 eth_call 模擬交易（overrides 為 state override，可省略）
+   * @returns {Promise<Object>} { success, reason }
+   */
+  async simulate({ from, value, data, overrides = null }) {
+    const tx = {
+      from,
+      to: this.routerAddress,
+      data,
+      value: ethers.toQuantity(value),
+      gas: ethers.toQuantity(SIMULATION_GAS),
+    };
+
+    try {
+      await this.provider.send('eth_call', overrides ? [tx, 'latest', overrides] : [tx, 'latest']);
+      return { success: true };
+    } catch (error) {
+      return { success: false, reason: this.getRevertReason(error) };
+    }
+  }
+
+  balanceKey(owner, slot) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [owner, slot]));
+  }
+
+  allowanceKey(owner, spender, slot) {
+    const inner = this.balanceKey(owner, slot);
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes32'], [spender, inner]));
+  }
+
+  getDeadline() {
+    return Math.floor(Date.now() / 1000) + 600;
+  }
+
+  getRevertReason(error) {
+    return error?.info?.error?.message || error?.shortMessage || error?.message || 'unknown';
+  }
+
+  /**
+   * 實際交易路由無法以此檢測模擬時的結果：未檢測，不代表安全
+   * @param {string} reason - 略過原因
+   * @returns {Object} 檢測結果（skipped: true）
+   */
+  skipped(reason) {
+    return {
+      inconclusive: true,
+      skipped: true,
+      isHoneypot: false,
+      maxTxLimited: false,
+      buyTax: null,
+      sellTax: null,
+      reason,
+    };
+  }
+
+  inconclusive(reason, buyTax = null) {
+    logger.warn(`🔍 稅率檢測無法完成: ${reason}`);
+    return {
+      inconclusive: true,
+      isHoneypot: false,
+      maxTxLimited: false,
+      buyTax,
+      sellTax: null,
+      reason,
+    };
+  }
+}
+
+export default HoneypotChecker;
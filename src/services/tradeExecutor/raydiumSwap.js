@@ -0,0 +1,298 @@
+import { PublicKey, SystemProgram, Transaction, TransactionInstruction } from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  NATIVE_MINT,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createSyncNativeInstruction,
+  createCloseAccountInstruction,
+} from '@solana/spl-token';
+import {
+  LIQUIDITY_STATE_LAYOUT_V4,
+  MARKET_STATE_LAYOUT_V3,
+  Liquidity,
+  Market,
+  struct,
+  publicKey,
+  u64,
+  u8,
+} from '@raydium-io/raydium-sdk';
+import { blob } from '@solana/buffer-layout';
+import config from '../../config/config.js';
+
+const AMM_V4_PROGRAM_ID = new PublicKey(config.raydium.ammProgramId);
+const CPMM_PROGRAM_ID = new PublicKey('CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C');
+
+// Raydium CPMM PoolState（參考 raydium-cp-swap programs/cp-swap/src/states/pool.rs）
+const CPMM_POOL_LAYOUT = struct([
+  blob(8, 'discriminator'),
+  publicKey('ammConfig'),
+  publicKey('poolCreator'),
+  publicKey('token0Vault'),
+  publicKey('token1Vault'),
+  publicKey('lpMint'),
+  publicKey('token0Mint'),
+  publicKey('token1Mint'),
+  publicKey('token0Program'),
+  publicKey('token1Program'),
+  publicKey('observationKey'),
+  u8('authBump'),
+  u8('status'),
+  u8('lpMintDecimals'),
+  u8('mint0Decimals'),
+  u8('mint1Decimals'),
+  u64('lpSupply'),
+  u64('protocolFeesToken0'),
+  u64('protocolFeesToken1'),
+  u64('fundFeesToken0'),
+  u64('fundFeesToken1'),
+  u64('openTime'),
+]);
+
+// CPMM AmmConfig 中 trade_fee_rate 的偏移量（discriminator 8 + bump 1 + disable_create_pool 1 + index 2）
+const CPMM_TRADE_FEE_RATE_OFFSET = 12;
+const CPMM_FEE_RATE_DENOMINATOR = 1000000n;
+
+// Anchor 指令識別碼：sha256('global:swap_base_input') 前 8 bytes
+const CPMM_SWAP_BASE_INPUT_DISCRIMINATOR = Buffer.from([143, 190, 90, 218, 196, 30, 51, 222]);
+
+/**
+ * Raydium 直接交易（Jupiter 沒有路由時的備援）
+ * 由快取的池子地址鏈上解析 AMM V4 / CPMM 池子，以儲備量報價並自行組出 swap 指令
+ * 只支援與 SOL 配對的池子
+ */
+class RaydiumSwap {
+  /**
+   * @param {Connection} connection - Solana 連線
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  /**
+   * 讀取池子帳戶與目前儲備量
+   * @param {string} poolAddress - 池子地址
+   * @param {string} tokenMint - 交易的代幣 Mint
+   * @returns {Promise<Object>} { type, tokenProgram, solReserve, tokenReserve, feeNumerator, feeDenominator, ... }
+   */
+  async loadPool(poolAddress, tokenMint) {
+    const id = new PublicKey(poolAddress);
+    const accountInfo = await this.connection.getAccountInfo(id);
+
+    if (!accountInfo) {
+      throw new Error(`Raydium 池子不存在: ${poolAddress}`);
+    }
+
+    if (accountInfo.owner.equals(AMM_V4_PROGRAM_ID)) {
+      return this.loadAmmV4Pool(id, accountInfo.data, tokenMint);
+    }
+
+    if (accountInfo.owner.equals(CPMM_PROGRAM_ID)) {
+      return this.loadCpmmPool(id, accountInfo.data, tokenMint);
+    }
+
+    throw new Error(`不支援的 Raydium 池子類型 (owner: ${accountInfo.owner.toString()})`);
+  }
+
+  /**
+   * 解析 AMM V4 池子及其 OpenBook 市場帳戶
+   */
+  async loadAmmV4Pool(id, data, tokenMint) {
+    const state = LIQUIDITY_STATE_LAYOUT_V4.decode(data);
+    const solIsBase = this.assertSolPair(state.baseMint, state.quoteMint, tokenMint);
+
+    const marketInfo = await this.connection.getAccountInfo(state.marketId);
+    if (!marketInfo) {
+      throw new Error(`OpenBook 市場不存在: ${state.marketId.toString()}`);
+    }
+    const market = MARKET_STATE_LAYOUT_V3.decode(marketInfo.data);
+
+    const [baseBalance, quoteBalance] = await Promise.all([
+      this.connection.getTokenAccountBalance(state.baseVault),
+      this.connection.getTokenAccountBalance(state.quoteVault),
+    ]);
+
+    // 可交易儲備 = vault 餘額 - 尚未結算給協議的 PnL
+    const baseReserve = BigInt(baseBalance.value.amount) - BigInt(state.baseNeedTakePnl.toString());
+    const quoteReserve = BigInt(quoteBalance.value.amount) - BigInt(state.quoteNeedTakePnl.toString());
+
+    return {
+      type: 'AMM_V4',
+      solIsBase,
+      tokenProgram: TOKEN_PROGRAM_ID,
+      solReserve: solIsBase ? baseReserve : quoteReserve,
+      tokenReserve: solIsBase ? quoteReserve : baseReserve,
+      feeNumerator: BigInt(state.swapFeeNumerator.toString()),
+      feeDenominator: BigInt(state.swapFeeDenominator.toString()),
+      poolKeys: {
+        id,
+        programId: AMM_V4_PROGRAM_ID,
+        authority: Liquidity.getAssociatedAuthority({ programId: AMM_V4_PROGRAM_ID }).publicKey,
+        openOrders: state.openOrders,
+        targetOrders: state.targetOrders,
+        baseVault: state.baseVault,
+        quoteVault: state.quoteVault,
+        marketProgramId: state.marketProgramId,
+        marketId: state.marketId,
+        marketBids: market.bids,
+        marketAsks: market.asks,
+        marketEventQueue: market.eventQueue,
+        marketBaseVault: market.baseVault,
+        marketQuoteVault: market.quoteVault,
+        marketAuthority: Market.getAssociatedAuthority({
+          programId: state.marketProgramId,
+          marketId: state.marketId,
+        }).publicKey,
+      },
+    };
+  }
+
+  /**
+   * 解析 CPMM 池子與 AmmConfig 手續費
+   */
+  async loadCpmmPool(id, data, tokenMint) {
+    const state = CPMM_POOL_LAYOUT.decode(data);
+    const solIsToken0 = this.assertSolPair(state.token0Mint, state.token1Mint, tokenMint);
+
+    const [configInfo, vault0Balance, vault1Balance] = await Promise.all([
+      this.connection.getAccountInfo(state.ammConfig),
+      this.connection.getTokenAccountBalance(state.token0Vault),
+      this.connection.getTokenAccountBalance(state.token1Vault),
+    ]);
+
+    if (!configInfo) {
+      throw new Error(`CPMM AmmConfig 不存在: ${state.ammConfig.toString()}`);
+    }
+
+    // 可交易儲備 = vault 餘額 - 累積的協議費與基金費
+    const reserve0 = BigInt(vault0Balance.value.amount)
+      - BigInt(state.protocolFeesToken0.toString())
+      - BigInt(state.fundFeesToken0.toString());
+    const reserve1 = BigInt(vault1Balance.value.amount)
+      - BigInt(state.protocolFeesToken1.toString())
+      - BigInt(state.fundFeesToken1.toString());
+
+    return {
+      type: 'CPMM',
+      tokenProgram: solIsToken0 ? state.token1Program : state.token0Program,
+      solReserve: solIsToken0 ? reserve0 : reserve1,
+      tokenReserve: solIsToken0 ? reserve1 : reserve0,
+      feeNumerator: configInfo.data.readBigUInt64LE(CPMM_TRADE_FEE_RATE_OFFSET),
+      feeDenominator: CPMM_FEE_RATE_DENOMINATOR,
+      id,
+      state,
+      solIsToken0,
+      authority: PublicKey.findProgramAddressSync([Buffer.from('vault_and_lp_mint_auth_seed')], CPMM_PROGRAM_ID)[0],
+    };
+  }
+
+  /**
+   * 確認池子為 代幣 / SOL 配對
+   * @returns {boolean} SOL 是否為第一個 mint
+   */
+  assertSolPair(mintA, mintB, tokenMint) {
+    const mints = [mintA.toString(), mintB.toString()];
+
+    if (!mints.includes(NATIVE_MINT.toString()) || !mints.includes(tokenMint)) {
+      throw new Error('Raydium 備援交易僅支援 代幣 / SOL 配對的池子');
+    }
+
+    return mints[0] === NATIVE_MINT.toString();
+  }
+
+  /**
+   * 以恆定乘積公式報價（先扣除池子手續費）
+   * @param {Object} pool - loadPool 的結果
+   * @param {string} side - 'buy'（SOL → 代幣）| 'sell'（代幣 → SOL）
+   * @param {bigint} amountIn - 輸入數量（最小單位）
+   * @returns {bigint} 預期輸出數量（最小單位）
+   */
+  quote(pool, side, amountIn) {
+    const [reserveIn, reserveOut] = side === 'buy'
+      ? [pool.solReserve, pool.tokenReserve]
+      : [pool.tokenReserve, pool.solReserve];
+
+    const amountInAfterFee = amountIn - (amountIn * pool.feeNumerator + pool.feeDenominator - 1n) / pool.feeDenominator;
+    return (reserveOut * amountInAfterFee) / (reserveIn + amountInAfterFee);
+  }
+
+  /**
+   * 組出完整的 swap 交易（含 WSOL 包裝 / 解包與代幣帳戶建立）
+   * @param {Object} params - { pool, side, owner, tokenMint, amountIn, minAmountOut }
+   * @returns {Transaction}
+   */
+  buildSwapTransaction({ pool, side, owner, tokenMint, amountIn, minAmountOut }) {
+    const mint = new PublicKey(tokenMint);
+    const wsolAccount = getAssociatedTokenAddressSync(NATIVE_MINT, owner);
+    const tokenAccount = getAssociatedTokenAddressSync(mint, owner, false, pool.tokenProgram);
+    const isBuy = side === 'buy';
+
+    const transaction = new Transaction();
+
+    transaction.add(createAssociatedTokenAccountIdempotentInstruction(owner, wsolAccount, owner, NATIVE_MINT));
+    if (isBuy) {
+      transaction.add(
+        SystemProgram.transfer({ fromPubkey: owner, toPubkey: wsolAccount, lamports: amountIn }),
+        createSyncNativeInstruction(wsolAccount),
+        createAssociatedTokenAccountIdempotentInstruction(owner, tokenAccount, owner, mint, pool.tokenProgram)
+      );
+    }
+
+    const [tokenAccountIn, tokenAccountOut] = isBuy ? [wsolAccount, tokenAccount] : [tokenAccount, wsolAccount];
+
+    if (pool.type === 'AMM_V4') {
+      const { innerTransaction } = Liquidity.makeSwapFixedInInstruction({
+        poolKeys: pool.poolKeys,
+        userKeys: { tokenAccountIn, tokenAccountOut, owner },
+        amountIn: amountIn.toString(),
+        minAmountOut: minAmountOut.toString(),
+      }, 4);
+      transaction.add(...innerTransaction.instructions);
+    } else {
+      transaction.add(this.makeCpmmSwapInstruction({ pool, isBuy, owner, tokenAccountIn, tokenAccountOut, amountIn, minAmountOut }));
+    }
+
+    // 關閉 WSOL 帳戶，將剩餘的 WSOL 解包為 SOL
+    transaction.add(createCloseAccountInstruction(wsolAccount, owner, owner));
+
+    return transaction;
+  }
+
+  /**
+   * CPMM swap_base_input 指令
+   */
+  makeCpmmSwapInstruction({ pool, isBuy, owner, tokenAccountIn, tokenAccountOut, amountIn, minAmountOut }) {
+    const { state } = pool;
+    const inputIsToken0 = isBuy === pool.solIsToken0;
+    const side0 = { vault: state.token0Vault, program: state.token0Program, mint: state.token0Mint };
+    const side1 = { vault: state.token1Vault, program: state.token1Program, mint: state.token1Mint };
+    const [input, output] = inputIsToken0 ? [side0, side1] : [side1, side0];
+
+    const data = Buffer.alloc(24);
+    CPMM_SWAP_BASE_INPUT_DISCRIMINATOR.copy(data, 0);
+    data.writeBigUInt64LE(amountIn, 8);
+    data.writeBigUInt64LE(minAmountOut, 16);
+
+    return new TransactionInstruction({
+      programId: CPMM_PROGRAM_ID,
+      keys: [
+        { pubkey: owner, isSigner: true, isWritable: false },
+        { pubkey: pool.authority, isSigner: false, isWritable: false },
+        { pubkey: state.ammConfig, isSigner: false, isWritable: false },
+        { pubkey: pool.id, isSigner: false, isWritable: true },
+        { pubkey: tokenAccountIn, isSigner: false, isWritable: true },
+        { pubkey: tokenAccountOut, isSigner: false, isWritable: true },
+        { pubkey: input.vault, isSigner: false, isWritable: true },
+        { pubkey: output.vault, isSigner: false, isWritable: true },
+        { pubkey: input.program, isSigner: false, isWritable: false },
+        { pubkey: output.program, isSigner: false, isWritable: false },
+        { pubkey: input.mint, isSigner: false, isWritable: false },
+        { pubkey: output.mint, isSigner: false, isWritable: false },
+        { pubkey: state.observationKey, isSigner: false, isWritable: true },
+      ],
+      data,
+    });
+  }
+}
+
+export default RaydiumSwap;
@@ -1,85 +1,83 @@
 import {
-  Connection,
   PublicKey,
   Transaction,
+  VersionedTransaction,
   SystemProgram,
-  sendAndConfirmTransaction,
+  ComputeBudgetProgram,
 } from '@solana/web3.js';
 import config from '../../config/config.js';
 import logger from '../../utils/logger.js';
 import walletManager from '../walletManager.js';
+import rpcPool from '../rpcPool.js';
+import RaydiumSwap from './raydiumSwap.js';
+import { formatRawAmount } from '../../utils/formatHelper.js';
+
+export const WSOL_MINT = 'So11111111111111111111111111111111111111112';
 
 /**
  * Solana 鏈交易執行器
- * 注意：Raydium SDK 較為複雜，這裡提供基礎實現
- * 建議使用 Jupiter Aggregator API 進行實際交易
+ * 優先使用 Jupiter Aggregator API；Jupiter 沒有路由或服務異常時，
+ * 改以代幣快取的 Raydium 池子（AMM V4 / CPMM）直接交易
  */
 class SolanaTradeExecutor {
   constructor() {
-    this.connection = new Connection(config.rpc.solana, 'confirmed');
+    this.connection = rpcPool.getConnection();
+    this.raydium = new RaydiumSwap(this.connection);
   }
 
   /**
-   * 執行買入交易（使用 Jupiter API）
-   * @param {Object} params - 交易參數
+   * 執行買入交易（使用 Jupiter API，無路由時改用 Raydium 池子）
+   * @param {Object} params - 交易參數（pool 為快取的池子 { address, protocol, version }）
    * @returns {Promise<Object>} 交易結果
    */
   async executeBuy(params) {
     const {
       tokenMint, // 目標代幣 Mint 地址
       amountIn, // SOL 數量
+      decimals = 6,
       slippage = 2,
+      pool,
+      walletId, // 使用的錢包 ID（未指定時使用預設錢包）
     } = params;
 
     try {
       logger.info(`執行 Solana 買入: ${tokenMint}`);
 
       // 獲取錢包
-      const wallet = walletManager.getWallet('solana');
+      const wallet = walletManager.getWallet('solana', walletId);
+      const computeUnitPrice = await this.getComputeUnitPrice(pool);
 
       // 使用 Jupiter API 獲取交易路由
       const quoteResponse = await this.getJupiterQuote({
-        inputMint: 'So11111111111111111111111111111111111111112', // SOL
+        inputMint: WSOL_MINT, // SOL
         outputMint: tokenMint,
-        amount: amountIn * 1e9, // 轉換為 lamports
+        amount: Math.floor(amountIn * 1e9), // 轉換為 lamports
         slippage,
       });
 
-      if (!quoteResponse) {
-        throw new Error('無法獲取交易路由');
-      }
-
       // 獲取交易數據
-      const swapTransaction = await this.getJupiterSwapTransaction(
+      const swapResponse = quoteResponse && await this.getJupiterSwapTransaction(
         quoteResponse,
-        wallet.publicKey.toString()
+        wallet.publicKey.toString(),
+        computeUnitPrice
       );
 
-      if (!swapTransaction) {
-        throw new Error('無法構建交易');
+      if (!swapResponse) {
+        return await this.executeRaydiumSwap({ side: 'buy', wallet, tokenMint, amountIn, decimals, slippage, pool, computeUnitPrice });
       }
 
-      // 反序列化交易
-      const transactionBuf = Buffer.from(swapTransaction, 'base64');
-      const transaction = Transaction.from(transactionBuf);
-
-      // 簽名並發送交易
-      logger.info('正在發送交易...');
-      const signature = await sendAndConfirmTransaction(
-        this.connection,
-        transaction,
-        [wallet],
-        {
-          commitment: 'confirmed',
-          skipPreflight: false,
-        }
-      );
+      const signature = await this.sendJupiterSwap(swapResponse, wallet, computeUnitPrice);
+      const feePaid = await this.getFeePaid(signature);
 
       logger.success(`✅ Solana 買入成功! 簽名: ${signature}`);
 
       return {
         success: true,
         signature,
+        ...feePaid,
+        amountIn: parseFloat(amountIn),
+        // Jupiter 報價的預期輸出
+        amountOut: Number(quoteResponse.outAmount) / Math.pow(10, decimals),
       };
     } catch (error) {
       logger.error('Solana 買入失敗:', error.message);
@@ -91,62 +89,58 @@ class SolanaTradeExecutor {
   }
 
   /**
-   * 執行賣出交易
-   * @param {Object} params - 交易參數
+   * 執行賣出交易（使用 Jupiter API，無路由時改用 Raydium 池子）
+   * @param {Object} params - 交易參數（同 executeBuy）
    * @returns {Promise<Object>} 交易結果
    */
   async executeSell(params) {
     const {
       tokenMint,
-      amountIn, // Token 數量
+      amountInRaw, // Token 數量（最小單位，bigint）
       decimals = 6,
       slippage = 2,
+      pool,
+      walletId, // 使用的錢包 ID（未指定時使用預設錢包）
     } = params;
 
     try {
       logger.info(`執行 Solana 賣出: ${tokenMint}`);
 
-      const wallet = walletManager.getWallet('solana');
+      const amountIn = formatRawAmount(amountInRaw, decimals);
+
+      const wallet = walletManager.getWallet('solana', walletId);
+      const computeUnitPrice = await this.getComputeUnitPrice(pool);
 
       // 使用 Jupiter API
       const quoteResponse = await this.getJupiterQuote({
         inputMint: tokenMint,
-        outputMint: 'So11111111111111111111111111111111111111112', // SOL
-        amount: amountIn * Math.pow(10, decimals),
+        outputMint: WSOL_MINT, // SOL
+        amount: amountInRaw,
         slippage,
       });
 
-      if (!quoteResponse) {
-        throw new Error('無法獲取交易路由');
-      }
-
-      const swapTransaction = await this.getJupiterSwapTransaction(
+      const swapResponse = quoteResponse && await this.getJupiterSwapTransaction(
         quoteResponse,
-        wallet.publicKey.toString()
+        wallet.publicKey.toString(),
+        computeUnitPrice
       );
 
-      if (!swapTransaction) {
-        throw new Error('無法構建交易');
+      if (!swapResponse) {
+        return await this.executeRaydiumSwap({ side: 'sell', wallet, tokenMint, amountIn, amountInRaw, decimals, slippage, pool, computeUnitPrice });
       }
 
-      const transactionBuf = Buffer.from(swapTransaction, 'base64');
-      const transaction = Transaction.from(transactionBuf);
-
-      logger.info('正在發送交易...');
-      const signature = await sendAndConfirmTransaction(
-        this.connection,
-        transaction,
-        [wallet],
-        {
-          commitment: 'confirmed',
-        }
-      );
+      const signature = await this.sendJupiterSwap(swapResponse, wallet, computeUnitPrice);
+      const feePaid = await this.getFeePaid(signature);
 
       logger.success(`✅ Solana 賣出成功! 簽名: ${signature}`);
 
       return {
         success: true,
         signature,
+        ...feePaid,
+        amountIn: parseFloat(amountIn),
+        // Jupiter 報價的預期輸出（lamports → SOL）
+        amountOut: Number(quoteResponse.outAmount) / 1e9,
       };
     } catch (error) {
       logger.error('Solana 賣出失敗:', error.message);
@@ -157,6 +151,299 @@ class SolanaTradeExecutor {
     }
   }
 
+  /**
+   * 模擬買入（模擬交易模式）：以 Jupiter 報價計算成交（無路由時改用 Raydium 池子報價），不送出交易
+   * @param {Object} params - 交易參數（同 executeBuy）
+   * @returns {Promise<Object>} 模擬結果
+   */
+  async simulateBuy(params) {
+    const { tokenMint, amountIn, decimals = 6, slippage = 2, pool } = params;
+
+    try {
+      const quoteResponse = await this.getJupiterQuote({
+        inputMint: WSOL_MINT, // SOL
+        outputMint: tokenMint,
+        amount: Math.floor(amountIn * 1e9),
+        slippage,
+      });
+
+      let amountOut;
+      let route;
+      if (quoteResponse) {
+        amountOut = Number(quoteResponse.outAmount) / Math.pow(10, decimals);
+      } else {
+        const raydiumQuote = await this.getRaydiumQuote({ side: 'buy', tokenMint, amountIn, decimals, pool });
+        amountOut = Number(raydiumQuote.amountOut) / Math.pow(10, decimals);
+        route = raydiumQuote.route;
+      }
+
+      logger.info(`📝 模擬 Solana 買入: ${amountIn} SOL -> ${amountOut} tokens${route ? ` (${route})` : ''}`);
+
+      return {
+        success: true,
+        simulated: true,
+        amountIn: parseFloat(amountIn),
+        amountOut,
+        route,
+      };
+    } catch (error) {
+      logger.error('模擬 Solana 買入失敗:', error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * 模擬賣出（模擬交易模式）：以 Jupiter 報價計算成交（無路由時改用 Raydium 池子報價），不送出交易
+   * @param {Object} params - 交易參數（同 executeSell）
+   * @returns {Promise<Object>} 模擬結果
+   */
+  async simulateSell(params) {
+    const { tokenMint, amountInRaw, decimals = 6, slippage = 2, pool } = params;
+
+    try {
+      const amountIn = formatRawAmount(amountInRaw, decimals);
+      const quoteResponse = await this.getJupiterQuote({
+        inputMint: tokenMint,
+        outputMint: WSOL_MINT, // SOL
+        amount: amountInRaw,
+        slippage,
+      });
+
+      let amountOut;
+      let route;
+      if (quoteResponse) {
+        amountOut = Number(quoteResponse.outAmount) / 1e9;
+      } else {
+        const raydiumQuote = await this.getRaydiumQuote({ side: 'sell', tokenMint, amountIn, amountInRaw, decimals, pool });
+        amountOut = Number(raydiumQuote.amountOut) / 1e9;
+        route = raydiumQuote.route;
+      }
+
+      logger.info(`📝 模擬 Solana 賣出: ${amountIn} tokens -> ${amountOut} SOL${route ? ` (${route})` : ''}`);
+
+      return {
+        success: true,
+        simulated: true,
+        amountIn: parseFloat(amountIn),
+        amountOut,
+        route,
+      };
+    } catch (error) {
+      logger.error('模擬 Solana 賣出失敗:', error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * 以快取的 Raydium 池子報價
+   * @param {Object} params - { side, tokenMint, amountIn, amountInRaw（賣出時的最小單位數量）, decimals, pool }
+   * @returns {Promise<Object>} { pool, amountInRaw, amountOut (最小單位), route }
+   */
+  async getRaydiumQuote({ side, tokenMint, amountIn, amountInRaw: sellAmountRaw, decimals, pool }) {
+    if (pool?.protocol !== 'Raydium' || !pool.address) {
+      throw new Error('無法獲取交易路由（Jupiter 無路由，且代幣沒有快取的 Raydium 池子）');
+    }
+
+    logger.warn(`Jupiter 無可用路由，改用 Raydium 池子: ${pool.address}`);
+
+    const raydiumPool = await this.raydium.loadPool(pool.address, tokenMint);
+    const amountInRaw = side === 'buy' ? BigInt(Math.floor(amountIn * 1e9)) : sellAmountRaw;
+    const amountOut = this.raydium.quote(raydiumPool, side, amountInRaw);
+
+    if (amountOut <= 0n) {
+      throw new Error('Raydium 池子流動性不足');
+    }
+
+    return { pool: raydiumPool, amountInRaw, amountOut, route: `Raydium ${raydiumPool.type}` };
+  }
+
+  /**
+   * 透過快取的 Raydium 池子直接交易（Jupiter 沒有路由時的備援）
+   * @param {Object} params - { side, wallet, tokenMint, amountIn, amountInRaw, decimals, slippage, pool }
+   * @returns {Promise<Object>} 交易結果（與 Jupiter 交易相同格式，另含 route）
+   */
+  async executeRaydiumSwap({ side, wallet, tokenMint, amountIn, amountInRaw: sellAmountRaw, decimals, slippage, pool, computeUnitPrice }) {
+    const { pool: raydiumPool, amountInRaw, amountOut, route } = await this.getRaydiumQuote({
+      side,
+      tokenMint,
+      amountIn,
+      amountInRaw: sellAmountRaw,
+      decimals,
+      pool,
+    });
+
+    // 與 Jupiter 相同以 bps 計算滑點
+    const minAmountOut = (amountOut * BigInt(10000 - Math.round(slippage * 100))) / 10000n;
+
+    const swapTransaction = this.raydium.buildSwapTransaction({
+      pool: raydiumPool,
+      side,
+      owner: wallet.publicKey,
+      tokenMint,
+      amountIn: amountInRaw,
+      minAmountOut,
+    });
+
+    // 加上 compute budget 指令（compute unit 上限與 priority fee）
+    const transaction = new Transaction().add(
+      ComputeBudgetProgram.setComputeUnitLimit({ units: config.solanaTx.computeUnitLimit }),
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: computeUnitPrice }),
+      ...swapTransaction.instructions
+    );
+
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = wallet.publicKey;
+    transaction.sign(wallet);
+
+    logger.info(`正在透過 ${route} 發送交易... (priority fee: ${computeUnitPrice} micro-lamports/CU)`);
+    const signature = await this.sendAndConfirm(transaction, lastValidBlockHeight);
+    const feePaid = await this.getFeePaid(signature);
+
+    logger.success(`✅ Solana ${side === 'buy' ? '買入' : '賣出'}成功 (${route})! 簽名: ${signature}`);
+
+    return {
+      success: true,
+      signature,
+      ...feePaid,
+      amountIn: parseFloat(amountIn),
+      // Raydium 池子報價的預期輸出
+      amountOut: Number(amountOut) / Math.pow(10, side === 'buy' ? decimals : 9),
+      route,
+    };
+  }
+
+  /**
+   * 決定 compute unit 價格（micro-lamports）
+   * dynamic 模式取近期 priority fee 的百分位數；有快取的 Raydium 池子時只看鎖定該池子的交易，較貼近同一代幣的競爭程度
+   * @param {Object} pool - 快取的池子 { address, protocol, version }
+   * @returns {Promise<number>}
+   */
+  async getComputeUnitPrice(pool) {
+    const { priorityFeeMode, computeUnitPrice, priorityFeePercentile, maxComputeUnitPrice } = config.solanaTx;
+
+    if (priorityFeeMode !== 'dynamic') {
+      return computeUnitPrice;
+    }
+
+    try {
+      const lockedWritableAccounts = pool?.protocol === 'Raydium' && pool.address
+        ? [new PublicKey(pool.address)]
+        : [];
+      const recentFees = await this.connection.getRecentPrioritizationFees({ lockedWritableAccounts });
+
+      const fees = recentFees
+        .map((item) => item.prioritizationFee)
+        .filter((fee) => fee > 0)
+        .sort((a, b) => a - b);
+
+      if (fees.length === 0) {
+        return computeUnitPrice;
+      }
+
+      const index = Math.min(fees.length - 1, Math.floor((fees.length * priorityFeePercentile) / 100));
+      return Math.min(fees[index], maxComputeUnitPrice);
+    } catch (error) {
+      logger.warn(`查詢近期 priority fee 失敗，使用預設值 ${computeUnitPrice}: ${error.message}`);
+      return computeUnitPrice;
+    }
+  }
+
+  /**
+   * 簽名並送出 Jupiter 回傳的 versioned transaction
+   * @param {Object} swapResponse - { swapTransaction, lastValidBlockHeight }
+   * @param {Keypair} wallet - 錢包
+   * @param {number} computeUnitPrice - compute unit 價格（僅用於記錄）
+   * @returns {Promise<string>} 交易簽名
+   */
+  async sendJupiterSwap(swapResponse, wallet, computeUnitPrice) {
+    const transaction = VersionedTransaction.deserialize(Buffer.from(swapResponse.swapTransaction, 'base64'));
+    transaction.sign([wallet]);
+
+    const lastValidBlockHeight = swapResponse.lastValidBlockHeight
+      ?? (await this.connection.getLatestBlockhash('confirmed')).lastValidBlockHeight;
+
+    logger.info(`正在發送交易... (priority fee: ${computeUnitPrice} micro-lamports/CU)`);
+    return this.sendAndConfirm(transaction, lastValidBlockHeight);
+  }
+
+  /**
+   * 送出已簽名的交易並輪詢確認狀態，未確認前定期重送，直到 blockhash 過期
+   * 重送的是同一筆已簽名交易（簽名相同），不會重複成交
+   * @param {Transaction|VersionedTransaction} transaction - 已簽名的交易
+   * @param {number} lastValidBlockHeight - blockhash 有效的最後區塊高度
+   * @returns {Promise<string>} 交易簽名
+   */
+  async sendAndConfirm(transaction, lastValidBlockHeight) {
+    const rawTransaction = transaction.serialize();
+
+    // 第一次送出保留 preflight，及早發現滑點、餘額不足等錯誤
+    const signature = await this.connection.sendRawTransaction(rawTransaction, { maxRetries: 0 });
+    logger.info(`交易已發送: ${signature}`);
+
+    for (let attempt = 1; ; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, config.solanaTx.resendIntervalMs));
+
+      // 先取區塊高度再查狀態，確保過期判斷時狀態已是最新
+      const blockHeight = await this.connection.getBlockHeight('confirmed');
+      const { value: [status] } = await this.connection.getSignatureStatuses([signature]);
+
+      if (status?.err) {
+        throw new Error(`交易執行失敗: ${JSON.stringify(status.err)} (${signature})`);
+      }
+
+      if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+        return signature;
+      }
+
+      if (blockHeight > lastValidBlockHeight) {
+        throw new Error(`交易在 blockhash 過期前未確認 (${signature})`);
+      }
+
+      logger.debug(`交易尚未確認，第 ${attempt} 次重送: ${signature}`);
+      try {
+        await this.connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 });
+      } catch (error) {
+        logger.debug(`重送交易失敗: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 查詢交易實際支付的手續費（基本費 + priority fee）與使用的 compute units
+   * @param {string} signature - 交易簽名
+   * @returns {Promise<Object>} { gasUsed, gasCost (SOL) }，查詢失敗時為空物件
+   */
+  async getFeePaid(signature) {
+    try {
+      const transaction = await this.connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0,
+      });
+
+      if (!transaction?.meta) {
+        return {};
+      }
+
+      const gasCost = transaction.meta.fee / 1e9;
+      logger.info(`交易手續費: ${gasCost} SOL`);
+
+      return {
+        gasUsed: transaction.meta.computeUnitsConsumed?.toString(),
+        gasCost,
+      };
+    } catch (error) {
+      logger.warn(`查詢交易手續費失敗: ${error.message}`);
+      return {};
+    }
+  }
+
   /**
    * 從 Jupiter API 獲取交易路由
    * @param {Object} params - 查詢參數
@@ -188,9 +475,10 @@ class SolanaTradeExecutor {
    * 從 Jupiter API 獲取交易數據
    * @param {Object} quoteResponse - 路由響應
    * @param {string} userPublicKey - 用戶公鑰
-   * @returns {Promise<string>}
+   * @param {number} computeUnitPrice - compute unit 價格（micro-lamports）
+   * @returns {Promise<Object>} { swapTransaction (base64), lastValidBlockHeight }
    */
-  async getJupiterSwapTransaction(quoteResponse, userPublicKey) {
+  async getJupiterSwapTransaction(quoteResponse, userPublicKey, computeUnitPrice) {
     try {
       const response = await fetch('https://quote-api.jup.ag/v6/swap', {
         method: 'POST',
@@ -202,7 +490,7 @@ class SolanaTradeExecutor {
           userPublicKey,
           wrapAndUnwrapSol: true,
           dynamicComputeUnitLimit: true,
-          prioritizationFeeLamports: 'auto',
+          computeUnitPriceMicroLamports: computeUnitPrice,
         }),
       });
 
@@ -212,7 +500,10 @@ class SolanaTradeExecutor {
         throw new Error(data.error);
       }
 
-      return data.swapTransaction;
+      return {
+        swapTransaction: data.swapTransaction,
+        lastValidBlockHeight: data.lastValidBlockHeight,
+      };
     } catch (error) {
       logger.error('獲取 Jupiter 交易失敗:', error.message);
       return null;
@@ -235,6 +526,25 @@ class SolanaTradeExecutor {
     }
   }
 
+  /**
+   * 獲取代幣餘額（最小單位），用於計算賣出數量，避免浮點數誤差
+   * @param {string} tokenMint - 代幣 Mint 地址
+   * @param {string} walletAddress - 錢包地址
+   * @returns {Promise<bigint>}
+   */
+  async getTokenBalanceRaw(tokenMint, walletAddress) {
+    const tokenAccounts = await this.connection.getParsedTokenAccountsByOwner(
+      new PublicKey(walletAddress),
+      { mint: new PublicKey(tokenMint) }
+    );
+
+    if (tokenAccounts.value.length === 0) {
+      return 0n;
+    }
+
+    return BigInt(tokenAccounts.value[0].account.data.parsed.info.tokenAmount.amount);
+  }
+
   /**
    * 獲取代幣餘額
    * @param {string} tokenMint - 代幣 Mint 地址
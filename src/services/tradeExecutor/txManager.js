@@ -0,0 +1,476 @@
+import { ethers } from 'ethers';
+import config from '../../config/config.js';
+import logger from '../../utils/logger.js';
+import rpcPool from '../rpcPool.js';
+
+// 輪詢交易確認狀態的間隔（毫秒）
+const POLL_INTERVAL_MS = 3000;
+
+// 從收據解析成交數量用的事件（ERC20 Transfer、WBNB / WETH 解包）
+const FILL_EVENTS = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Withdrawal(address indexed src, uint256 wad)',
+]);
+
+// 各鏈的包裝原生幣（賣出時 Router 解包成原生幣轉給錢包）
+const WRAPPED_NATIVE = {
+  bsc: config.dex.bsc.wbnb,
+  base: config.dex.base.weth,
+};
+
+/**
+ * EVM 交易管理（BSC / Base 執行器共用）
+ * - 每個錢包一個佇列，依序分配 nonce，避免同一輪價格監控同時觸發多筆訂單時 nonce 衝突
+ * - gasLimit 以 estimateGas 乘上安全倍數；BSC 使用 legacy gasPrice，Base 使用 EIP-1559
+ * - 等待確認逾時自動以相同 nonce 提高手續費重送（speed-up），也可手動 speed-up / cancel
+ * - 加速後仍未確認（或查詢狀態失敗）時拋出帶 pendingTx 的錯誤：交易可能稍後上鏈，呼叫端不可用新的 nonce 重送
+ */
+class EvmTxManager {
+  constructor() {
+    // key: `${chain}:${address}` → { nextNonce, lock, pending: Map<nonce, entry> }
+    this.accounts = new Map();
+    // key: `${chain}:${address}:${nonce}` → nonce 已上鏈但查無收據的次數（checkOutcome）
+    this.replacedChecks = new Map();
+  }
+
+  /**
+   * 取得錢包的 nonce 狀態
+   */
+  getAccount(chain, address) {
+    const key = `${chain}:${address.toLowerCase()}`;
+
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        nextNonce: null,
+        lock: Promise.resolve(),
+        pending: new Map(),
+      });
+    }
+
+    return this.accounts.get(key);
+  }
+
+  /**
+   * 在錢包佇列中依序執行（同一錢包同時只有一筆交易在分配 nonce / 廣播）
+   */
+  withLock(account, fn) {
+    const run = account.lock.then(fn, fn);
+    account.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 估算 gas、設定手續費並以佇列分配的 nonce 送出交易
+   * @param {string} chain - 'bsc' | 'base'
+   * @param {Wallet} wallet - 已連接 provider 的錢包
+   * @param {Object} request - { to, data, value }
+   * @param {string} label - 交易說明（顯示於待確認列表）
+   * @returns {Promise<TransactionResponse>}
+   */
+  async send(chain, wallet, request, label = null) {
+    const account = this.getAccount(chain, wallet.address);
+
+    return this.withLock(account, async () => {
+      // 在佇列內估算，前一筆交易（approve、先前的 swap）已送出後才以最新狀態估算
+      const gasLimit = await this.estimateGasLimit(wallet, request);
+      const fees = await this.getFeeOverrides(chain, wallet.provider);
+
+      for (let attempt = 1; ; attempt++) {
+        if (account.nextNonce === null) {
+          account.nextNonce = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+        }
+
+        const tx = { ...request, gasLimit, ...fees, nonce: account.nextNonce };
+
+        try {
+          const response = await wallet.sendTransaction(tx);
+          account.nextNonce++;
+
+          account.pending.set(tx.nonce, {
+            chain,
+            wallet,
+            nonce: tx.nonce,
+            label,
+            request: tx,
+            hashes: [response.hash],
+            sentAt: Date.now(),
+            lastSentAt: Date.now(),
+            speedUps: 0,
+            cancelHash: null,
+          });
+
+          logger.info(`📤 ${chain.toUpperCase()} 交易已送出 (nonce ${tx.nonce}): ${response.hash}`);
+          return response;
+        } catch (error) {
+          // 廣播失敗時無法確定 nonce 是否已被使用，下次重新向節點同步
+          account.nextNonce = null;
+
+          if (attempt === 1 && this.isNonceError(error)) {
+            logger.warn(`nonce ${tx.nonce} 已被使用，重新同步後重送`);
+            continue;
+          }
+
+          throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * 等待交易確認；逾時未確認時自動加速，達到加速上限後仍未確認則拋出錯誤（交易保留在待確認列表，可手動加速或取消）
+   * 結果未確定的錯誤帶有 error.pendingTx（{ chain, address, nonce, hashes }），可再以 checkOutcome 查詢
+   * @param {string} chain - 'bsc' | 'base'
+   * @param {Wallet} wallet - 錢包
+   * @param {TransactionResponse} response - send 的回傳值
+   * @returns {Promise<TransactionReceipt>} 實際上鏈的交易收據（加速後 hash 可能不同）
+   */
+  async wait(chain, wallet, response) {
+    const { confirmTimeoutSeconds, maxSpeedUps } = config.evmTx;
+    const account = this.getAccount(chain, wallet.address);
+    const entry = account.pending.get(response.nonce);
+    const timeoutMs = confirmTimeoutSeconds * 1000;
+
+    if (!entry) {
+      return response.wait();
+    }
+
+    let nonceUsedChecks = 0;
+
+    while (true) {
+      let receipt;
+      let minedNonce;
+      try {
+        receipt = await this.findReceipt(wallet.provider, entry.hashes);
+        minedNonce = receipt ? null : await wallet.provider.getTransactionCount(wallet.address, 'latest');
+      } catch (error) {
+        throw this.pendingError(entry, `查詢交易狀態失敗 (nonce ${entry.nonce}): ${error.shortMessage || error.message}`);
+      }
+
+      if (receipt) {
+        account.pending.delete(entry.nonce);
+
+        if (receipt.hash === entry.cancelHash) {
+          throw new Error(`交易已取消 (nonce ${entry.nonce})`);
+        }
+
+        if (receipt.status === 0) {
+          throw new Error(`交易執行失敗 (reverted): ${receipt.hash}`);
+        }
+
+        return receipt;
+      }
+
+      // nonce 已上鏈但不是我們送出的任何一筆（例如外部錢包使用了同一個 nonce）
+      if (minedNonce > entry.nonce && ++nonceUsedChecks > 2) {
+        account.pending.delete(entry.nonce);
+        throw new Error(`nonce ${entry.nonce} 已被其他交易使用`);
+      }
+
+      const waited = Date.now() - entry.lastSentAt;
+      if (waited > timeoutMs) {
+        if (entry.speedUps < maxSpeedUps) {
+          logger.warn(`⏳ 交易 ${confirmTimeoutSeconds} 秒未確認，提高手續費重送 (nonce ${entry.nonce})`);
+          try {
+            await this.speedUp(chain, wallet.address, entry.nonce);
+          } catch (error) {
+            logger.warn(`加速交易失敗: ${error.message}`);
+            entry.lastSentAt = Date.now();
+          }
+        } else {
+          // 交易可能已從 mempool 消失，重新同步 nonce，避免後續交易卡在 nonce 缺口之後
+          await this.resyncNonce(account, wallet.provider, wallet.address);
+          throw this.pendingError(entry, `交易長時間未確認 (nonce ${entry.nonce}: ${entry.hashes[entry.hashes.length - 1]})，可手動加速或取消`);
+        }
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+  }
+
+  /**
+   * 建立結果未確定的錯誤（交易仍可能上鏈）
+   * @param {Object} entry - 待確認交易
+   * @param {string} message - 錯誤訊息
+   * @returns {Error} 帶 pendingTx 的錯誤
+   */
+  pendingError(entry, message) {
+    const error = new Error(message);
+    error.pendingTx = {
+      chain: entry.chain,
+      address: entry.wallet.address,
+      nonce: entry.nonce,
+      hashes: [...entry.hashes],
+    };
+    return error;
+  }
+
+  /**
+   * 查詢結果未確定的交易目前狀態（不加速、不等待）
+   * 先確認 nonce 是否已上鏈再查收據，避免交易剛好在兩次查詢之間上鏈時誤判為被取代；
+   * 查無收據需連續三次才判定為被取代（節點同步延遲時收據可能稍晚才查得到）。
+   * 重新啟動後記憶體中的待確認交易已遺失，仍可依保存的 hash 查詢
+   * @param {Object} pendingTx - { chain, address, nonce, hashes }
+   * @returns {Promise<Object>} { status: 'pending' | 'confirmed' | 'reverted' | 'cancelled' | 'replaced', receipt }
+   */
+  async checkOutcome({ chain, address, nonce, hashes = [] }) {
+    const account = this.getAccount(chain, address);
+    const entry = account.pending.get(nonce);
+    // 手動加速 / 取消的交易只記錄在記憶體中的待確認交易
+    const allHashes = [...new Set([...hashes, ...(entry?.hashes || [])])];
+    const provider = entry?.wallet.provider || rpcPool.getProvider(chain);
+
+    const minedNonce = await provider.getTransactionCount(address, 'latest');
+    if (minedNonce <= nonce) {
+      // 節點已查無我們送出的任何一筆（被丟棄或取代後又被逐出 mempool），重新同步 nonce
+      if (await this.isDropped(provider, allHashes)) {
+        logger.warn(`⚠️ ${chain.toUpperCase()} nonce ${nonce} 的交易已不在 mempool，重新同步 nonce`);
+        await this.resyncNonce(account, provider, address);
+      }
+      return { status: 'pending', receipt: null };
+    }
+
+    const receipt = await this.findReceipt(provider, allHashes);
+    const checkKey = `${chain}:${address.toLowerCase()}:${nonce}`;
+
+    if (!receipt) {
+      const checks = (this.replacedChecks.get(checkKey) || 0) + 1;
+      if (checks < 3) {
+        this.replacedChecks.set(checkKey, checks);
+        return { status: 'pending', receipt: null };
+      }
+    }
+
+    this.replacedChecks.delete(checkKey);
+    account.pending.delete(nonce);
+
+    if (!receipt) {
+      return { status: 'replaced', receipt: null };
+    }
+    if (receipt.hash === entry?.cancelHash) {
+      return { status: 'cancelled', receipt };
+    }
+    return { status: receipt.status === 0 ? 'reverted' : 'confirmed', receipt };
+  }
+
+  /**
+   * 以相同 nonce、提高的手續費重送同一筆交易
+   * @param {string} chain - 鏈名稱
+   * @param {string} address - 錢包地址
+   * @param {number} nonce - 待確認交易的 nonce
+   * @returns {Promise<string>} 新交易 hash
+   */
+  async speedUp(chain, address, nonce) {
+    const entry = this.getPendingEntry(chain, address, nonce);
+    return this.replace(entry, entry.request, '加速');
+  }
+
+  /**
+   * 以相同 nonce 送出 0 金額轉給自己的交易取消待確認交易
+   * @param {string} chain - 鏈名稱
+   * @param {string} address - 錢包地址
+   * @param {number} nonce - 待確認交易的 nonce
+   * @returns {Promise<string>} 取消交易 hash
+   */
+  async cancel(chain, address, nonce) {
+    const entry = this.getPendingEntry(chain, address, nonce);
+    const hash = await this.replace(entry, {
+      ...entry.request,
+      to: entry.wallet.address,
+      data: '0x',
+      value: 0n,
+      gasLimit: 21000n,
+    }, '取消');
+
+    entry.cancelHash = hash;
+    return hash;
+  }
+
+  /**
+   * 送出替換交易（手續費至少提高 speedUpPercent%，且不低於目前網路費用）
+   */
+  async replace(entry, request, action) {
+    const bump = (value) => (value * BigInt(100 + config.evmTx.speedUpPercent)) / 100n;
+    const current = await this.getFeeOverrides(entry.chain, entry.wallet.provider);
+    const max = (a, b) => (a > b ? a : b);
+
+    const fees = request.gasPrice !== undefined
+      ? { gasPrice: max(bump(request.gasPrice), current.gasPrice) }
+      : {
+        maxPriorityFeePerGas: max(bump(request.maxPriorityFeePerGas), current.maxPriorityFeePerGas),
+        maxFeePerGas: max(bump(request.maxFeePerGas), current.maxFeePerGas),
+      };
+
+    const tx = { ...request, ...fees, nonce: entry.nonce };
+    const response = await entry.wallet.sendTransaction(tx);
+
+    entry.request = { ...entry.request, ...fees };
+    entry.hashes.push(response.hash);
+    entry.lastSentAt = Date.now();
+    entry.speedUps++;
+
+    logger.info(`🚀 已${action}交易 (nonce ${entry.nonce}): ${response.hash}`);
+    return response.hash;
+  }
+
+  /**
+   * 列出所有待確認交易
+   * @returns {Array<Object>}
+   */
+  getPending() {
+    return [...this.accounts.values()].flatMap((account) =>
+      [...account.pending.values()].map((entry) => ({
+        chain: entry.chain,
+        address: entry.wallet.address,
+        nonce: entry.nonce,
+        label: entry.label,
+        hash: entry.hashes[entry.hashes.length - 1],
+        hashes: entry.hashes,
+        speedUps: entry.speedUps,
+        cancelled: !!entry.cancelHash,
+        sentAt: new Date(entry.sentAt).toISOString(),
+      }))
+    );
+  }
+
+  getPendingEntry(chain, address, nonce) {
+    const entry = this.getAccount(chain, address).pending.get(Number(nonce));
+
+    if (!entry) {
+      throw new Error(`找不到待確認交易 (${chain} nonce ${nonce})`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * 估算 gasLimit 並乘上安全倍數；估算失敗代表交易會 revert，直接拋出
+   */
+  async estimateGasLimit(wallet, request) {
+    try {
+      const estimated = await wallet.estimateGas(request);
+      const multiplier = BigInt(Math.round(config.evmTx.gasLimitMultiplier * 100));
+      return (estimated * multiplier) / 100n;
+    } catch (error) {
+      throw new Error(`Gas 估算失敗（交易可能會 revert）: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  /**
+   * 依鏈設定產生手續費欄位
+   * BSC: legacy gasPrice（可用 BSC_GAS_PRICE_GWEI 固定）
+   * Base: EIP-1559，maxFeePerGas = 最新區塊 baseFee × 倍數 + priority fee
+   */
+  async getFeeOverrides(chain, provider) {
+    const chainConfig = config.evmTx[chain] || {};
+
+    if (chainConfig.eip1559) {
+      const block = await provider.getBlock('latest');
+      const maxPriorityFeePerGas = ethers.parseUnits(chainConfig.maxPriorityFeeGwei.toString(), 'gwei');
+      const baseFee = block?.baseFeePerGas ?? 0n;
+
+      return {
+        type: 2,
+        maxPriorityFeePerGas,
+        maxFeePerGas: baseFee * BigInt(chainConfig.baseFeeMultiplier) + maxPriorityFeePerGas,
+      };
+    }
+
+    const gasPrice = chainConfig.gasPriceGwei
+      ? ethers.parseUnits(chainConfig.gasPriceGwei.toString(), 'gwei')
+      : (await provider.getFeeData()).gasPrice;
+
+    return { type: 0, gasPrice };
+  }
+
+  /**
+   * 依序查詢各 hash 的收據，回傳第一筆已上鏈者
+   */
+  async findReceipt(provider, hashes) {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 從交易收據解析成交數量（交易結果未確定、稍後才確認時使用，無法比較交易前後餘額）
+   * - tokensReceived / tokensSent：錢包收到 / 轉出的代幣（Transfer 事件）
+   * - nativeReceived：包裝原生幣解包數量（Withdrawal 事件；V4 原生幣池子等不經解包的路由查不到）
+   * @param {string} chain - 'bsc' | 'base'
+   * @param {TransactionReceipt} receipt - 交易收據
+   * @param {Object} params - { tokenAddress, walletAddress, decimals }
+   * @returns {Object} { tokensReceived, tokensSent, nativeReceived }，查無對應事件的欄位為 null
+   */
+  parseFill(chain, receipt, { tokenAddress, walletAddress, decimals }) {
+    const sums = { tokensReceived: 0n, tokensSent: 0n, nativeReceived: 0n };
+    const wallet = walletAddress.toLowerCase();
+    const wrapped = WRAPPED_NATIVE[chain]?.toLowerCase();
+
+    for (const log of receipt.logs) {
+      let parsed;
+      try {
+        parsed = FILL_EVENTS.parseLog(log);
+      } catch (error) {
+        continue;
+      }
+      if (!parsed) {
+        continue;
+      }
+
+      const contract = log.address.toLowerCase();
+      if (parsed.name === 'Transfer' && contract === tokenAddress.toLowerCase()) {
+        if (parsed.args.to.toLowerCase() === wallet) {
+          sums.tokensReceived += parsed.args.value;
+        }
+        if (parsed.args.from.toLowerCase() === wallet) {
+          sums.tokensSent += parsed.args.value;
+        }
+      } else if (parsed.name === 'Withdrawal' && contract === wrapped) {
+        sums.nativeReceived += parsed.args.wad;
+      }
+    }
+
+    return {
+      tokensReceived: sums.tokensReceived > 0n ? parseFloat(ethers.formatUnits(sums.tokensReceived, decimals)) : null,
+      tokensSent: sums.tokensSent > 0n ? parseFloat(ethers.formatUnits(sums.tokensSent, decimals)) : null,
+      nativeReceived: sums.nativeReceived > 0n ? parseFloat(ethers.formatEther(sums.nativeReceived)) : null,
+    };
+  }
+
+  /**
+   * 節點是否已查無所有 hash（交易已從 mempool 消失）
+   */
+  async isDropped(provider, hashes) {
+    for (const hash of hashes) {
+      if (await provider.getTransaction(hash)) {
+        return false;
+      }
+    }
+
+    return hashes.length > 0;
+  }
+
+  /**
+   * 在錢包佇列內以 'pending' nonce 重新同步下一個 nonce（交易被丟棄後補上缺口）
+   */
+  async resyncNonce(account, provider, address) {
+    await this.withLock(account, async () => {
+      try {
+        account.nextNonce = await provider.getTransactionCount(address, 'pending');
+      } catch (error) {
+        // 查詢失敗時下次送出交易前重新向節點同步
+        account.nextNonce = null;
+      }
+    });
+  }
+
+  isNonceError(error) {
+    return error.code === 'NONCE_EXPIRED' || /nonce too low|already known/i.test(error.message);
+  }
+}
+
+export default new EvmTxManager();
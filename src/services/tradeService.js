@@ -0,0 +1,304 @@
+import db from '../database/db.js';
+import logger from '../utils/logger.js';
+import { getTaiwanISOString } from '../utils/timeHelper.js';
+
+// 確保成交紀錄表存在
+(function migrate() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER,
+      token_id INTEGER,
+      chain TEXT NOT NULL,
+      token_address TEXT NOT NULL,
+      symbol TEXT,
+      side TEXT NOT NULL,
+      amount_in REAL,
+      amount_out REAL,
+      price_usd REAL,
+      tx_hash TEXT,
+      gas_used TEXT,
+      gas_cost REAL,
+      block_number INTEGER,
+      source TEXT DEFAULT 'order',
+      route TEXT,
+      executed_at DATETIME,
+      incomplete INTEGER DEFAULT 0
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_trades_token ON trades(chain, token_address, executed_at)');
+  try { db.exec('ALTER TABLE trades ADD COLUMN route TEXT'); } catch (e) {}
+  try { db.exec('ALTER TABLE trades ADD COLUMN incomplete INTEGER DEFAULT 0'); } catch (e) {}
+})();
+
+/**
+ * 成交紀錄服務
+ * 每筆鏈上成交寫入 trades 表（伺服器掛單與 gmgn-trader 馬丁策略共用），
+ * 並以 FIFO 計算每個代幣的已實現損益
+ *
+ * 數量欄位約定：
+ * - buy：amount_in 為花費的原生幣（BNB/ETH/SOL），amount_out 為獲得的代幣數量
+ * - sell：amount_in 為賣出的代幣數量，amount_out 為收回的原生幣
+ * - incomplete = 1：成交數量無法確定（例如稍後才確認的交易查無收據事件），不計入 FIFO 損益與風控
+ */
+class TradeService {
+  /**
+   * 記錄一筆成交
+   * @param {Object} trade - 成交資料
+   * @returns {Object} 建立的紀錄
+   */
+  recordTrade(trade) {
+    try {
+      const {
+        order_id = null,
+        chain,
+        token_address,
+        side,
+        amount_in = null,
+        amount_out = null,
+        price_usd = null,
+        tx_hash = null,
+        gas_used = null,
+        gas_cost = null,
+        block_number = null,
+        source = 'order',
+        route = null,
+        executed_at = getTaiwanISOString(),
+        incomplete = false,
+      } = trade;
+
+      // 若代幣已在監控列表中，補上 token_id 與 symbol
+      const token = db.prepare(`
+        SELECT id, symbol FROM tokens WHERE chain = ? AND LOWER(address) = LOWER(?)
+      `).get(chain.toLowerCase(), token_address);
+
+      const tokenId = trade.token_id || token?.id || null;
+      const symbol = trade.symbol || token?.symbol || null;
+
+      const result = db.prepare(`
+        INSERT INTO trades (
+          order_id, token_id, chain, token_address, symbol, side,
+          amount_in, amount_out, price_usd, tx_hash, gas_used, gas_cost,
+          block_number, source, route, executed_at, incomplete
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        order_id, tokenId, chain.toLowerCase(), token_address, symbol, side,
+        amount_in, amount_out, price_usd, tx_hash, gas_used, gas_cost,
+        block_number, source, route, executed_at, incomplete ? 1 : 0
+      );
+
+      logger.success(`成交已記錄 (ID: ${result.lastInsertRowid}, ${side} ${symbol || token_address}, 來源: ${source})`);
+
+      return db.prepare('SELECT * FROM trades WHERE id = ?').get(result.lastInsertRowid);
+    } catch (error) {
+      logger.error('記錄成交失敗:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 查詢成交紀錄
+   * @param {Object} filters - 篩選條件 { token_id, chain, token_address, side, source, exclude_source, order_id, from, to, limit }
+   * @returns {Array} 成交列表（新到舊）
+   */
+  getTrades(filters = {}) {
+    try {
+      const { where, params } = this.buildFilter(filters);
+      const limit = parseInt(filters.limit) || 100;
+
+      return db.prepare(`
+        SELECT * FROM trades
+        ${where}
+        ORDER BY executed_at DESC, id DESC
+        LIMIT ?
+      `).all(...params, limit);
+    } catch (error) {
+      logger.error('獲取成交紀錄失敗:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 以 FIFO 計算每個代幣的已實現損益（以原生幣計價）
+   * 只依鏈、代幣與來源篩選，一律載入完整成交紀錄，避免買入批次被篩掉後以零成本配對賣出
+   * @param {Object} filters - 篩選條件 { token_id, chain, token_address, source, exclude_source }
+   * @param {string} since - 另外統計此時間之後的已實現損益（見 calculateFifoPnL）
+   * @param {string} until - 只計算此時間（含）之前的成交（見 calculateFifoPnL）
+   * @returns {Array} 每個代幣的損益摘要
+   */
+  getRealizedPnL(filters = {}, since = null, until = null) {
+    try {
+      const { token_id, chain, token_address, source, exclude_source } = filters;
+      const { where, params } = this.buildFilter({ token_id, chain, token_address, source, exclude_source });
+
+      const trades = db.prepare(`
+        SELECT * FROM trades
+        ${where}
+        ORDER BY executed_at ASC, id ASC
+      `).all(...params);
+
+      // 依鏈 + 代幣地址分組
+      const groups = new Map();
+      for (const trade of trades) {
+        const key = `${trade.chain}:${trade.token_address.toLowerCase()}`;
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(trade);
+      }
+
+      return [...groups.values()]
+        .map((tokenTrades) => this.calculateFifoPnL(tokenTrades, since, until))
+        .filter(Boolean);
+    } catch (error) {
+      logger.error('計算已實現損益失敗:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * FIFO 配對單一代幣的買賣紀錄
+   * 賣出依序消耗最早的買入批次，已實現損益 = 賣出收回 - 配對批次的成本
+   * @param {Array} trades - 同一代幣的成交（舊到新）
+   * @param {string} since - 另外統計此時間（含）之後賣出的已實現損益（realized_pnl_since），供每日虧損計算
+   * @param {string} until - 只計算此時間（含）之前的成交
+   * @returns {Object|null} 損益摘要（until 之前沒有成交時為 null）
+   */
+  calculateFifoPnL(trades, since = null, until = null) {
+    // 成交數量不完整的紀錄無法配對成本
+    trades = trades.filter((trade) => !trade.incomplete);
+    if (until) {
+      trades = trades.filter((trade) => trade.executed_at <= until);
+    }
+    if (trades.length === 0) {
+      return null;
+    }
+
+    const lots = []; // { amount, costPerToken }
+    let realizedPnl = 0;
+    let realizedPnlSince = 0;
+    let boughtAmount = 0;
+    let soldAmount = 0;
+    let totalCost = 0;
+    let totalProceeds = 0;
+    let gasCost = 0;
+    let unmatchedAmount = 0;
+
+    for (const trade of trades) {
+      gasCost += trade.gas_cost || 0;
+
+      const amountIn = trade.amount_in || 0;
+      const amountOut = trade.amount_out || 0;
+
+      if (trade.side === 'buy') {
+        if (amountOut > 0) {
+          lots.push({ amount: amountOut, costPerToken: amountIn / amountOut });
+        }
+        boughtAmount += amountOut;
+        totalCost += amountIn;
+        continue;
+      }
+
+      // 賣出：依序消耗最早的買入批次
+      let remaining = amountIn;
+      let matchedCost = 0;
+      while (remaining > 0 && lots.length > 0) {
+        const lot = lots[0];
+        const used = Math.min(lot.amount, remaining);
+        matchedCost += used * lot.costPerToken;
+        lot.amount -= used;
+        remaining -= used;
+        if (lot.amount <= 0) {
+          lots.shift();
+        }
+      }
+
+      // 沒有對應買入紀錄的數量（例如帳本建立前的持倉）只計入收回，不計成本
+      unmatchedAmount += remaining;
+
+      realizedPnl += amountOut - matchedCost;
+      if (since && trade.executed_at >= since) {
+        realizedPnlSince += amountOut - matchedCost;
+      }
+      soldAmount += amountIn;
+      totalProceeds += amountOut;
+    }
+
+    const openAmount = lots.reduce((sum, lot) => sum + lot.amount, 0);
+    const openCost = lots.reduce((sum, lot) => sum + lot.amount * lot.costPerToken, 0);
+    const first = trades[0];
+
+    return {
+      token_id: trades.find((t) => t.token_id)?.token_id || null,
+      chain: first.chain,
+      token_address: first.token_address,
+      symbol: trades.find((t) => t.symbol)?.symbol || null,
+      trade_count: trades.length,
+      bought_amount: boughtAmount,
+      sold_amount: soldAmount,
+      total_cost: totalCost,
+      total_proceeds: totalProceeds,
+      realized_pnl: realizedPnl,
+      gas_cost: gasCost,
+      open_amount: openAmount,
+      open_cost: openCost,
+      unmatched_sell_amount: unmatchedAmount,
+      ...(since ? { realized_pnl_since: realizedPnlSince } : {}),
+    };
+  }
+
+  /**
+   * 組合篩選條件
+   * @param {Object} filters - 篩選條件
+   * @returns {Object} { where, params }
+   */
+  buildFilter(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.token_id) {
+      conditions.push('token_id = ?');
+      params.push(filters.token_id);
+    }
+    if (filters.chain) {
+      conditions.push('chain = ?');
+      params.push(filters.chain.toLowerCase());
+    }
+    if (filters.token_address) {
+      conditions.push('LOWER(token_address) = LOWER(?)');
+      params.push(filters.token_address);
+    }
+    if (filters.side) {
+      conditions.push('side = ?');
+      params.push(filters.side);
+    }
+    if (filters.source) {
+      conditions.push('source = ?');
+      params.push(filters.source);
+    }
+    if (filters.exclude_source) {
+      conditions.push('source != ?');
+      params.push(filters.exclude_source);
+    }
+    if (filters.order_id) {
+      conditions.push('order_id = ?');
+      params.push(filters.order_id);
+    }
+    if (filters.from) {
+      conditions.push('executed_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('executed_at <= ?');
+      params.push(filters.to);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params,
+    };
+  }
+}
+
+export default new TradeService();
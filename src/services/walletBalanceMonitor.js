@@ -1,7 +1,7 @@
 import { ethers } from 'ethers';
-import config from '../config/config.js';
 import db from '../database/db.js';
 import logger from '../utils/logger.js';
+import rpcPool from './rpcPool.js';
 import { getTaiwanISOString } from '../utils/timeHelper.js';
 import browserManager from './browserManager.js';
 
@@ -41,7 +41,7 @@ const GMGN_QUERY_PARAMS = {
 
 class WalletBalanceMonitor {
   constructor() {
-    this.bscProvider = new ethers.JsonRpcProvider(config.rpc.bsc);
+    this.bscProvider = rpcPool.getProvider('bsc');
   }
 
   getGmgnAuthToken() {
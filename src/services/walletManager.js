@@ -1,9 +1,19 @@
 import { ethers } from 'ethers';
 import { Keypair } from '@solana/web3.js';
-import crypto from 'crypto';
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
-import db from '../database/db.js';
+import keystore from './keystore.js';
+import rpcPool from './rpcPool.js';
+
+// 支援的鏈與對應的環境變數前綴
+const CHAIN_ENV_PREFIX = {
+  bsc: 'BSC',
+  solana: 'SOLANA',
+  base: 'BASE',
+};
+
+// 未命名私鑰（<CHAIN>_PRIVATE_KEY）的錢包 ID
+const DEFAULT_WALLET_ID = 'default';
 
 /**
  * 錢包管理器 - 安全管理私鑰和簽名者
@@ -11,7 +21,14 @@ import db from '../database/db.js';
  */
 class WalletManager {
   constructor() {
+    // 每條鏈可有多個具名錢包：chain → Map<walletId, wallet>
     this.wallets = {
+      bsc: new Map(),
+      solana: new Map(),
+      base: new Map(),
+    };
+    // 每條鏈的預設錢包 ID（訂單未指定 wallet_id 時使用）
+    this.defaultWalletIds = {
       bsc: null,
       solana: null,
       base: null,
@@ -21,35 +38,40 @@ class WalletManager {
 
   /**
    * 初始化錢包
-   * 從環境變數或資料庫載入私鑰
+   * 有加密 keystore 時解鎖並載入其中的錢包（密碼來自 KEYSTORE_PASSPHRASE 或終端機輸入），
+   * 否則在 KEYSTORE_ALLOW_ENV_KEYS=true 時從環境變數載入明文私鑰（不建議）：
+   * - <CHAIN>_PRIVATE_KEY → 錢包 ID "default"
+   * - <CHAIN>_PRIVATE_KEY_<NAME> → 錢包 ID "<name>"（小寫）
+   * <CHAIN>_DEFAULT_WALLET 指定預設錢包，未設定時優先使用 "default"，否則為第一個載入的錢包
    */
   async initialize() {
     try {
       logger.info('初始化錢包管理器...');
 
-      // 從環境變數載入私鑰
-      if (process.env.BSC_PRIVATE_KEY) {
-        this.wallets.bsc = this.createEVMWallet('bsc', process.env.BSC_PRIVATE_KEY);
-        logger.success(`BSC 錢包已載入: ${this.wallets.bsc.address}`);
-      }
-
-      if (process.env.SOLANA_PRIVATE_KEY) {
-        this.wallets.solana = this.createSolanaWallet(process.env.SOLANA_PRIVATE_KEY);
-        logger.success(`Solana 錢包已載入: ${this.wallets.solana.publicKey.toString()}`);
+      if (keystore.exists()) {
+        await keystore.unlockOnce();
+        logger.success('🔐 keystore 已解鎖');
+
+        for (const { chain, id } of keystore.listWallets()) {
+          this.addWallet(chain, id, keystore.getPrivateKey(chain, id));
+        }
+      } else if (config.keystore.allowEnvKeys) {
+        this.loadFromEnv();
+      } else if (Object.values(CHAIN_ENV_PREFIX).some(prefix => Object.keys(process.env).some(key => key.startsWith(`${prefix}_PRIVATE_KEY`)))) {
+        logger.warn('⚠️  偵測到 .env 中的明文私鑰但未載入：請執行 npm run keystore migrate-env 匯入 keystore（或設定 KEYSTORE_ALLOW_ENV_KEYS=true 暫時沿用）');
       }
 
-      if (process.env.BASE_PRIVATE_KEY) {
-        this.wallets.base = this.createEVMWallet('base', process.env.BASE_PRIVATE_KEY);
-        logger.success(`Base 錢包已載入: ${this.wallets.base.address}`);
+      for (const [chain, prefix] of Object.entries(CHAIN_ENV_PREFIX)) {
+        this.resolveDefaultWallet(chain, process.env[`${prefix}_DEFAULT_WALLET`]);
       }
 
       this.initialized = true;
 
       // 檢查是否有任何錢包被載入
-      const hasWallet = Object.values(this.wallets).some(w => w !== null);
+      const hasWallet = Object.values(this.wallets).some(w => w.size > 0);
       if (!hasWallet) {
         logger.warn('⚠️  未載入任何錢包，自動交易功能將無法使用');
-        logger.warn('請在 .env 中設定私鑰: BSC_PRIVATE_KEY, SOLANA_PRIVATE_KEY, BASE_PRIVATE_KEY');
+        logger.warn('請執行 npm run keystore init 建立加密 keystore，再以 npm run keystore import <chain> <id> 匯入私鑰');
       }
 
       return this.initialized;
@@ -59,6 +81,87 @@ class WalletManager {
     }
   }
 
+  /**
+   * 從環境變數載入明文私鑰（未建立 keystore 且 KEYSTORE_ALLOW_ENV_KEYS=true 時的相容模式）
+   */
+  loadFromEnv() {
+    let loaded = 0;
+
+    for (const [chain, prefix] of Object.entries(CHAIN_ENV_PREFIX)) {
+      for (const [key, privateKey] of Object.entries(process.env)) {
+        if (!privateKey || (key !== `${prefix}_PRIVATE_KEY` && !key.startsWith(`${prefix}_PRIVATE_KEY_`))) {
+          continue;
+        }
+
+        const walletId = key === `${prefix}_PRIVATE_KEY`
+          ? DEFAULT_WALLET_ID
+          : key.slice(`${prefix}_PRIVATE_KEY_`.length).toLowerCase();
+
+        this.addWallet(chain, walletId, privateKey);
+        loaded++;
+      }
+    }
+
+    logger.warn(`⚠️  KEYSTORE_ALLOW_ENV_KEYS 已啟用，從 .env 載入 ${loaded} 個明文私鑰；建議執行 npm run keystore migrate-env 匯入加密 keystore 後從 .env 移除並關閉此設定`);
+  }
+
+  /**
+   * 載入具名錢包
+   * @param {string} chain - 鏈名稱
+   * @param {string} walletId - 錢包 ID
+   * @param {string} privateKey - 私鑰
+   */
+  addWallet(chain, walletId, privateKey) {
+    const wallet = this.createWallet(chain, privateKey);
+
+    this.wallets[chain].set(walletId, wallet);
+    logger.success(`${CHAIN_ENV_PREFIX[chain]} 錢包 [${walletId}] 已載入: ${this.formatAddress(chain, wallet)}`);
+  }
+
+  /**
+   * 驗證私鑰並產生 keystore 儲存內容（EVM 私鑰統一為 0x 開頭的格式，gmgn-trader 可直接使用）
+   * @param {string} chain - 鏈名稱
+   * @param {string} privateKey - 私鑰
+   * @returns {Object} { privateKey, address }
+   */
+  toKeystoreEntry(chain, privateKey) {
+    const wallet = this.createWallet(chain, privateKey);
+
+    return {
+      privateKey: chain === 'solana' ? privateKey : wallet.privateKey,
+      address: this.formatAddress(chain, wallet),
+    };
+  }
+
+  /**
+   * 依鏈建立錢包實例
+   * @param {string} chain - 鏈名稱
+   * @param {string} privateKey - 私鑰
+   * @returns {Object} 錢包實例
+   */
+  createWallet(chain, privateKey) {
+    return chain === 'solana'
+      ? this.createSolanaWallet(privateKey)
+      : this.createEVMWallet(chain, privateKey);
+  }
+
+  /**
+   * 決定鏈的預設錢包
+   * @param {string} chain - 鏈名稱
+   * @param {string} preferred - 指定的預設錢包 ID
+   */
+  resolveDefaultWallet(chain, preferred) {
+    const wallets = this.wallets[chain];
+
+    if (preferred && !wallets.has(preferred.toLowerCase())) {
+      throw new Error(`${CHAIN_ENV_PREFIX[chain]}_DEFAULT_WALLET 指定的錢包不存在: ${preferred}`);
+    }
+
+    this.defaultWalletIds[chain] = preferred
+      ? preferred.toLowerCase()
+      : wallets.has(DEFAULT_WALLET_ID) ? DEFAULT_WALLET_ID : wallets.keys().next().value ?? null;
+  }
+
   /**
    * 創建 EVM 錢包 (BSC/Base)
    * @param {string} chain - 鏈名稱
@@ -72,13 +175,12 @@ class WalletManager {
         privateKey = '0x' + privateKey;
       }
 
-      const provider = new ethers.JsonRpcProvider(config.rpc[chain]);
-      const wallet = new ethers.Wallet(privateKey, provider);
+      const wallet = new ethers.Wallet(privateKey, rpcPool.getProvider(chain));
 
       return wallet;
     } catch (error) {
-      logger.error(`創建 ${chain} 錢包失敗:`, error.message);
-      throw error;
+      // 不帶入原始錯誤訊息，避免私鑰內容出現在 log
+      throw new Error(`創建 ${chain} 錢包失敗：私鑰格式錯誤`);
     }
   }
 
@@ -108,24 +210,28 @@ class WalletManager {
       const keypair = Keypair.fromSecretKey(secretKey);
       return keypair;
     } catch (error) {
-      logger.error('創建 Solana 錢包失敗:', error.message);
-      throw error;
+      // JSON.parse 的錯誤訊息會包含輸入內容，不帶入原始錯誤以免私鑰出現在 log
+      throw new Error('創建 Solana 錢包失敗：私鑰格式錯誤（請使用 JSON 陣列或 hex 格式）');
     }
   }
 
   /**
    * 獲取錢包
    * @param {string} chain - 鏈名稱
+   * @param {string} walletId - 錢包 ID（未指定時使用預設錢包）
    * @returns {Object} 錢包實例
    */
-  getWallet(chain) {
+  getWallet(chain, walletId = null) {
     if (!this.initialized) {
       throw new Error('錢包管理器未初始化');
     }
 
-    const wallet = this.wallets[chain.toLowerCase()];
+    const chainKey = chain.toLowerCase();
+    const id = walletId || this.defaultWalletIds[chainKey];
+    const wallet = id ? this.wallets[chainKey]?.get(id) : null;
+
     if (!wallet) {
-      throw new Error(`${chain} 鏈的錢包未配置`);
+      throw new Error(walletId ? `${chain} 鏈找不到錢包: ${walletId}` : `${chain} 鏈的錢包未配置`);
     }
 
     return wallet;
@@ -134,39 +240,43 @@ class WalletManager {
   /**
    * 檢查錢包是否可用
    * @param {string} chain - 鏈名稱
+   * @param {string} walletId - 錢包 ID（未指定時檢查預設錢包）
    * @returns {boolean}
    */
-  hasWallet(chain) {
-    return this.wallets[chain.toLowerCase()] !== null;
+  hasWallet(chain, walletId = null) {
+    const chainKey = chain.toLowerCase();
+    const id = walletId || this.defaultWalletIds[chainKey];
+
+    return !!id && !!this.wallets[chainKey]?.has(id);
   }
 
   /**
    * 獲取錢包地址
    * @param {string} chain - 鏈名稱
+   * @param {string} walletId - 錢包 ID（未指定時使用預設錢包）
    * @returns {string}
    */
-  getAddress(chain) {
-    const wallet = this.getWallet(chain);
+  getAddress(chain, walletId = null) {
+    return this.formatAddress(chain, this.getWallet(chain, walletId));
+  }
 
-    if (chain === 'solana') {
-      return wallet.publicKey.toString();
-    } else {
-      return wallet.address;
-    }
+  formatAddress(chain, wallet) {
+    return chain === 'solana' ? wallet.publicKey.toString() : wallet.address;
   }
 
   /**
    * 獲取錢包餘額
    * @param {string} chain - 鏈名稱
+   * @param {string} walletId - 錢包 ID（未指定時使用預設錢包）
    * @returns {Promise<string>}
    */
-  async getBalance(chain) {
+  async getBalance(chain, walletId = null) {
     try {
-      const wallet = this.getWallet(chain);
+      const wallet = this.getWallet(chain, walletId);
 
       if (chain === 'solana') {
-        const connection = wallet.connection;
-        const balance = await connection.getBalance(wallet.publicKey);
+        // Keypair 不含連線，以 RPC 查詢
+        const balance = await rpcPool.getConnection().getBalance(wallet.publicKey);
         return (balance / 1e9).toString(); // 轉換為 SOL
       } else {
         const balance = await wallet.provider.getBalance(wallet.address);
@@ -179,42 +289,21 @@ class WalletManager {
   }
 
   /**
-   * 加密私鑰（用於資料庫存儲）
-   * @param {string} privateKey - 私鑰
-   * @param {string} password - 加密密碼
-   * @returns {string} 加密後的私鑰
+   * 列出已載入的錢包
+   * @param {string} chain - 鏈名稱（未指定時列出所有鏈）
+   * @returns {Array<Object>} [{ chain, id, address, isDefault }]
    */
-  encryptPrivateKey(privateKey, password) {
-    const algorithm = 'aes-256-cbc';
-    const key = crypto.scryptSync(password, 'salt', 32);
-    const iv = crypto.randomBytes(16);
-
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-
-    return iv.toString('hex') + ':' + encrypted;
-  }
-
-  /**
-   * 解密私鑰
-   * @param {string} encryptedKey - 加密的私鑰
-   * @param {string} password - 解密密碼
-   * @returns {string} 解密後的私鑰
-   */
-  decryptPrivateKey(encryptedKey, password) {
-    const algorithm = 'aes-256-cbc';
-    const key = crypto.scryptSync(password, 'salt', 32);
-
-    const parts = encryptedKey.split(':');
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-
-    return decrypted;
+  listWallets(chain = null) {
+    const chains = chain ? [chain.toLowerCase()] : Object.keys(this.wallets);
+
+    return chains.flatMap((c) =>
+      [...(this.wallets[c]?.entries() ?? [])].map(([id, wallet]) => ({
+        chain: c,
+        id,
+        address: this.formatAddress(c, wallet),
+        isDefault: id === this.defaultWalletIds[c],
+      }))
+    );
   }
 
   /**
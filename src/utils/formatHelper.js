@@ -0,0 +1,41 @@
+// 數值格式化工具函數
+
+/**
+ * 格式化市值 (K/M)
+ * @param {number} marketCap - 市值（美元）
+ * @returns {string} 例如 $1.23M、$45.60K、$789.00
+ */
+export function formatMarketCap(marketCap) {
+  if (marketCap >= 1_000_000) {
+    return `$${(marketCap / 1_000_000).toFixed(2)}M`;
+  }
+  if (marketCap >= 1_000) {
+    return `$${(marketCap / 1_000).toFixed(2)}K`;
+  }
+  return `$${marketCap.toFixed(2)}`;
+}
+
+/**
+ * 將最小單位數量轉為十進位字串（不經浮點數）
+ * @param {bigint} raw - 最小單位數量
+ * @param {number} decimals - 代幣精度
+ * @returns {string} 例如 1234.5
+ */
+export function formatRawAmount(raw, decimals) {
+  const base = 10n ** BigInt(decimals);
+  const fraction = (raw % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return fraction ? `${raw / base}.${fraction}` : `${raw / base}`;
+}
+
+/**
+ * 將數量轉為最小單位（超出精度的位數捨去，不產生科學記號字串）
+ * @param {number} amount - 數量
+ * @param {number} decimals - 代幣精度
+ * @returns {bigint}
+ */
+export function toRawAmount(amount, decimals) {
+  const [whole, fraction = ''] = Number(amount)
+    .toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+    .split('.');
+  return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.slice(0, decimals).padEnd(decimals, '0') || '0');
+}